@@ -0,0 +1,46 @@
+// public/sw.js — 서비스 워커: 앱 화면(셸)을 캐시해 연결이 끊겨도 열리게 함
+// API 요청(다른 출처)은 건드리지 않음 — 보내지 못한 제출은 화면 쪽 보관함(src/offline/outbox.ts)이 재전송
+const CACHE = "lm-shell-v1";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", e => {
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", e => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function cachePut(key, res) {
+  if (res.ok) {
+    const copy = res.clone();
+    caches.open(CACHE).then(c => c.put(key, copy));
+  }
+  return res;
+}
+
+self.addEventListener("fetch", e => {
+  const req = e.request;
+  const url = new URL(req.url);
+  if (req.method !== "GET" || url.origin !== self.location.origin) return;
+  // 화면 이동: 네트워크 우선, 끊기면 캐시된 index.html (라우팅은 앱이 처리)
+  if (req.mode === "navigate") {
+    e.respondWith(fetch(req).then(res => cachePut("/index.html", res)).catch(() => caches.match("/index.html")));
+    return;
+  }
+  // 빌드 파일(해시 이름)/아이콘: 캐시 우선, 없으면 받아서 캐시
+  e.respondWith(caches.match(req).then(hit => hit || fetch(req).then(res => cachePut(req, res))));
+});
+
+// 백그라운드 동기화 — 열려 있는 화면에 보관함 전송을 요청 (토큰은 화면 쪽에 있음)
+self.addEventListener("sync", e => {
+  if (e.tag !== "lm-outbox") return;
+  e.waitUntil(
+    self.clients.matchAll({ type: "window" })
+      .then(list => list.forEach(c => c.postMessage({ type: "lm:outbox-flush" })))
+  );
+});
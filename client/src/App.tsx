@@ -1,4 +1,3 @@
-import React from "react";
 import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import { AuthProvider } from "./auth/AuthContext";
 import { RequireAuth, RequireRole } from "./auth/guards";
@@ -11,6 +10,10 @@ import EmployeeLeavePage from "./pages/EmployeeLeavePage";
 import WorkLogFormMini from "./pages/WorkLogFormMini";
 import ManagerPage from "./pages/ManagerPage";
 import HRAdminPage from "./pages/HRAdminPage";
+import UserAdminPage from "./pages/UserAdminPage";
+import ChangePasswordPage from "./pages/ChangePasswordPage";
+import NotificationSettingsPage from "./pages/NotificationSettingsPage";
+import KioskPage from "./pages/KioskPage";
 
 const Forbidden = () => <div style={{ padding: 24 }}>접근 권한이 없습니다.</div>;
 const NotFound =  () => <div style={{ padding: 24 }}>페이지를 찾을 수 없습니다.</div>;
@@ -24,10 +27,16 @@ export default function App() {
           <Route path="/" element={<Navigate to="/login" replace />} />
           <Route path="/login" element={<LoginPage />} />
           <Route path="/forbidden" element={<Forbidden />} />
+          {/* 공용 단말 출퇴근 — 로그인 없이 등록된 단말 토큰으로만. 직원은 사번 + 서명 */}
+          <Route path="/kiosk" element={<KioskPage />} />
 
           {/* 인증 필수 + 탭 레이아웃 */}
           <Route element={<RequireAuth />}>
             <Route element={<ProtectedLayout />}>
+              {/* 본인 비밀번호 변경 (임시 비밀번호 로그인 시 강제) */}
+              <Route path="/password" element={<ChangePasswordPage />} />
+              <Route path="/notifications" element={<NotificationSettingsPage />} />
+
               {/* 직원 */}
               <Route element={<RequireRole allowed={["employee","admin","manager","hr"]} />}>
                 <Route path="/employee" element={<EmployeePage />} />
@@ -35,8 +44,8 @@ export default function App() {
                 <Route path="/employee/worklog" element={<WorkLogFormMini />} />
               </Route>
 
-              {/* 상사 */}
-              <Route element={<RequireRole allowed={["manager","admin"]} />}>
+              {/* 상사 (인사는 결재선의 '인사 확인' 단계 결재) */}
+              <Route element={<RequireRole allowed={["manager","hr","admin"]} />}>
                 <Route path="/manager" element={<ManagerPage />} />
               </Route>
 
@@ -44,6 +53,11 @@ export default function App() {
               <Route element={<RequireRole allowed={["hr","admin"]} />}>
                 <Route path="/hr" element={<HRAdminPage />} />
               </Route>
+
+              {/* 계정 관리 */}
+              <Route element={<RequireRole allowed={["admin"]} />}>
+                <Route path="/admin" element={<UserAdminPage />} />
+              </Route>
             </Route>
           </Route>
 
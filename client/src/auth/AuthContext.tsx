@@ -2,7 +2,7 @@ import React, { createContext, useContext, useEffect, useMemo, useState } from "
 import { API_BASE } from "../components/hr/Shared";
 import type { Role } from "./roles";
 
-function parseJwt<T = any>(token: string | null): T | null {
+export function parseJwt<T = any>(token: string | null): T | null {
   try {
     if (!token) return null;
     const [_, payload] = token.split(".");
@@ -12,13 +12,14 @@ function parseJwt<T = any>(token: string | null): T | null {
   } catch { return null; }
 }
 
-type User = { id: string; name?: string; role: Role } | null;
+// mustChangePassword: 임시 비밀번호로 로그인한 상태 (토큰의 mcp 클레임)
+type User = { id: string; name?: string; role: Role; mustChangePassword?: boolean } | null;
 
 type AuthCtx = {
   user: User;
   token: string | null;
   loading: boolean;
-  login: (t: string, u: User) => void;
+  login: (t: string, u: User, refreshToken?: string) => void;
   logout: () => void;
 };
 
@@ -26,7 +27,7 @@ const AuthContext = createContext<AuthCtx>({
   user: null,
   token: null,
   loading: true,
-  login: (_t: string, _u: User) => {},
+  login: (_t: string, _u: User, _r?: string) => {},
   logout: () => {}
 });
 
@@ -38,9 +39,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   useEffect(() => {
     (async () => {
       if (!token) { setUser(null); setLoading(false); return; }
-      const p = parseJwt<{ sub?: string; name?: string; role?: Role }>(token);
+      const p = parseJwt<{ sub?: string; name?: string; role?: Role; mcp?: number }>(token);
       if (p?.role) {
-        setUser({ id: p.sub || "me", name: p.name, role: p.role });
+        setUser(u => ({ id: p.sub || "me", name: u?.name ?? p.name, role: p.role!, mustChangePassword: !!p.mcp }));
         setLoading(false);
         return;
       }
@@ -48,19 +49,48 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       try {
         const r = await fetch(`${API_BASE}/api/me`, { headers: { Authorization: `Bearer ${token}` } });
         const j = await r.json();
-        if (r.ok && j?.ok) setUser({ id: j.data?.id, name: j.data?.name, role: j.data?.role });
+        if (r.ok && j?.ok) setUser({ id: j.data?.id, name: j.data?.name, role: j.data?.role, mustChangePassword: !!j.data?.mustChangePassword });
         else setUser(null);
       } catch { setUser(null); }
       setLoading(false);
     })();
   }, [token]);
 
-  const login  = (t: string, u: User) => {
+  // authFetch가 토큰을 갱신하거나(lm:token) 갱신에 실패하면(lm:logout) 상태를 맞춤
+  useEffect(() => {
+    const onToken = (e: Event) => setToken((e as CustomEvent<string>).detail);
+    const onLogout = () => { setToken(null); setUser(null); };
+    window.addEventListener("lm:token", onToken);
+    window.addEventListener("lm:logout", onLogout);
+    return () => {
+      window.removeEventListener("lm:token", onToken);
+      window.removeEventListener("lm:logout", onLogout);
+    };
+  }, []);
+
+  // refreshToken을 안 넘기면 (비밀번호 변경 등) 기존 세션의 리프레시 토큰을 그대로 씀
+  const login  = (t: string, u: User, refreshToken?: string) => {
     localStorage.setItem("lm_token", t);
+    if (refreshToken) localStorage.setItem("lm_refresh", refreshToken);
     setToken(t);
     setUser(u);
   };
-  const logout = () => { localStorage.removeItem("lm_token"); setToken(null); setUser(null); };
+  // 서버 세션도 끊음 (응답은 기다리지 않음)
+  const logout = () => {
+    const t = localStorage.getItem("lm_token");
+    const refreshToken = localStorage.getItem("lm_refresh");
+    if (t || refreshToken) {
+      fetch(`${API_BASE}/api/logout`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(t ? { Authorization: `Bearer ${t}` } : {}) },
+        body: JSON.stringify({ refreshToken })
+      }).catch(() => {});
+    }
+    localStorage.removeItem("lm_token");
+    localStorage.removeItem("lm_refresh");
+    setToken(null);
+    setUser(null);
+  };
 
   const value = useMemo(() => ({ user, token, loading, login, logout }), [user, token, loading]);
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -8,6 +8,8 @@ export const RequireAuth: React.FC = () => {
   const loc = useLocation();
   if (loading) return <div style={{ padding:24 }}>로딩 중…</div>;
   if (!user) return <Navigate to="/login" state={{ from: loc }} replace />;
+  // 임시 비밀번호로 로그인했으면 변경 화면만
+  if (user.mustChangePassword && loc.pathname !== "/password") return <Navigate to="/password" replace />;
   return <Outlet />;
 };
 
@@ -10,9 +10,15 @@ export function tabsForRole(role: Role | null): AppTab[] {
       { path: "/employee", label: "직원" },
       { path: "/manager",  label: "상사 검토" },
       { path: "/hr",       label: "인사 관리자" },
+      { path: "/admin",    label: "계정 관리" },
+    ];
+  }
+  if (role === "hr") {
+    return [
+      { path: "/hr",      label: "인사 관리자" },
+      { path: "/manager", label: "결재" },
     ];
   }
-  if (role === "hr")       return [{ path: "/hr", label: "인사 관리자" }];
   if (role === "manager")  return [{ path: "/manager", label: "상사 검토" }];
   return [{ path: "/employee", label: "직원" }]; // employee
 }
@@ -0,0 +1,136 @@
+// src/components/NotificationBell.tsx — 알림 종(읽지 않은 개수) + 알림함. 서버 SSE로 실시간 갱신
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/AuthContext";
+import { API_BASE, jsonFetch } from "./hr/Shared";
+import type { NotificationItem } from "./hr/Shared";
+
+const RECONNECT_MS = 5000;
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+export default function NotificationBell() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [items, setItems] = useState<NotificationItem[]>([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef<HTMLDivElement>(null);
+  const enabled = !!user && !user.mustChangePassword;
+
+  async function load() {
+    try {
+      const j = await call(`${API_BASE}/api/notifications?limit=20`);
+      setItems(j.data as NotificationItem[]);
+      setUnread(j.unread);
+    } catch { /* 알림은 보조 기능 — 실패해도 화면은 그대로 */ }
+  }
+
+  // 실시간 연결: 1회용 입장권을 받아 EventSource 연결, 끊기면 잠시 후 새 입장권으로 재연결
+  useEffect(() => {
+    if (!enabled) return;
+    load();
+    let es: EventSource | null = null;
+    let timer: number | undefined;
+    let stopped = false;
+
+    const connect = async () => {
+      try {
+        const { ticket } = await call(`${API_BASE}/api/notifications/stream-ticket`, { method: "POST" });
+        if (stopped) return;
+        es = new EventSource(`${API_BASE}/api/notifications/stream?ticket=${encodeURIComponent(ticket)}`);
+        es.addEventListener("notification", e => {
+          const { item, unread } = JSON.parse((e as MessageEvent).data);
+          setItems(list => [item as NotificationItem, ...list.filter(x => x.id !== item.id)].slice(0, 20));
+          setUnread(unread);
+        });
+        es.addEventListener("unread", e => setUnread(JSON.parse((e as MessageEvent).data).unread));
+        es.onerror = () => {
+          es?.close();
+          if (!stopped) timer = window.setTimeout(connect, RECONNECT_MS);
+        };
+      } catch {
+        if (!stopped) timer = window.setTimeout(connect, RECONNECT_MS * 6);
+      }
+    };
+    connect();
+    return () => { stopped = true; es?.close(); window.clearTimeout(timer); };
+  }, [enabled, user?.id]);
+
+  // 바깥을 누르면 닫기
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e: MouseEvent) => { if (!boxRef.current?.contains(e.target as Node)) setOpen(false); };
+    document.addEventListener("mousedown", onDown);
+    return () => document.removeEventListener("mousedown", onDown);
+  }, [open]);
+
+  async function openItem(n: NotificationItem) {
+    if (!n.readAt) {
+      try {
+        const j = await call(`${API_BASE}/api/notifications/${n.id}/read`, { method: "POST" });
+        setItems(list => list.map(x => x.id === n.id ? { ...x, readAt: new Date().toISOString() } : x));
+        setUnread(j.unread);
+      } catch { /* no-op */ }
+    }
+    setOpen(false);
+    if (n.link) navigate(n.link);
+  }
+
+  async function readAll() {
+    try {
+      await call(`${API_BASE}/api/notifications/read-all`, { method: "POST" });
+      setItems(list => list.map(x => x.readAt ? x : { ...x, readAt: new Date().toISOString() }));
+      setUnread(0);
+    } catch (e: any) {
+      alert(e?.message || "처리 실패");
+    }
+  }
+
+  if (!enabled) return null;
+
+  return (
+    <div ref={boxRef} style={{ position: "relative" }}>
+      <button className="btn-ghost" aria-label={`알림 ${unread}개`} onClick={() => { setOpen(o => !o); if (!open) load(); }}
+        style={{ position: "relative", fontSize: 18, lineHeight: 1 }}>
+        🔔
+        {unread > 0 && (
+          <span style={{
+            position: "absolute", top: -6, right: -6, minWidth: 20, height: 20, padding: "0 5px", borderRadius: 999,
+            background: "#dc2626", color: "#fff", fontSize: 12, fontWeight: 900, display: "inline-flex", alignItems: "center", justifyContent: "center",
+          }}>{unread > 99 ? "99+" : unread}</span>
+        )}
+      </button>
+      {open && (
+        <div className="card" style={{ position: "absolute", right: 0, top: "calc(100% + 8px)", width: 360, maxHeight: 460, overflow: "auto", zIndex: 40 }}>
+          <div className="card-body">
+            <div className="toolbar" style={{ marginTop: 0 }}>
+              <span className="chip">알림</span>
+              <button className="btn btn-ghost" disabled={!unread} onClick={readAll}>모두 읽음</button>
+              <button className="btn btn-ghost" onClick={() => { setOpen(false); navigate("/notifications"); }}>설정</button>
+            </div>
+            {items.length === 0 ? (
+              <div style={{ color: "#94a3b8", padding: 8 }}>알림이 없습니다.</div>
+            ) : items.map(n => (
+              <div key={n.id} onClick={() => openItem(n)} style={{
+                padding: "8px 10px", borderRadius: 10, cursor: "pointer", marginBottom: 4,
+                background: n.readAt ? "#fff" : "#eff6ff", borderLeft: n.readAt ? "3px solid transparent" : "3px solid #2563eb",
+              }}>
+                <div style={{ fontWeight: n.readAt ? 600 : 800, fontSize: 14 }}>{n.title}</div>
+                {n.body && <div style={{ color: "#475569", fontSize: 13, whiteSpace: "pre-wrap" }}>{n.body}</div>}
+                <div style={{ color: "#94a3b8", fontSize: 12 }}>{n.createdAt.replace("T", " ").slice(0, 16)}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
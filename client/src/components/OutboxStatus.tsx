@@ -0,0 +1,65 @@
+// src/components/OutboxStatus.tsx — 오프라인 표시 + 보관함(연결되면 보낼 신청/근무일지). 비어 있고 연결돼 있으면 숨김
+import { useEffect, useState } from "react";
+import { useAuth } from "../auth/AuthContext";
+import { discardOutbox, flushOutbox, listOutbox, retryOutbox } from "../offline/outbox";
+import type { OutboxItem } from "../offline/outbox";
+
+const KIND_KO = { request: "휴가 신청", worklog: "근무일지" } as const;
+
+export default function OutboxStatus() {
+  const { user } = useAuth();
+  const [items, setItems] = useState<OutboxItem[]>([]);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const load = () => { listOutbox().then(setItems).catch(() => setItems([])); };
+    const onOnline = () => setOnline(navigator.onLine);
+    load();
+    flushOutbox();
+    window.addEventListener("lm:outbox", load);
+    window.addEventListener("online", onOnline);
+    window.addEventListener("offline", onOnline);
+    return () => {
+      window.removeEventListener("lm:outbox", load);
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOnline);
+    };
+  }, [user?.id]);
+
+  if (online && items.length === 0) return null;
+  const failed = items.filter(i => i.status === "failed").length;
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button className="btn-ghost" onClick={() => setOpen(o => !o)}
+        style={failed ? { borderColor: "#fecaca", color: "#b91c1c" } : undefined}>
+        {online ? "" : "오프라인 · "}보관함 {items.length}{failed ? ` (실패 ${failed})` : ""}
+      </button>
+      {open && (
+        <div className="card" style={{ position: "absolute", right: 0, top: "110%", width: 380, zIndex: 50 }}>
+          <div className="card-body" style={{ display: "grid", gap: 8 }}>
+            <div style={{ color: "#64748b", fontSize: 13 }}>
+              {!online ? "연결이 끊겼습니다. 제출한 내용은 연결되면 자동으로 보냅니다."
+                : items.length > failed ? "연결됨 — 대기 중인 항목을 보내는 중입니다."
+                : "서버가 받지 않은 항목입니다. 사유를 확인해 다시 작성하거나 지우세요."}
+            </div>
+            {items.length === 0 && <div style={{ color: "#94a3b8" }}>보관함이 비어 있습니다.</div>}
+            {items.map(i => (
+              <div key={i.key} style={{ borderTop: "1px solid var(--line)", paddingTop: 8 }}>
+                <div><span className="chip">{KIND_KO[i.kind]}</span> {i.label}</div>
+                <div style={{ fontSize: 12, color: i.status === "failed" ? "#b91c1c" : "#64748b" }}>
+                  {i.createdAt.replace("T", " ").slice(0, 16)} · {i.status === "failed" ? `전송 실패: ${i.lastError}` : `대기${i.lastError ? ` (${i.lastError})` : ""}`}
+                </div>
+                <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+                  {i.status === "failed" && <button className="btn btn-ghost" onClick={() => retryOutbox(i)}>다시 보내기</button>}
+                  <button className="btn btn-ghost" onClick={() => { if (confirm("이 항목을 보관함에서 지울까요? 서버로 보내지 않습니다.")) discardOutbox(i.key); }}>삭제</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,24 @@
 // src/components/hr/Shared.ts
 import React from "react";
+import { saveAs } from "file-saver";
 
 export const API_BASE = "http://localhost:4000";
 
 /* ---------- Types ---------- */
 export type LeaveType = "연차" | "반차" | "병가" | "경조사";
 export type Status = "Pending" | "Approved" | "Rejected" | "Canceled";
+export type LeaveBucket = "연차" | "병가" | "경조사";
+
+export type LeaveBalance = {
+  year: number;
+  bucket: LeaveBucket;
+  entitled: number;  // 발생 + 조정
+  used: number;      // 승인 차감
+  pending: number;   // 대기 중 신청분
+  remaining: number; // entitled - used
+};
+
+export type WorkShift = "주간" | "야간";
 
 export type WorklogRow = {
   id: string;
@@ -17,11 +30,93 @@ export type WorklogRow = {
   note?: string;
   fileName?: string;
   filePath: string;
-  signature?: string; // data URL
+  signature?: string; // data URL (목록 조회에서는 includeSignatures=1일 때만)
+  signatureId?: string | null;
+  hasSignature?: number | boolean;
   status: "Pending" | "Approved" | "Rejected";
   createdAt: string;
+  uploaderName?: string | null;
+  workDate?: string | null;
+  shift?: WorkShift | null;
+  hours?: number | null;
+  notes?: string | null;
+  prevWorklogId?: string | null;   // 반려된 일지를 다시 제출한 경우 원 일지
+  resubmittedBy?: string | null;   // 이 일지를 다시 제출한 새 일지
+  reviewerName?: string | null;
+  reviewOnBehalfOfName?: string | null; // 위임받아 대신 검토했으면 원 검토자
+  reviewedAt?: string | null;
+  rejectReason?: string | null;
+  commentCount?: number;
+  fileType?: WorklogFileType | null;   // 내용으로 확인한 형식 (예전 업로드는 없음)
+  rowCount?: number;                   // 표준 양식에서 읽은 작업 행 수
+};
+
+export type WorklogFileType = "xlsx" | "pdf" | "png" | "jpg";
+export const WORKLOG_FILE_ACCEPT = ".xlsx,.pdf,.png,.jpg,.jpeg";
+
+// 표준 양식(.xlsx)에서 읽은 작업 행
+export type WorklogParsedRow = {
+  worklogId: string;
+  rowNo: number;           // 시트 행 번호
+  workDate: string;
+  line: string;
+  task: string;
+  hours: number;
+  quantity: number | null;
+  // 작업 행 검색에서만
+  status?: WorklogRow["status"];
+  shift?: WorkShift | null;
+  fileName?: string;
+  uploaderName?: string | null;
+};
+
+// 양식 오류 (칸 단위)
+export type WorklogCellError = { cell: string; row: number; field: string | null; message: string };
+
+export type WorklogComment = { id: string; worklogId: string; authorId: string; authorName: string | null; body: string; createdAt: string };
+
+export type Holiday = {
+  id?: string;          // 계산된 공휴일(builtin)은 id 없음
+  date: string;
+  name: string;
+  kind: "public" | "closure";
+  builtin?: boolean;
+};
+
+// GET /api/workdays 응답
+export type WorkdayPreview = {
+  start: string;
+  end: string;
+  workdays: number;     // 주말/휴일 제외 근무일
+  days: number;         // 차감 일수 (반차 0.5)
+  calendarDays: number;
+  excluded: Holiday[];  // 기간 중 평일 휴일
 };
 
+/* ---------- 신청 종류 (서버 등록부 requestTypes.ts) ---------- */
+export type RequestTypeKey = "leave" | "overtime" | "holidayWork" | "businessTrip" | "shiftSwap";
+export type RequestFieldKind = "date" | "time" | "number" | "text" | "textarea" | "select" | "user";
+export type RequestFieldDef = {
+  name: string;
+  label: string;
+  kind: RequestFieldKind;
+  required: boolean;
+  options?: string[];
+  placeholder?: string;
+};
+// GET /api/request-types
+export type RequestTypeDef = {
+  key: RequestTypeKey;
+  label: string;
+  description: string;
+  fields: RequestFieldDef[];                          // 휴가는 빈 배열 (휴가 신청 화면 사용)
+  formFields: Array<{ field: string; label: string }>; // 양식 매핑에 쓸 수 있는 details.<항목>
+  formTemplate: string | null;                        // 기본 엑셀 양식 이름
+  absence: boolean;
+};
+// GET /api/colleagues (근무 교대 상대)
+export type Colleague = { id: string; name: string; empId: string; position: string; shift: WorkShift | null };
+
 export interface LeaveRequestAPI {
   requestId: string;
   dateRequested: string;
@@ -29,19 +124,426 @@ export interface LeaveRequestAPI {
   name: string;
   dept: string;
   position: string;
-  leaveType: LeaveType;
+  requestType: RequestTypeKey;
+  leaveType: LeaveType | string;   // 휴가 외 신청은 종류 이름 (연장근무/특근/출장/근무 교대)
+  details?: Record<string, any> | null; // 휴가 외 신청의 입력값
+  summary?: string | null;              // 휴가 외 신청의 한 줄 요약
   startDate: string;
   endDate: string;
   note?: string;
   status: Status;
-  signature?: string;
+  signature?: string;          // data URL — 목록 조회에서는 includeSignatures=1일 때만
   managerSignature?: string;
+  signatureId?: string | null; // 서버에 파일로 저장된 서명 (signatures.id)
+  managerSignatureId?: string | null;
+  hasSignature?: number | boolean;
+  hasManagerSignature?: number | boolean;
   managerSignerId?: string;
+  managerOnBehalfOf?: string | null; // 위임받아 대신 최종 승인했으면 원 결재자
   managerSignedAt?: string;
   handoverPerson?: string;
   contact?: string;
+  days?: number;        // 차감 일수 (근무일 기준)
+  currentStep?: number | null;
+  currentStepLabel?: string | null; // 내 신청 목록: 진행 중인 결재 단계
+  prevRequestId?: string | null;    // 정정 신청이면 원 신청
+  amendedBy?: string | null;        // 내 신청 목록: 이 신청을 정정한 신청
+  cancelStatus?: "Pending" | "Approved" | "Rejected" | null; // 승인 건 취소 결재
+  cancelReason?: string | null;
 }
 
+/* ---------- 양식 템플릿 ---------- */
+export type FormField =
+  | "dateRequested" | "empId" | "name" | "dept" | "position" | "leaveType"
+  | "startDate" | "endDate" | "days" | "note" | "handoverPerson" | "contact"
+  | `details.${string}`;   // 휴가 외 신청 종류의 입력값
+export type FormFormat = "text" | "reqDate" | "start" | "end" | "year" | "month" | "day" | "daysLabel";
+export type FormImageField = "signature" | "managerSignature";
+
+export type FormMapping = {
+  sheet?: string;
+  cells: Array<{ cell: string; field: FormField; format?: FormFormat }>;
+  images: Array<{ field: FormImageField; tl: { col: number; row: number }; ext: { width: number; height: number } }>;
+};
+
+export type FormTemplate = {
+  id: string;
+  name: string;
+  version: number;
+  sheets: string[];
+  mapping: FormMapping;
+  status: "draft" | "active" | "retired";
+  note?: string | null;
+  createdByName?: string | null;
+  createdAt: string;
+  activatedAt?: string | null;
+};
+
+/* ---------- 조직 ---------- */
+export type Department = {
+  id: string;
+  name: string;
+  headEmployeeId: string | null;
+  headName?: string | null;
+  headcount?: number;
+};
+
+export type Employee = {
+  id: string;
+  userId: string | null;
+  empId: string;
+  name: string;
+  deptId: string;
+  dept: string;
+  position: string;
+  hireDate: string | null;
+  managerId: string | null;
+  managerName: string | null;
+  contact: string | null;
+  shift: WorkShift | null;      // 근무조 (NULL은 주간)
+  active: number;
+};
+
+// GET /api/users 행 (계정 관리 / 직원 정보 연결용)
+export type UserAccount = {
+  id: string;
+  username: string;
+  name: string;
+  role: string;
+  employeeId: string | null;
+  active: number;               // 0: 사용 중지
+  mustChangePassword: number;   // 1: 다음 로그인 때 비밀번호 변경
+  passwordChangedAt: string | null;
+  createdAt: string | null;
+  failedLogins: number;         // 연속 로그인 실패 횟수
+  lockedUntil: string | null;   // 이 시각까지 로그인 잠금
+};
+
+/* ---------- 팀 휴가 달력 / 최소 근무 인원 ---------- */
+export type StaffingShift = "전체" | WorkShift;
+
+export type CalendarAbsence = {
+  requestId: string;
+  requesterId: string | null;
+  name: string;
+  deptId: string | null;
+  dept: string;
+  shift: WorkShift | null;
+  leaveType: LeaveType;
+  startDate: string;
+  endDate: string;
+  status: Status;               // Approved / Pending
+  days: number | null;
+  handoverPerson: string | null;
+};
+
+export type StaffingRule = {
+  id: string;
+  deptId: string;
+  dept: string;
+  shift: StaffingShift;
+  minStaff: number;
+  headcount: number;            // 규칙에 해당하는 재직 인원
+};
+
+export type StaffingShortfall = {
+  date: string;
+  ruleId: string;
+  deptId: string;
+  dept: string;
+  shift: StaffingShift;
+  headcount: number;
+  away: number;
+  available: number;
+  minStaff: number;
+};
+
+export type CalendarData = {
+  from: string;
+  to: string;
+  absences: CalendarAbsence[];
+  rules: StaffingRule[];
+  holidays: { date: string; name: string; kind: "public" | "closure" }[];
+  staffing: StaffingShortfall[];
+};
+
+// GET /api/requests/:id/conflicts — 승인 전 경고
+export type RequestConflicts = {
+  overlaps: CalendarAbsence[];
+  staffing: StaffingShortfall[];
+  handover: CalendarAbsence[];
+  warnings: string[];
+};
+
+/* ---------- 알림 ---------- */
+export type NotificationType =
+  | "approval.pending" | "request.approved" | "request.rejected" | "worklog.submitted" | "worklog.reviewed"
+  | "delegation.assigned";
+
+export type NotificationItem = {
+  id: string;
+  userId: string;
+  type: NotificationType;
+  title: string;
+  body: string | null;
+  link: string | null;          // 화면 경로 (예: /manager)
+  entityType: string | null;
+  entityId: string | null;
+  createdAt: string;
+  readAt: string | null;
+};
+
+export type NotificationPref = { type: NotificationType; label: string; inApp: boolean; email: boolean };
+
+/* ---------- 로그인 세션 ---------- */
+export type SessionRow = {
+  id: string;
+  userId: string;
+  username: string;
+  name: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  ip: string | null;
+  userAgent: string | null;
+  current: boolean;   // 지금 이 화면의 세션
+};
+
+/* ---------- 감사 기록 ---------- */
+export type AuditEvent = {
+  seq: number;
+  id: string;
+  ts: string;
+  actorId: string | null;
+  actorName: string | null;
+  action: string;          // 예: request.approve, login.failure
+  entityType: string;
+  entityId: string | null;
+  before: string | null;   // JSON 문자열
+  after: string | null;
+  ip: string | null;
+  prevHash: string;
+  hash: string;
+};
+
+export type AuditVerifyResult = { ok: boolean; count: number; lastHash: string; brokenAt?: number; reason?: string };
+
+/* ---------- 결재선 ---------- */
+export type ApproverRole = "manager" | "hr" | "admin";
+
+// relation: 신청자 기준 조직 관계로 결재자 지정 (directManager=직속 상사, deptHead=부서장)
+export type ApprovalRelation = "directManager" | "deptHead";
+
+export type ApprovalStepDef = { label: string; approverRole: ApproverRole; relation?: ApprovalRelation; approverUserId?: string };
+
+export type ApprovalLine = {
+  id: string;
+  requestType: RequestTypeKey;
+  dept: string | null;       // null: 전 부서
+  leaveType: LeaveType | null; // null: 전 종류 (휴가 결재선만)
+  steps: ApprovalStepDef[];
+  updatedAt: string;
+};
+
+export type ApprovalStep = {
+  id: string;
+  requestId: string;
+  stepNo: number;
+  label: string;
+  approverRole: ApproverRole;
+  approverUserId?: string | null;
+  status: "Waiting" | "Pending" | "Approved" | "Rejected" | "Skipped";
+  phase?: "approval" | "cancel";
+  signerId?: string | null;
+  signerName?: string | null;
+  onBehalfOf?: string | null;       // 위임받아 대신 서명했으면 원 결재자
+  onBehalfOfName?: string | null;
+  signatureId?: string | null;
+  signedAt?: string | null;
+  comment?: string | null;
+};
+
+// GET /api/approvals/pending 행: 신청 + 내 차례 단계
+// GET /api/requests/:id/signatures/verify — 서명 파일 해시가 서명 당시 기록과 같은지
+export type SignatureCheck = {
+  label: string;              // 신청자 / 결재 단계 이름 / 최종 승인
+  signatureId: string;
+  stepNo: number | null;
+  found: boolean;
+  valid: boolean;
+  role?: "requester" | "approver" | "uploader";
+  signerId?: string | null;
+  signerName?: string | null;
+  signedAt?: string;
+  sha256?: string;            // 서명 당시 기록한 해시
+  fileSha256?: string | null; // 지금 파일의 해시 (파일이 없으면 null)
+  fileOk?: boolean;
+  audited?: boolean;          // 감사 기록(해시 체인)에 같은 해시가 남아 있는지
+};
+export type SignatureVerifyResult = { requestId: string; status: Status; valid: boolean; signatures: SignatureCheck[] };
+
+// 서버 쪽 나누기 목록 응답 (/api/requests, /api/worklogs)
+export type Paged<T> = { data: T[]; total: number; limit: number; offset: number };
+
+export type PendingApproval = LeaveRequestAPI & {
+  stepNo: number;
+  stepLabel: string;
+  stepPhase: "approval" | "cancel"; // cancel: 승인 건 취소 결재
+  totalSteps: number;
+  onBehalfOf: string | null;        // 위임받아 대신 결재하는 건이면 원 결재자
+  onBehalfOfName: string | null;
+};
+
+// GET /api/delegations — 결재 위임 (종료일이 지나면 expired)
+export type DelegationState = "scheduled" | "active" | "expired" | "revoked";
+export type Delegation = {
+  id: string;
+  delegatorId: string;
+  delegatorName: string | null;
+  delegateId: string;
+  delegateName: string | null;
+  startDate: string;
+  endDate: string;
+  depts: string[] | null;           // null: 전 부서
+  leaveTypes: LeaveType[] | null;   // null: 전 종류
+  worklogs: boolean;                // 근무일지 검토 포함
+  reason: string | null;
+  createdBy: string;
+  createdByName: string | null;
+  createdAt: string;
+  revokedAt: string | null;
+  state: DelegationState;
+};
+export type DelegationCandidate = { id: string; name: string; dept: string | null };
+
+// GET /api/analytics — 인사 통계 (부서별 표의 마지막 행은 dept "전체")
+export type AnalyticsSection = "usageDept" | "usageType" | "usageMonth" | "turnaround" | "rejection" | "expiring" | "compliance";
+export type UsageStat = { key: string; days: number; requests: number };
+export type MonthUsageStat = { month: string; days: number; byType: Record<string, number> };
+export type TurnaroundStat = { dept: string; decided: number; avgDays: number; medianDays: number; maxDays: number };
+export type RejectionStat = { dept: string; decided: number; approved: number; rejected: number; rate: number };
+export type ExpiringLeave = {
+  userId: string; empId: string; name: string; dept: string;
+  entitled: number; used: number; pending: number; remaining: number;
+  unplanned: number;          // 잔여 - 결재 대기 (아직 계획 없는 연차)
+  workdaysLeft: number;       // 연말까지 남은 근무일
+};
+export type ComplianceStat = { dept: string; headcount: number; expected: number; submitted: number; missing: number; rate: number };
+export type AnalyticsReport = {
+  year: number;
+  dept: string | null;
+  asOf: string;
+  usageByDept: UsageStat[];
+  usageByType: UsageStat[];
+  usageByMonth: MonthUsageStat[];
+  turnaround: TurnaroundStat[];
+  rejection: RejectionStat[];
+  expiring: ExpiringLeave[];
+  compliance: ComplianceStat[];
+};
+
+// 급여 자료 내보내기 이력 (GET /api/exports/payroll/history)
+export type PayrollExportRow = {
+  id: string;
+  month: string;
+  format: "csv" | "xlsx";
+  requestCount: number;
+  createdBy: string | null;
+  createdByName: string | null;
+  createdAt: string;
+  changes: number;            // 내보낸 뒤 새로 승인/취소/변경된 신청 수
+};
+export type PayrollRequestSnapshot = {
+  requestId: string; requesterId: string | null; empId: string; name: string; status: Status;
+  leaveType: LeaveType; startDate: string; endDate: string; days: number;
+};
+export type PayrollDiff = {
+  export: Omit<PayrollExportRow, "changes" | "createdByName">;
+  added: PayrollRequestSnapshot[];
+  removed: { before: PayrollRequestSnapshot; after: PayrollRequestSnapshot | null }[];
+  changed: { before: PayrollRequestSnapshot; after: PayrollRequestSnapshot; fields: string[] }[];
+  unchanged: number;
+};
+
+// 일괄 가져오기 (POST /api/imports/:kind, GET /api/imports)
+export type ImportKind = "employees" | "requests";
+export type ImportRowResult = { line: number; label: string; errors: string[]; entityId?: string };
+export type ImportResult = {
+  kind: ImportKind;
+  dryRun: boolean;
+  batchId: string | null;     // 저장했을 때만
+  total: number;
+  invalid: number;
+  unknownHeaders: string[];   // 무시한 열
+  rows: ImportRowResult[];
+};
+export type ImportBatch = {
+  id: string;
+  kind: ImportKind;
+  fileName: string;
+  rowCount: number;
+  status: "committed" | "rolledBack";
+  createdBy: string | null;
+  createdByName: string | null;
+  createdAt: string;
+  rolledBackBy: string | null;
+  rolledBackByName: string | null;
+  rolledBackAt: string | null;
+};
+
+// 출퇴근 (GET /api/attendance/mine) — 야간 근무는 시작한 날이 근무일
+export type AttendanceRecord = {
+  id: string;
+  userId: string;
+  workDate: string;
+  shift: WorkShift;
+  clockIn: string;
+  clockOut: string | null;
+  clockInVia: "self" | "kiosk";
+  clockOutVia: "self" | "kiosk" | null;
+  empId: string | null;
+  name: string | null;
+  dept: string | null;
+};
+export type AttendanceConfig = { shiftStart: Record<WorkShift, string>; graceMinutes: number };
+
+// 근태 예외 (GET /api/attendance/exceptions) — 야간 대조 결과, 인사가 확인 처리
+export type AttendanceExceptionKind = "noShow" | "onLeave" | "late";
+export type AttendanceException = {
+  id: string;
+  userId: string;
+  workDate: string;
+  kind: AttendanceExceptionKind;
+  minutesLate: number | null;
+  requestId: string | null;
+  requestLabel: string | null;
+  detail: string;
+  status: "open" | "resolved";
+  resolution: string | null;
+  resolvedByName: string | null;
+  resolvedAt: string | null;
+  detectedAt: string;
+  empId: string | null;
+  name: string | null;
+  dept: string | null;
+  shift: WorkShift | null;
+  clockIn: string | null;
+  clockOut: string | null;
+};
+export type AttendanceRun = { workDate: string; ranAt: string; ranBy: string | null; ranByName: string | null; exceptions: number };
+
+// 공용 단말(키오스크) (GET /api/kiosk-devices) — 단말 토큰은 등록할 때만 받음
+export type KioskDevice = {
+  id: string;
+  name: string;
+  deptId: string | null;
+  dept: string | null;
+  createdAt: string;
+  createdByName: string | null;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+};
+
 /* ---------- i18n / UI ---------- */
 export const STATUS_KO: Record<Status, string> = {
   Pending: "대기",
@@ -60,47 +562,88 @@ export function StatusBadge({ s }: { s: Status }) {
   return <span className={cls}>{label}</span>;
 }
 
-/* ---------- helpers ---------- */
-// atob 대체(브라우저/Node 모두)
-function safeAtob(b64: string): string {
-  if (typeof atob === "function") return atob(b64);
-  return Buffer.from(b64, "base64").toString("binary");
+// 목록 응답에는 서명이 빠져 있으므로 누를 때 불러옴 (url: { dataUrl }을 돌려주는 API)
+export function SignatureThumb({ url, has }: { url: string; has?: number | boolean }) {
+  const [src, setSrc] = React.useState<string | null>(null);
+  const [busy, setBusy] = React.useState(false);
+  if (!has) return <span style={{ color: "#94a3b8" }}>없음</span>;
+  if (src) return <img className="sig-thumb" src={src} alt="sign" />;
+  const load = async () => {
+    setBusy(true);
+    try {
+      const { ok, data } = await jsonFetch(url);
+      if (ok && (data as any)?.dataUrl) setSrc((data as any).dataUrl);
+    } finally {
+      setBusy(false);
+    }
+  };
+  return <button className="btn-ghost" disabled={busy} onClick={load}>{busy ? "…" : "보기"}</button>;
 }
 
-/* ---------- Excel helpers (옵션) ---------- */
-export function dataUrlToUint8(dataUrl: string): Uint8Array {
-  const m = /^data:image\/(png|jpeg);base64,/.exec(dataUrl);
-  if (!m) throw new Error("Invalid image data URL");
-  const b64 = dataUrl.split(",")[1];
-  const bin = safeAtob(b64);
-  const buf = new Uint8Array(bin.length);
-  for (let i = 0; i < bin.length; i++) buf[i] = bin.charCodeAt(i);
-  return buf;
+// 이전/다음 + 현재 범위 (AuditLogPanel과 같은 모양)
+export function Pager({ offset, limit, total, busy, onMove }: {
+  offset: number; limit: number; total: number; busy?: boolean; onMove: (offset: number) => void;
+}) {
+  return (
+    <div className="toolbar" style={{ marginTop: 12, marginBottom: 0 }}>
+      <button className="btn btn-ghost" disabled={busy || offset === 0} onClick={() => onMove(Math.max(0, offset - limit))}>이전</button>
+      <span className="badge">{total ? `${offset + 1}–${Math.min(offset + limit, total)}` : "0"} / {total}</span>
+      <button className="btn btn-ghost" disabled={busy || offset + limit >= total} onClick={() => onMove(offset + limit)}>다음</button>
+    </div>
+  );
 }
 
-export function fmtReqDate(dateStr: string) {
-  const [y, m, d] = dateStr.split("-");
-  const SP10 = "          ";
-  return `${y}년${SP10}${m}월${SP10}${d}일`;
-}
-export function fmtStart(dateStr: string) {
-  const [y, m, d] = dateStr.split("-");
-  const SP8 = "        ", SP4 = "    ", SP6 = "      ", SP3 = "   ";
-  return `${y} 년${SP8}${m}${SP4} 월${SP6}${d}${SP3} 일   부터`;
-}
-export function fmtEnd(dateStr: string) {
-  const [y, m, d] = dateStr.split("-");
-  const SP8 = "        ", SP4 = "    ", SP6 = "      ", SP3 = "   ";
-  return `${y} 년${SP8}${m}${SP4} 월${SP6}${d}${SP3} 일   까지`;
+/* ---------- 연차 버킷 (반차는 연차에서 차감) ---------- */
+export function bucketOf(leaveType: LeaveType): LeaveBucket {
+  return leaveType === "반차" ? "연차" : leaveType;
 }
 
 /* ---------- fetch with token ---------- */
+// 액세스 토큰(lm_token)은 짧게 살고, 만료되면 리프레시 토큰(lm_refresh)으로 갱신 후 한 번 재시도
+// 갱신 결과는 window 이벤트로 AuthContext에 알림 (lm:token / lm:logout)
+let refreshing: Promise<boolean> | null = null;
+
+async function refreshAccessToken(): Promise<boolean> {
+  const refreshToken = localStorage.getItem("lm_refresh");
+  if (!refreshToken) return false;
+  try {
+    const r = await fetch(`${API_BASE}/api/token/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    });
+    const j = await r.json().catch(() => null);
+    if (r.ok && j?.ok) {
+      localStorage.setItem("lm_token", j.token);
+      localStorage.setItem("lm_refresh", j.refreshToken);
+      window.dispatchEvent(new CustomEvent("lm:token", { detail: j.token }));
+      return true;
+    }
+    // 다른 탭이 먼저 갱신함 → 저장소에 새 토큰이 들어와 있으면 그걸 씀
+    if (localStorage.getItem("lm_refresh") !== refreshToken) return true;
+    if (j?.code === "REFRESH_ROTATED") return false;
+  } catch {
+    return false; // 네트워크 오류는 로그아웃시키지 않음
+  }
+  localStorage.removeItem("lm_token");
+  localStorage.removeItem("lm_refresh");
+  window.dispatchEvent(new Event("lm:logout"));
+  return false;
+}
+
 export async function authFetch(input: string | URL, init: RequestInit = {}) {
-  const token = typeof window !== "undefined" ? localStorage.getItem("lm_token") : null;
-  const headers = new Headers(init.headers || {});
   const url = typeof input === "string" ? input : String(input);
-  if (token && url.startsWith(API_BASE)) headers.set("Authorization", `Bearer ${token}`);
-  return fetch(input, { ...init, headers }); // ✅ 스프레드 오타 고침
+  const send = () => {
+    const token = typeof window !== "undefined" ? localStorage.getItem("lm_token") : null;
+    const headers = new Headers(init.headers || {});
+    if (token && url.startsWith(API_BASE)) headers.set("Authorization", `Bearer ${token}`);
+    return fetch(input, { ...init, headers }); // ✅ 스프레드 오타 고침
+  };
+  const r = await send();
+  if (r.status !== 401 || !url.startsWith(API_BASE) || url.includes("/api/login") || typeof window === "undefined") return r;
+  // 동시에 여러 요청이 401을 받아도 갱신은 한 번만
+  refreshing ??= refreshAccessToken().finally(() => { refreshing = null; });
+  return (await refreshing) ? send() : r;
 }
 
 /* ---------- Theme (한 번만 주입) ---------- */
@@ -443,3 +986,15 @@ export async function jsonFetch<T = any>(
 
   return { ok: res.ok, status, data, res };
 }
+
+// 서버에서 만든 파일(양식/ZIP 등) 받기 — 실패 응답은 JSON 오류 메시지, 파일명은 Content-Disposition 우선
+export async function downloadFile(url: string, fallbackName: string) {
+  const r = await authFetch(url, { cache: "no-store" });
+  if (!r.ok) {
+    const body = await r.json().catch(() => null);
+    throw new Error(body?.error || `HTTP ${r.status}`);
+  }
+  const cd = r.headers.get("Content-Disposition") || "";
+  const m = /filename\*=UTF-8''([^;]+)/.exec(cd);
+  saveAs(await r.blob(), m ? decodeURIComponent(m[1]) : fallbackName);
+}
@@ -3,11 +3,23 @@ import { NavLink, Outlet } from "react-router-dom";
 import { useAuth } from "../auth/AuthContext";
 import { tabsForRole } from "../auth/roles";
 import { injectCleanTheme } from "../components/hr/Shared";
+import NotificationBell from "../components/NotificationBell";
+import OutboxStatus from "../components/OutboxStatus";
 
 const TabsBar: React.FC = () => {
   const { user, logout } = useAuth();
   const tabs = tabsForRole(user?.role || null);
-  if (tabs.length <= 1) return null;
+  // 탭이 하나뿐인 역할은 페이지 머리에 로그아웃 등이 있으므로 알림 종만 표시
+  if (tabs.length <= 1) {
+    return (
+      <div className="mgr">
+        <div className="page-wrap" style={{ display:"flex", justifyContent:"flex-end", gap:8, paddingBottom:0 }}>
+          <OutboxStatus />
+          <NotificationBell />
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="mgr" style={{ borderBottom: "1px solid var(--line)", background:"var(--bg)", padding:"16px 0" }}>
@@ -36,6 +48,9 @@ const TabsBar: React.FC = () => {
         </div>
         <div style={{ display:"flex", gap:8, alignItems:"center" }}>
           <span style={{ color:"#475569", fontWeight:700 }}>{user?.name || user?.id}</span>
+          <OutboxStatus />
+          <NotificationBell />
+          <NavLink className="btn-ghost" to="/password">비밀번호 변경</NavLink>
           <button className="btn-ghost" onClick={logout}>로그아웃</button>
         </div>
       </div>
@@ -2,9 +2,16 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { startOutbox } from "./offline/outbox";
 
 ReactDOM.createRoot(document.getElementById("root")!).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
+
+// 설치형 앱(PWA): 서비스 워커는 빌드본에서만 (개발 서버의 모듈을 캐시하지 않도록)
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => { navigator.serviceWorker.register("/sw.js").catch(() => {}); });
+}
+startOutbox();
@@ -0,0 +1,186 @@
+// src/offline/outbox.ts — 오프라인 보관함 (IndexedDB)
+// 현장 태블릿에서 연결이 끊겨 보내지 못한 휴가 신청 / 근무일지(파일 + 서명)를 담아 두고 다시 연결되면 보냄
+//  - 제출마다 Idempotency-Key를 만들어 붙임 → 응답을 못 받고 다시 보내도 서버에는 한 건만
+//  - 태블릿을 여럿이 쓰므로 항목마다 작성자(userId)를 기록하고, 로그인한 본인 항목만 보냄
+//  - 서버가 거절한 항목(검증 오류/잔여 부족 등)은 failed로 남겨 직접 확인·삭제
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import { parseJwt } from "../auth/AuthContext";
+
+export type OutboxKind = "request" | "worklog";
+
+export type OutboxItem = {
+  key: string;                       // Idempotency-Key
+  kind: OutboxKind;
+  userId: string;
+  label: string;                     // 보관함 목록에 보일 한 줄
+  createdAt: string;
+  json?: unknown;                    // 휴가 신청 본문
+  fields?: Record<string, string>;   // 근무일지 입력값 (서명 dataURL 포함)
+  file?: Blob;
+  fileName?: string;
+  attempts: number;
+  status: "queued" | "failed";
+  lastError: string | null;
+};
+
+export type OutboxPayload = { json: unknown } | { fields: Record<string, string>; file: File };
+
+// queued: 보관함에 담음 / 그 밖에는 서버 응답 그대로 (기존 오류 처리에 씀)
+export type SubmitResult = { queued: true } | { queued: false; ok: boolean; status: number; data: any };
+
+const URLS: Record<OutboxKind, string> = {
+  request: `${API_BASE}/api/requests`,
+  worklog: `${API_BASE}/api/worklogs`,
+};
+const DB_NAME = "lm_outbox";
+const STORE = "items";
+const SYNC_TAG = "lm-outbox";
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+/* ---------------- IndexedDB ---------------- */
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: "key" });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => { dbPromise = null; reject(open.error); };
+  });
+  return dbPromise;
+}
+
+async function run<T>(mode: IDBTransactionMode, fn: (s: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const putItem = (item: OutboxItem) => run("readwrite", s => s.put(item));
+const deleteItem = (key: string) => run("readwrite", s => s.delete(key));
+const allItems = () => run<OutboxItem[]>("readonly", s => s.getAll());
+
+/* ---------------- 보내기 ---------------- */
+export function currentUserId(): string | null {
+  return parseJwt<{ sub?: string }>(localStorage.getItem("lm_token"))?.sub ?? null;
+}
+
+// crypto.randomUUID는 https/localhost에서만 — 사내망 http 주소로 여는 태블릿도 있어 직접 만듦
+function newKey() {
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(b, x => x.toString(16).padStart(2, "0")).join("");
+}
+
+const emit = () => window.dispatchEvent(new Event("lm:outbox"));
+
+type SendResult = { ok: true; data: any } | { ok: false; retry: boolean; status: number; data: any };
+
+// 연결 오류/서버 오류/로그인 만료는 다시 보낼 대상, 그 밖의 거절은 실패
+async function send(item: OutboxItem): Promise<SendResult> {
+  const headers = new Headers({ "Idempotency-Key": item.key });
+  let body: BodyInit;
+  if (item.kind === "worklog") {
+    const fd = new FormData();
+    fd.append("file", item.file!, item.fileName);
+    Object.entries(item.fields ?? {}).forEach(([k, v]) => fd.append(k, v));
+    body = fd;
+  } else {
+    headers.set("Content-Type", "application/json");
+    body = JSON.stringify(item.json);
+  }
+  try {
+    const { ok, status, data } = await jsonFetch(URLS[item.kind], { method: "POST", headers, body });
+    if (ok && (data as any)?.ok !== false) return { ok: true, data };
+    return { ok: false, retry: status === 0 || status === 401 || status >= 500, status, data };
+  } catch {
+    return { ok: false, retry: true, status: 0, data: null };
+  }
+}
+
+function errorText(r: Extract<SendResult, { ok: false }>) {
+  if (r.status === 0) return "연결 안 됨";
+  const d = r.data as any;
+  const field = d?.fieldErrors ? Object.values(d.fieldErrors as Record<string, string[]>).flat()[0] : undefined;
+  return typeof d === "string" ? d : field || d?.error || `HTTP ${r.status}`;
+}
+
+function requestSync() {
+  navigator.serviceWorker?.ready
+    .then(reg => (reg as any).sync?.register(SYNC_TAG))
+    .catch(() => { /* 백그라운드 동기화 미지원 — 연결 이벤트/주기 전송으로 충분 */ });
+}
+
+// 바로 보내 보고, 연결 문제면 보관함에 담음
+export async function submitOrQueue(kind: OutboxKind, label: string, payload: OutboxPayload): Promise<SubmitResult> {
+  const userId = currentUserId();
+  const item: OutboxItem = {
+    key: newKey(), kind, userId: userId ?? "", label, createdAt: new Date().toISOString(),
+    attempts: 0, status: "queued", lastError: null,
+    ...("file" in payload ? { fields: payload.fields, file: payload.file, fileName: payload.file.name } : { json: payload.json }),
+  };
+  const r: SendResult = navigator.onLine ? await send(item) : { ok: false, retry: true, status: 0, data: null };
+  if (r.ok) return { queued: false, ok: true, status: 200, data: r.data };
+  if (!r.retry || !userId) return { queued: false, ok: false, status: r.status, data: r.data };
+  await putItem({ ...item, attempts: navigator.onLine ? 1 : 0, lastError: errorText(r) });
+  requestSync();
+  emit();
+  return { queued: true };
+}
+
+let flushing: Promise<number> | null = null;
+
+// 로그인한 사람의 대기 항목을 순서대로 보냄. 연결이 다시 끊기면 멈추고 다음 기회에
+export function flushOutbox(): Promise<number> {
+  flushing ??= (async () => {
+    const userId = currentUserId();
+    if (!userId || !navigator.onLine) return 0;
+    const items = (await allItems())
+      .filter(i => i.userId === userId && i.status === "queued")
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    let sent = 0;
+    for (const item of items) {
+      const r = await send(item);
+      if (r.ok) { await deleteItem(item.key); sent++; continue; }
+      await putItem({ ...item, attempts: item.attempts + 1, status: r.retry ? "queued" : "failed", lastError: errorText(r) });
+      if (r.retry) break;
+    }
+    if (items.length) emit();
+    if (sent) window.dispatchEvent(new CustomEvent("lm:outbox-sent", { detail: sent }));
+    return sent;
+  })().catch(() => 0).finally(() => { flushing = null; });
+  return flushing;
+}
+
+// 로그인한 사람의 보관함 (최근 것부터)
+export async function listOutbox(): Promise<OutboxItem[]> {
+  const userId = currentUserId();
+  if (!userId) return [];
+  return (await allItems()).filter(i => i.userId === userId).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function discardOutbox(key: string) {
+  await deleteItem(key);
+  emit();
+}
+
+// 실패한 항목을 다시 대기로 돌려 보냄 (서버 쪽 원인을 해결한 뒤)
+export async function retryOutbox(item: OutboxItem) {
+  await putItem({ ...item, status: "queued", lastError: null });
+  emit();
+  await flushOutbox();
+}
+
+// 앱 시작 시 한 번 — 연결 복구/로그인/서비스 워커 동기화/주기마다 전송
+export function startOutbox() {
+  if (typeof indexedDB === "undefined") return;
+  window.addEventListener("online", () => { flushOutbox(); });
+  window.addEventListener("lm:token", () => { flushOutbox(); });
+  navigator.serviceWorker?.addEventListener("message", e => {
+    if (e.data?.type === "lm:outbox-flush") flushOutbox();
+  });
+  setInterval(() => { flushOutbox(); }, FLUSH_INTERVAL_MS);
+  flushOutbox();
+}
@@ -0,0 +1,211 @@
+// src/pages/AnalyticsPanel.tsx — 인사 통계: 휴가 사용(부서/종류/월), 결재 소요일, 반려율, 연차 소멸 예정, 근무일지 제출률
+// 차트는 막대(div)로만 그리고, 통계마다 서버에서 만든 .xlsx로 내려받기
+import React, { useEffect, useState } from "react";
+import { API_BASE, downloadFile, jsonFetch } from "../components/hr/Shared";
+import type { AnalyticsReport, AnalyticsSection, Department } from "../components/hr/Shared";
+
+const LEAVE_TYPES = ["연차", "반차", "병가", "경조사"] as const;
+const TYPE_COLORS: Record<string, string> = { 연차: "#2563eb", 반차: "#60a5fa", 병가: "#ea580c", 경조사: "#16a34a" };
+const THIS_YEAR = new Date().getFullYear();
+const YEARS = Array.from({ length: 5 }, (_, i) => THIS_YEAR + 1 - i);
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+const isTotal = (dept: string) => dept === "전체";
+
+type Bar = { label: string; value: number; text: string; total?: boolean };
+
+// 가로 막대 — max 기준 비율 (전체 행은 진하게)
+function BarList({ bars, max, color = "#2563eb" }: { bars: Bar[]; max?: number; color?: string }) {
+  const top = max ?? Math.max(1, ...bars.map(b => b.value));
+  if (!bars.length) return <div style={{ color: "#94a3b8", padding: 8 }}>자료가 없습니다.</div>;
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      {bars.map(b => (
+        <div key={b.label} style={{ display: "grid", gridTemplateColumns: "120px 1fr 130px", alignItems: "center", gap: 8, fontSize: 13 }}>
+          <span style={{ fontWeight: b.total ? 900 : 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{b.label}</span>
+          <div style={{ background: "#f1f5f9", borderRadius: 6, height: 14 }}>
+            <div style={{ width: `${Math.min(100, b.value / top * 100)}%`, height: "100%", borderRadius: 6, background: b.total ? "#334155" : color }} />
+          </div>
+          <span style={{ color: "#475569" }}>{b.text}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// 월별 세로 막대 (휴가 종류별로 쌓음)
+function MonthChart({ months }: { months: AnalyticsReport["usageByMonth"] }) {
+  const top = Math.max(1, ...months.map(m => m.days));
+  return (
+    <>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(12, 1fr)", gap: 6, alignItems: "end", height: 160 }}>
+        {months.map(m => (
+          <div key={m.month} title={`${m.month} ${m.days}일`} style={{ display: "flex", flexDirection: "column-reverse", height: `${m.days / top * 100}%`, borderRadius: 4, overflow: "hidden" }}>
+            {LEAVE_TYPES.map(t => m.byType[t] ? (
+              <div key={t} style={{ flex: m.byType[t], background: TYPE_COLORS[t] }} title={`${t} ${m.byType[t]}일`} />
+            ) : null)}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(12, 1fr)", gap: 6, fontSize: 12, color: "#64748b", textAlign: "center", marginTop: 4 }}>
+        {months.map(m => <div key={m.month}>{Number(m.month.slice(5))}월<br />{m.days}</div>)}
+      </div>
+      <div className="toolbar" style={{ marginBottom: 0 }}>
+        {LEAVE_TYPES.map(t => (
+          <span key={t} style={{ fontSize: 12, display: "inline-flex", alignItems: "center", gap: 4 }}>
+            <span style={{ width: 10, height: 10, borderRadius: 2, background: TYPE_COLORS[t] }} />{t}
+          </span>
+        ))}
+      </div>
+    </>
+  );
+}
+
+// 통계 하나 = 카드 하나 (제목 + xlsx 버튼)
+function Section({ title, note, onExport, children }: { title: string; note?: string; onExport: () => void; children: React.ReactNode }) {
+  return (
+    <div className="card" style={{ marginBottom: 16 }}>
+      <div className="card-body">
+        <div className="toolbar" style={{ marginTop: 0 }}>
+          <span className="chip">{title}</span>
+          {note && <span style={{ color: "#64748b", fontSize: 13 }}>{note}</span>}
+          <button className="btn btn-ghost" style={{ marginLeft: "auto" }} onClick={onExport}>xlsx</button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default function AnalyticsPanel() {
+  const [year, setYear] = useState(THIS_YEAR);
+  const [dept, setDept] = useState("");
+  const [minRemaining, setMinRemaining] = useState("3");
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [report, setReport] = useState<AnalyticsReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    call(`${API_BASE}/api/departments`).then(j => setDepts(j.data as Department[])).catch(() => { /* 필터는 부가 기능 */ });
+  }, []);
+
+  const query = (extra: Record<string, string> = {}) => {
+    const qs = new URLSearchParams({ year: String(year), minRemaining: minRemaining || "0", ...extra });
+    if (dept) qs.set("dept", dept);
+    return qs;
+  };
+
+  async function load() {
+    setBusy(true); setErr(null);
+    try {
+      setReport((await call(`${API_BASE}/api/analytics?${query()}`)).data as AnalyticsReport);
+    } catch (e: any) {
+      setErr(e?.message || "통계 조회 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+  useEffect(() => { load(); }, [year, dept]);
+
+  async function exportXlsx(section: AnalyticsSection | "all") {
+    try {
+      await downloadFile(`${API_BASE}/api/analytics/export.xlsx?${query({ section })}`, `인사통계_${year}.xlsx`);
+    } catch (e: any) {
+      alert(e?.message || "엑셀 받기 실패");
+    }
+  }
+
+  return (
+    <>
+      <form className="toolbar" onSubmit={e => { e.preventDefault(); load(); }}>
+        <select className="sel" value={year} onChange={e => setYear(Number(e.target.value))}>
+          {YEARS.map(y => <option key={y} value={y}>{y}년</option>)}
+        </select>
+        <select className="sel" value={dept} onChange={e => setDept(e.target.value)}>
+          <option value="">전체 부서</option>
+          {depts.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+        </select>
+        <label className="chip">소멸 예정 기준</label>
+        <input className="inp" type="number" min={0} max={30} step={0.5} style={{ width: 80 }} value={minRemaining} onChange={e => setMinRemaining(e.target.value)} />
+        <span>일 이상</span>
+        <button className="btn btn-primary" disabled={busy}>{busy ? "조회 중…" : "조회"}</button>
+        <button type="button" className="btn btn-ghost" onClick={() => exportXlsx("all")}>전체 xlsx</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+        {report && <span className="badge">기준일 {report.asOf}</span>}
+      </form>
+
+      {report && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))", gap: 16 }}>
+            <Section title="부서별 휴가 사용" onExport={() => exportXlsx("usageDept")} note="승인 건, 일수">
+              <BarList bars={report.usageByDept.map(r => ({ label: r.key, value: r.days, text: `${r.days}일 / ${r.requests}건` }))} />
+            </Section>
+            <Section title="종류별 휴가 사용" onExport={() => exportXlsx("usageType")} note="승인 건, 일수">
+              <BarList bars={report.usageByType.map(r => ({ label: r.key, value: r.days, text: `${r.days}일 / ${r.requests}건` }))} />
+            </Section>
+          </div>
+
+          <Section title="월별 휴가 사용" onExport={() => exportXlsx("usageMonth")} note="휴가 기간의 근무일 기준으로 나눔">
+            <MonthChart months={report.usageByMonth} />
+          </Section>
+
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))", gap: 16 }}>
+            <Section title="결재 소요일" onExport={() => exportXlsx("turnaround")} note="신청일 → 마지막 결재일, 평균">
+              <BarList bars={report.turnaround.map(r => ({
+                label: r.dept, value: r.avgDays, total: isTotal(r.dept),
+                text: `평균 ${r.avgDays}일 · 최대 ${r.maxDays}일 (${r.decided}건)`,
+              }))} color="#7c3aed" />
+            </Section>
+            <Section title="반려율" onExport={() => exportXlsx("rejection")} note="결재가 끝난 신청 중">
+              <BarList bars={report.rejection.map(r => ({
+                label: r.dept, value: r.rate, total: isTotal(r.dept),
+                text: `${r.rate}% (${r.rejected}/${r.decided}건)`,
+              }))} max={100} color="#dc2626" />
+            </Section>
+          </div>
+
+          <Section title="근무일지 제출률" onExport={() => exportXlsx("compliance")} note="근무일 중 휴가일을 뺀 날 대비 제출(대기·승인)">
+            <BarList bars={report.compliance.map(r => ({
+              label: r.dept, value: r.rate, total: isTotal(r.dept),
+              text: `${r.rate}% (${r.submitted}/${r.expected}일, ${r.headcount}명)`,
+            }))} max={100} color="#16a34a" />
+          </Section>
+
+          <Section title="연차 소멸 예정" onExport={() => exportXlsx("expiring")} note={`계획 없는 잔여 연차 ${minRemaining || 0}일 이상 · 연말까지 근무일 ${report.expiring[0]?.workdaysLeft ?? "-"}일`}>
+            <div className="tbl-wrap">
+              <table>
+                <thead>
+                  <tr><th>사번</th><th>이름</th><th>부서</th><th>발생</th><th>사용</th><th>결재 대기</th><th>미사용(계획 없음)</th></tr>
+                </thead>
+                <tbody>
+                  {report.expiring.length === 0 ? (
+                    <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>해당 직원이 없습니다.</td></tr>
+                  ) : report.expiring.map(r => (
+                    <tr key={r.userId}>
+                      <td>{r.empId}</td>
+                      <td>{r.name}</td>
+                      <td>{r.dept}</td>
+                      <td>{r.entitled}</td>
+                      <td>{r.used}</td>
+                      <td>{r.pending}</td>
+                      <td style={{ fontWeight: 800, color: r.unplanned > r.workdaysLeft / 2 ? "#b91c1c" : undefined }}>{r.unplanned}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Section>
+        </>
+      )}
+    </>
+  );
+}
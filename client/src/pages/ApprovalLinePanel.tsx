@@ -0,0 +1,187 @@
+// src/pages/ApprovalLinePanel.tsx — 신청 종류·부서·휴가 종류별 결재선 설정 (인사 관리자 탭)
+import React, { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type {
+  ApprovalLine, ApprovalRelation, ApprovalStepDef, ApproverRole, Department, LeaveType, RequestTypeDef,
+  RequestTypeKey
+} from "../components/hr/Shared";
+
+const LEAVE_TYPES: LeaveType[] = ["연차", "반차", "병가", "경조사"];
+const ROLE_KO: Record<ApproverRole, string> = { manager: "상사", hr: "인사", admin: "관리자" };
+const RELATION_KO: Record<ApprovalRelation, string> = { directManager: "직속 상사", deptHead: "부서장" };
+
+export default function ApprovalLinePanel() {
+  const [lines, setLines] = useState<ApprovalLine[]>([]);
+  const [typeDefaults, setTypeDefaults] = useState<Partial<Record<RequestTypeKey, ApprovalStepDef[]>>>({});
+  const [types, setTypes] = useState<RequestTypeDef[]>([]);
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [err, setErr] = useState<string | null>(null);
+
+  // 편집 대상: 신청 종류 + dept/leaveType 조합 ("" = 전체, 휴가 종류는 휴가 결재선만)
+  const [requestType, setRequestType] = useState<RequestTypeKey>("leave");
+  const [dept, setDept] = useState("");
+  const [leaveType, setLeaveType] = useState("");
+  const [steps, setSteps] = useState<ApprovalStepDef[]>([]);
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    setErr(null);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/approval-lines`);
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setLines((data as any).data as ApprovalLine[]);
+      setTypeDefaults((data as any).typeDefaults);
+      const d = await jsonFetch(`${API_BASE}/api/departments`);
+      if (d.ok && (d.data as any)?.ok) setDepts((d.data as any).data as Department[]);
+      const t = await jsonFetch(`${API_BASE}/api/request-types`);
+      if (t.ok && (t.data as any)?.ok) setTypes((t.data as any).data as RequestTypeDef[]);
+    } catch (e: any) {
+      setErr(e?.message || "결재선 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  // 조합을 바꾸면 저장된 결재선(없으면 기본값)을 편집기로 불러옴
+  useEffect(() => {
+    const found = lines.find(l => l.requestType === requestType && (l.dept ?? "") === dept && (l.leaveType ?? "") === leaveType);
+    setSteps((found?.steps ?? typeDefaults[requestType] ?? []).map(x => ({ ...x })));
+  }, [requestType, dept, leaveType, lines, typeDefaults]);
+
+  const typeLabel = (k: RequestTypeKey) => types.find(t => t.key === k)?.label ?? k;
+  function changeType(k: RequestTypeKey) {
+    setRequestType(k);
+    if (k !== "leave") setLeaveType("");
+  }
+
+  const updateStep = (i: number, patch: Partial<ApprovalStepDef>) =>
+    setSteps(list => list.map((x, j) => (j === i ? { ...x, ...patch } : x)));
+  const moveStep = (i: number, d: -1 | 1) =>
+    setSteps(list => {
+      const next = list.slice();
+      const j = i + d;
+      if (j < 0 || j >= next.length) return list;
+      [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+
+  async function save(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/approval-lines`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ requestType, dept: dept || null, leaveType: leaveType || null, steps })
+      });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      await load();
+      alert("결재선을 저장했습니다.");
+    } catch (e: any) {
+      alert(e?.message || "저장 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(line: ApprovalLine) {
+    if (!confirm("이 결재선을 삭제할까요? 해당 조합은 상위 결재선을 따릅니다.")) return;
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/approval-lines/${line.id}`, { method: "DELETE" });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "삭제 실패");
+    }
+  }
+
+  return (
+    <>
+      {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c", marginBottom: 12 }}>오류: {err}</div>}
+
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>신청 종류</th><th>부서</th><th>휴가 종류</th><th>결재 순서</th><th>수정일</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {lines.length === 0 ? (
+                  <tr><td colSpan={6} style={{ padding: 12, color: "#94a3b8" }}>등록된 결재선이 없습니다. (기본 결재선 적용)</td></tr>
+                ) : lines.map(l => (
+                  <tr key={l.id}>
+                    <td>{typeLabel(l.requestType)}</td>
+                    <td>{l.dept ?? "전체"}</td>
+                    <td>{l.requestType === "leave" ? l.leaveType ?? "전체" : "-"}</td>
+                    <td>{l.steps.map(x => x.label).join(" → ")}</td>
+                    <td>{l.updatedAt?.slice(0, 10)}</td>
+                    <td style={{ display: "flex", gap: 8 }}>
+                      <button className="btn btn-ghost" onClick={() => { setRequestType(l.requestType); setDept(l.dept ?? ""); setLeaveType(l.leaveType ?? ""); }}>편집</button>
+                      <button className="btn btn-red" onClick={() => remove(l)}>삭제</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <form className="card" onSubmit={save}>
+        <div className="card-body" style={{ display: "grid", gap: 10 }}>
+          <div className="toolbar" style={{ margin: 0 }}>
+            <select className="sel" value={requestType} onChange={e => changeType(e.target.value as RequestTypeKey)}>
+              {(types.length ? types.map(t => t.key) : ["leave" as RequestTypeKey]).map(k => <option key={k} value={k}>{typeLabel(k)}</option>)}
+            </select>
+            <select className="sel" value={dept} onChange={e => setDept(e.target.value)}>
+              <option value="">전체 부서</option>
+              {depts.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+            </select>
+            {requestType === "leave" && (
+              <select className="sel" value={leaveType} onChange={e => setLeaveType(e.target.value)}>
+                <option value="">전체 종류</option>
+                {LEAVE_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            )}
+          </div>
+          {steps.map((st, i) => (
+            <div key={i} className="toolbar" style={{ margin: 0 }}>
+              <span className="chip">{i + 1}단계</span>
+              <input className="inp" value={st.label} placeholder="단계 이름 (예: 팀장)" onChange={e => updateStep(i, { label: e.target.value })} required />
+              <select className="sel" value={st.approverRole} onChange={e => {
+                const role = e.target.value as ApproverRole;
+                updateStep(i, { approverRole: role, relation: role === "manager" ? st.relation : undefined });
+              }}>
+                {(Object.keys(ROLE_KO) as ApproverRole[]).map(r => <option key={r} value={r}>{ROLE_KO[r]}</option>)}
+              </select>
+              {st.approverRole === "manager" && (
+                <select className="sel" value={st.relation ?? ""}
+                  onChange={e => updateStep(i, { relation: (e.target.value || undefined) as ApprovalRelation | undefined })}>
+                  <option value="">보고 라인 상사 누구나</option>
+                  {(Object.keys(RELATION_KO) as ApprovalRelation[]).map(r => <option key={r} value={r}>{RELATION_KO[r]}</option>)}
+                </select>
+              )}
+              <button type="button" className="btn btn-ghost" onClick={() => moveStep(i, -1)}>▲</button>
+              <button type="button" className="btn btn-ghost" onClick={() => moveStep(i, 1)}>▼</button>
+              <button type="button" className="btn btn-ghost" disabled={steps.length <= 1} onClick={() => setSteps(list => list.filter((_, j) => j !== i))}>삭제</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 8 }}>
+            <button type="button" className="btn btn-ghost" disabled={steps.length >= 6}
+              onClick={() => setSteps(list => [...list, { label: "", approverRole: "manager", relation: "directManager" }])}>단계 추가</button>
+            <button className="btn btn-primary" disabled={busy || steps.length === 0}>결재선 저장</button>
+          </div>
+        </div>
+      </form>
+    </>
+  );
+}
@@ -0,0 +1,97 @@
+// src/pages/AttendanceClock.tsx — 출퇴근 기록 (직원 탭)
+// 로그인한 본인 출근/퇴근. 공용 단말에서는 키오스크(/kiosk)에서 사번 + 서명으로 기록
+import { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { AttendanceConfig, AttendanceRecord } from "../components/hr/Shared";
+
+const VIA_KO = { self: "본인", kiosk: "키오스크" } as const;
+const hhmm = (ts: string | null) => ts ? ts.slice(11, 16) : "-";
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    throw new Error(typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`);
+  }
+  return data as any;
+}
+
+export default function AttendanceClock() {
+  const [rows, setRows] = useState<AttendanceRecord[]>([]);
+  const [openId, setOpenId] = useState<string | null>(null);
+  const [config, setConfig] = useState<AttendanceConfig | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load() {
+    try {
+      const d = await call(`${API_BASE}/api/attendance/mine?days=14`);
+      setRows(d.data as AttendanceRecord[]);
+      setOpenId(d.openId);
+      setConfig(d.config);
+    } catch (e: any) {
+      setErr(e?.message || "출퇴근 기록 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function clock(action: "clock-in" | "clock-out") {
+    setBusy(true); setErr(null);
+    try {
+      await call(`${API_BASE}/api/attendance/${action}`, { method: "POST" });
+      await load();
+    } catch (e: any) {
+      setErr(e?.message || "기록 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const open = rows.find(r => r.id === openId);
+
+  return (
+    <>
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <div className="toolbar" style={{ marginTop: 0 }}>
+            {open
+              ? <span className="badge">{open.workDate} {open.shift} · {hhmm(open.clockIn)} 출근</span>
+              : <span className="badge">출근 전</span>}
+            <button className="btn btn-primary" disabled={busy || !!open} onClick={() => clock("clock-in")}>출근</button>
+            <button className="btn btn-blue" disabled={busy || !open} onClick={() => clock("clock-out")}>퇴근</button>
+            {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+          </div>
+          {config && (
+            <div style={{ color: "#64748b", fontSize: 13 }}>
+              근무 시작 주간 {config.shiftStart.주간} · 야간 {config.shiftStart.야간} (유예 {config.graceMinutes}분). 야간 근무는 시작한 날로 기록됩니다.
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>근무일</th><th>근무조</th><th>출근</th><th>퇴근</th><th>기록</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={5} style={{ padding: 12, color: "#94a3b8" }}>최근 2주 출퇴근 기록이 없습니다.</td></tr>
+                ) : rows.map(r => (
+                  <tr key={r.id}>
+                    <td>{r.workDate}</td>
+                    <td>{r.shift}</td>
+                    <td>{hhmm(r.clockIn)}</td>
+                    <td>{r.clockOut ? `${r.clockOut.slice(0, 10) > r.workDate ? "익일 " : ""}${hhmm(r.clockOut)}` : "-"}</td>
+                    <td>{VIA_KO[r.clockInVia]}{r.clockOutVia && r.clockOutVia !== r.clockInVia ? ` / ${VIA_KO[r.clockOutVia]}` : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
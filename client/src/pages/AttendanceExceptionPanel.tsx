@@ -0,0 +1,151 @@
+// src/pages/AttendanceExceptionPanel.tsx — 근태 예외 (인사 관리자 탭)
+// 야간 자동 대조 결과: 미출근 / 휴가 중 출근 / 지각. 확인 처리는 처리 내용을 남김
+// 휴가를 나중에 승인했거나 출근 기록을 고쳤으면 그 날짜를 다시 대조
+import { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { AttendanceException, AttendanceExceptionKind, AttendanceRun, Department } from "../components/hr/Shared";
+
+const KIND_KO: Record<AttendanceExceptionKind, string> = { noShow: "미출근", onLeave: "휴가 중 출근", late: "지각" };
+const localDate = (offsetDays = 0) =>
+  new Date(Date.now() - new Date().getTimezoneOffset() * 60000 + offsetDays * 86400000).toISOString().slice(0, 10);
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const d = data as any;
+    const field = d?.fieldErrors ? Object.values(d.fieldErrors as Record<string, string[]>).flat()[0] : undefined;
+    throw new Error(typeof data === "string" ? data : field || d?.error || `HTTP ${status}`);
+  }
+  return data as any;
+}
+
+export default function AttendanceExceptionPanel() {
+  const [rows, setRows] = useState<AttendanceException[]>([]);
+  const [runs, setRuns] = useState<AttendanceRun[]>([]);
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [from, setFrom] = useState(() => localDate(-7));
+  const [to, setTo] = useState(() => localDate(-1));
+  const [dept, setDept] = useState("");
+  const [kind, setKind] = useState<"" | AttendanceExceptionKind>("");
+  const [status, setStatus] = useState<"open" | "resolved" | "all">("open");
+  const [runDate, setRunDate] = useState(() => localDate(-1));
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load() {
+    setErr(null);
+    try {
+      const qs = new URLSearchParams({ from, to, status });
+      if (dept) qs.set("dept", dept);
+      if (kind) qs.set("kind", kind);
+      const d = await call(`${API_BASE}/api/attendance/exceptions?${qs}`);
+      setRows(d.data as AttendanceException[]);
+      setRuns(d.runs as AttendanceRun[]);
+    } catch (e: any) {
+      setErr(e?.message || "근태 예외 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, [from, to, dept, kind, status]);
+  useEffect(() => {
+    call(`${API_BASE}/api/departments`).then(r => setDepts(r.data)).catch(() => setDepts([]));
+  }, []);
+
+  async function resolve(x: AttendanceException) {
+    const resolution = prompt(`${x.name ?? "-"} ${x.workDate} ${KIND_KO[x.kind]} — 처리 내용 (예: 외근 확인, 연차 소급 신청)`);
+    if (!resolution?.trim()) return;
+    try {
+      await call(`${API_BASE}/api/attendance/exceptions/${x.id}/resolve`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ resolution: resolution.trim() }),
+      });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "확인 처리 실패");
+    }
+  }
+
+  async function reconcile() {
+    setBusy(true);
+    try {
+      const d = await call(`${API_BASE}/api/attendance/reconcile`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ date: runDate }),
+      });
+      alert(`${runDate} 대조 완료 — 예외 ${d.data.exceptions}건`);
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "대조 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const ranDates = new Set(runs.map(r => r.workDate));
+
+  return (
+    <>
+      <div className="toolbar">
+        <input className="inp" type="date" value={from} onChange={e => setFrom(e.target.value)} />
+        <span>~</span>
+        <input className="inp" type="date" value={to} onChange={e => setTo(e.target.value)} />
+        <select className="sel" value={dept} onChange={e => setDept(e.target.value)}>
+          <option value="">전체 부서</option>
+          {depts.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+        </select>
+        <select className="sel" value={kind} onChange={e => setKind(e.target.value as any)}>
+          <option value="">전체 예외</option>
+          {(Object.keys(KIND_KO) as AttendanceExceptionKind[]).map(k => <option key={k} value={k}>{KIND_KO[k]}</option>)}
+        </select>
+        <select className="sel" value={status} onChange={e => setStatus(e.target.value as any)}>
+          <option value="open">미처리</option>
+          <option value="resolved">확인 처리</option>
+          <option value="all">전체</option>
+        </select>
+        <button className="btn btn-ghost" onClick={load}>새로고침</button>
+        <span className="badge">{rows.length}건</span>
+      </div>
+      <div className="toolbar">
+        <input className="inp" type="date" value={runDate} max={localDate(-1)} onChange={e => setRunDate(e.target.value)} />
+        <button className="btn btn-blue" disabled={busy || !runDate} onClick={reconcile}>{busy ? "대조 중…" : "다시 대조"}</button>
+        <span style={{ color: "#64748b", fontSize: 13 }}>
+          대조한 근무일 {ranDates.size}일 · 마지막 {runs[0] ? `${runs[0].workDate} (${runs[0].ranByName ?? "자동"} ${runs[0].ranAt.slice(5, 16).replace("T", " ")})` : "없음"}
+        </span>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>근무일</th><th>사번</th><th>이름</th><th>부서</th><th>예외</th><th>내용</th><th>출근 / 퇴근</th><th>처리</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={8} style={{ padding: 12, color: "#94a3b8" }}>근태 예외가 없습니다.</td></tr>
+                ) : rows.map(x => (
+                  <tr key={x.id}>
+                    <td>{x.workDate}</td>
+                    <td>{x.empId ?? "-"}</td>
+                    <td>{x.name ?? "-"}</td>
+                    <td>{x.dept ?? "-"}</td>
+                    <td><span className="chip">{KIND_KO[x.kind]}{x.minutesLate ? ` ${x.minutesLate}분` : ""}</span></td>
+                    <td>{x.detail}</td>
+                    <td>{x.clockIn ? `${x.clockIn.slice(11, 16)} / ${x.clockOut ? x.clockOut.slice(11, 16) : "-"}` : "-"}</td>
+                    <td>
+                      {x.status === "open"
+                        ? <button className="btn btn-ghost" onClick={() => resolve(x)}>확인 처리</button>
+                        : <span title={x.resolvedAt ?? undefined}>{x.resolution} ({x.resolvedByName ?? "-"})</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
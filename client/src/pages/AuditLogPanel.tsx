@@ -0,0 +1,189 @@
+// src/pages/AuditLogPanel.tsx — 감사 기록 조회/해시 체인 검증/CSV (인사 관리자 탭)
+import React, { useEffect, useState } from "react";
+import { API_BASE, Pager, downloadFile, jsonFetch } from "../components/hr/Shared";
+import type { AuditEvent, AuditVerifyResult } from "../components/hr/Shared";
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TYPES: Array<[string, string]> = [
+  ["", "전체 대상"],
+  ["request", "연차 신청"],
+  ["worklog", "근무일지"],
+  ["user", "계정/로그인"],
+  ["employee", "직원"],
+  ["department", "부서"],
+  ["approval_line", "결재선"],
+  ["holiday", "휴일"],
+  ["form_template", "양식"],
+];
+
+type Filters = { from: string; to: string; actor: string; action: string; entityType: string; entityId: string; q: string };
+const EMPTY_FILTERS: Filters = { from: "", to: "", actor: "", action: "", entityType: "", entityId: "", q: "" };
+
+function queryOf(f: Filters) {
+  const qs = new URLSearchParams();
+  (Object.keys(f) as Array<keyof Filters>).forEach(k => { if (f[k].trim()) qs.set(k, f[k].trim()); });
+  return qs;
+}
+
+function parseJson(s: string | null): Record<string, unknown> | null {
+  if (!s) return null;
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// 변경 전/후에서 값이 달라진 항목만
+function changedKeys(before: Record<string, unknown> | null, after: Record<string, unknown> | null) {
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  return [...keys].filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]));
+}
+
+function show(v: unknown) {
+  if (v === undefined) return "";
+  return typeof v === "string" ? v : JSON.stringify(v);
+}
+
+export default function AuditLogPanel() {
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [rows, setRows] = useState<AuditEvent[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [openSeq, setOpenSeq] = useState<number | null>(null);
+  const [verify, setVerify] = useState<AuditVerifyResult | null>(null);
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  async function load(nextOffset = 0) {
+    setErr(null);
+    setBusy(true);
+    try {
+      const qs = queryOf(filters);
+      qs.set("limit", String(PAGE_SIZE));
+      qs.set("offset", String(nextOffset));
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/audit?${qs}`);
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setRows((data as any).data as AuditEvent[]);
+      setTotal((data as any).total ?? 0);
+      setOffset(nextOffset);
+    } catch (e: any) {
+      setErr(e?.message || "감사 기록 조회 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+  useEffect(() => { load(0); }, []);
+
+  async function runVerify() {
+    setVerify(null);
+    const { ok, status, data } = await jsonFetch(`${API_BASE}/api/audit/verify`);
+    if (!ok || (data as any)?.ok === false) {
+      alert(typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`);
+      return;
+    }
+    setVerify((data as any).data as AuditVerifyResult);
+  }
+
+  async function exportCsv() {
+    try {
+      await downloadFile(`${API_BASE}/api/audit/export.csv?${queryOf(filters)}`, "감사기록.csv");
+    } catch (e: any) {
+      alert(e?.message || "CSV 내보내기 실패");
+    }
+  }
+
+  function search(e: React.FormEvent) {
+    e.preventDefault();
+    load(0);
+  }
+
+  const set = (k: keyof Filters) => (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+    setFilters(s => ({ ...s, [k]: e.target.value }));
+
+  return (
+    <>
+      {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c", marginBottom: 12 }}>오류: {err}</div>}
+
+      <form className="toolbar" onSubmit={search}>
+        <input className="inp" type="date" value={filters.from} onChange={set("from")} />
+        <span>~</span>
+        <input className="inp" type="date" value={filters.to} onChange={set("to")} />
+        <select className="sel" value={filters.entityType} onChange={set("entityType")}>
+          {ENTITY_TYPES.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+        </select>
+        <input className="inp" placeholder="작업 (예: request.approve, login)" value={filters.action} onChange={set("action")} />
+        <input className="inp" placeholder="처리자 이름/ID" value={filters.actor} onChange={set("actor")} />
+        <input className="inp" placeholder="대상 ID" value={filters.entityId} onChange={set("entityId")} />
+        <input className="inp" placeholder="내용 검색" value={filters.q} onChange={set("q")} />
+        <button className="btn btn-primary" disabled={busy}>조회</button>
+        <button type="button" className="btn btn-ghost" onClick={() => setFilters(EMPTY_FILTERS)}>초기화</button>
+      </form>
+
+      <div className="toolbar">
+        <button className="btn btn-blue" onClick={exportCsv}>CSV 내보내기</button>
+        <button className="btn btn-ghost" onClick={runVerify}>무결성 검증</button>
+        {verify && (verify.ok
+          ? <span className="badge" style={{ borderColor: "#bbf7d0", color: "#15803d" }}>정상 · {verify.count}건 체인 일치</span>
+          : <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>변조 의심 · #{verify.brokenAt} {verify.reason}</span>)}
+        <span className="badge">총 {total}건</span>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>#</th><th>시각</th><th>처리자</th><th>작업</th><th>대상</th><th>IP</th><th>변경 항목</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>{busy ? "불러오는 중…" : "기록이 없습니다."}</td></tr>
+                ) : rows.map(r => {
+                  const before = parseJson(r.before);
+                  const after = parseJson(r.after);
+                  const keys = changedKeys(before, after);
+                  return (
+                    <React.Fragment key={r.seq}>
+                      <tr onClick={() => setOpenSeq(openSeq === r.seq ? null : r.seq)} style={{ cursor: "pointer" }}>
+                        <td>{r.seq}</td>
+                        <td>{r.ts.replace("T", " ")}</td>
+                        <td>{r.actorName ?? "-"}</td>
+                        <td><span className="chip">{r.action}</span></td>
+                        <td>{r.entityType}{r.entityId ? ` · ${r.entityId.slice(0, 8)}` : ""}</td>
+                        <td>{r.ip ?? "-"}</td>
+                        <td style={{ color: "#64748b" }}>{keys.slice(0, 5).join(", ")}{keys.length > 5 ? ` 외 ${keys.length - 5}` : ""}</td>
+                      </tr>
+                      {openSeq === r.seq && (
+                        <tr>
+                          <td colSpan={7} style={{ background: "#f8fafc" }}>
+                            <table>
+                              <thead><tr><th>항목</th><th>변경 전</th><th>변경 후</th></tr></thead>
+                              <tbody>
+                                {keys.map(k => (
+                                  <tr key={k}>
+                                    <td>{k}</td>
+                                    <td style={{ color: "#b91c1c", wordBreak: "break-all" }}>{show(before?.[k])}</td>
+                                    <td style={{ color: "#15803d", wordBreak: "break-all" }}>{show(after?.[k])}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            <div style={{ color: "#94a3b8", fontSize: 12, marginTop: 6, wordBreak: "break-all" }}>
+                              대상 ID {r.entityId ?? "-"} · hash {r.hash}
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <Pager offset={offset} limit={PAGE_SIZE} total={total} busy={busy} onMove={load} />
+        </div>
+      </div>
+    </>
+  );
+}
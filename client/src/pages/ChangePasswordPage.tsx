@@ -0,0 +1,75 @@
+// src/pages/ChangePasswordPage.tsx — 본인 비밀번호 변경 (임시 비밀번호로 로그인하면 여기로 이동)
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/AuthContext";
+import { defaultPathForRole } from "../auth/roles";
+import { API_BASE, PageShell, jsonFetch } from "../components/hr/Shared";
+
+export default function ChangePasswordPage() {
+  const { user, login, logout } = useAuth();
+  const navigate = useNavigate();
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [minLength, setMinLength] = useState(10);
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    jsonFetch(`${API_BASE}/api/password-policy`).then(({ ok, data }) => {
+      if (ok && (data as any)?.ok) setMinLength((data as any).data.minLength);
+    });
+  }, []);
+
+  async function onSubmit(e: React.FormEvent) {
+    e.preventDefault();
+    if (next !== confirm) { setErr("새 비밀번호가 서로 다릅니다"); return; }
+    setBusy(true); setErr(null);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/me/password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ currentPassword: current, newPassword: next })
+      });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      const j = data as any; // { ok:true, token, user }
+      login(j.token, j.user);
+      alert("비밀번호를 변경했습니다.");
+      navigate(defaultPathForRole(j.user.role || null));
+    } catch (e: any) {
+      setErr(e?.message || "비밀번호 변경 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const handleLogout = () => { logout(); navigate("/login"); };
+
+  return (
+    <PageShell title="비밀번호 변경" right={<button className="btn-ghost" onClick={handleLogout}>로그아웃</button>}>
+      <form className="card" style={{ maxWidth: 460 }} onSubmit={onSubmit}>
+        <div className="card-body" style={{ display: "grid", gap: 10 }}>
+          {user?.mustChangePassword && (
+            <div className="badge" style={{ borderColor: "#fde68a", color: "#92400e" }}>
+              임시 비밀번호로 로그인했습니다. 계속하려면 비밀번호를 변경하세요.
+            </div>
+          )}
+          <input className="inp" type="password" placeholder="현재 비밀번호" autoComplete="current-password"
+            value={current} onChange={e => setCurrent(e.target.value)} required />
+          <input className="inp" type="password" placeholder="새 비밀번호" autoComplete="new-password"
+            value={next} onChange={e => setNext(e.target.value)} required />
+          <input className="inp" type="password" placeholder="새 비밀번호 확인" autoComplete="new-password"
+            value={confirm} onChange={e => setConfirm(e.target.value)} required />
+          <div style={{ color: "#64748b", fontSize: 13 }}>
+            {minLength}자 이상, 영문 대문자/소문자/숫자/특수문자 중 3종류 이상. 아이디는 넣을 수 없습니다.
+          </div>
+          {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</div>}
+          <button className="btn btn-primary" disabled={busy}>{busy ? "변경 중…" : "변경"}</button>
+        </div>
+      </form>
+    </PageShell>
+  );
+}
@@ -0,0 +1,180 @@
+// src/pages/DelegationPanel.tsx — 결재 위임 (부재 기간 동안 다른 상사가 대신 결재)
+// 상사: 내 결재를 맡기고, 내가 맡은 위임도 확인. 인사/관리자(manageAll): 전체 조회, 상사 대신 등록·취소
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../auth/AuthContext";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { Delegation, DelegationCandidate, DelegationState, Department, LeaveType } from "../components/hr/Shared";
+
+const STATE_KO: Record<DelegationState, string> = { scheduled: "예정", active: "진행 중", expired: "만료", revoked: "취소" };
+const LEAVE_TYPES: LeaveType[] = ["연차", "반차", "병가", "경조사"];
+const localToday = () => new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const d = data as any;
+    const field = d?.fieldErrors ? Object.values(d.fieldErrors as Record<string, string[]>).flat()[0] : undefined;
+    throw new Error(typeof data === "string" ? data : field || d?.error || `HTTP ${status}`);
+  }
+  return data as any;
+}
+
+const emptyForm = () => ({
+  delegatorId: "", delegateId: "", startDate: localToday(), endDate: localToday(),
+  depts: [] as string[], leaveTypes: [] as LeaveType[], worklogs: true, reason: "",
+});
+
+const scopeText = (d: Delegation) =>
+  [d.depts?.join(", ") ?? "전 부서", d.leaveTypes?.join(", ") ?? "전 종류", d.worklogs ? "근무일지 포함" : null].filter(Boolean).join(" · ");
+
+export default function DelegationPanel({ manageAll = false }: { manageAll?: boolean }) {
+  const { user } = useAuth();
+  const [rows, setRows] = useState<Delegation[]>([]);
+  const [candidates, setCandidates] = useState<DelegationCandidate[]>([]);
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [showAll, setShowAll] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load() {
+    try {
+      setRows((await call(`${API_BASE}/api/delegations?state=${showAll ? "all" : "current"}`)).data as Delegation[]);
+    } catch (e: any) {
+      setErr(e?.message || "목록 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, [showAll]);
+  useEffect(() => {
+    call(`${API_BASE}/api/delegations/candidates`).then(r => setCandidates(r.data)).catch(() => setCandidates([]));
+    call(`${API_BASE}/api/departments`).then(r => setDepts(r.data)).catch(() => setDepts([]));
+  }, []);
+
+  const toggle = <T,>(list: T[], v: T) => list.includes(v) ? list.filter(x => x !== v) : [...list, v];
+
+  async function save(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true); setErr(null);
+    try {
+      await call(`${API_BASE}/api/delegations`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          delegatorId: manageAll ? form.delegatorId || undefined : undefined,
+          delegateId: form.delegateId,
+          startDate: form.startDate,
+          endDate: form.endDate,
+          depts: form.depts.length ? form.depts : null,
+          leaveTypes: form.leaveTypes.length ? form.leaveTypes : null,
+          worklogs: form.worklogs,
+          reason: form.reason.trim() || undefined,
+        }),
+      });
+      setForm(emptyForm());
+      await load();
+    } catch (e: any) {
+      setErr(e?.message || "저장 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revoke(d: Delegation) {
+    if (!confirm(`${d.delegatorName} → ${d.delegateName} 위임(${d.startDate} ~ ${d.endDate})을 취소할까요?`)) return;
+    try {
+      await call(`${API_BASE}/api/delegations/${d.id}/revoke`, { method: "POST" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "취소 실패");
+    }
+  }
+
+  const delegatorId = manageAll ? form.delegatorId : user?.id;
+
+  return (
+    <>
+      <form className="card" style={{ marginBottom: 16 }} onSubmit={save}>
+        <div className="card-body">
+          <div className="toolbar" style={{ marginTop: 0 }}>
+            {manageAll && (
+              <select className="sel" value={form.delegatorId} onChange={e => setForm(s => ({ ...s, delegatorId: e.target.value }))}>
+                <option value="">위임하는 상사</option>
+                {candidates.map(c => <option key={c.id} value={c.id}>{c.name}{c.dept ? ` (${c.dept})` : ""}</option>)}
+              </select>
+            )}
+            <select className="sel" value={form.delegateId} onChange={e => setForm(s => ({ ...s, delegateId: e.target.value }))}>
+              <option value="">대리 결재자</option>
+              {candidates.filter(c => c.id !== delegatorId).map(c => <option key={c.id} value={c.id}>{c.name}{c.dept ? ` (${c.dept})` : ""}</option>)}
+            </select>
+            <input className="inp" type="date" value={form.startDate} onChange={e => setForm(s => ({ ...s, startDate: e.target.value }))} />
+            <span>~</span>
+            <input className="inp" type="date" value={form.endDate} onChange={e => setForm(s => ({ ...s, endDate: e.target.value }))} />
+            <input className="inp" placeholder="사유 (선택)" value={form.reason} onChange={e => setForm(s => ({ ...s, reason: e.target.value }))} />
+            <button className="btn btn-primary" disabled={busy || !form.delegateId || (manageAll && !form.delegatorId)}>위임 등록</button>
+            {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+          </div>
+          <div className="toolbar">
+            <span style={{ color: "#64748b", fontSize: 13 }}>부서</span>
+            {depts.map(d => (
+              <label key={d.id} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                <input type="checkbox" checked={form.depts.includes(d.name)} onChange={() => setForm(s => ({ ...s, depts: toggle(s.depts, d.name) }))} /> {d.name}
+              </label>
+            ))}
+          </div>
+          <div className="toolbar">
+            <span style={{ color: "#64748b", fontSize: 13 }}>휴가 종류</span>
+            {LEAVE_TYPES.map(t => (
+              <label key={t} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                <input type="checkbox" checked={form.leaveTypes.includes(t)} onChange={() => setForm(s => ({ ...s, leaveTypes: toggle(s.leaveTypes, t) }))} /> {t}
+              </label>
+            ))}
+            <label style={{ display: "flex", gap: 4, alignItems: "center", marginLeft: 12 }}>
+              <input type="checkbox" checked={form.worklogs} onChange={e => setForm(s => ({ ...s, worklogs: e.target.checked }))} /> 근무일지 검토 포함
+            </label>
+          </div>
+          <div style={{ color: "#64748b", fontSize: 13 }}>
+            부서·종류를 고르지 않으면 전체입니다. 위임 기간에는 대리 결재자가 "○○ 대신"으로 서명하고, 종료일이 지나면 자동으로 끝납니다.
+          </div>
+        </div>
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="toolbar" style={{ marginTop: 0 }}>
+            <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <input type="checkbox" checked={showAll} onChange={e => setShowAll(e.target.checked)} /> 끝난 위임 포함
+            </label>
+            <button className="btn btn-ghost" onClick={load}>새로고침</button>
+          </div>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>위임자</th><th>대리 결재자</th><th>기간</th><th>범위</th><th>사유</th><th>상태</th><th>등록</th><th></th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={8} style={{ padding: 12, color: "#94a3b8" }}>위임이 없습니다.</td></tr>
+                ) : rows.map(d => (
+                  <tr key={d.id}>
+                    <td>{d.delegatorName ?? "-"}</td>
+                    <td>{d.delegateName ?? "-"}</td>
+                    <td>{d.startDate} ~ {d.endDate}</td>
+                    <td>{scopeText(d)}</td>
+                    <td>{d.reason ?? "-"}</td>
+                    <td><span className="chip">{STATE_KO[d.state]}</span></td>
+                    <td>{d.createdByName ?? "-"} · {d.createdAt.replace("T", " ").slice(0, 16)}</td>
+                    <td>
+                      {(d.state === "scheduled" || d.state === "active") && (manageAll || d.delegatorId === user?.id) && (
+                        <button className="btn btn-ghost" onClick={() => revoke(d)}>위임 취소</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,16 +1,10 @@
 // src/pages/EmployeeLeavePage.tsx
 import React, { useEffect, useState } from "react";
-import {
-
-  API_BASE,
-  STATUS_KO,
-  Status,
-  LeaveRequestAPI,
-  jsonFetch,
-  SignaturePad
-
-
+import { API_BASE, STATUS_KO, jsonFetch, downloadFile, bucketOf, SignaturePad } from "../components/hr/Shared";
+import type {
+  Status, LeaveRequestAPI, LeaveBalance, LeaveType, Department, Employee, WorkdayPreview
 } from "../components/hr/Shared";
+import { submitOrQueue } from "../offline/outbox";
 
 export default function EmployeeLeavePage() {
   const [rows, setRows] = useState<LeaveRequestAPI[]>([]);
@@ -69,6 +63,22 @@ export default function EmployeeLeavePage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // 조직에 등록된 직원이면 사번/이름/부서/직급은 직원 정보로 고정 (임시 저장본보다 우선)
+  const [profile, setProfile] = useState<Employee | null>(null);
+  const [depts, setDepts] = useState<Department[]>([]);
+  useEffect(() => {
+    jsonFetch(`${API_BASE}/api/me/profile`)
+      .then(({ ok, data }) => {
+        const p = ok && (data as any)?.ok ? (data as any).data as Employee | null : null;
+        setProfile(p);
+        if (p) setForm(s => ({ ...s, dept: p.dept, empId: p.empId, name: p.name, position: p.position }));
+      })
+      .catch(() => { /* 미등록이면 직접 입력 */ });
+    jsonFetch(`${API_BASE}/api/departments`)
+      .then(({ ok, data }) => { if (ok && (data as any)?.ok) setDepts((data as any).data as Department[]); })
+      .catch(() => { /* noop */ });
+  }, []);
+
   useEffect(() => {
     try {
       localStorage.setItem(DRAFT_KEY.current, JSON.stringify(form));
@@ -92,6 +102,47 @@ export default function EmployeeLeavePage() {
     }
   }
   useEffect(()=>{ loadMyRequests(); }, []);
+  // 보관함에 있던 신청이 보내지면 목록 새로고침
+  useEffect(() => {
+    const reload = () => { loadMyRequests(); };
+    window.addEventListener("lm:outbox-sent", reload);
+    return () => window.removeEventListener("lm:outbox-sent", reload);
+  }, []);
+
+  // 잔여 연차 (시작일이 속한 연도 기준)
+  const [balances, setBalances] = useState<LeaveBalance[]>([]);
+  const balanceYear = /^\d{4}/.test(form.startDate) ? form.startDate.slice(0, 4) : today.slice(0, 4);
+  async function loadBalances() {
+    try {
+      const { ok, data } = await jsonFetch(`${API_BASE}/api/balances/mine?year=${balanceYear}`);
+      if (ok && (data as any)?.ok) setBalances((data as any).data as LeaveBalance[]);
+    } catch { /* 잔여 표시는 부가 정보 */ }
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(()=>{ loadBalances(); }, [balanceYear]);
+
+  // 신청 일수: 서버 근무일 계산 (주말/공휴일/회사 휴무일 제외)
+  const [preview, setPreview] = useState<WorkdayPreview | null>(null);
+  useEffect(() => {
+    if (!form.startDate || !form.endDate || form.endDate < form.startDate) { setPreview(null); return; }
+    let alive = true;
+    const qs = new URLSearchParams({ start: form.startDate, end: form.endDate, leaveType: form.leaveType });
+    jsonFetch(`${API_BASE}/api/workdays?${qs}`)
+      .then(({ ok, data }) => { if (alive) setPreview(ok && (data as any)?.ok ? (data as any).data as WorkdayPreview : null); })
+      .catch(() => { if (alive) setPreview(null); });
+    return () => { alive = false; };
+  }, [form.startDate, form.endDate, form.leaveType]);
+
+  // 정정 중인 원 신청 — 원 신청이 쓰는 일수는 돌려받는 것으로 보고 잔여 계산 (서버와 동일)
+  const [amending, setAmending] = useState<LeaveRequestAPI | null>(null);
+  const amendCredit = amending && bucketOf(amending.leaveType as LeaveType) === bucketOf(form.leaveType as LeaveType)
+    && amending.startDate.slice(0, 4) === balanceYear ? (amending.days ?? 0) : 0;
+
+  const requestedDays = preview?.days ?? 0;
+  const bucketBal = balances.find(b => b.bucket === bucketOf(form.leaveType as LeaveType) && String(b.year) === balanceYear);
+  const available = bucketBal ? bucketBal.remaining - bucketBal.pending + amendCredit : null;
+  const overdraw = available !== null && requestedDays > available;
+  const noWorkdays = preview !== null && preview.workdays === 0;
 
   async function submitLeave(e: React.FormEvent) {
     e.preventDefault();
@@ -100,28 +151,117 @@ export default function EmployeeLeavePage() {
         alert("서명은 필수입니다.");
         return;
       }
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests`, {
+      if (noWorkdays) {
+        alert("선택한 기간에 근무일이 없습니다.");
+        return;
+      }
+      if (overdraw) {
+        alert(`${bucketBal!.bucket} 잔여일수가 부족합니다. (신청 ${requestedDays}일 / 사용 가능 ${available}일)`);
+        return;
+      }
+      // 새 신청은 연결이 끊겼으면 보관함에 담아 두었다가 보냄 (정정은 원 신청 상태를 봐야 하므로 바로만)
+      const r = amending
+        ? { queued: false as const, ...await jsonFetch(`${API_BASE}/api/requests/${amending.requestId}/amend`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(form)
+          }) }
+        : await submitOrQueue("request", `${form.leaveType} ${form.startDate} ~ ${form.endDate}`, { json: form });
+      if (!r.queued && (!r.ok || (r.data as any)?.ok === false)) {
+        const msg = typeof r.data === "string" ? r.data : (r.data as any)?.error || `HTTP ${r.status}`;
+        throw new Error(msg);
+      }
+      if (r.queued) {
+        alert("연결이 끊겨 보관함에 담았습니다. 연결되면 자동으로 보냅니다.");
+      } else {
+        await Promise.all([loadMyRequests(), loadBalances()]);
+        alert(amending ? "정정 신청이 접수되었습니다." : "연차 신청이 접수되었습니다.");
+      }
+      setAmending(null);
+      setForm(profile
+        ? { ...initialForm, dept: profile.dept, empId: profile.empId, name: profile.name, position: profile.position }
+        : initialForm);
+      try { localStorage.removeItem(DRAFT_KEY.current); } catch {}
+    } catch(e:any) {
+      alert(e?.message || "신청 실패");
+    }
+  }
+
+  // 내 신청을 폼으로 불러와 정정 (서명은 다시 받음)
+  function startAmend(r: LeaveRequestAPI) {
+    setAmending(r);
+    setForm(s => ({
+      ...s,
+      leaveType: r.leaveType,
+      startDate: r.startDate,
+      endDate: r.endDate,
+      note: r.note ?? "",
+      handoverPerson: r.handoverPerson ?? "",
+      contact: r.contact ?? "",
+      signatureDataUrl: "",
+    }));
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  async function cancelRequest(r: LeaveRequestAPI) {
+    const approved = r.status === "Approved";
+    const reason = prompt(approved
+      ? "승인된 신청은 결재자의 취소 승인이 필요합니다. 취소 사유를 입력하세요."
+      : "이 신청을 취소할까요? 사유를 입력하세요. (선택)", "");
+    if (reason === null) return;
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/${r.requestId}/cancel`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(form)
+        body: JSON.stringify({ reason: reason || undefined })
       });
       if (!ok || (data as any)?.ok === false) {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
         throw new Error(msg);
       }
-      await loadMyRequests();
-      alert("연차 신청이 접수되었습니다.");
-      setForm(initialForm);
-      try { localStorage.removeItem(DRAFT_KEY.current); } catch {}
-    } catch(e:any) {
-      alert(e?.message || "신청 실패");
+      if (amending?.requestId === r.requestId) setAmending(null);
+      await Promise.all([loadMyRequests(), loadBalances()]);
+      alert(approved ? "취소 요청이 접수되었습니다." : "신청이 취소되었습니다.");
+    } catch (e: any) {
+      alert(e?.message || "취소 실패");
+    }
+  }
+
+  async function downloadPdf(r: LeaveRequestAPI) {
+    try {
+      const title = r.requestType === "leave" ? "인사계출" : r.leaveType.replace(/\s/g, "");
+      await downloadFile(`${API_BASE}/api/requests/${r.requestId}/form.pdf`, `${title}_${r.startDate}.pdf`);
+    } catch (e: any) {
+      alert(e?.message || "PDF 받기 실패");
     }
   }
 
+  // 정정/취소 가능: 대기·승인 건 중 취소 결재나 정정 결재가 진행 중이지 않은 것
+  const canChange = (r: LeaveRequestAPI) =>
+    (r.status === "Pending" || r.status === "Approved") && r.cancelStatus !== "Pending"
+    && !rows.some(x => x.prevRequestId === r.requestId && x.status === "Pending");
+
   return (
     <>
+      {balances.length > 0 && (
+        <div className="toolbar">
+          <span className="chip">{balances[0].year}년 잔여</span>
+          {balances.map(b => (
+            <span key={b.bucket} className="badge" title={`발생 ${b.entitled}일 · 사용 ${b.used}일 · 대기 ${b.pending}일`}>
+              {b.bucket} {b.remaining}일{b.pending > 0 ? ` (대기 ${b.pending}일)` : ""}
+            </span>
+          ))}
+        </div>
+      )}
       <form className="card" onSubmit={submitLeave} style={{ marginBottom: 16 }}>
         <div className="card-body" style={{ display: "grid", gap: 12 }}>
+          {amending && (
+            <div className="toolbar" style={{ margin: 0 }}>
+              <span className="chip">정정 중</span>
+              <span>{amending.leaveType} {amending.startDate} ~ {amending.endDate} ({STATUS_KO[amending.status as Status]})</span>
+              <button type="button" className="btn btn-ghost" onClick={() => setAmending(null)}>정정 취소</button>
+            </div>
+          )}
           <label className="field">
             <span className="field-label">작성날짜</span>
             <input
@@ -138,11 +278,12 @@ export default function EmployeeLeavePage() {
               className="sel"
               value={form.dept}
               onChange={e => setForm(s => ({ ...s, dept: e.target.value }))}
+              disabled={!!profile}
               required
             >
               <option value="" disabled>부서 선택</option>
-              {["개발팀", "생산지원팀", "생산팀", "공무팀"].map(d => (
-                <option key={d} value={d}>{d}</option>
+              {depts.map(d => (
+                <option key={d.id} value={d.name}>{d.name}</option>
               ))}
             </select>
           </label>
@@ -153,6 +294,7 @@ export default function EmployeeLeavePage() {
                 placeholder="예: 1001"
                 value={form.empId}
                 onChange={e => setForm(s => ({ ...s, empId: e.target.value }))}
+                readOnly={!!profile}
                 required
               />
             </label>
@@ -163,6 +305,7 @@ export default function EmployeeLeavePage() {
                 placeholder="예: 홍길동"
                 value={form.name}
                 onChange={e => setForm(s => ({ ...s, name: e.target.value }))}
+                readOnly={!!profile}
                 required
               />
             </label>
@@ -173,6 +316,7 @@ export default function EmployeeLeavePage() {
                 placeholder="예: 사원"
                 value={form.position}
                 onChange={e => setForm(s => ({ ...s, position: e.target.value }))}
+                readOnly={!!profile}
                 required
               />
             </label>
@@ -246,7 +390,18 @@ export default function EmployeeLeavePage() {
               <SignaturePad value={form.signatureDataUrl} onChange={sig => setForm(s => ({ ...s, signatureDataUrl: sig || "" }))} />
 
             </label>
-          <button className="btn btn-primary">신청</button>
+          <div style={{ color: overdraw || noWorkdays ? "#b91c1c" : "#475569", fontWeight: 700 }}>
+            신청 일수 {requestedDays}일
+            {available !== null && ` / 사용 가능 ${available}일`}
+            {overdraw && " — 잔여일수를 초과합니다"}
+            {noWorkdays && " — 선택한 기간에 근무일이 없습니다"}
+            {preview && preview.excluded.length > 0 && (
+              <div style={{ color: "#64748b", fontWeight: 600, fontSize: 13 }}>
+                휴일 제외: {preview.excluded.map(h => `${h.date.slice(5)} ${h.name}`).join(", ")}
+              </div>
+            )}
+          </div>
+          <button className="btn btn-primary" disabled={overdraw || noWorkdays}>{amending ? "정정 신청" : "신청"}</button>
         </div>
       </form>
 
@@ -259,19 +414,41 @@ export default function EmployeeLeavePage() {
               <table>
                 <thead>
                   <tr>
-                    <th>신청일</th><th>종류</th><th>기간</th><th>상태</th><th>비고</th>
+                    <th>신청일</th><th>종류</th><th>기간</th><th>일수</th><th>상태</th><th>비고</th><th>작업</th>
                   </tr>
                 </thead>
                 <tbody>
                   {rows.length===0 ? (
-                    <tr><td colSpan={5} style={{padding:12, color:"#94a3b8"}}>내 신청이 없습니다.</td></tr>
+                    <tr><td colSpan={7} style={{padding:12, color:"#94a3b8"}}>내 신청이 없습니다.</td></tr>
                   ) : rows.map(r=>(
                     <tr key={r.requestId}>
                       <td>{r.dateRequested}</td>
                       <td>{r.leaveType}</td>
-                      <td>{r.startDate} ~ {r.endDate}</td>
-                      <td>{STATUS_KO[r.status as Status]}</td>
+                      <td>
+                        {r.startDate === r.endDate ? r.startDate : `${r.startDate} ~ ${r.endDate}`}
+                        {r.summary && <div style={{ color: "#64748b", fontSize: 13 }}>{r.summary}</div>}
+                      </td>
+                      <td>{r.days ?? "-"}</td>
+                      <td>
+                        {STATUS_KO[r.status as Status]}
+                        {r.status === "Pending" && r.currentStepLabel ? ` (${r.currentStepLabel} 결재 중)` : ""}
+                        {r.cancelStatus === "Pending" && " (취소 결재 중)"}
+                        {r.cancelStatus === "Rejected" && r.status === "Approved" && " (취소 반려)"}
+                        {r.prevRequestId && <span className="badge" style={{ marginLeft: 4 }}>정정본</span>}
+                        {r.amendedBy && <span className="badge" style={{ marginLeft: 4 }}>정정됨</span>}
+                      </td>
                       <td>{r.note || "-"}</td>
+                      <td style={{display:"flex", gap:8}}>
+                        {r.status === "Approved" && (
+                          <button className="btn btn-ghost" onClick={()=>downloadPdf(r)}>PDF</button>
+                        )}
+                        {canChange(r) && (
+                          <>
+                            {r.requestType === "leave" && <button className="btn btn-ghost" onClick={()=>startAmend(r)}>정정</button>}
+                            <button className="btn btn-red" onClick={()=>cancelRequest(r)}>{r.status === "Approved" ? "취소 요청" : "취소"}</button>
+                          </>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
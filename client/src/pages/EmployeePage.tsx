@@ -3,27 +3,38 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../auth/AuthContext";
 import { PageShell } from "../components/hr/Shared";
+import AttendanceClock from "./AttendanceClock";
 import EmployeeLeavePage from "./EmployeeLeavePage";
+import RequestTypeForm from "./RequestTypeForm";
 import WorkLogFormMini from "./WorkLogFormMini";
 
 export default function EmployeePage() {
   const { logout } = useAuth();
   const navigate = useNavigate();
   const handleLogout = () => { logout(); navigate("/login"); };
-  const [tab, setTab] = React.useState<"leave" | "worklog">("leave");
+  const [tab, setTab] = React.useState<"leave" | "requests" | "attendance" | "worklog">("leave");
 
   return (
     <PageShell
       title="직원 페이지"
       tabs={[
         { key: "leave",   label: "연차작성" },
+        { key: "requests", label: "근무 신청" },
+        { key: "attendance", label: "출퇴근" },
         { key: "worklog", label: "근무일지 작성" },
       ]}
       activeTab={tab}
       onChangeTab={(k)=>setTab(k as any)}
-      right={<button className="btn-ghost" onClick={handleLogout}>로그아웃</button>}
+      right={
+        <div style={{display:"flex", gap:8}}>
+          <button className="btn-ghost" onClick={()=>navigate("/password")}>비밀번호 변경</button>
+          <button className="btn-ghost" onClick={handleLogout}>로그아웃</button>
+        </div>
+      }
     >
       {tab === "leave"   && <EmployeeLeavePage />}
+      {tab === "requests" && <RequestTypeForm />}
+      {tab === "attendance" && <AttendanceClock />}
       {tab === "worklog" && <WorkLogFormMini />}
     </PageShell>
   );
@@ -1,57 +1,94 @@
 // src/pages/HRAdminPage.tsx
-import React, { useEffect, useMemo, useState } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import ExcelJS from "exceljs";
-import { saveAs } from "file-saver";
 import { useAuth } from "../auth/AuthContext";
-import {
-  API_BASE, STATUS_KO, Status, LeaveRequestAPI, WorklogRow,
-  dataUrlToUint8, fmtReqDate, fmtStart, fmtEnd,
-  jsonFetch, StatusBadge, PageShell
+import { API_BASE, STATUS_KO, downloadFile, jsonFetch, StatusBadge, PageShell, Pager } from "../components/hr/Shared";
+import type {
+  Status, LeaveType, LeaveRequestAPI, Department, Paged, RequestTypeDef, RequestTypeKey, SignatureVerifyResult
 } from "../components/hr/Shared";
+import WorklogReviewPanel from "./WorklogReviewPanel";
+import HolidayAdminPanel from "./HolidayAdminPanel";
+import ApprovalLinePanel from "./ApprovalLinePanel";
+import OrgAdminPanel from "./OrgAdminPanel";
+import TemplateAdminPanel from "./TemplateAdminPanel";
+import AuditLogPanel from "./AuditLogPanel";
+import TeamCalendar from "./TeamCalendar";
+import AnalyticsPanel from "./AnalyticsPanel";
+import PayrollExportPanel from "./PayrollExportPanel";
+import ImportPanel from "./ImportPanel";
+import DelegationPanel from "./DelegationPanel";
+import AttendanceExceptionPanel from "./AttendanceExceptionPanel";
+import KioskDevicePanel from "./KioskDevicePanel";
+
+const PAGE_SIZE = 50;
 
 export default function HRAdminPage() {
   const { logout } = useAuth();
   const navigate = useNavigate();
   const handleLogout = () => { logout(); navigate("/login"); };
 
-  const [activeTab, setActiveTab] = useState<"leave"|"worklog">("leave");
+  const [activeTab, setActiveTab] = useState<"leave"|"calendar"|"attendance"|"kiosk"|"analytics"|"payroll"|"worklog"|"holiday"|"approval"|"delegation"|"org"|"import"|"template"|"audit">("leave");
 
-  // 연차
+  // 연차 — 필터/정렬/쪽 나누기는 서버에서
   const [rows, setRows] = useState<LeaveRequestAPI[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string|null>(null);
 
-  const deptList = ["전체", "개발팀", "생산지원팀", "생산팀", "공무팀"] as const;
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [requestTypes, setRequestTypes] = useState<RequestTypeDef[]>([]);
   const statusList: ("전체"|Status)[] = ["전체","Pending","Approved","Rejected","Canceled"];
+  const leaveTypes: ("전체"|LeaveType)[] = ["전체","연차","반차","병가","경조사"];
 
-  const [dept, setDept] = useState<(typeof deptList)[number]>("전체");
+  const [dept, setDept] = useState<string>("전체");
   const [status, setStatus] = useState<(typeof statusList)[number]>("전체");
+  const [requestType, setRequestType] = useState<"전체"|RequestTypeKey>("전체");
+  const [leaveType, setLeaveType] = useState<(typeof leaveTypes)[number]>("전체");
+  const [from, setFrom] = useState("");   // 휴가 기간이 겹치는 신청
+  const [to, setTo] = useState("");
   const [q, setQ] = useState("");
+  const [sort, setSort] = useState<"dateRequested"|"startDate"|"name"|"dept"|"status">("dateRequested");
+  const [order, setOrder] = useState<"asc"|"desc">("desc");
 
   // 템플릿
   const [templates, setTemplates] = useState<string[]>([]);
   const [tpl, setTpl] = useState<string>("");
 
-  // 근무일지
-  const [wls, setWls] = useState<WorklogRow[]>([]);
-  const [wlLoading, setWlLoading] = useState(false);
-  const [wlErr, setWlErr] = useState<string|null>(null);
-  const [wlStatus, setWlStatus] = useState<"전체"|"Pending"|"Approved"|"Rejected">("전체");
-
-  useEffect(()=>{ loadLeaveRecent(); }, []);
+  // 선택 항목이 바뀌면 첫 쪽부터 다시 (검색어는 조회 버튼/Enter로)
+  useEffect(()=>{ loadLeaves(0); }, [dept, status, requestType, leaveType, from, to, sort, order]);
   useEffect(()=>{ loadTemplates(); }, []);
-  useEffect(()=>{ if (activeTab==="worklog") loadWorklogs(); }, [activeTab]);
+  useEffect(()=>{ loadDepartments(); }, []);
+
+  async function loadDepartments() {
+    try {
+      const { ok, data } = await jsonFetch(`${API_BASE}/api/departments`);
+      if (ok && (data as any)?.ok) setDepts((data as any).data as Department[]);
+      const t = await jsonFetch(`${API_BASE}/api/request-types`);
+      if (t.ok && (t.data as any)?.ok) setRequestTypes((t.data as any).data as RequestTypeDef[]);
+    } catch { /* 필터는 부가 기능 */ }
+  }
 
-  async function loadLeaveRecent() {
+  async function loadLeaves(nextOffset = offset) {
     setLoading(true); setError(null);
     try {
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/recent`);
+      const qs = new URLSearchParams({ sort, order, limit: String(PAGE_SIZE), offset: String(nextOffset) });
+      if (dept !== "전체") qs.set("dept", dept);
+      if (status !== "전체") qs.set("status", status);
+      if (requestType !== "전체") qs.set("requestType", requestType);
+      if (leaveType !== "전체" && (requestType === "전체" || requestType === "leave")) qs.set("leaveType", leaveType);
+      if (from) qs.set("from", from);
+      if (to) qs.set("to", to);
+      if (q.trim()) qs.set("q", q.trim());
+      const { ok, status: sc, data } = await jsonFetch(`${API_BASE}/api/requests?${qs}`);
       if (!ok || (data as any)?.ok === false) {
-        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${sc}`;
         throw new Error(msg);
       }
-      setRows((data as any).data as LeaveRequestAPI[]);
+      const page = data as Paged<LeaveRequestAPI>;
+      setRows(page.data);
+      setTotal(page.total);
+      setOffset(nextOffset);
     } catch(e:any){
       setError(e?.message || "목록 조회 실패");
     } finally {
@@ -74,124 +111,74 @@ export default function HRAdminPage() {
     }
   }
 
-  async function fetchTemplateBuffer(templateName: string): Promise<ArrayBuffer> {
-    const url = `${API_BASE}/api/templates/${encodeURIComponent(templateName)}`;
-    const r = await fetch(url, { cache: "no-store" });
-    if (!r.ok) throw new Error(`템플릿 다운로드 실패: HTTP ${r.status}`);
-    return r.arrayBuffer();
-  }
-
-  const filteredLeaves = useMemo(()=>{
-    return rows.filter(r=>{
-      if (dept !== "전체" && r.dept !== dept) return false;
-      if (status !== "전체" && r.status !== status) return false;
-      if (q.trim()) {
-        const key = q.trim().toLowerCase();
-        const hay = `${r.empId} ${r.name}`.toLowerCase();
-        if (!hay.includes(key)) return false;
-      }
-      return true;
-    });
-  }, [rows, dept, status, q]);
-
-  async function makeExcelForRowFromTemplate(r: LeaveRequestAPI) {
-    const wb = new ExcelJS.Workbook();
-
-    if (tpl) {
-      const buf = await fetchTemplateBuffer(tpl);
-      await wb.xlsx.load(new Uint8Array(buf));
-    } else {
-      const ws0 = wb.addWorksheet("Leave Request");
-      ws0.addRows([
-        ["신청일", r.dateRequested],
-        ["사번", r.empId],
-        ["이름", r.name],
-        ["부서", r.dept],
-        ["직급", r.position],
-        ["연차종류", r.leaveType],
-        ["기간", `${r.startDate} ~ ${r.endDate}`],
-        ["상태", STATUS_KO[r.status]],
-        ["비고", r.note ?? ""],
-        ["업무인수자", r.handoverPerson ?? ""],
-        ["연락처", r.contact ?? ""]
-      ]);
+  async function downloadForm(r: LeaveRequestAPI) {
+    // 휴가 외 신청은 서버가 종류별 양식(신청서 템플릿)을 고름
+    const typed = r.requestType !== "leave";
+    if (!tpl && !typed) { alert("서버 템플릿이 없습니다."); return; }
+    try {
+      await downloadFile(
+        `${API_BASE}/api/requests/${r.requestId}/form.xlsx${typed ? "" : `?template=${encodeURIComponent(tpl)}`}`,
+        `HR_${r.empId}_${r.name}_${r.dateRequested}.xlsx`
+      );
+    } catch (e: any) {
+      alert(e?.message || "파일 만들기 실패");
     }
+  }
 
-    const ws = wb.worksheets[0] ?? wb.addWorksheet("인사계출");
-    const set = (addr: string, v?: string) => { ws.getCell(addr).value = v ?? ""; };
-
-    set("K21", fmtReqDate(r.dateRequested));
-    set("C11", fmtStart(r.startDate));
-    set("C13", fmtEnd(r.endDate));
-    set("K5", r.empId);
-    set("K4", r.name);
-    set("T23", r.name);
-    set("B4", r.dept);
-    set("W4", r.position);
-    set("AE4", r.leaveType);
-    set("B16", r.note ?? "");
-    set("B17", r.handoverPerson ?? "");
-    set("P17", r.contact ?? "");
-
+  async function downloadPdf(r: LeaveRequestAPI) {
     try {
-      if (r.signature) {
-        const img1 = wb.addImage({
-          buffer: dataUrlToUint8(r.signature),
-          extension: r.signature.startsWith("data:image/jpeg") ? "jpeg" : "png",
-        });
-        ws.addImage(img1, { tl: { col: 8.8, row: 26.1 }, ext: { width: 80, height: 40 } });
-        ws.addImage(img1, { tl: { col: 25.2, row: 21.8 }, ext: { width: 60, height: 35 } });
-      }
-      if (r.managerSignature) {
-        const img2 = wb.addImage({
-          buffer: dataUrlToUint8(r.managerSignature),
-          extension: r.managerSignature.startsWith("data:image/jpeg") ? "jpeg" : "png",
-        });
-        ws.addImage(img2, { tl: { col: 23.8, row: 26.1 }, ext: { width: 80, height: 40 } });
-      }
-    } catch {}
-
-    const filename = `HR_${r.empId}_${r.name}_${r.dateRequested}.xlsx`;
-    const out = await wb.xlsx.writeBuffer();
-    saveAs(new Blob([out], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }), filename);
+      await downloadFile(`${API_BASE}/api/requests/${r.requestId}/form.pdf`, `HR_${r.empId}_${r.name}_${r.dateRequested}.pdf`);
+    } catch (e: any) {
+      alert(e?.message || "PDF 받기 실패");
+    }
   }
 
-  async function loadWorklogs() {
-    setWlLoading(true); setWlErr(null);
+  // 서명 파일이 서명 당시 해시(서명 기록/감사 기록)와 같은지
+  async function verifySignatures(r: LeaveRequestAPI) {
     try {
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/worklogs`);
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/${r.requestId}/signatures/verify`);
       if (!ok || (data as any)?.ok === false) {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
         throw new Error(msg);
       }
-      setWls((data as any).data as WorklogRow[]);
-    } catch(e:any){
-      setWlErr(e?.message || "근무일지 조회 실패");
-    } finally {
-      setWlLoading(false);
+      const v = (data as any).data as SignatureVerifyResult;
+      const lines = v.signatures.map(c => {
+        const result = !c.found ? "기록 없음" : !c.fileOk ? "파일 변경/누락" : !c.audited ? "감사 기록 없음" : "정상";
+        return `${c.label}${c.signerName ? ` (${c.signerName})` : ""}: ${result}`;
+      });
+      alert(`${v.valid ? "서명 검증: 이상 없음" : "서명 검증: 확인 필요"}\n\n${lines.join("\n") || "서명이 없습니다."}`);
+    } catch (e: any) {
+      alert(e?.message || "서명 검증 실패");
     }
   }
 
-  const filteredWl = useMemo(()=>{
-    let list = wls.slice();
-    if (wlStatus !== "전체") list = list.filter(x=>x.status === wlStatus);
-    return list;
-  }, [wls, wlStatus]);
+  // 기간 일괄 ZIP (휴가 기간이 겹치는 신청)
+  const [zipFrom, setZipFrom] = useState(() => new Date().toISOString().slice(0, 8) + "01");
+  const [zipTo, setZipTo] = useState(() => new Date().toISOString().slice(0, 10));
+  const [zipBusy, setZipBusy] = useState(false);
+  async function downloadZip() {
+    if (!tpl) { alert("서버 템플릿이 없습니다."); return; }
+    setZipBusy(true);
+    try {
+      const qs = new URLSearchParams({ template: tpl, from: zipFrom, to: zipTo, status: status === "전체" ? "all" : status });
+      await downloadFile(`${API_BASE}/api/forms/export.zip?${qs}`, `인사계출_${zipFrom}_${zipTo}.zip`);
+    } catch (e: any) {
+      alert(e?.message || "일괄 내려받기 실패");
+    } finally {
+      setZipBusy(false);
+    }
+  }
 
-  async function updateWorklogStatus(id: string, status: "Approved" | "Rejected") {
+  // 월별 승인 건 PDF 묶음 (보관용)
+  const [pdfMonth, setPdfMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  async function downloadMonthPdf() {
+    setZipBusy(true);
     try {
-      const { ok, status: sc, data } = await jsonFetch(`${API_BASE}/api/worklogs/${id}/status`, {
-        method:"PUT",
-        headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ status })
-      });
-      if (!ok || (data as any)?.ok === false) {
-        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${sc}`;
-        throw new Error(msg);
-      }
-      await loadWorklogs();
-    } catch(e:any){
-      alert(e?.message || "상태 변경 실패");
+      await downloadFile(`${API_BASE}/api/forms/export.pdf?month=${pdfMonth}`, `인사계출_${pdfMonth}.pdf`);
+    } catch (e: any) {
+      alert(e?.message || "PDF 묶음 받기 실패");
+    } finally {
+      setZipBusy(false);
     }
   }
 
@@ -200,7 +187,19 @@ export default function HRAdminPage() {
       title="인사 관리자"
       tabs={[
         { key: "leave", label: "연차관리" },
-        { key: "worklog", label: "근무일지" }
+        { key: "calendar", label: "휴가 달력" },
+        { key: "attendance", label: "근태 예외" },
+        { key: "kiosk", label: "키오스크 단말" },
+        { key: "analytics", label: "통계" },
+        { key: "payroll", label: "급여 자료" },
+        { key: "worklog", label: "근무일지" },
+        { key: "holiday", label: "휴일 관리" },
+        { key: "approval", label: "결재선" },
+        { key: "delegation", label: "결재 위임" },
+        { key: "org", label: "조직" },
+        { key: "import", label: "일괄 가져오기" },
+        { key: "template", label: "양식" },
+        { key: "audit", label: "감사 로그" }
       ]}
       activeTab={activeTab}
       onChangeTab={(k)=>setActiveTab(k as any)}
@@ -208,27 +207,64 @@ export default function HRAdminPage() {
     >
       {activeTab==="leave" ? (
         <>
-          <div className="toolbar">
-            <select className="sel" value={dept} onChange={e=>setDept(e.target.value as any)}>
-              {deptList.map(d => <option key={d} value={d}>{d}</option>)}
+          <form className="toolbar" onSubmit={e=>{ e.preventDefault(); loadLeaves(0); }}>
+            <select className="sel" value={dept} onChange={e=>setDept(e.target.value)}>
+              <option value="전체">전체</option>
+              {depts.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
             </select>
             <select className="sel" value={status} onChange={e=>setStatus(e.target.value as any)}>
               {statusList.map(s => <option key={s} value={s}>{s === "전체" ? "전체" : STATUS_KO[s]}</option>)}
             </select>
+            <select className="sel" value={requestType} onChange={e=>setRequestType(e.target.value as any)}>
+              <option value="전체">전체 신청</option>
+              {requestTypes.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+            {(requestType === "전체" || requestType === "leave") && (
+              <select className="sel" value={leaveType} onChange={e=>setLeaveType(e.target.value as any)}>
+                {leaveTypes.map(t => <option key={t} value={t}>{t === "전체" ? "전체 종류" : t}</option>)}
+              </select>
+            )}
+            <input className="inp" type="date" title="휴가 기간 시작" value={from} onChange={e=>setFrom(e.target.value)} />
+            <span>~</span>
+            <input className="inp" type="date" title="휴가 기간 끝" value={to} onChange={e=>setTo(e.target.value)} />
             <input className="inp" placeholder="이름/사번 검색" value={q} onChange={e=>setQ(e.target.value)} />
+            <select className="sel" value={sort} onChange={e=>setSort(e.target.value as any)}>
+              <option value="dateRequested">신청일순</option>
+              <option value="startDate">휴가 시작일순</option>
+              <option value="name">이름순</option>
+              <option value="dept">부서순</option>
+              <option value="status">상태순</option>
+            </select>
+            <select className="sel" value={order} onChange={e=>setOrder(e.target.value as any)}>
+              <option value="desc">내림차순</option>
+              <option value="asc">오름차순</option>
+            </select>
+            <button className="btn btn-ghost" disabled={loading}>조회</button>
+            <span className="badge">총 {total}건</span>
+          </form>
+          <div className="toolbar">
             <select className="sel" value={tpl} onChange={e=>setTpl(e.target.value)}>
               {templates.length === 0
                 ? <option value="">(서버 템플릿 없음)</option>
                 : templates.map(name => <option key={name} value={name}>{name}</option>)}
             </select>
             <button className="btn btn-primary" onClick={loadTemplates}>템플릿 새로고침</button>
-            <button className="btn btn-ghost" onClick={loadLeaveRecent}>새로고침</button>
-            <span className="badge">표시 {filteredLeaves.length}건</span>
+          </div>
+          <div className="toolbar">
+            <input className="inp" type="date" value={zipFrom} onChange={e=>setZipFrom(e.target.value)} />
+            <span>~</span>
+            <input className="inp" type="date" value={zipTo} onChange={e=>setZipTo(e.target.value)} />
+            <button className="btn btn-blue" disabled={zipBusy || !zipFrom || !zipTo} onClick={downloadZip}>
+              {zipBusy ? "만드는 중…" : "기간 양식 ZIP"}
+            </button>
+            <span style={{color:"#64748b", fontSize:13}}>상태 필터 기준 · 휴가 기간이 겹치는 신청</span>
+            <input className="inp" type="month" value={pdfMonth} onChange={e=>setPdfMonth(e.target.value)} />
+            <button className="btn btn-blue" disabled={zipBusy || !pdfMonth} onClick={downloadMonthPdf}>월별 승인 PDF</button>
           </div>
 
           <div className="card">
             <div className="card-body">
-              {loading ? <div style={{color:"#94a3b8"}}>불러오는 중…</div> : error ? (
+              {loading && rows.length === 0 ? <div style={{color:"#94a3b8"}}>불러오는 중…</div> : error ? (
                 <div className="badge" style={{borderColor:"#fecaca", color:"#b91c1c"}}>오류: {error}</div>
               ) : (
                 <div className="tbl-wrap">
@@ -236,13 +272,13 @@ export default function HRAdminPage() {
                     <thead>
                       <tr>
                         <th>신청일</th><th>사번</th><th>이름</th><th>부서</th><th>직급</th>
-                        <th>연차종류</th><th>기간</th><th>상태</th><th>파일</th>
+                        <th>종류</th><th>기간</th><th>상태</th><th>파일</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {filteredLeaves.length===0 ? (
+                      {rows.length===0 ? (
                         <tr><td colSpan={9} style={{padding:12, color:"#94a3b8"}}>표시할 데이터가 없습니다.</td></tr>
-                      ) : filteredLeaves.map(r=>(
+                      ) : rows.map(r=>(
                         <tr key={r.requestId}>
                           <td>{r.dateRequested}</td>
                           <td>{r.empId}</td>
@@ -250,58 +286,15 @@ export default function HRAdminPage() {
                           <td>{r.dept}</td>
                           <td>{r.position}</td>
                           <td>{r.leaveType}</td>
-                          <td>{r.startDate} ~ {r.endDate}</td>
+                          <td>
+                            {r.startDate === r.endDate ? r.startDate : `${r.startDate} ~ ${r.endDate}`}
+                            {r.summary && <div style={{color:"#64748b", fontSize:13}}>{r.summary}</div>}
+                          </td>
                           <td><StatusBadge s={r.status as Status} /></td>
-                          <td><button className="btn btn-blue" onClick={()=>makeExcelForRowFromTemplate(r)}>파일 만들기</button></td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </div>
-          </div>
-        </>
-      ) : (
-        <>
-          <div className="toolbar">
-            <select className="sel" value={wlStatus} onChange={e=>setWlStatus(e.target.value as any)}>
-              {(["전체","Pending","Approved","Rejected"] as const).map(s =>
-                <option key={s} value={s}>{s==="전체" ? "전체" : STATUS_KO[s as Status]}</option>
-              )}
-            </select>
-            <button className="btn btn-ghost" onClick={loadWorklogs}>새로고침</button>
-            {wlErr && <span className="badge" style={{borderColor:'#fecaca', color:'#b91c1c'}}>오류: {wlErr}</span>}
-            <span className="badge">표시 {filteredWl.length}건</span>
-          </div>
-
-          <div className="card">
-            <div className="card-body">
-              {wlLoading ? <div style={{color:"#94a3b8"}}>불러오는 중…</div> : (
-                <div className="tbl-wrap">
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>작성일</th><th>이름</th><th>파일</th><th>서명</th><th>상태</th><th>작업</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {filteredWl.length===0 ? (
-                        <tr><td colSpan={6} style={{padding:12, color:"#94a3b8"}}>표시할 근무일지가 없습니다.</td></tr>
-                      ) : filteredWl.map(w=>(
-                        <tr key={w.id}>
-                          <td>{w.date || w.createdAt?.slice(0,10)}</td>
-                          <td>{w.name}</td>
-                          <td><a className="btn-ghost" href={`${API_BASE}/static/${w.filePath}`} target="_blank" rel="noreferrer">열기</a></td>
-                          <td>{w.signature ? <img className="sig-thumb" src={w.signature} alt="sign" /> : <span style={{ color: "#94a3b8" }}>없음</span>}</td>
-                          <td><StatusBadge s={w.status as Status} /></td>
                           <td style={{display:"flex", gap:8}}>
-                            {w.status==="Pending" ? (
-                              <>
-                                <button className="btn btn-blue" onClick={()=>updateWorklogStatus(w.id,"Approved")}>승인</button>
-                                <button className="btn btn-red" onClick={()=>updateWorklogStatus(w.id,"Rejected")}>거절</button>
-                              </>
-                            ) : <span style={{color:"#64748b"}}>-</span>}
+                            <button className="btn btn-blue" onClick={()=>downloadForm(r)}>파일 만들기</button>
+                            {r.status === "Approved" && <button className="btn btn-ghost" onClick={()=>downloadPdf(r)}>PDF</button>}
+                            {!!r.hasSignature && <button className="btn btn-ghost" onClick={()=>verifySignatures(r)}>서명 검증</button>}
                           </td>
                         </tr>
                       ))}
@@ -309,9 +302,36 @@ export default function HRAdminPage() {
                   </table>
                 </div>
               )}
+              <Pager offset={offset} limit={PAGE_SIZE} total={total} busy={loading} onMove={n=>loadLeaves(n)} />
             </div>
           </div>
         </>
+      ) : activeTab==="calendar" ? (
+        <TeamCalendar />
+      ) : activeTab==="attendance" ? (
+        <AttendanceExceptionPanel />
+      ) : activeTab==="kiosk" ? (
+        <KioskDevicePanel />
+      ) : activeTab==="analytics" ? (
+        <AnalyticsPanel />
+      ) : activeTab==="payroll" ? (
+        <PayrollExportPanel />
+      ) : activeTab==="holiday" ? (
+        <HolidayAdminPanel />
+      ) : activeTab==="approval" ? (
+        <ApprovalLinePanel />
+      ) : activeTab==="delegation" ? (
+        <DelegationPanel manageAll />
+      ) : activeTab==="org" ? (
+        <OrgAdminPanel />
+      ) : activeTab==="import" ? (
+        <ImportPanel />
+      ) : activeTab==="template" ? (
+        <TemplateAdminPanel onChanged={loadTemplates} />
+      ) : activeTab==="audit" ? (
+        <AuditLogPanel />
+      ) : (
+        <WorklogReviewPanel />
       )}
 
     </PageShell>
@@ -0,0 +1,151 @@
+// src/pages/HolidayAdminPanel.tsx — 공휴일/회사 휴무일 관리 (인사 관리자 탭)
+import React, { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { Holiday } from "../components/hr/Shared";
+
+const KIND_KO: Record<Holiday["kind"], string> = { public: "공휴일", closure: "회사 휴무" };
+
+export default function HolidayAdminPanel() {
+  const [year, setYear] = useState(() => new Date().getFullYear());
+  const [rows, setRows] = useState<Holiday[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  const [form, setForm] = useState<{ date: string; name: string; kind: Holiday["kind"] }>({ date: "", name: "", kind: "closure" });
+  const [file, setFile] = useState<File | null>(null);
+  const [importKind, setImportKind] = useState<Holiday["kind"]>("public");
+  const [busy, setBusy] = useState(false);
+
+  async function load() {
+    setLoading(true); setErr(null);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/holidays?year=${year}`);
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setRows((data as any).data as Holiday[]);
+    } catch (e: any) {
+      setErr(e?.message || "휴일 조회 실패");
+    } finally {
+      setLoading(false);
+    }
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { load(); }, [year]);
+
+  async function add(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/holidays`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form)
+      });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setForm(s => ({ ...s, date: "", name: "" }));
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "등록 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(h: Holiday) {
+    if (!h.id || !confirm(`${h.date} ${h.name}을(를) 삭제할까요?`)) return;
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/holidays/${h.id}`, { method: "DELETE" });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "삭제 실패");
+    }
+  }
+
+  async function importFile() {
+    if (!file) { alert("가져올 .ics 또는 .csv 파일을 선택하세요."); return; }
+    setBusy(true);
+    try {
+      const fd = new FormData();
+      fd.append("file", file);
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/holidays/import?kind=${importKind}`, { method: "POST", body: fd });
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      const r = (data as any).data as { imported: number; errors: Array<{ line: number; error: string }> };
+      alert(`${r.imported}건을 가져왔습니다.` + (r.errors.length ? `\n건너뛴 행: ${r.errors.map(x => `${x.line}행 ${x.error}`).join(", ")}` : ""));
+      setFile(null);
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "가져오기 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="toolbar">
+        <button className="btn btn-ghost" onClick={() => setYear(y => y - 1)}>◀</button>
+        <span className="chip">{year}년</span>
+        <button className="btn btn-ghost" onClick={() => setYear(y => y + 1)}>▶</button>
+        <input className="inp" type="file" accept=".ics,.csv,text/calendar,text/csv" onChange={e => setFile(e.target.files?.[0] ?? null)} />
+        <select className="sel" value={importKind} onChange={e => setImportKind(e.target.value as Holiday["kind"])}>
+          <option value="public">공휴일로 가져오기</option>
+          <option value="closure">회사 휴무로 가져오기</option>
+        </select>
+        <button className="btn btn-primary" disabled={busy} onClick={importFile}>달력 가져오기</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+
+      <form className="toolbar" onSubmit={add}>
+        <input className="inp" type="date" value={form.date} onChange={e => setForm(s => ({ ...s, date: e.target.value }))} required />
+        <input className="inp" placeholder="이름 (예: 하계 휴무)" value={form.name} onChange={e => setForm(s => ({ ...s, name: e.target.value }))} required />
+        <select className="sel" value={form.kind} onChange={e => setForm(s => ({ ...s, kind: e.target.value as Holiday["kind"] }))}>
+          <option value="closure">회사 휴무</option>
+          <option value="public">공휴일</option>
+        </select>
+        <button className="btn btn-blue" disabled={busy}>추가</button>
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          {loading ? <div style={{ color: "#94a3b8" }}>불러오는 중…</div> : (
+            <div className="tbl-wrap">
+              <table>
+                <thead>
+                  <tr><th>날짜</th><th>이름</th><th>구분</th><th>작업</th></tr>
+                </thead>
+                <tbody>
+                  {rows.length === 0 ? (
+                    <tr><td colSpan={4} style={{ padding: 12, color: "#94a3b8" }}>등록된 휴일이 없습니다.</td></tr>
+                  ) : rows.map(h => (
+                    <tr key={`${h.date}-${h.kind}-${h.name}`}>
+                      <td>{h.date}</td>
+                      <td>{h.name}</td>
+                      <td>{KIND_KO[h.kind]}{h.builtin ? " (자동)" : ""}</td>
+                      <td>
+                        {h.id
+                          ? <button className="btn btn-red" onClick={() => remove(h)}>삭제</button>
+                          : <span style={{ color: "#64748b" }}>-</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
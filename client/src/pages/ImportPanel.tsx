@@ -0,0 +1,160 @@
+// src/pages/ImportPanel.tsx — 직원 명부 / 과거 휴가 신청 일괄 가져오기 (CSV·xlsx)
+// 파일을 고르면 먼저 미리보기(행별 오류), 오류가 없을 때만 저장. 저장한 묶음은 통째로 되돌릴 수 있음
+import { useEffect, useState } from "react";
+import { API_BASE, downloadFile, jsonFetch } from "../components/hr/Shared";
+import type { ImportBatch, ImportKind, ImportResult } from "../components/hr/Shared";
+
+const KIND_KO: Record<ImportKind, string> = { employees: "직원 명부", requests: "과거 휴가 신청" };
+const KIND_NOTE: Record<ImportKind, string> = {
+  employees: "사번·이름·부서·직급 필수. 상사사번은 같은 파일의 직원도 됩니다. 아이디를 적으면 로그인 계정과 연결합니다.",
+  requests: "신청서와 같은 항목이 필요합니다 (서명 제외). 상태는 승인/반려/취소 — 비우면 승인, 승인 건은 연차에서 차감합니다.",
+};
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    const err = new Error(msg) as Error & { data?: unknown };
+    err.data = (data as any)?.data;
+    throw err;
+  }
+  return data as any;
+}
+
+export default function ImportPanel() {
+  const [kind, setKind] = useState<ImportKind>("employees");
+  const [file, setFile] = useState<File | null>(null);
+  const [preview, setPreview] = useState<ImportResult | null>(null);
+  const [batches, setBatches] = useState<ImportBatch[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function loadBatches() {
+    try {
+      setBatches((await call(`${API_BASE}/api/imports`)).data as ImportBatch[]);
+    } catch (e: any) {
+      setErr(e?.message || "이력 조회 실패");
+    }
+  }
+  useEffect(() => { loadBatches(); }, []);
+  useEffect(() => { setPreview(null); }, [kind, file]);
+
+  async function send(dryRun: boolean) {
+    if (!file) { alert("가져올 .csv 또는 .xlsx 파일을 선택하세요."); return; }
+    setBusy(true); setErr(null);
+    try {
+      const fd = new FormData();
+      fd.append("file", file);
+      const r = (await call(`${API_BASE}/api/imports/${kind}?dryRun=${dryRun ? 1 : 0}`, { method: "POST", body: fd })).data as ImportResult;
+      setPreview(r);
+      if (!dryRun) {
+        alert(`${r.total}건을 가져왔습니다.`);
+        setFile(null);
+        await loadBatches();
+      }
+    } catch (e: any) {
+      if (e?.data) setPreview(e.data as ImportResult);
+      setErr(e?.message || "가져오기 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function rollback(b: ImportBatch) {
+    if (!confirm(`${b.fileName} (${KIND_KO[b.kind]} ${b.rowCount}건)을 되돌릴까요? 가져온 행이 모두 삭제됩니다.`)) return;
+    try {
+      await call(`${API_BASE}/api/imports/${b.id}/rollback`, { method: "POST" });
+      await loadBatches();
+    } catch (e: any) {
+      alert(e?.message || "되돌리기 실패");
+    }
+  }
+
+  async function template() {
+    try {
+      await downloadFile(`${API_BASE}/api/imports/${kind}/template.csv`, `가져오기_${KIND_KO[kind]}.csv`);
+    } catch (e: any) {
+      alert(e?.message || "양식 받기 실패");
+    }
+  }
+
+  const canCommit = !!preview && preview.dryRun && preview.invalid === 0 && !busy;
+
+  return (
+    <>
+      <div className="toolbar">
+        <select className="sel" value={kind} onChange={e => setKind(e.target.value as ImportKind)}>
+          {(Object.keys(KIND_KO) as ImportKind[]).map(k => <option key={k} value={k}>{KIND_KO[k]}</option>)}
+        </select>
+        <input className="inp" type="file" accept=".csv,.xlsx,text/csv" onChange={e => setFile(e.target.files?.[0] ?? null)} />
+        <button className="btn btn-ghost" disabled={busy || !file} onClick={() => send(true)}>미리보기</button>
+        <button className="btn btn-primary" disabled={!canCommit} onClick={() => send(false)}>가져오기</button>
+        <button className="btn btn-ghost" onClick={template}>머리글 양식</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+      <div style={{ color: "#64748b", fontSize: 13, marginBottom: 12 }}>{KIND_NOTE[kind]} 한 행이라도 오류가 있으면 아무것도 저장하지 않습니다.</div>
+
+      {preview && (
+        <div className="card" style={{ marginBottom: 16 }}>
+          <div className="card-body">
+            <div className="toolbar" style={{ marginTop: 0 }}>
+              <span className="chip">{preview.dryRun ? "미리보기" : "결과"}</span>
+              <span>전체 {preview.total}행</span>
+              <span style={{ color: preview.invalid ? "#b91c1c" : "#16a34a", fontWeight: 700 }}>
+                {preview.invalid ? `오류 ${preview.invalid}행` : "오류 없음"}
+              </span>
+              {preview.unknownHeaders.length > 0 && (
+                <span style={{ color: "#64748b", fontSize: 13 }}>무시한 열: {preview.unknownHeaders.join(", ")}</span>
+              )}
+            </div>
+            <div className="tbl-wrap">
+              <table>
+                <thead><tr><th>행</th><th>내용</th><th>오류</th></tr></thead>
+                <tbody>
+                  {preview.rows.map(r => (
+                    <tr key={r.line} style={r.errors.length ? { background: "#fef2f2" } : undefined}>
+                      <td>{r.line}</td>
+                      <td>{r.label}</td>
+                      <td style={{ color: "#b91c1c" }}>{r.errors.join(" · ") || "-"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>가져온 시각</th><th>종류</th><th>파일</th><th>행 수</th><th>가져온 사람</th><th>상태</th><th></th></tr>
+              </thead>
+              <tbody>
+                {batches.length === 0 ? (
+                  <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>가져온 기록이 없습니다.</td></tr>
+                ) : batches.map(b => (
+                  <tr key={b.id}>
+                    <td>{b.createdAt.replace("T", " ")}</td>
+                    <td>{KIND_KO[b.kind]}</td>
+                    <td>{b.fileName}</td>
+                    <td>{b.rowCount}</td>
+                    <td>{b.createdByName ?? b.createdBy ?? "-"}</td>
+                    <td>
+                      {b.status === "committed" ? "저장됨" : `되돌림 (${b.rolledBackByName ?? "-"}, ${b.rolledBackAt?.replace("T", " ") ?? ""})`}
+                    </td>
+                    <td>
+                      {b.status === "committed" && <button className="btn btn-ghost" onClick={() => rollback(b)}>되돌리기</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,125 @@
+// src/pages/KioskDevicePanel.tsx — 키오스크 단말 (인사 관리자 탭)
+// 공용 단말을 등록하면 단말 토큰을 한 번만 보여 줌 → 그 단말의 /kiosk 화면에 붙여 넣음
+// 토큰은 출퇴근 기록만 할 수 있음. 잃어버렸거나 단말을 치우면 중지
+import { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { Department, KioskDevice } from "../components/hr/Shared";
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const d = data as any;
+    const field = d?.fieldErrors ? Object.values(d.fieldErrors as Record<string, string[]>).flat()[0] : undefined;
+    throw new Error(typeof data === "string" ? data : field || d?.error || `HTTP ${status}`);
+  }
+  return data as any;
+}
+
+export default function KioskDevicePanel() {
+  const [rows, setRows] = useState<KioskDevice[]>([]);
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [name, setName] = useState("");
+  const [deptId, setDeptId] = useState("");
+  const [issued, setIssued] = useState<{ name: string; token: string } | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load() {
+    setErr(null);
+    try {
+      setRows((await call(`${API_BASE}/api/kiosk-devices`)).data as KioskDevice[]);
+    } catch (e: any) {
+      setErr(e?.message || "단말 조회 실패");
+    }
+  }
+  useEffect(() => {
+    load();
+    call(`${API_BASE}/api/departments`).then(r => setDepts(r.data)).catch(() => setDepts([]));
+  }, []);
+
+  async function create() {
+    setBusy(true);
+    setErr(null);
+    try {
+      const d = await call(`${API_BASE}/api/kiosk-devices`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: name.trim(), deptId: deptId || null }),
+      });
+      setIssued({ name: d.data.name, token: d.token });
+      setName(""); setDeptId("");
+      await load();
+    } catch (e: any) {
+      setErr(e?.message || "단말 등록 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revoke(x: KioskDevice) {
+    if (!confirm(`'${x.name}' 단말을 중지할까요? 그 단말에서는 더 이상 출퇴근을 기록할 수 없습니다.`)) return;
+    try {
+      await call(`${API_BASE}/api/kiosk-devices/${x.id}/revoke`, { method: "POST" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "단말 중지 실패");
+    }
+  }
+
+  return (
+    <>
+      <div className="toolbar">
+        <input className="inp" placeholder="단말 이름 (예: 1공장 현관)" value={name} onChange={e => setName(e.target.value)} />
+        <select className="sel" value={deptId} onChange={e => setDeptId(e.target.value)}>
+          <option value="">전체 부서</option>
+          {depts.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+        </select>
+        <button className="btn btn-blue" disabled={busy || !name.trim()} onClick={create}>{busy ? "등록 중…" : "단말 등록"}</button>
+        <button className="btn btn-ghost" onClick={load}>새로고침</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+
+      {issued && (
+        <div className="card">
+          <div className="card-body" style={{ display: "grid", gap: 8 }}>
+            <div><b>{issued.name}</b> 단말 토큰 — 지금 한 번만 보입니다. 단말의 출퇴근 키오스크 화면(/kiosk)에 붙여 넣으세요.</div>
+            <input className="inp" readOnly value={issued.token} onFocus={e => e.target.select()} style={{ fontFamily: "monospace" }} />
+            <div style={{ display: "flex", gap: 8 }}>
+              <button className="btn btn-ghost" onClick={() => navigator.clipboard?.writeText(issued.token)}>복사</button>
+              <button className="btn btn-ghost" onClick={() => setIssued(null)}>닫기</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>단말</th><th>부서</th><th>등록</th><th>마지막 사용</th><th>상태</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={5} style={{ padding: 12, color: "#94a3b8" }}>등록된 단말이 없습니다.</td></tr>
+                ) : rows.map(x => (
+                  <tr key={x.id}>
+                    <td>{x.name}</td>
+                    <td>{x.dept ?? "전체"}</td>
+                    <td>{x.createdAt.slice(0, 16).replace("T", " ")} ({x.createdByName ?? "-"})</td>
+                    <td>{x.lastUsedAt ? x.lastUsedAt.slice(0, 16).replace("T", " ") : "-"}</td>
+                    <td>
+                      {x.revokedAt
+                        ? <span className="chip">중지 {x.revokedAt.slice(0, 10)}</span>
+                        : <button className="btn btn-ghost" onClick={() => revoke(x)}>중지</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
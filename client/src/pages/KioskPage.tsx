@@ -0,0 +1,149 @@
+// src/pages/KioskPage.tsx — 공용 단말 출퇴근 (로그인 없이, 인사/관리자가 등록한 단말 토큰으로)
+// 직원이 사번을 넣고 직접 서명 → 출근/퇴근. 기록할 때마다 입력을 비워 다음 사람이 바로 쓰게
+// 단말 토큰은 키오스크 API만 쓸 수 있음. 등록하면 이 브라우저의 로그인 세션은 로그아웃
+import { useEffect, useState } from "react";
+import { useAuth } from "../auth/AuthContext";
+import { API_BASE, PageShell, SignaturePad } from "../components/hr/Shared";
+import type { AttendanceRecord } from "../components/hr/Shared";
+
+type Result = { tone: "ok" | "error"; text: string };
+type Device = { id: string; name: string; dept: string | null };
+
+const TOKEN_KEY = "lm_kiosk_token";
+
+// 로그인 토큰을 붙이는 authFetch 대신 단말 토큰만 보냄
+async function kioskCall(token: string, path: string, body?: unknown) {
+  const r = await fetch(`${API_BASE}/api/attendance/kiosk/${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { Authorization: `Kiosk ${token}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await r.json().catch(() => null);
+  if (r.ok && data?.ok !== false) return data;
+  const field = data?.fieldErrors ? Object.values(data.fieldErrors as Record<string, string[]>).flat()[0] : undefined;
+  throw Object.assign(new Error(field || data?.error || `HTTP ${r.status}`), { code: data?.code as string | undefined });
+}
+
+export default function KioskPage() {
+  const { user, logout } = useAuth();
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [device, setDevice] = useState<Device | null>(null);
+  const [code, setCode] = useState("");
+  const [empId, setEmpId] = useState("");
+  const [signature, setSignature] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState<Result | null>(null);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(t);
+  }, []);
+  // 결과 안내는 잠시 뒤 지움
+  useEffect(() => {
+    if (!result) return;
+    const t = setTimeout(() => setResult(null), 6000);
+    return () => clearTimeout(t);
+  }, [result]);
+  // 단말 확인 — 중지된 단말이면 토큰을 지우고 등록 화면으로
+  useEffect(() => {
+    if (!token) { setDevice(null); return; }
+    kioskCall(token, "device")
+      .then(d => setDevice(d.data as Device))
+      .catch((e: any) => {
+        if (e?.code === "KIOSK_UNREGISTERED") forget(e.message);
+        else setResult({ tone: "error", text: e?.message || "연결 안 됨" });
+      });
+  }, [token]);
+
+  function forget(message: string) {
+    localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setResult({ tone: "error", text: message });
+  }
+
+  function register() {
+    const t = code.trim();
+    if (!t) return;
+    if (user) logout();
+    localStorage.setItem(TOKEN_KEY, t);
+    setToken(t);
+    setCode("");
+  }
+
+  async function clock(action: "clock-in" | "clock-out") {
+    if (!token) return;
+    if (!empId.trim()) { setResult({ tone: "error", text: "사번을 입력하세요." }); return; }
+    if (!signature) { setResult({ tone: "error", text: "서명해 주세요." }); return; }
+    setBusy(true);
+    try {
+      const data = await kioskCall(token, action, { empId: empId.trim(), signatureDataUrl: signature });
+      const r = data.data as AttendanceRecord;
+      const at = (action === "clock-in" ? r.clockIn : r.clockOut ?? "").slice(11, 16);
+      setResult({ tone: "ok", text: `${r.name ?? empId}님 ${action === "clock-in" ? "출근" : "퇴근"} ${at}` });
+      setEmpId(""); setSignature("");
+    } catch (e: any) {
+      if (e?.code === "KIOSK_UNREGISTERED") forget(e.message);
+      else setResult({ tone: "error", text: e?.message || "기록 실패" });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const resultBadge = result && (
+    <div className="badge" style={{
+      fontSize: 18, justifyContent: "center",
+      ...(result.tone === "error" ? { borderColor: "#fecaca", color: "#b91c1c" } : { borderColor: "#bbf7d0", color: "#15803d" }),
+    }}>
+      {result.text}
+    </div>
+  );
+
+  if (!token) {
+    return (
+      <PageShell title="출퇴근 키오스크 — 단말 등록">
+        <div className="card" style={{ maxWidth: 560, margin: "0 auto" }}>
+          <div className="card-body" style={{ display: "grid", gap: 14 }}>
+            <div style={{ color: "#64748b" }}>
+              인사 관리자 화면의 '키오스크 단말' 탭에서 단말을 등록하고 받은 단말 토큰을 붙여 넣으세요.
+              {user && " 등록하면 이 브라우저의 로그인은 로그아웃됩니다."}
+            </div>
+            <label className="field">
+              <span className="field-label">단말 토큰</span>
+              <input className="inp" value={code} onChange={e => setCode(e.target.value)} autoComplete="off" />
+            </label>
+            <button className="btn btn-primary" disabled={!code.trim()} onClick={register}>이 단말 등록</button>
+            {resultBadge}
+          </div>
+        </div>
+      </PageShell>
+    );
+  }
+
+  return (
+    <PageShell title="출퇴근 키오스크"
+      right={device && <span className="badge">{device.name}{device.dept ? ` · ${device.dept}` : ""}</span>}>
+      <div className="card" style={{ maxWidth: 560, margin: "0 auto" }}>
+        <div className="card-body" style={{ display: "grid", gap: 14 }}>
+          <div style={{ fontSize: 32, fontWeight: 800, textAlign: "center" }}>
+            {now.toLocaleTimeString("ko-KR", { hour: "2-digit", minute: "2-digit", second: "2-digit" })}
+          </div>
+          <label className="field">
+            <span className="field-label">사번</span>
+            <input className="inp" inputMode="numeric" autoFocus value={empId} onChange={e => setEmpId(e.target.value)}
+              style={{ fontSize: 22 }} />
+          </label>
+          <label className="field">
+            <span className="field-label">서명</span>
+            <SignaturePad value={signature} onChange={sig => setSignature(sig || "")} />
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+            <button className="btn btn-primary" style={{ fontSize: 20, padding: 16 }} disabled={busy} onClick={() => clock("clock-in")}>출근</button>
+            <button className="btn btn-blue" style={{ fontSize: 20, padding: 16 }} disabled={busy} onClick={() => clock("clock-out")}>퇴근</button>
+          </div>
+          {resultBadge}
+        </div>
+      </div>
+    </PageShell>
+  );
+}
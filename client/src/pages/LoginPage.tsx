@@ -29,10 +29,10 @@ export default function LoginPage() {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
         throw new Error(msg);
       }
-      const j = data as any; // { ok:true, token, user }
+      const j = data as any; // { ok:true, token, refreshToken, user }
       if (!j?.ok || !j?.token || !j?.user) throw new Error((j && j.error) || "로그인 실패");
-      login(j.token, j.user);
-      navigate(defaultPathForRole(j.user.role || null));
+      login(j.token, j.user, j.refreshToken);
+      navigate(j.user.mustChangePassword ? "/password" : defaultPathForRole(j.user.role || null));
     } catch (e: any) {
       setErr(e?.message || "로그인 실패");
     } finally {
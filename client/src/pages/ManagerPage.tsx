@@ -1,34 +1,36 @@
 // src/pages/ManagerPage.tsx
-import React, { useEffect, useMemo, useState } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../auth/AuthContext";
-import {
-  API_BASE, Status, STATUS_KO, LeaveRequestAPI, WorklogRow,
-  jsonFetch, StatusBadge, SignaturePad, PageShell
-} from "../components/hr/Shared";
+import { API_BASE, jsonFetch, SignaturePad, PageShell } from "../components/hr/Shared";
+import type { PendingApproval, RequestConflicts } from "../components/hr/Shared";
+import WorklogReviewPanel from "./WorklogReviewPanel";
+import TeamCalendar from "./TeamCalendar";
+import DelegationPanel from "./DelegationPanel";
 
 export default function ManagerPage() {
-  const { logout } = useAuth();
+  const { user, logout } = useAuth();
   const navigate = useNavigate();
   const handleLogout = () => { logout(); navigate("/login"); };
+  const canReviewWorklogs = user?.role === "manager" || user?.role === "admin";
+  const canDelegate = user?.role === "manager";
 
-  const [tab, setTab] = useState<"requests"|"worklogs">("requests");
+  const [tab, setTab] = useState<"requests"|"calendar"|"worklogs"|"delegation">("requests");
 
-  // 연차
-  const [rows, setRows] = useState<LeaveRequestAPI[]>([]);
+  // 연차 — 내 결재 차례인 신청만
+  const [rows, setRows] = useState<PendingApproval[]>([]);
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState<string|null>(null);
-  const [statusFilter, setStatusFilter] = useState<"전체"|Status>("Pending");
 
   async function loadRequests(){
     setLoading(true); setErr(null);
     try {
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests`);
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/approvals/pending`);
       if (!ok || (data as any)?.ok === false) {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
         throw new Error(msg);
       }
-      setRows((data as any).data as LeaveRequestAPI[]);
+      setRows((data as any).data as PendingApproval[]);
     } catch(e:any){
       setErr(e?.message || "목록 조회 실패");
     } finally {
@@ -37,19 +39,14 @@ export default function ManagerPage() {
   }
   useEffect(()=>{ loadRequests(); }, []);
 
-  const filtered = useMemo(()=>{
-    let list = rows.slice();
-    if (statusFilter !== "전체") list = list.filter(r=>r.status === statusFilter);
-    list.sort((a,b)=>(a.dateRequested < b.dateRequested ? 1 : -1));
-    return list;
-  }, [rows, statusFilter]);
-
   async function reject(id:string){
+    const comment = prompt("반려 사유를 입력하세요. (선택)");
+    if (comment === null) return;
     try {
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/${id}/status`, {
-        method:"PUT",
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/${id}/reject`, {
+        method:"POST",
         headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ status:"Rejected" })
+        body: JSON.stringify({ comment: comment.trim() || undefined })
       });
       if (!ok || (data as any)?.ok === false) {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
@@ -67,10 +64,18 @@ export default function ManagerPage() {
   const [signDataUrl, setSignDataUrl] = useState<string | null>(null);
   const [signBusy, setSignBusy] = useState(false);
   const [signErr, setSignErr] = useState<string | null>(null);
+  const [signComment, setSignComment] = useState("");
+  // 겹치는 동료 휴가 / 최소 인원 미달 / 업무인수자 부재 경고
+  const [conflicts, setConflicts] = useState<RequestConflicts | null>(null);
 
   const openApproveWithSign = (id: string) => {
-    setSignTargetId(id); setSignDataUrl(null); setSignErr(null); setSignOpen(true);
+    setSignTargetId(id); setSignDataUrl(null); setSignErr(null); setSignComment(""); setSignOpen(true);
+    setConflicts(null);
+    jsonFetch(`${API_BASE}/api/requests/${id}/conflicts`).then(({ ok, data }) => {
+      if (ok && (data as any)?.ok) setConflicts((data as any).data as RequestConflicts);
+    });
   };
+  const signTarget = rows.find(r => r.requestId === signTargetId);
   const submitApproval = async () => {
     if (!signTargetId) return;
     if (!signDataUrl) { setSignErr("서명을 입력하세요."); return; }
@@ -79,7 +84,7 @@ export default function ManagerPage() {
       const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests/${signTargetId}/approve`, {
         method:"POST",
         headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ signatureDataUrl: signDataUrl })
+        body: JSON.stringify({ signatureDataUrl: signDataUrl, comment: signComment.trim() || undefined })
       });
       if (!ok || (data as any)?.ok === false) {
         const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
@@ -94,72 +99,28 @@ export default function ManagerPage() {
     }
   };
 
-  // 근무일지
-  const [wls, setWls] = useState<WorklogRow[]>([]);
-  const [wlErr, setWlErr] = useState<string|null>(null);
-  const [wlLoading, setWlLoading] = useState(false);
-  const [wlStatus, setWlStatus] = useState<"전체"|"Pending"|"Approved"|"Rejected">("전체");
-
-  async function loadWorklogs(){
-    setWlLoading(true); setWlErr(null);
-    try {
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/worklogs`);
-      if (!ok || (data as any)?.ok === false) {
-        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
-        throw new Error(msg);
-      }
-      setWls((data as any).data as WorklogRow[]);
-    } catch(e:any){
-      setWlErr(e?.message || "근무일지 조회 실패");
-    } finally {
-      setWlLoading(false);
-    }
-  }
-  useEffect(()=>{ if (tab==="worklogs") loadWorklogs(); }, [tab]);
-
-  const filteredWl = useMemo(()=>{
-    let list = wls.slice();
-    if (wlStatus !== "전체") list = list.filter(x=>x.status === wlStatus);
-    return list;
-  }, [wls, wlStatus]);
-
-  async function updateWorklogStatus(id: string, status: "Approved" | "Rejected") {
-    try {
-      const { ok, status: sc, data } = await jsonFetch(`${API_BASE}/api/worklogs/${id}/status`, {
-        method:"PUT",
-        headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ status })
-      });
-      if (!ok || (data as any)?.ok === false) {
-        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${sc}`;
-        throw new Error(msg);
-      }
-      await loadWorklogs();
-    } catch(e:any){
-      alert(e?.message || "상태 변경 실패");
-    }
-  }
-
   return (
     <PageShell
       title="상사 검토"
       tabs={[
         { key: "requests", label: "연차 신청" },
-        { key: "worklogs", label: "근무일지" }
+        { key: "calendar", label: "팀 달력" },
+        ...(canReviewWorklogs ? [{ key: "worklogs", label: "근무일지" }] : []),
+        ...(canDelegate ? [{ key: "delegation", label: "결재 위임" }] : [])
       ]}
       activeTab={tab}
       onChangeTab={(k)=>setTab(k as any)}
-      right={<button className="btn-ghost" onClick={handleLogout}>로그아웃</button>}
+      right={
+        <div style={{display:"flex", gap:8}}>
+          <button className="btn-ghost" onClick={()=>navigate("/password")}>비밀번호 변경</button>
+          <button className="btn-ghost" onClick={handleLogout}>로그아웃</button>
+        </div>
+      }
     >
       {tab==="requests" ? (
         <>
           <div className="toolbar">
-            <span className="chip">상태</span>
-            <select className="sel" value={statusFilter} onChange={e=>setStatusFilter(e.target.value as any)}>
-              {(["전체","Pending","Approved","Rejected","Canceled"] as const).map(s =>
-                <option key={s} value={s}>{s==="전체" ? "전체" : STATUS_KO[s as Status]}</option>
-              )}
-            </select>
+            <span className="chip">내 결재 대기 {rows.length}건</span>
             <button className="btn btn-primary" onClick={loadRequests}>새로고침</button>
             {err && <span className="badge" style={{borderColor:"#fecaca", color:"#b91c1c"}}>오류: {err}</span>}
           </div>
@@ -173,17 +134,16 @@ export default function ManagerPage() {
                       <tr>
                         <th>신청일</th><th>사번</th><th>이름</th><th>부서</th><th>직급</th>
 
-                        <th>연차종류</th><th>기간</th><th>상태</th><th>작업</th>
+                        <th>종류</th><th>기간</th><th>일수</th><th>결재 단계</th><th>작업</th>
 
                       </tr>
                     </thead>
                     <tbody>
-                      {filtered.length===0 ? (
+                      {rows.length===0 ? (
 
-                        <tr><td colSpan={9} style={{padding:12, color:"#94a3b8"}}>표시할 데이터가 없습니다.</td></tr>
+                        <tr><td colSpan={10} style={{padding:12, color:"#94a3b8"}}>결재할 신청이 없습니다.</td></tr>
 
-                      ) : filtered.map(r=>{
-                        const pending = r.status === "Pending";
+                      ) : rows.map(r=>{
                         return (
                           <tr key={r.requestId}>
                             <td>{r.dateRequested}</td>
@@ -192,17 +152,21 @@ export default function ManagerPage() {
                             <td>{r.dept}</td>
                             <td>{r.position}</td>
                             <td>{r.leaveType}</td>
-                            <td>{r.startDate} ~ {r.endDate}</td>
-
-           
-                            <td><StatusBadge s={r.status as Status} /></td>
+                            <td>
+                              {r.startDate === r.endDate ? r.startDate : `${r.startDate} ~ ${r.endDate}`}
+                              {r.summary && <div style={{color:"#64748b", fontSize:13}}>{r.summary}</div>}
+                            </td>
+                            <td>{r.days ?? "-"}</td>
+                            <td>
+                              {r.stepPhase === "cancel"
+                                ? <span className="chip" title={r.cancelReason || undefined}>취소 요청</span>
+                                : <span className="chip">{r.stepLabel} ({r.stepNo}/{r.totalSteps})</span>}
+                              {r.prevRequestId && <span className="badge" style={{ marginLeft: 4 }}>정정</span>}
+                              {r.onBehalfOfName && <span className="badge" style={{ marginLeft: 4 }}>{r.onBehalfOfName} 대신</span>}
+                            </td>
                             <td style={{display:"flex", gap:8}}>
-                              {pending ? (
-                                <>
-                                  <button className="btn btn-blue" onClick={()=>openApproveWithSign(r.requestId)}>승인</button>
-                                  <button className="btn btn-red" onClick={()=>reject(r.requestId)}>거절</button>
-                                </>
-                              ) : <span style={{color:"#64748b"}}>-</span>}
+                              <button className="btn btn-blue" onClick={()=>openApproveWithSign(r.requestId)}>승인</button>
+                              <button className="btn btn-red" onClick={()=>reject(r.requestId)}>거절</button>
                             </td>
                           </tr>
                         );
@@ -214,63 +178,42 @@ export default function ManagerPage() {
             </div>
           </div>
         </>
+      ) : tab==="calendar" ? (
+        <TeamCalendar />
+      ) : tab==="delegation" ? (
+        <DelegationPanel />
       ) : (
-        <>
-          <div className="toolbar">
-            <select className="sel" value={wlStatus} onChange={e=>setWlStatus(e.target.value as any)}>
-              {(["전체","Pending","Approved","Rejected"] as const).map(s =>
-                <option key={s} value={s}>{s==="전체" ? "전체" : STATUS_KO[s as Status]}</option>
-              )}
-            </select>
-            <button className="btn btn-primary" onClick={loadWorklogs}>새로고침</button>
-            {wlErr && <span className="badge" style={{borderColor:"#fecaca", color:"#b91c1c"}}>오류: {wlErr}</span>}
-          </div>
-
-          <div className="card">
-            <div className="card-body">
-              {wlLoading ? <div style={{color:"#94a3b8"}}>불러오는 중…</div> : (
-                <div className="tbl-wrap">
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>작성일</th><th>이름</th><th>파일</th><th>서명</th><th>상태</th><th>작업</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {filteredWl.length===0 ? (
-                        <tr><td colSpan={6} style={{padding:12, color:"#94a3b8"}}>표시할 근무일지가 없습니다.</td></tr>
-                      ) : filteredWl.map(w=>(
-                        <tr key={w.id}>
-                          <td>{w.date || w.createdAt?.slice(0,10)}</td>
-                          <td>{w.name}</td>
-                          <td><a className="btn-ghost" href={`${API_BASE}/static/${w.filePath}`} target="_blank" rel="noreferrer">열기</a></td>
-                          <td>{w.signature ? <img className="sig-thumb" src={w.signature} alt="sign" /> : <span style={{ color: "#94a3b8" }}>없음</span>}</td>
-                          <td><StatusBadge s={w.status as Status} /></td>
-                          <td style={{display:"flex", gap:8}}>
-                            {w.status==="Pending" ? (
-                              <>
-                                <button className="btn btn-blue" onClick={()=>updateWorklogStatus(w.id,"Approved")}>승인</button>
-                                <button className="btn btn-red" onClick={()=>updateWorklogStatus(w.id,"Rejected")}>거절</button>
-                              </>
-                            ) : <span style={{color:"#64748b"}}>-</span>}
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-            </div>
-          </div>
-        </>
+        <WorklogReviewPanel />
       )}
 
       {signOpen && (
         <div className="modal" onClick={() => !signBusy && setSignOpen(false)}>
           <div className="modal-card" onClick={e=>e.stopPropagation()}>
             <div className="modal-head">승인 서명</div>
-            <div className="modal-sub">승인을 위해 서명을 입력하세요.</div>
+            <div className="modal-sub">
+              {signTarget?.stepPhase === "cancel"
+                ? "취소를 승인하면 차감된 연차가 복원됩니다."
+                : signTarget && signTarget.stepNo < signTarget.totalSteps
+                ? `${signTarget.stepLabel} 결재 후 다음 단계로 넘어갑니다.`
+                : "최종 승인을 위해 서명을 입력하세요."}
+              {signTarget?.onBehalfOfName && ` 위임받은 결재로 ${signTarget.onBehalfOfName} 대신 서명한 것으로 기록됩니다.`}
+            </div>
+            {signTarget?.stepPhase !== "cancel" && !!conflicts?.warnings.length && (
+              <div style={{ border: "2px solid #fde68a", background: "#fffbeb", borderRadius: 12, padding: "8px 12px", marginBottom: 10, color: "#92400e", fontSize: 14 }}>
+                <b>확인 필요</b>
+                <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                  {conflicts.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                </ul>
+              </div>
+            )}
             <SignaturePad onChange={setSignDataUrl} />
+            <input
+              className="inp"
+              style={{ marginTop: 8, maxWidth: "100%" }}
+              placeholder="의견 (선택)"
+              value={signComment}
+              onChange={e=>setSignComment(e.target.value)}
+            />
             {signErr && <p style={{ color: "#dc2626", marginTop: 8 }}>{signErr}</p>}
             <div style={{display:'flex',gap:8,justifyContent:'flex-end',marginTop:12}}>
               <button className="btn btn-ghost" disabled={signBusy} onClick={()=>setSignOpen(false)}>취소</button>
@@ -0,0 +1,91 @@
+// src/pages/NotificationSettingsPage.tsx — 본인 알림 받기 설정 (종류별 화면/메일, 메일 주소)
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/AuthContext";
+import { API_BASE, PageShell, jsonFetch } from "../components/hr/Shared";
+import type { NotificationPref } from "../components/hr/Shared";
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const fe = (data as any)?.fieldErrors;
+    const first = fe && (Object.values(fe)[0] as string[] | undefined)?.[0];
+    const msg = typeof data === "string" ? data : first || (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+export default function NotificationSettingsPage() {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const handleLogout = () => { logout(); navigate("/login"); };
+
+  const [email, setEmail] = useState("");
+  const [mailEnabled, setMailEnabled] = useState(true);
+  const [prefs, setPrefs] = useState<NotificationPref[]>([]);
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    call(`${API_BASE}/api/notifications/prefs`)
+      .then(j => {
+        setEmail(j.data.email ?? "");
+        setMailEnabled(j.data.mailEnabled);
+        setPrefs(j.data.prefs as NotificationPref[]);
+      })
+      .catch((e: any) => setErr(e?.message || "설정 조회 실패"));
+  }, []);
+
+  const toggle = (type: string, key: "inApp" | "email") =>
+    setPrefs(list => list.map(p => p.type === type ? { ...p, [key]: !p[key] } : p));
+
+  async function save(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true); setErr(null);
+    try {
+      await call(`${API_BASE}/api/notifications/prefs`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim() || null, prefs: prefs.map(({ type, inApp, email }) => ({ type, inApp, email })) })
+      });
+      alert("알림 설정을 저장했습니다.");
+    } catch (e: any) {
+      setErr(e?.message || "저장 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <PageShell title="알림 설정" right={<button className="btn-ghost" onClick={handleLogout}>로그아웃</button>}>
+      <form className="card" style={{ maxWidth: 640 }} onSubmit={save}>
+        <div className="card-body" style={{ display: "grid", gap: 10 }}>
+          <div className="toolbar" style={{ margin: 0 }}>
+            <label className="chip">메일 주소</label>
+            <input className="inp" type="email" placeholder="name@example.com" value={email} onChange={e => setEmail(e.target.value)} />
+          </div>
+          {!mailEnabled && <div style={{ color: "#92400e", fontSize: 13 }}>서버에서 메일 발송이 꺼져 있어 화면 알림만 받습니다.</div>}
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>알림</th><th>화면</th><th>메일</th></tr>
+              </thead>
+              <tbody>
+                {prefs.map(p => (
+                  <tr key={p.type}>
+                    <td>{p.label}</td>
+                    <td><input type="checkbox" checked={p.inApp} onChange={() => toggle(p.type, "inApp")} /></td>
+                    <td><input type="checkbox" checked={p.email} disabled={!email.trim()} onChange={() => toggle(p.type, "email")} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</div>}
+          <button className="btn btn-primary" disabled={busy}>{busy ? "저장 중…" : "저장"}</button>
+        </div>
+      </form>
+    </PageShell>
+  );
+}
@@ -0,0 +1,339 @@
+// src/pages/OrgAdminPanel.tsx — 부서/직원/보고 관계/최소 근무 인원 관리 (인사 관리자 탭)
+import React, { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type {
+  Department, Employee, StaffingRule, StaffingShift, UserAccount, WorkShift
+} from "../components/hr/Shared";
+
+type EmployeeForm = {
+  userId: string;
+  empId: string;
+  name: string;
+  deptId: string;
+  position: string;
+  hireDate: string;
+  managerId: string;
+  contact: string;
+  shift: WorkShift;
+  active: boolean;
+};
+
+const EMPTY_FORM: EmployeeForm = {
+  userId: "", empId: "", name: "", deptId: "", position: "", hireDate: "", managerId: "", contact: "", shift: "주간", active: true
+};
+const STAFFING_SHIFTS: StaffingShift[] = ["전체", "주간", "야간"];
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return (data as any).data;
+}
+
+export default function OrgAdminPanel() {
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [emps, setEmps] = useState<Employee[]>([]);
+  const [users, setUsers] = useState<UserAccount[]>([]);
+  const [rules, setRules] = useState<StaffingRule[]>([]);
+  const [ruleForm, setRuleForm] = useState<{ deptId: string; shift: StaffingShift; minStaff: string }>({ deptId: "", shift: "전체", minStaff: "" });
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const [newDept, setNewDept] = useState("");
+  const [editingId, setEditingId] = useState<string | null>(null); // null: 신규 등록
+  const [form, setForm] = useState<EmployeeForm>(EMPTY_FORM);
+  const [deptFilter, setDeptFilter] = useState("");
+
+  async function load() {
+    setErr(null);
+    try {
+      const [d, e, u, r] = await Promise.all([
+        call(`${API_BASE}/api/departments`),
+        call(`${API_BASE}/api/employees`),
+        call(`${API_BASE}/api/users`),
+        call(`${API_BASE}/api/staffing-rules`),
+      ]);
+      setDepts(d as Department[]);
+      setEmps(e as Employee[]);
+      setUsers(u as UserAccount[]);
+      setRules(r as StaffingRule[]);
+    } catch (e: any) {
+      setErr(e?.message || "조직 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function addDept(e: React.FormEvent) {
+    e.preventDefault();
+    try {
+      await call(`${API_BASE}/api/departments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: newDept })
+      });
+      setNewDept("");
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "부서 등록 실패");
+    }
+  }
+
+  async function setHead(d: Department, headEmployeeId: string) {
+    try {
+      await call(`${API_BASE}/api/departments/${d.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ headEmployeeId: headEmployeeId || null })
+      });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "부서장 지정 실패");
+    }
+  }
+
+  async function removeDept(d: Department) {
+    if (!confirm(`${d.name} 부서를 삭제할까요?`)) return;
+    try {
+      await call(`${API_BASE}/api/departments/${d.id}`, { method: "DELETE" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "부서 삭제 실패");
+    }
+  }
+
+  async function saveRule(e: React.FormEvent) {
+    e.preventDefault();
+    try {
+      await call(`${API_BASE}/api/staffing-rules`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...ruleForm, minStaff: Number(ruleForm.minStaff) })
+      });
+      setRuleForm(s => ({ ...s, minStaff: "" }));
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "최소 인원 저장 실패");
+    }
+  }
+
+  async function removeRule(r: StaffingRule) {
+    if (!confirm(`${r.dept} ${r.shift} 최소 인원 규칙을 삭제할까요?`)) return;
+    try {
+      await call(`${API_BASE}/api/staffing-rules/${r.id}`, { method: "DELETE" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "삭제 실패");
+    }
+  }
+
+  function edit(emp: Employee) {
+    setEditingId(emp.id);
+    setForm({
+      userId: emp.userId ?? "",
+      empId: emp.empId,
+      name: emp.name,
+      deptId: emp.deptId,
+      position: emp.position,
+      hireDate: emp.hireDate ?? "",
+      managerId: emp.managerId ?? "",
+      contact: emp.contact ?? "",
+      shift: emp.shift ?? "주간",
+      active: !!emp.active,
+    });
+  }
+
+  function resetForm() {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  }
+
+  async function saveEmployee(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const body = {
+        ...form,
+        userId: form.userId || null,
+        hireDate: form.hireDate || null,
+        managerId: form.managerId || null,
+        contact: form.contact || null,
+      };
+      await call(editingId ? `${API_BASE}/api/employees/${editingId}` : `${API_BASE}/api/employees`, {
+        method: editingId ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      resetForm();
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "저장 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // 계정 선택 시 이름이 비어 있으면 계정 이름으로 채움
+  function pickUser(userId: string) {
+    const u = users.find(x => x.id === userId);
+    setForm(s => ({ ...s, userId, name: s.name || u?.name || "" }));
+  }
+
+  const shown = deptFilter ? emps.filter(x => x.deptId === deptFilter) : emps;
+
+  return (
+    <>
+      {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c", marginBottom: 12 }}>오류: {err}</div>}
+
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <form className="toolbar" onSubmit={addDept}>
+            <input className="inp" placeholder="새 부서 이름" value={newDept} onChange={e => setNewDept(e.target.value)} required />
+            <button className="btn btn-blue">부서 추가</button>
+          </form>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>부서</th><th>부서장</th><th>인원</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {depts.map(d => (
+                  <tr key={d.id}>
+                    <td>{d.name}</td>
+                    <td>
+                      <select className="sel" value={d.headEmployeeId ?? ""} onChange={e => setHead(d, e.target.value)}>
+                        <option value="">(없음)</option>
+                        {emps.filter(x => x.active).map(x => <option key={x.id} value={x.id}>{x.name} ({x.dept} {x.position})</option>)}
+                      </select>
+                    </td>
+                    <td>{d.headcount ?? 0}</td>
+                    <td><button className="btn btn-red" disabled={!!d.headcount} onClick={() => removeDept(d)}>삭제</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <form className="toolbar" onSubmit={saveRule}>
+            <span className="chip">최소 근무 인원</span>
+            <select className="sel" value={ruleForm.deptId} onChange={e => setRuleForm(s => ({ ...s, deptId: e.target.value }))} required>
+              <option value="" disabled>부서 선택</option>
+              {depts.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+            </select>
+            <select className="sel" value={ruleForm.shift} onChange={e => setRuleForm(s => ({ ...s, shift: e.target.value as StaffingShift }))}>
+              {STAFFING_SHIFTS.map(x => <option key={x} value={x}>{x === "전체" ? "근무조 전체" : x}</option>)}
+            </select>
+            <input className="inp" type="number" min={1} style={{ width: 110 }} placeholder="최소 인원"
+              value={ruleForm.minStaff} onChange={e => setRuleForm(s => ({ ...s, minStaff: e.target.value }))} required />
+            <button className="btn btn-blue">저장</button>
+            <span style={{ color: "#64748b", fontSize: 13 }}>휴가 승인 때 근무 가능 인원이 이보다 적어지면 경고합니다.</span>
+          </form>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>부서</th><th>근무조</th><th>재직 인원</th><th>최소 인원</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {rules.length === 0 ? (
+                  <tr><td colSpan={5} style={{ padding: 12, color: "#94a3b8" }}>등록된 규칙이 없습니다.</td></tr>
+                ) : rules.map(r => (
+                  <tr key={r.id}>
+                    <td>{r.dept}</td>
+                    <td>{r.shift}</td>
+                    <td>{r.headcount}</td>
+                    <td>{r.minStaff}</td>
+                    <td style={{ display: "flex", gap: 8 }}>
+                      <button className="btn btn-ghost" onClick={() => setRuleForm({ deptId: r.deptId, shift: r.shift, minStaff: String(r.minStaff) })}>수정</button>
+                      <button className="btn btn-red" onClick={() => removeRule(r)}>삭제</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <form className="card" style={{ marginBottom: 16 }} onSubmit={saveEmployee}>
+        <div className="card-body" style={{ display: "grid", gap: 10 }}>
+          <div className="toolbar" style={{ margin: 0 }}>
+            <span className="chip">{editingId ? "직원 수정" : "직원 등록"}</span>
+            <input className="inp" placeholder="사번" value={form.empId} onChange={e => setForm(s => ({ ...s, empId: e.target.value }))} required />
+            <input className="inp" placeholder="이름" value={form.name} onChange={e => setForm(s => ({ ...s, name: e.target.value }))} required />
+            <select className="sel" value={form.deptId} onChange={e => setForm(s => ({ ...s, deptId: e.target.value }))} required>
+              <option value="" disabled>부서 선택</option>
+              {depts.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+            </select>
+            <input className="inp" placeholder="직급 (예: 사원)" value={form.position} onChange={e => setForm(s => ({ ...s, position: e.target.value }))} required />
+          </div>
+          <div className="toolbar" style={{ margin: 0 }}>
+            <label className="chip">입사일</label>
+            <input className="inp" type="date" value={form.hireDate} onChange={e => setForm(s => ({ ...s, hireDate: e.target.value }))} />
+            <select className="sel" value={form.managerId} onChange={e => setForm(s => ({ ...s, managerId: e.target.value }))}>
+              <option value="">직속 상사 없음</option>
+              {emps.filter(x => x.id !== editingId && x.active).map(x => <option key={x.id} value={x.id}>{x.name} ({x.dept} {x.position})</option>)}
+            </select>
+            <select className="sel" value={form.userId} onChange={e => pickUser(e.target.value)}>
+              <option value="">로그인 계정 연결 안 함</option>
+              {users.filter(u => (!u.employeeId && u.active) || u.id === form.userId).map(u => <option key={u.id} value={u.id}>{u.username} ({u.name})</option>)}
+            </select>
+            <input className="inp" placeholder="연락처" value={form.contact} onChange={e => setForm(s => ({ ...s, contact: e.target.value }))} />
+            <select className="sel" value={form.shift} onChange={e => setForm(s => ({ ...s, shift: e.target.value as WorkShift }))}>
+              <option value="주간">주간 근무</option>
+              <option value="야간">야간 근무</option>
+            </select>
+            <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <input type="checkbox" checked={form.active} onChange={e => setForm(s => ({ ...s, active: e.target.checked }))} /> 재직
+            </label>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button className="btn btn-primary" disabled={busy}>{editingId ? "수정 저장" : "등록"}</button>
+            {editingId && <button type="button" className="btn btn-ghost" onClick={resetForm}>취소</button>}
+          </div>
+        </div>
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="toolbar">
+            <select className="sel" value={deptFilter} onChange={e => setDeptFilter(e.target.value)}>
+              <option value="">전체 부서</option>
+              {depts.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+            </select>
+            <span className="badge">표시 {shown.length}명</span>
+          </div>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>사번</th><th>이름</th><th>부서</th><th>직급</th><th>근무조</th><th>입사일</th><th>직속 상사</th><th>계정</th><th>상태</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {shown.length === 0 ? (
+                  <tr><td colSpan={10} style={{ padding: 12, color: "#94a3b8" }}>등록된 직원이 없습니다.</td></tr>
+                ) : shown.map(x => (
+                  <tr key={x.id}>
+                    <td>{x.empId}</td>
+                    <td>{x.name}</td>
+                    <td>{x.dept}</td>
+                    <td>{x.position}</td>
+                    <td>{x.shift ?? "주간"}</td>
+                    <td>{x.hireDate ?? "-"}</td>
+                    <td>{x.managerName ?? "-"}</td>
+                    <td>{users.find(u => u.id === x.userId)?.username ?? "-"}</td>
+                    <td>{x.active ? "재직" : "퇴사"}</td>
+                    <td><button className="btn btn-ghost" onClick={() => edit(x)}>수정</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
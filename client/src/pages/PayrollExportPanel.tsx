@@ -0,0 +1,159 @@
+// src/pages/PayrollExportPanel.tsx — 급여용 월별 휴가 자료 내보내기 (CSV/xlsx) + 내보낸 뒤 바뀐 신청 확인
+import { useEffect, useState } from "react";
+import { API_BASE, STATUS_KO, downloadFile, jsonFetch } from "../components/hr/Shared";
+import type { PayrollDiff, PayrollExportRow, PayrollRequestSnapshot } from "../components/hr/Shared";
+
+const thisMonth = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+};
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+const FIELD_KO: Record<string, string> = {
+  requesterId: "신청자", empId: "사번", name: "이름", status: "상태",
+  leaveType: "종류", startDate: "시작일", endDate: "종료일", days: "일수",
+};
+
+const describe = (r: PayrollRequestSnapshot) =>
+  `${r.name}(${r.empId}) ${r.leaveType} ${r.startDate}~${r.endDate} ${r.days}일 · ${STATUS_KO[r.status] ?? r.status}`;
+
+function DiffView({ diff }: { diff: PayrollDiff }) {
+  const none = !diff.added.length && !diff.removed.length && !diff.changed.length;
+  return (
+    <div style={{ display: "grid", gap: 10, fontSize: 13 }}>
+      <div style={{ color: "#64748b" }}>
+        {diff.export.month} {diff.export.format.toUpperCase()} · {diff.export.createdAt.replace("T", " ")} · 포함 {diff.export.requestCount}건, 그대로 {diff.unchanged}건
+      </div>
+      {none && <div style={{ color: "#16a34a", fontWeight: 700 }}>내보낸 뒤 바뀐 신청이 없습니다.</div>}
+      {diff.added.length > 0 && (
+        <div>
+          <span className="chip">새로 승인 {diff.added.length}건</span>
+          <ul>{diff.added.map(r => <li key={r.requestId}>{describe(r)}</li>)}</ul>
+        </div>
+      )}
+      {diff.removed.length > 0 && (
+        <div>
+          <span className="chip">빠짐 {diff.removed.length}건</span>
+          <ul>
+            {diff.removed.map(({ before, after }) => (
+              <li key={before.requestId}>
+                {describe(before)} → {after ? describe(after) : "삭제됨"}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {diff.changed.length > 0 && (
+        <div>
+          <span className="chip">변경 {diff.changed.length}건</span>
+          <ul>
+            {diff.changed.map(({ before, after, fields }) => (
+              <li key={before.requestId}>
+                {describe(before)} → {describe(after)}
+                <span style={{ color: "#b45309" }}> ({fields.map(f => FIELD_KO[f] ?? f).join(", ")})</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PayrollExportPanel() {
+  const [month, setMonth] = useState(thisMonth);
+  const [view, setView] = useState<"daily" | "summary">("daily");
+  const [history, setHistory] = useState<PayrollExportRow[]>([]);
+  const [diff, setDiff] = useState<PayrollDiff | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function loadHistory() {
+    setErr(null);
+    try {
+      setHistory((await call(`${API_BASE}/api/exports/payroll/history?month=${month}`)).data as PayrollExportRow[]);
+    } catch (e: any) {
+      setErr(e?.message || "이력 조회 실패");
+    }
+  }
+  useEffect(() => { setDiff(null); loadHistory(); }, [month]);
+
+  async function exportFile(format: "csv" | "xlsx") {
+    setBusy(true);
+    try {
+      const qs = new URLSearchParams({ month, format, view });
+      await downloadFile(`${API_BASE}/api/exports/payroll?${qs}`, `급여휴가_${month}.${format}`);
+      await loadHistory();
+    } catch (e: any) {
+      alert(e?.message || "내보내기 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function openDiff(id: string) {
+    try {
+      setDiff((await call(`${API_BASE}/api/exports/payroll/${id}/diff`)).data as PayrollDiff);
+    } catch (e: any) {
+      alert(e?.message || "비교 실패");
+    }
+  }
+
+  return (
+    <>
+      <div className="toolbar">
+        <input className="inp" type="month" value={month} onChange={e => e.target.value && setMonth(e.target.value)} />
+        <button className="btn btn-primary" disabled={busy} onClick={() => exportFile("xlsx")}>xlsx (직원별+일자별)</button>
+        <select className="sel" value={view} onChange={e => setView(e.target.value as "daily" | "summary")}>
+          <option value="daily">CSV 일자별</option>
+          <option value="summary">CSV 직원별</option>
+        </select>
+        <button className="btn btn-ghost" disabled={busy} onClick={() => exportFile("csv")}>CSV</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+      <div style={{ color: "#64748b", fontSize: 13, marginBottom: 12 }}>
+        승인된 신청만, 여러 달에 걸친 휴가는 이 달의 근무일 몫만 담습니다. 내보낼 때 포함한 신청을 기록해 두고 이후 바뀐 건을 보여줍니다.
+      </div>
+
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>내보낸 시각</th><th>형식</th><th>포함 신청</th><th>내보낸 사람</th><th>이후 변경</th><th></th></tr>
+              </thead>
+              <tbody>
+                {history.length === 0 ? (
+                  <tr><td colSpan={6} style={{ padding: 12, color: "#94a3b8" }}>이 달에 내보낸 기록이 없습니다.</td></tr>
+                ) : history.map(x => (
+                  <tr key={x.id}>
+                    <td>{x.createdAt.replace("T", " ")}</td>
+                    <td>{x.format.toUpperCase()}</td>
+                    <td>{x.requestCount}건</td>
+                    <td>{x.createdByName ?? x.createdBy ?? "-"}</td>
+                    <td style={{ fontWeight: 800, color: x.changes ? "#b91c1c" : "#16a34a" }}>{x.changes ? `${x.changes}건` : "없음"}</td>
+                    <td><button className="btn btn-ghost" onClick={() => openDiff(x.id)}>비교</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {diff && (
+        <div className="card">
+          <div className="card-body"><DiffView diff={diff} /></div>
+        </div>
+      )}
+    </>
+  );
+}
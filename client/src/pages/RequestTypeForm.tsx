@@ -0,0 +1,139 @@
+// src/pages/RequestTypeForm.tsx — 휴가 외 신청 (연장근무/특근/출장/근무 교대)
+// 입력 항목은 서버 등록부(/api/request-types)의 정의대로 그림. 결재 진행은 내 신청 목록(연차작성 탭)에서
+import React, { useEffect, useState } from "react";
+import { API_BASE, SignaturePad, jsonFetch } from "../components/hr/Shared";
+import type { Colleague, RequestFieldDef, RequestTypeDef, RequestTypeKey } from "../components/hr/Shared";
+
+type FieldErrors = Record<string, string[]>;
+
+export default function RequestTypeForm() {
+  const [types, setTypes] = useState<RequestTypeDef[]>([]);
+  const [colleagues, setColleagues] = useState<Colleague[]>([]);
+  const [typeKey, setTypeKey] = useState<RequestTypeKey | "">("");
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [note, setNote] = useState("");
+  const [signature, setSignature] = useState("");
+  const [errors, setErrors] = useState<FieldErrors>({});
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    jsonFetch(`${API_BASE}/api/request-types`)
+      .then(({ ok, data }) => {
+        if (!ok || !(data as any)?.ok) return;
+        const list = ((data as any).data as RequestTypeDef[]).filter(t => t.key !== "leave");
+        setTypes(list);
+        setTypeKey(k => k || list[0]?.key || "");
+      })
+      .catch(() => setErr("신청 종류를 불러오지 못했습니다"));
+    jsonFetch(`${API_BASE}/api/colleagues`)
+      .then(({ ok, data }) => { if (ok && (data as any)?.ok) setColleagues((data as any).data as Colleague[]); })
+      .catch(() => { /* 동료 선택 항목만 비어 있음 */ });
+  }, []);
+
+  const type = types.find(t => t.key === typeKey);
+
+  function changeType(k: RequestTypeKey) {
+    setTypeKey(k);
+    setValues({});
+    setErrors({});
+    setErr(null);
+  }
+
+  const setValue = (name: string, v: string) => {
+    setValues(s => ({ ...s, [name]: v }));
+    setErrors(({ [name]: _, ...rest }) => rest);
+  };
+
+  function input(f: RequestFieldDef) {
+    const v = values[f.name] ?? "";
+    const common = { value: v, required: f.required, placeholder: f.placeholder };
+    switch (f.kind) {
+      case "textarea":
+        return <textarea className="inp" rows={3} {...common} onChange={e => setValue(f.name, e.target.value)} />;
+      case "select":
+        return (
+          <select className="sel" {...common} onChange={e => setValue(f.name, e.target.value)}>
+            <option value="">선택</option>
+            {f.options?.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+        );
+      case "user":
+        return (
+          <select className="sel" {...common} onChange={e => setValue(f.name, e.target.value)}>
+            <option value="">선택</option>
+            {colleagues.map(c => <option key={c.id} value={c.id}>{c.name} ({c.position}{c.shift ? ` · ${c.shift}` : ""})</option>)}
+          </select>
+        );
+      default:
+        return <input className="inp" type={f.kind} {...common} onChange={e => setValue(f.name, e.target.value)} />;
+    }
+  }
+
+  async function submit(e: React.FormEvent) {
+    e.preventDefault();
+    if (!type) return;
+    if (!signature) {
+      alert("서명은 필수입니다.");
+      return;
+    }
+    setBusy(true); setErr(null); setErrors({});
+    try {
+      const details = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== ""));
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/requests`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ requestType: type.key, details, note: note.trim() || undefined, signatureDataUrl: signature }),
+      });
+      if (!ok || (data as any)?.ok === false) {
+        const d = data as any;
+        if (d?.fieldErrors) setErrors(d.fieldErrors);
+        throw new Error(typeof data === "string" ? data : d?.error || `HTTP ${status}`);
+      }
+      alert(`${type.label} 신청이 접수되었습니다.`);
+      setValues({}); setNote(""); setSignature("");
+    } catch (e: any) {
+      setErr(e?.message || "신청 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!types.length) {
+    return <div className="card"><div className="card-body" style={{ color: "#94a3b8" }}>{err ?? "불러오는 중…"}</div></div>;
+  }
+
+  return (
+    <form className="card" onSubmit={submit}>
+      <div className="card-body" style={{ display: "grid", gap: 12 }}>
+        <div className="toolbar" style={{ margin: 0 }}>
+          {types.map(t => (
+            <button key={t.key} type="button" className={t.key === typeKey ? "btn btn-primary" : "btn btn-ghost"} onClick={() => changeType(t.key)}>
+              {t.label}
+            </button>
+          ))}
+        </div>
+        {type && <div style={{ color: "#64748b", fontSize: 13 }}>{type.description}</div>}
+
+        {type?.fields.map(f => (
+          <label key={f.name} className="field">
+            <span className="field-label">{f.label}{f.required ? "" : " (선택)"}</span>
+            {input(f)}
+            {errors[f.name] && <span style={{ color: "#b91c1c", fontSize: 13 }}>{errors[f.name][0]}</span>}
+          </label>
+        ))}
+        <label className="field">
+          <span className="field-label">비고 (선택)</span>
+          <input className="inp" value={note} onChange={e => setNote(e.target.value)} maxLength={500} />
+        </label>
+        <label className="field">
+          <span className="field-label">서명</span>
+          <SignaturePad value={signature} onChange={sig => setSignature(sig || "")} />
+        </label>
+
+        {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</div>}
+        <button className="btn btn-primary" disabled={busy || !type}>{type ? `${type.label} 신청` : "신청"}</button>
+      </div>
+    </form>
+  );
+}
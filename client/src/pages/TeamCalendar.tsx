@@ -0,0 +1,178 @@
+// src/pages/TeamCalendar.tsx — 팀 휴가 달력 (월/주): 승인·대기 휴가, 휴일, 최소 인원 미달 표시
+import React, { useEffect, useMemo, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { CalendarData, CalendarAbsence, Department } from "../components/hr/Shared";
+
+type View = "month" | "week";
+const WEEKDAYS = ["일", "월", "화", "수", "목", "금", "토"];
+
+// 날짜 문자열(YYYY-MM-DD) 계산 — 시간대 영향 없게 UTC 기준
+function addDays(date: string, n: number) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+const weekdayOf = (date: string) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const startOfWeek = (date: string) => addDays(date, -weekdayOf(date));
+const localToday = () => new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+// 화면에 그릴 기간: 월 보기는 1일이 든 주의 일요일 ~ 말일이 든 주의 토요일
+function rangeOf(view: View, anchor: string) {
+  if (view === "week") {
+    const from = startOfWeek(anchor);
+    return { from, to: addDays(from, 6) };
+  }
+  const first = `${anchor.slice(0, 7)}-01`;
+  const last = addDays(`${addDays(first, 31).slice(0, 7)}-01`, -1);
+  return { from: startOfWeek(first), to: addDays(startOfWeek(last), 6) };
+}
+
+function moveAnchor(view: View, anchor: string, dir: 1 | -1) {
+  if (view === "week") return addDays(anchor, 7 * dir);
+  const [y, m] = anchor.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + dir, 1));
+  return d.toISOString().slice(0, 10);
+}
+
+// 승인: 파란 실선 / 결재 대기: 주황 점선
+const chipStyle = (pending: boolean): React.CSSProperties => ({
+  fontSize: 12, padding: "2px 6px", borderRadius: 8, marginTop: 2, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+  background: pending ? "#fff7ed" : "#dbeafe",
+  border: pending ? "1px dashed #ea580c" : "1px solid #1e3a8a",
+  color: pending ? "#9a3412" : "#1e3a8a",
+});
+
+function AbsenceChip({ a, full }: { a: CalendarAbsence; full?: boolean }) {
+  const pending = a.status === "Pending";
+  return (
+    <div
+      title={`${a.name} (${a.dept}) ${a.leaveType} ${a.startDate}~${a.endDate}${pending ? " · 결재 대기" : ""}${a.handoverPerson ? ` · 인수자 ${a.handoverPerson}` : ""}`}
+      style={chipStyle(pending)}
+    >
+      {a.name} {a.leaveType}{full ? ` · ${a.dept}${a.shift ? ` ${a.shift}` : ""}` : ""}
+    </div>
+  );
+}
+
+export default function TeamCalendar() {
+  const [view, setView] = useState<View>("month");
+  const [anchor, setAnchor] = useState(localToday);
+  const [dept, setDept] = useState("");
+  const [depts, setDepts] = useState<Department[]>([]);
+  const [data, setData] = useState<CalendarData | null>(null);
+  const [err, setErr] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const { from, to } = rangeOf(view, anchor);
+
+  useEffect(() => {
+    jsonFetch(`${API_BASE}/api/departments`).then(({ ok, data }) => {
+      if (ok && (data as any)?.ok) setDepts((data as any).data as Department[]);
+    });
+  }, []);
+
+  async function load() {
+    setLoading(true); setErr(null);
+    try {
+      const qs = new URLSearchParams({ from, to });
+      if (dept) qs.set("dept", dept);
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/calendar?${qs}`);
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setData((data as any).data as CalendarData);
+    } catch (e: any) {
+      setErr(e?.message || "달력 조회 실패");
+    } finally {
+      setLoading(false);
+    }
+  }
+  useEffect(() => { load(); }, [from, to, dept]);
+
+  const days = useMemo(() => {
+    const out: string[] = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+    return out;
+  }, [from, to]);
+
+  const holidayOf = useMemo(() => new Map((data?.holidays ?? []).map(h => [h.date, h.name])), [data]);
+  const absencesOn = (date: string) => (data?.absences ?? []).filter(a => a.startDate <= date && a.endDate >= date);
+  const shortOn = (date: string) => (data?.staffing ?? []).filter(s => s.date === date);
+
+  const today = localToday();
+  const month = anchor.slice(0, 7);
+  const title = view === "month"
+    ? `${month.slice(0, 4)}년 ${Number(month.slice(5))}월`
+    : `${from.replace(/-/g, ".")} ~ ${to.slice(5).replace("-", ".")}`;
+
+  return (
+    <>
+      <div className="toolbar">
+        <select className="sel" value={view} onChange={e => setView(e.target.value as View)}>
+          <option value="month">월</option>
+          <option value="week">주</option>
+        </select>
+        <button className="btn btn-ghost" onClick={() => setAnchor(a => moveAnchor(view, a, -1))}>◀</button>
+        <span className="chip">{title}</span>
+        <button className="btn btn-ghost" onClick={() => setAnchor(a => moveAnchor(view, a, 1))}>▶</button>
+        <button className="btn btn-ghost" onClick={() => setAnchor(localToday())}>오늘</button>
+        <select className="sel" value={dept} onChange={e => setDept(e.target.value)}>
+          <option value="">전체 부서</option>
+          {depts.map(d => <option key={d.id} value={d.name}>{d.name}</option>)}
+        </select>
+        <button className="btn btn-primary" onClick={load} disabled={loading}>새로고침</button>
+        {!!data?.staffing.length && (
+          <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>최소 인원 미달 {new Set(data.staffing.map(s => s.date)).size}일</span>
+        )}
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", gap: 4 }}>
+            {WEEKDAYS.map((w, i) => (
+              <div key={w} style={{ textAlign: "center", fontWeight: 900, fontSize: 13, color: i === 0 ? "#dc2626" : i === 6 ? "#2563eb" : "#334155" }}>{w}</div>
+            ))}
+            {days.map(d => {
+              const wd = weekdayOf(d);
+              const holiday = holidayOf.get(d);
+              const list = absencesOn(d);
+              const short = shortOn(d);
+              const outside = view === "month" && d.slice(0, 7) !== month;
+              const limit = view === "month" ? 3 : list.length;
+              return (
+                <div key={d} style={{
+                  minHeight: view === "month" ? 96 : 220, padding: 6, borderRadius: 10,
+                  border: short.length ? "2px solid #dc2626" : d === today ? "2px solid #2563eb" : "1px solid #e2e8f0",
+                  background: holiday || wd === 0 || wd === 6 ? "#f8fafc" : "#fff",
+                  opacity: outside ? 0.5 : 1,
+                }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, fontWeight: 800 }}>
+                    <span style={{ color: holiday || wd === 0 ? "#dc2626" : wd === 6 ? "#2563eb" : "#0f172a" }}>
+                      {view === "week" ? d.slice(5).replace("-", ".") : Number(d.slice(8))}
+                    </span>
+                    {holiday && <span style={{ color: "#dc2626", fontWeight: 600 }}>{holiday}</span>}
+                  </div>
+                  {list.slice(0, limit).map(a => <AbsenceChip key={a.requestId} a={a} full={view === "week"} />)}
+                  {list.length > limit && <div style={{ fontSize: 12, color: "#64748b", marginTop: 2 }}>+{list.length - limit}명</div>}
+                  {short.map(s => (
+                    <div key={s.ruleId} style={{ fontSize: 12, color: "#b91c1c", fontWeight: 800, marginTop: 2 }}
+                      title={`재직 ${s.headcount}명 중 ${s.away}명 부재`}>
+                      ⚠ {s.dept}{s.shift === "전체" ? "" : ` ${s.shift}`} {s.available}/{s.minStaff}명
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+          <div className="toolbar" style={{ marginBottom: 0, fontSize: 13, color: "#475569" }}>
+            <span style={chipStyle(false)}>승인</span>
+            <span style={chipStyle(true)}>결재 대기</span>
+            <span>⚠ 부서 근무조 근무 가능/최소 인원</span>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
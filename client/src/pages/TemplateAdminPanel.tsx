@@ -0,0 +1,256 @@
+// src/pages/TemplateAdminPanel.tsx — 인사계출·신청서 양식 템플릿 업로드/버전/셀 매핑 (인사 관리자 탭)
+import React, { useEffect, useMemo, useState } from "react";
+import { API_BASE, downloadFile, jsonFetch } from "../components/hr/Shared";
+import type {
+  FormField, FormFormat, FormImageField, FormMapping, FormTemplate, RequestTypeDef
+} from "../components/hr/Shared";
+
+const FIELD_KO: Record<FormField, string> = {
+  dateRequested: "작성일", empId: "사번", name: "이름", dept: "부서", position: "직급", leaveType: "휴가 종류",
+  startDate: "시작일", endDate: "종료일", days: "일수", note: "사유", handoverPerson: "업무 인수자", contact: "연락처",
+};
+const FORMAT_KO: Record<FormFormat, string> = {
+  text: "그대로", reqDate: "작성일 (년 월 일)", start: "기간 시작 (…부터)", end: "기간 종료 (…까지)",
+  year: "연도만", month: "월만", day: "일만", daysLabel: "(N 일간)",
+};
+const IMAGE_KO: Record<FormImageField, string> = { signature: "신청자 서명", managerSignature: "결재자 서명" };
+const STATUS_LABEL: Record<FormTemplate["status"], string> = { draft: "작성 중", active: "사용 중", retired: "보관" };
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return (data as any).data;
+}
+
+export default function TemplateAdminPanel({ onChanged }: { onChanged?: () => void }) {
+  const [rows, setRows] = useState<FormTemplate[]>([]);
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  // 업로드
+  const [upName, setUpName] = useState("");
+  const [upNote, setUpNote] = useState("");
+  const [upFile, setUpFile] = useState<File | null>(null);
+
+  // 매핑 편집 (draft만)
+  const [editId, setEditId] = useState<string | null>(null);
+  const [mapping, setMapping] = useState<FormMapping>({ cells: [], images: [] });
+  const editing = useMemo(() => rows.find(r => r.id === editId) ?? null, [rows, editId]);
+  // 공통 항목 + 신청 종류별 상세 항목 (details.*)
+  const [detailFields, setDetailFields] = useState<Array<{ field: FormField; label: string }>>([]);
+  const fieldOptions = useMemo(() => [
+    ...(Object.keys(FIELD_KO) as FormField[]).map(f => ({ field: f, label: FIELD_KO[f] })),
+    ...detailFields,
+  ], [detailFields]);
+
+  async function load() {
+    setErr(null);
+    try {
+      setRows(await call(`${API_BASE}/api/form-templates`) as FormTemplate[]);
+    } catch (e: any) {
+      setErr(e?.message || "템플릿 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, []);
+  useEffect(() => {
+    call(`${API_BASE}/api/request-types`)
+      .then((types: RequestTypeDef[]) => {
+        const seen = new Map<string, string>();
+        for (const t of types) for (const f of t.formFields) if (!seen.has(f.field)) seen.set(f.field, `${t.label} · ${f.label}`);
+        setDetailFields([...seen].map(([field, label]) => ({ field: field as FormField, label })));
+      })
+      .catch(() => setDetailFields([]));
+  }, []);
+
+  useEffect(() => {
+    if (editing) setMapping(JSON.parse(JSON.stringify(editing.mapping)));
+  }, [editing]);
+
+  async function act(fn: () => Promise<any>, failMsg: string) {
+    setBusy(true);
+    try {
+      const res = await fn();
+      await load();
+      onChanged?.();
+      return res;
+    } catch (e: any) {
+      alert(e?.message || failMsg);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function upload(e: React.FormEvent) {
+    e.preventDefault();
+    if (!upFile) { alert(".xlsx 파일을 선택하세요."); return; }
+    const fd = new FormData();
+    fd.append("file", upFile);
+    fd.append("name", upName);
+    if (upNote) fd.append("note", upNote);
+    const created = await act(() => call(`${API_BASE}/api/form-templates`, { method: "POST", body: fd }), "업로드 실패");
+    if (created) {
+      setUpFile(null); setUpNote("");
+      setEditId((created as FormTemplate).id);
+    }
+  }
+
+  async function clone(t: FormTemplate) {
+    const created = await act(() => call(`${API_BASE}/api/form-templates/${t.id}/clone`, { method: "POST" }), "새 버전 만들기 실패");
+    if (created) setEditId((created as FormTemplate).id);
+  }
+
+  const activate = (t: FormTemplate) => {
+    if (!confirm(`${t.name} v${t.version}을(를) 사용할까요? 현재 사용 중인 버전은 보관됩니다.`)) return;
+    act(() => call(`${API_BASE}/api/form-templates/${t.id}/activate`, { method: "POST" }), "사용 시작 실패");
+  };
+
+  const retire = (t: FormTemplate) => {
+    if (!confirm(`${t.name} v${t.version}을(를) 보관할까요?`)) return;
+    act(() => call(`${API_BASE}/api/form-templates/${t.id}/retire`, { method: "POST" }), "보관 실패");
+  };
+
+  async function saveMapping() {
+    if (!editing) return;
+    await act(() => call(`${API_BASE}/api/form-templates/${editing.id}/mapping`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...mapping, sheet: mapping.sheet || undefined })
+    }), "매핑 저장 실패");
+  }
+
+  async function preview(t: FormTemplate) {
+    try {
+      await downloadFile(`${API_BASE}/api/form-templates/${t.id}/preview.xlsx`, `미리보기_${t.name}_v${t.version}.xlsx`);
+    } catch (e: any) {
+      alert(e?.message || "미리보기 실패");
+    }
+  }
+
+  const setCell = (i: number, patch: Partial<FormMapping["cells"][number]>) =>
+    setMapping(m => ({ ...m, cells: m.cells.map((c, j) => (j === i ? { ...c, ...patch } : c)) }));
+  const setImage = (i: number, patch: Partial<FormMapping["images"][number]>) =>
+    setMapping(m => ({ ...m, images: m.images.map((c, j) => (j === i ? { ...c, ...patch } : c)) }));
+  const num = (v: string) => (v === "" ? 0 : Number(v));
+
+  const names = Array.from(new Set(rows.map(r => r.name)));
+
+  return (
+    <>
+      {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c", marginBottom: 12 }}>오류: {err}</div>}
+
+      <form className="toolbar" onSubmit={upload}>
+        <input className="inp" list="template-names" placeholder="템플릿 이름 (예: 인사계출_생산직)" value={upName}
+          onChange={e => setUpName(e.target.value)} required />
+        <datalist id="template-names">{names.map(n => <option key={n} value={n} />)}</datalist>
+        <input className="inp" type="file" accept=".xlsx" onChange={e => setUpFile(e.target.files?.[0] ?? null)} />
+        <input className="inp" placeholder="변경 내용 (선택)" value={upNote} onChange={e => setUpNote(e.target.value)} />
+        <button className="btn btn-primary" disabled={busy}>업로드 (새 버전)</button>
+      </form>
+
+      <div className="card" style={{ marginBottom: 16 }}>
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>이름</th><th>버전</th><th>상태</th><th>셀/서명</th><th>등록</th><th>메모</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>등록된 템플릿이 없습니다.</td></tr>
+                ) : rows.map(t => (
+                  <tr key={t.id} style={t.id === editId ? { background: "#eff6ff" } : undefined}>
+                    <td>{t.name}</td>
+                    <td>v{t.version}</td>
+                    <td><span className="chip">{STATUS_LABEL[t.status]}</span></td>
+                    <td>{t.mapping.cells.length} / {t.mapping.images.length}</td>
+                    <td>{t.createdAt.slice(0, 10)}{t.createdByName ? ` ${t.createdByName}` : ""}</td>
+                    <td>{t.note || "-"}</td>
+                    <td style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                      <button className="btn btn-ghost" onClick={() => setEditId(t.id)}>{t.status === "draft" ? "매핑 편집" : "매핑 보기"}</button>
+                      <button className="btn btn-ghost" onClick={() => preview(t)}>미리보기</button>
+                      <button className="btn btn-ghost" disabled={busy} onClick={() => clone(t)}>새 버전</button>
+                      {t.status !== "active" && <button className="btn btn-blue" disabled={busy} onClick={() => activate(t)}>사용</button>}
+                      {t.status !== "retired" && <button className="btn btn-red" disabled={busy} onClick={() => retire(t)}>보관</button>}
+                      <button className="btn btn-ghost" onClick={() => downloadFile(`${API_BASE}/api/form-templates/${t.id}/file`, `${t.name}_v${t.version}.xlsx`).catch(e => alert(e?.message))}>원본</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="card">
+          <div className="card-body" style={{ display: "grid", gap: 10 }}>
+            <div className="toolbar" style={{ margin: 0 }}>
+              <span className="chip">{editing.name} v{editing.version} 매핑</span>
+              {editing.status !== "draft" && <span style={{ color: "#64748b" }}>사용/보관 버전은 수정할 수 없습니다. “새 버전”으로 복사해 수정하세요.</span>}
+              <label>시트</label>
+              {editing.sheets.length > 0 ? (
+                <select className="sel" value={mapping.sheet ?? ""} onChange={e => setMapping(m => ({ ...m, sheet: e.target.value || undefined }))}>
+                  <option value="">첫 번째 시트</option>
+                  {editing.sheets.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              ) : (
+                <input className="inp" placeholder="첫 번째 시트" value={mapping.sheet ?? ""} onChange={e => setMapping(m => ({ ...m, sheet: e.target.value || undefined }))} />
+              )}
+            </div>
+
+            <fieldset disabled={editing.status !== "draft"} style={{ border: 0, padding: 0, margin: 0, display: "grid", gap: 8 }}>
+              {mapping.cells.map((c, i) => (
+                <div key={i} className="toolbar" style={{ margin: 0 }}>
+                  <input className="inp" style={{ width: 90 }} value={c.cell} placeholder="셀 (예: K21)"
+                    onChange={e => setCell(i, { cell: e.target.value.toUpperCase() })} />
+                  <select className="sel" value={c.field} onChange={e => setCell(i, { field: e.target.value as FormField })}>
+                    {fieldOptions.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+                  </select>
+                  <select className="sel" value={c.format ?? "text"} onChange={e => setCell(i, { format: e.target.value as FormFormat })}>
+                    {(Object.keys(FORMAT_KO) as FormFormat[]).map(f => <option key={f} value={f}>{FORMAT_KO[f]}</option>)}
+                  </select>
+                  <button type="button" className="btn btn-ghost" onClick={() => setMapping(m => ({ ...m, cells: m.cells.filter((_, j) => j !== i) }))}>삭제</button>
+                </div>
+              ))}
+              <div>
+                <button type="button" className="btn btn-ghost"
+                  onClick={() => setMapping(m => ({ ...m, cells: [...m.cells, { cell: "", field: "name" }] }))}>셀 추가</button>
+              </div>
+
+              {mapping.images.map((img, i) => (
+                <div key={i} className="toolbar" style={{ margin: 0 }}>
+                  <select className="sel" value={img.field} onChange={e => setImage(i, { field: e.target.value as FormImageField })}>
+                    {(Object.keys(IMAGE_KO) as FormImageField[]).map(f => <option key={f} value={f}>{IMAGE_KO[f]}</option>)}
+                  </select>
+                  <label>열</label>
+                  <input className="inp" style={{ width: 70 }} type="number" step="0.1" min={0} value={img.tl.col}
+                    onChange={e => setImage(i, { tl: { ...img.tl, col: num(e.target.value) } })} />
+                  <label>행</label>
+                  <input className="inp" style={{ width: 70 }} type="number" step="0.1" min={0} value={img.tl.row}
+                    onChange={e => setImage(i, { tl: { ...img.tl, row: num(e.target.value) } })} />
+                  <label>크기</label>
+                  <input className="inp" style={{ width: 70 }} type="number" min={1} value={img.ext.width}
+                    onChange={e => setImage(i, { ext: { ...img.ext, width: num(e.target.value) } })} />
+                  <span>×</span>
+                  <input className="inp" style={{ width: 70 }} type="number" min={1} value={img.ext.height}
+                    onChange={e => setImage(i, { ext: { ...img.ext, height: num(e.target.value) } })} />
+                  <button type="button" className="btn btn-ghost" onClick={() => setMapping(m => ({ ...m, images: m.images.filter((_, j) => j !== i) }))}>삭제</button>
+                </div>
+              ))}
+              <div style={{ color: "#64748b", fontSize: 13 }}>서명 위치의 열/행은 0부터 셉니다 (A열 = 0, 1행 = 0). 소수점으로 칸 안 위치를 조정합니다.</div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button type="button" className="btn btn-ghost"
+                  onClick={() => setMapping(m => ({ ...m, images: [...m.images, { field: "signature", tl: { col: 0, row: 0 }, ext: { width: 80, height: 40 } }] }))}>서명 위치 추가</button>
+                <button type="button" className="btn btn-primary" disabled={busy} onClick={saveMapping}>매핑 저장</button>
+                <button type="button" className="btn btn-ghost" onClick={() => preview(editing)}>저장된 매핑으로 미리보기</button>
+              </div>
+            </fieldset>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
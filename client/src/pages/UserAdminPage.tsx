@@ -0,0 +1,269 @@
+// src/pages/UserAdminPage.tsx — 로그인 계정 관리 (관리자): 생성/역할 변경/사용 중지/비밀번호 초기화/잠금 해제/세션 종료
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/AuthContext";
+import type { Role } from "../auth/roles";
+import { API_BASE, PageShell, jsonFetch } from "../components/hr/Shared";
+import type { SessionRow, UserAccount } from "../components/hr/Shared";
+
+const ROLE_KO: Record<Role, string> = { employee: "직원", manager: "상사", hr: "인사", admin: "관리자" };
+const ROLES = Object.keys(ROLE_KO) as Role[];
+
+const fmtTs = (ts: string | null | undefined) => ts ? ts.replace("T", " ").slice(0, 16) : "-";
+const isLocked = (u: UserAccount, now: string) => !!u.lockedUntil && u.lockedUntil > now;
+
+type NewUser = { username: string; name: string; role: Role; password: string };
+const EMPTY_USER: NewUser = { username: "", name: "", role: "employee", password: "" };
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const fe = (data as any)?.fieldErrors;
+    const first = fe && (Object.values(fe)[0] as string[] | undefined)?.[0];
+    const msg = typeof data === "string" ? data : first || (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+export default function UserAdminPage() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const handleLogout = () => { logout(); navigate("/login"); };
+
+  const [users, setUsers] = useState<UserAccount[]>([]);
+  const [sessions, setSessions] = useState<SessionRow[]>([]);
+  const [err, setErr] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [form, setForm] = useState<NewUser>(EMPTY_USER);
+  const [q, setQ] = useState("");
+  const [showInactive, setShowInactive] = useState(false);
+  // 방금 발급한 임시 비밀번호 (이 화면에서 한 번만 보여줌)
+  const [issued, setIssued] = useState<{ username: string; password: string } | null>(null);
+
+  async function load() {
+    setErr(null);
+    try {
+      const [u, s] = await Promise.all([call(`${API_BASE}/api/users`), call(`${API_BASE}/api/sessions`)]);
+      setUsers(u.data as UserAccount[]);
+      setSessions(s.data as SessionRow[]);
+    } catch (e: any) {
+      setErr(e?.message || "계정 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function create(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const j = await call(`${API_BASE}/api/users`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...form, password: form.password || undefined })
+      });
+      if (j.temporaryPassword) setIssued({ username: form.username, password: j.temporaryPassword });
+      setForm(EMPTY_USER);
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "계정 생성 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function update(u: UserAccount, body: { role?: Role; name?: string }) {
+    try {
+      await call(`${API_BASE}/api/users/${u.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "변경 실패");
+    }
+  }
+
+  async function toggleActive(u: UserAccount) {
+    if (u.active && !confirm(`${u.username} 계정을 사용 중지할까요? 바로 로그아웃됩니다.`)) return;
+    try {
+      await call(`${API_BASE}/api/users/${u.id}/${u.active ? "deactivate" : "activate"}`, { method: "POST" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "변경 실패");
+    }
+  }
+
+  async function resetPassword(u: UserAccount) {
+    if (!confirm(`${u.username} 계정의 비밀번호를 초기화할까요? 임시 비밀번호가 발급됩니다.`)) return;
+    try {
+      const j = await call(`${API_BASE}/api/users/${u.id}/reset-password`, { method: "POST" });
+      setIssued({ username: u.username, password: j.temporaryPassword });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "초기화 실패");
+    }
+  }
+
+  async function unlock(u: UserAccount) {
+    try {
+      await call(`${API_BASE}/api/users/${u.id}/unlock`, { method: "POST" });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "잠금 해제 실패");
+    }
+  }
+
+  async function signOutUser(u: UserAccount) {
+    if (!confirm(`${u.username} 계정의 모든 세션을 종료할까요?`)) return;
+    try {
+      const j = await call(`${API_BASE}/api/users/${u.id}/sign-out`, { method: "POST" });
+      alert(`세션 ${j.data.revoked}개를 종료했습니다.`);
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "세션 종료 실패");
+    }
+  }
+
+  async function revokeSession(s: SessionRow) {
+    if (!confirm(s.current ? "지금 사용 중인 세션입니다. 종료하면 로그아웃됩니다. 계속할까요?" : `${s.username}의 세션을 종료할까요?`)) return;
+    try {
+      await call(`${API_BASE}/api/sessions/${s.id}`, { method: "DELETE" });
+      if (s.current) { handleLogout(); return; }
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "세션 종료 실패");
+    }
+  }
+
+  function rename(u: UserAccount) {
+    const name = prompt("이름", u.name);
+    if (name && name.trim() && name.trim() !== u.name) update(u, { name: name.trim() });
+  }
+
+  const shown = useMemo(() => {
+    const k = q.trim().toLowerCase();
+    return users
+      .filter(u => showInactive || u.active)
+      .filter(u => !k || u.username.toLowerCase().includes(k) || u.name.toLowerCase().includes(k));
+  }, [users, q, showInactive]);
+  const now = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 19); // 서버와 같은 로컬 시각 형식
+
+  return (
+    <PageShell title="계정 관리" right={<button className="btn-ghost" onClick={handleLogout}>로그아웃</button>}>
+      {err && <div className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c", marginBottom: 12 }}>오류: {err}</div>}
+
+      {issued && (
+        <div className="card" style={{ marginBottom: 16, borderColor: "#fde68a" }}>
+          <div className="card-body toolbar" style={{ margin: 0 }}>
+            <span className="chip">임시 비밀번호</span>
+            <span><b>{issued.username}</b> : <code style={{ fontSize: 16 }}>{issued.password}</code></span>
+            <span style={{ color: "#92400e" }}>지금만 볼 수 있습니다. 본인에게 전달하면 첫 로그인 때 변경하게 됩니다.</span>
+            <button className="btn btn-ghost" onClick={() => setIssued(null)}>닫기</button>
+          </div>
+        </div>
+      )}
+
+      <form className="card" style={{ marginBottom: 16 }} onSubmit={create}>
+        <div className="card-body toolbar" style={{ margin: 0 }}>
+          <span className="chip">계정 추가</span>
+          <input className="inp" placeholder="아이디" value={form.username} onChange={e => setForm(s => ({ ...s, username: e.target.value }))} required />
+          <input className="inp" placeholder="이름" value={form.name} onChange={e => setForm(s => ({ ...s, name: e.target.value }))} required />
+          <select className="sel" value={form.role} onChange={e => setForm(s => ({ ...s, role: e.target.value as Role }))}>
+            {ROLES.map(r => <option key={r} value={r}>{ROLE_KO[r]}</option>)}
+          </select>
+          <input className="inp" type="password" placeholder="초기 비밀번호 (비우면 임시 발급)" autoComplete="new-password"
+            value={form.password} onChange={e => setForm(s => ({ ...s, password: e.target.value }))} />
+          <button className="btn btn-primary" disabled={busy}>추가</button>
+        </div>
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="toolbar">
+            <input className="inp" placeholder="아이디/이름 검색" value={q} onChange={e => setQ(e.target.value)} />
+            <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+              <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} /> 중지된 계정 포함
+            </label>
+            <span className="badge">표시 {shown.length}개</span>
+          </div>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>아이디</th><th>이름</th><th>역할</th><th>직원 연결</th><th>상태</th><th>비밀번호 변경일</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {shown.length === 0 ? (
+                  <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>계정이 없습니다.</td></tr>
+                ) : shown.map(u => (
+                  <tr key={u.id} style={u.active ? undefined : { color: "#94a3b8" }}>
+                    <td>{u.username}</td>
+                    <td>{u.name}</td>
+                    <td>
+                      <select className="sel" value={u.role} disabled={u.id === user?.id}
+                        onChange={e => update(u, { role: e.target.value as Role })}>
+                        {ROLES.map(r => <option key={r} value={r}>{ROLE_KO[r]}</option>)}
+                      </select>
+                    </td>
+                    <td>{u.employeeId ? "연결됨" : "-"}</td>
+                    <td>
+                      {u.active ? "사용" : "중지"}
+                      {!!u.mustChangePassword && <span className="badge" style={{ marginLeft: 4 }}>변경 대기</span>}
+                      {isLocked(u, now) && (
+                        <span className="badge" style={{ marginLeft: 4, borderColor: "#fecaca", color: "#b91c1c" }}>잠김 ~{fmtTs(u.lockedUntil).slice(11)}</span>
+                      )}
+                    </td>
+                    <td>{fmtTs(u.passwordChangedAt)}</td>
+                    <td style={{ display: "flex", gap: 8 }}>
+                      <button className="btn btn-ghost" onClick={() => rename(u)}>이름</button>
+                      <button className="btn btn-blue" onClick={() => resetPassword(u)}>비밀번호 초기화</button>
+                      {isLocked(u, now) && <button className="btn btn-ghost" onClick={() => unlock(u)}>잠금 해제</button>}
+                      <button className="btn btn-ghost" disabled={!sessions.some(s => s.userId === u.id)}
+                        onClick={() => signOutUser(u)}>세션 종료</button>
+                      <button className={u.active ? "btn btn-red" : "btn btn-ghost"} disabled={u.id === user?.id}
+                        onClick={() => toggleActive(u)}>{u.active ? "중지" : "재개"}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 16 }}>
+        <div className="card-body">
+          <div className="toolbar">
+            <span className="chip">활성 세션</span>
+            <span className="badge">{sessions.length}개</span>
+            <button className="btn btn-ghost" onClick={load}>새로고침</button>
+          </div>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>아이디</th><th>이름</th><th>로그인</th><th>마지막 갱신</th><th>만료</th><th>IP</th><th>브라우저</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {sessions.length === 0 ? (
+                  <tr><td colSpan={8} style={{ padding: 12, color: "#94a3b8" }}>활성 세션이 없습니다.</td></tr>
+                ) : sessions.map(s => (
+                  <tr key={s.id}>
+                    <td>{s.username}{s.current && <span className="badge" style={{ marginLeft: 4 }}>현재</span>}</td>
+                    <td>{s.name}</td>
+                    <td>{fmtTs(s.createdAt)}</td>
+                    <td>{fmtTs(s.lastUsedAt)}</td>
+                    <td>{fmtTs(s.expiresAt)}</td>
+                    <td>{s.ip ?? "-"}</td>
+                    <td className="td-ellipsis" title={s.userAgent ?? ""}>{s.userAgent ?? "-"}</td>
+                    <td><button className="btn btn-red" onClick={() => revokeSession(s)}>종료</button></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </PageShell>
+  );
+}
@@ -1,11 +1,74 @@
 // src/components/WorkLogFormMini.tsx
-import React, { useState } from "react";
-import { API_BASE, jsonFetch, SignaturePad } from "../components/hr/Shared";
+import React, { useEffect, useState } from "react";
+import {
+  API_BASE, downloadFile, jsonFetch, SignaturePad, StatusBadge, WORKLOG_FILE_ACCEPT
+} from "../components/hr/Shared";
+import type { Status, WorklogCellError, WorklogRow, WorkShift } from "../components/hr/Shared";
+import WorklogComments from "./WorklogComments";
+import WorklogRows from "./WorklogRows";
+import { submitOrQueue } from "../offline/outbox";
+
+type Meta = { workDate: string; shift: WorkShift; hours: string; notes: string };
 
 export default function WorkLogFormMini() {
+  const today = new Date().toISOString().split("T")[0];
+  const emptyMeta: Meta = { workDate: today, shift: "주간", hours: "8", notes: "" };
+
+  const [meta, setMeta] = useState<Meta>(emptyMeta);
   const [file, setFile] = useState<File | null>(null);
+  const [fileKey, setFileKey] = useState(0); // 제출 후 파일 선택 초기화
   const [signatureDataUrl, setSignatureDataUrl] = useState<string | null>(null);
   const [busy, setBusy] = useState(false);
+  const [resubmitting, setResubmitting] = useState<WorklogRow | null>(null);
+  const [cellErrors, setCellErrors] = useState<WorklogCellError[]>([]); // 표준 양식 칸 오류
+
+  // 내 제출 현황
+  const [mine, setMine] = useState<WorklogRow[]>([]);
+  const [mineErr, setMineErr] = useState<string | null>(null);
+  const [openId, setOpenId] = useState<string | null>(null);
+  const [openRows, setOpenRows] = useState<string | null>(null);
+
+  async function loadMine() {
+    setMineErr(null);
+    try {
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/worklogs/mine`);
+      if (!ok || (data as any)?.ok === false) {
+        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        throw new Error(msg);
+      }
+      setMine((data as any).data as WorklogRow[]);
+    } catch (e: any) {
+      setMineErr(e?.message || "제출 현황 조회 실패");
+    }
+  }
+  useEffect(() => { loadMine(); }, []);
+  // 보관함에 있던 일지가 보내지면 제출 현황 새로고침
+  useEffect(() => {
+    const reload = () => { loadMine(); };
+    window.addEventListener("lm:outbox-sent", reload);
+    return () => window.removeEventListener("lm:outbox-sent", reload);
+  }, []);
+
+  // 반려된 일지 다시 제출 — 근무 내용은 그대로 채우고 파일/서명은 새로
+  function startResubmit(w: WorklogRow) {
+    setResubmitting(w);
+    setMeta({
+      workDate: w.workDate ?? today,
+      shift: w.shift ?? "주간",
+      hours: w.hours != null ? String(w.hours) : "8",
+      notes: w.notes ?? "",
+    });
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }
+
+  function reset() {
+    setResubmitting(null);
+    setMeta(emptyMeta);
+    setFile(null);
+    setFileKey(k => k + 1);
+    setSignatureDataUrl(null);
+    setCellErrors([]);
+  }
 
   async function onSubmit(e: React.FormEvent) {
     e.preventDefault();
@@ -14,22 +77,35 @@ export default function WorkLogFormMini() {
       return;
     }
     setBusy(true);
+    setCellErrors([]);
     try {
-      const fd = new FormData();
-      fd.append("file", file);
-      fd.append("signatureDataUrl", signatureDataUrl);
-
-      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/worklogs`, {
-        method: "POST",
-        body: fd
-      });
+      const fields: Record<string, string> = {
+        signatureDataUrl,
+        workDate: meta.workDate,
+        shift: meta.shift,
+        hours: meta.hours,
+        notes: meta.notes,
+      };
+      if (resubmitting) fields.prevWorklogId = resubmitting.id;
+
+      // 연결이 끊겼으면 파일·서명째 보관함에 담아 두었다가 보냄
+      const r = await submitOrQueue("worklog", `${meta.workDate} ${meta.shift} ${meta.hours}시간 · ${file.name}`, { fields, file });
+      if (r.queued) {
+        alert("연결이 끊겨 보관함에 담았습니다. 연결되면 자동으로 보냅니다.");
+        reset();
+        return;
+      }
+      const { ok, status, data } = r;
       if (!ok || (data as any)?.ok === false) {
-        const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+        if ((data as any)?.cellErrors) setCellErrors((data as any).cellErrors as WorklogCellError[]);
+        const fe = (data as any)?.fieldErrors;
+        const first = fe && (Object.values(fe)[0] as string[] | undefined)?.[0];
+        const msg = typeof data === "string" ? data : first || (data as any)?.error || `HTTP ${status}`;
         throw new Error(msg);
       }
-      alert("근무일지 제출 완료");
-      setFile(null);
-      setSignatureDataUrl(null);
+      alert(resubmitting ? "근무일지 재제출 완료" : "근무일지 제출 완료");
+      reset();
+      await loadMine();
     } catch (e:any) {
       alert(e?.message || "제출 실패");
     } finally {
@@ -38,14 +114,104 @@ export default function WorkLogFormMini() {
   }
 
   return (
-    <form className="card" onSubmit={onSubmit}>
-      <div className="card-body" style={{display:"grid", gap:10}}>
-        <input className="inp" type="file" onChange={e=>setFile(e.target.files?.[0] ?? null)} />
+    <>
+      <form className="card" onSubmit={onSubmit} style={{ marginBottom: 16 }}>
+        <div className="card-body" style={{display:"grid", gap:10}}>
+          {resubmitting && (
+            <div className="toolbar" style={{ margin: 0 }}>
+              <span className="chip">재제출</span>
+              <span style={{ color: "#b91c1c" }}>반려 사유: {resubmitting.rejectReason ?? "-"}</span>
+              <button type="button" className="btn btn-ghost" onClick={reset}>재제출 취소</button>
+            </div>
+          )}
+          <div className="toolbar" style={{ margin: 0 }}>
+            <label className="chip">근무일</label>
+            <input className="inp" type="date" value={meta.workDate} onChange={e=>setMeta(s=>({ ...s, workDate: e.target.value }))} required />
+            <select className="sel" value={meta.shift} onChange={e=>setMeta(s=>({ ...s, shift: e.target.value as WorkShift }))}>
+              <option value="주간">주간</option>
+              <option value="야간">야간</option>
+            </select>
+            <input className="inp" type="number" min={0.5} max={24} step={0.5} style={{ width: 90 }}
+              value={meta.hours} onChange={e=>setMeta(s=>({ ...s, hours: e.target.value }))} required />
+            <span>시간</span>
+          </div>
+          <textarea className="inp" rows={3} placeholder="작업 내용 / 특이사항" value={meta.notes}
+            onChange={e=>setMeta(s=>({ ...s, notes: e.target.value }))} />
+          <div className="toolbar" style={{ margin: 0 }}>
+            <input key={fileKey} className="inp" type="file" accept={WORKLOG_FILE_ACCEPT}
+              onChange={e=>{ setFile(e.target.files?.[0] ?? null); setCellErrors([]); }} />
+            <button type="button" className="btn btn-ghost"
+              onClick={()=>downloadFile(`${API_BASE}/api/worklogs/template.xlsx`, "근무일지_양식.xlsx").catch(e => alert(e?.message))}>표준 양식 받기</button>
+            <span style={{ color: "#64748b", fontSize: 13 }}>xlsx/pdf/png/jpg · 표준 양식 엑셀은 작업 행을 검사합니다</span>
+          </div>
+          {cellErrors.length > 0 && (
+            <div style={{ color: "#b91c1c", fontSize: 13 }}>
+              <b>양식 오류 {cellErrors.length}건 — 고쳐서 다시 올려 주세요</b>
+              <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+                {cellErrors.slice(0, 20).map((c, i) => <li key={i}>{c.cell}: {c.message}</li>)}
+                {cellErrors.length > 20 && <li>외 {cellErrors.length - 20}건</li>}
+              </ul>
+            </div>
+          )}
+
+          <SignaturePad value={signatureDataUrl} onChange={setSignatureDataUrl} />
 
-        <SignaturePad value={signatureDataUrl} onChange={setSignatureDataUrl} />
+          <button className="btn btn-primary" disabled={busy}>{busy ? "제출 중…" : resubmitting ? "다시 제출" : "제출"}</button>
+        </div>
+      </form>
 
-        <button className="btn btn-primary" disabled={busy}>{busy ? "제출 중…" : "제출"}</button>
+      <div className="card">
+        <div className="card-body">
+          <div className="toolbar">
+            <span className="chip">내 근무일지</span>
+            <button className="btn btn-ghost" onClick={loadMine}>새로고침</button>
+            {mineErr && <span className="badge" style={{borderColor:"#fecaca", color:"#b91c1c"}}>오류: {mineErr}</span>}
+          </div>
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>근무일</th><th>근무</th><th>파일</th><th>상태</th><th>검토</th><th>작업</th></tr>
+              </thead>
+              <tbody>
+                {mine.length === 0 ? (
+                  <tr><td colSpan={6} style={{padding:12, color:"#94a3b8"}}>제출한 근무일지가 없습니다.</td></tr>
+                ) : mine.map(w => (
+                  <React.Fragment key={w.id}>
+                    <tr>
+                      <td>{w.workDate ?? w.createdAt.slice(0, 10)}</td>
+                      <td>{w.shift ? `${w.shift} ${w.hours ?? ""}h` : "-"}</td>
+                      <td><button className="btn btn-ghost" onClick={() => downloadFile(`${API_BASE}/api/worklogs/${w.id}/file`, w.fileName ?? "근무일지").catch(e => alert(e?.message || "파일 받기 실패"))}>{w.fileName ?? "열기"}</button></td>
+                      <td>
+                        <StatusBadge s={w.status as Status} />
+                        {w.prevWorklogId && <span className="badge" style={{ marginLeft: 4 }}>재제출</span>}
+                      </td>
+                      <td>
+                        {w.reviewerName ? `${w.reviewerName}${w.reviewOnBehalfOfName ? ` (${w.reviewOnBehalfOfName} 대신)` : ""} · ${w.reviewedAt?.replace("T", " ").slice(0, 16)}` : "-"}
+                        {w.status === "Rejected" && <div style={{ color: "#b91c1c" }}>사유: {w.rejectReason}</div>}
+                      </td>
+                      <td style={{display:"flex", gap:8}}>
+                        <button className="btn btn-ghost" onClick={()=>setOpenId(openId === w.id ? null : w.id)}>의견 {w.commentCount ?? 0}</button>
+                        {!!w.rowCount && (
+                          <button className="btn btn-ghost" onClick={()=>setOpenRows(openRows === w.id ? null : w.id)}>작업 {w.rowCount}행</button>
+                        )}
+                        {w.status === "Rejected" && !w.resubmittedBy && (
+                          <button className="btn btn-blue" onClick={()=>startResubmit(w)}>다시 제출</button>
+                        )}
+                      </td>
+                    </tr>
+                    {openRows === w.id && (
+                      <tr><td colSpan={6} style={{ background: "#f8fafc" }}><WorklogRows worklogId={w.id} /></td></tr>
+                    )}
+                    {openId === w.id && (
+                      <tr><td colSpan={6} style={{ background: "#f8fafc" }}><WorklogComments worklogId={w.id} onChanged={loadMine} /></td></tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
       </div>
-    </form>
+    </>
   );
 }
@@ -0,0 +1,68 @@
+// src/pages/WorklogComments.tsx — 근무일지 검토 의견 (작성자/검토자 공용)
+import React, { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { WorklogComment } from "../components/hr/Shared";
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return (data as any).data;
+}
+
+export default function WorklogComments({ worklogId, onChanged }: { worklogId: string; onChanged?: () => void }) {
+  const [rows, setRows] = useState<WorklogComment[]>([]);
+  const [body, setBody] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load() {
+    setErr(null);
+    try {
+      setRows(await call(`${API_BASE}/api/worklogs/${worklogId}/comments`) as WorklogComment[]);
+    } catch (e: any) {
+      setErr(e?.message || "의견 조회 실패");
+    }
+  }
+  useEffect(() => { load(); }, [worklogId]);
+
+  async function submit(e: React.FormEvent) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await call(`${API_BASE}/api/worklogs/${worklogId}/comments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ body })
+      });
+      setBody("");
+      await load();
+      onChanged?.();
+    } catch (e: any) {
+      alert(e?.message || "의견 등록 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+      {rows.length === 0
+        ? <div style={{ color: "#94a3b8" }}>아직 의견이 없습니다.</div>
+        : rows.map(c => (
+          <div key={c.id}>
+            <b>{c.authorName ?? "-"}</b>
+            <span style={{ color: "#94a3b8", fontSize: 12, marginLeft: 6 }}>{c.createdAt.replace("T", " ").slice(0, 16)}</span>
+            <div style={{ whiteSpace: "pre-wrap" }}>{c.body}</div>
+          </div>
+        ))}
+      <form className="toolbar" style={{ margin: 0 }} onSubmit={submit}>
+        <input className="inp" style={{ flex: 1 }} placeholder="의견 입력" value={body} onChange={e => setBody(e.target.value)} required />
+        <button className="btn btn-ghost" disabled={busy}>등록</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+// src/pages/WorklogReviewPanel.tsx — 근무일지 검토 목록 (상사/인사 관리자 공용). 필터·정렬·쪽 나누기는 서버에서
+// 표준 양식으로 올린 일지는 작업 행을 펼쳐 보고, 작업 행만 따로 검색할 수 있음
+import React, { useEffect, useState } from "react";
+import {
+  API_BASE, STATUS_KO, jsonFetch, downloadFile, StatusBadge, SignatureThumb, Pager
+} from "../components/hr/Shared";
+import type { Status, WorklogRow, Paged } from "../components/hr/Shared";
+import WorklogComments from "./WorklogComments";
+import WorklogRows from "./WorklogRows";
+import WorklogRowSearch from "./WorklogRowSearch";
+
+const PAGE_SIZE = 50;
+
+type Filters = {
+  status: "" | "Pending" | "Approved" | "Rejected";
+  from: string;
+  to: string;
+  q: string;
+  sort: "createdAt" | "workDate" | "uploaderName" | "status";
+  order: "asc" | "desc";
+};
+const EMPTY_FILTERS: Filters = { status: "", from: "", to: "", q: "", sort: "createdAt", order: "desc" };
+
+async function call(url: string, init?: RequestInit) {
+  const { ok, status, data } = await jsonFetch(url, init);
+  if (!ok || (data as any)?.ok === false) {
+    const msg = typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`;
+    throw new Error(msg);
+  }
+  return data as any;
+}
+
+export default function WorklogReviewPanel() {
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [rows, setRows] = useState<WorklogRow[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [view, setView] = useState<"worklogs" | "rows">("worklogs");
+  const [openWl, setOpenWl] = useState<string | null>(null); // 의견 펼친 일지
+  const [openRows, setOpenRows] = useState<string | null>(null); // 작업 행 펼친 일지
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function load(nextOffset = offset, f = filters) {
+    setBusy(true); setErr(null);
+    try {
+      const qs = new URLSearchParams({ sort: f.sort, order: f.order, limit: String(PAGE_SIZE), offset: String(nextOffset) });
+      if (f.status) qs.set("status", f.status);
+      if (f.from) qs.set("from", f.from);
+      if (f.to) qs.set("to", f.to);
+      if (f.q.trim()) qs.set("q", f.q.trim());
+      const page = await call(`${API_BASE}/api/worklogs?${qs}`) as Paged<WorklogRow>;
+      setRows(page.data);
+      setTotal(page.total);
+      setOffset(nextOffset);
+    } catch (e: any) {
+      setErr(e?.message || "근무일지 조회 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+  useEffect(() => { load(0); }, []);
+
+  // 선택 항목은 바로 다시 조회, 검색어는 조회 버튼으로
+  const change = (patch: Partial<Filters>) => {
+    const next = { ...filters, ...patch };
+    setFilters(next);
+    if (!("q" in patch)) load(0, next);
+  };
+
+  // 반려는 사유 필수
+  async function updateStatus(id: string, status: "Approved" | "Rejected") {
+    let reason: string | undefined;
+    if (status === "Rejected") {
+      const input = prompt("반려 사유를 입력하세요.");
+      if (input === null) return;
+      if (!input.trim()) { alert("반려 사유를 입력해야 합니다."); return; }
+      reason = input.trim();
+    }
+    try {
+      await call(`${API_BASE}/api/worklogs/${id}/status`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ status, reason })
+      });
+      await load();
+    } catch (e: any) {
+      alert(e?.message || "상태 변경 실패");
+    }
+  }
+
+  const viewTabs = (
+    <div className="toolbar">
+      <button className={view === "worklogs" ? "btn btn-primary" : "btn btn-ghost"} onClick={() => setView("worklogs")}>일지</button>
+      <button className={view === "rows" ? "btn btn-primary" : "btn btn-ghost"} onClick={() => setView("rows")}>작업 행 검색</button>
+    </div>
+  );
+  if (view === "rows") return <>{viewTabs}<WorklogRowSearch /></>;
+
+  return (
+    <>
+      {viewTabs}
+      <form className="toolbar" onSubmit={e => { e.preventDefault(); load(0); }}>
+        <select className="sel" value={filters.status} onChange={e => change({ status: e.target.value as Filters["status"] })}>
+          <option value="">전체</option>
+          {(["Pending", "Approved", "Rejected"] as const).map(s => <option key={s} value={s}>{STATUS_KO[s]}</option>)}
+        </select>
+        <input className="inp" type="date" value={filters.from} onChange={e => change({ from: e.target.value })} />
+        <span>~</span>
+        <input className="inp" type="date" value={filters.to} onChange={e => change({ to: e.target.value })} />
+        <input className="inp" placeholder="이름/아이디/메모/작업 내용 검색" value={filters.q} onChange={e => change({ q: e.target.value })} />
+        <select className="sel" value={filters.sort} onChange={e => change({ sort: e.target.value as Filters["sort"] })}>
+          <option value="createdAt">제출순</option>
+          <option value="workDate">근무일순</option>
+          <option value="uploaderName">이름순</option>
+          <option value="status">상태순</option>
+        </select>
+        <select className="sel" value={filters.order} onChange={e => change({ order: e.target.value as Filters["order"] })}>
+          <option value="desc">내림차순</option>
+          <option value="asc">오름차순</option>
+        </select>
+        <button className="btn btn-primary" disabled={busy}>조회</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+        <span className="badge">총 {total}건</span>
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>근무일</th><th>이름</th><th>근무</th><th>내용</th><th>파일</th><th>서명</th><th>상태</th><th>작업</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={8} style={{ padding: 12, color: "#94a3b8" }}>{busy ? "불러오는 중…" : "표시할 근무일지가 없습니다."}</td></tr>
+                ) : rows.map(w => (
+                  <React.Fragment key={w.id}>
+                    <tr>
+                      <td>{w.workDate || w.date || w.createdAt?.slice(0, 10)}</td>
+                      <td>{w.uploaderName ?? w.name}</td>
+                      <td>{w.shift ? `${w.shift} ${w.hours ?? ""}h` : "-"}</td>
+                      <td style={{ maxWidth: 240, whiteSpace: "pre-wrap" }}>
+                        {w.notes || "-"}
+                        {w.prevWorklogId && <span className="badge" style={{ marginLeft: 4 }}>재제출</span>}
+                      </td>
+                      <td>
+                        <button className="btn btn-ghost" onClick={() => downloadFile(`${API_BASE}/api/worklogs/${w.id}/file`, w.fileName ?? "근무일지").catch(e => alert(e?.message || "파일 받기 실패"))}>열기</button>
+                        {!!w.rowCount && (
+                          <button className="btn btn-ghost" onClick={() => setOpenRows(openRows === w.id ? null : w.id)}>작업 {w.rowCount}행</button>
+                        )}
+                      </td>
+                      <td><SignatureThumb url={`${API_BASE}/api/worklogs/${w.id}/signature`} has={w.hasSignature} /></td>
+                      <td>
+                        <StatusBadge s={w.status as Status} />
+                        {w.status === "Rejected" && <div style={{ color: "#b91c1c", fontSize: 12 }}>사유: {w.rejectReason}</div>}
+                      </td>
+                      <td style={{ display: "flex", gap: 8 }}>
+                        {w.status === "Pending" && (
+                          <>
+                            <button className="btn btn-blue" onClick={() => updateStatus(w.id, "Approved")}>승인</button>
+                            <button className="btn btn-red" onClick={() => updateStatus(w.id, "Rejected")}>반려</button>
+                          </>
+                        )}
+                        <button className="btn btn-ghost" onClick={() => setOpenWl(openWl === w.id ? null : w.id)}>의견 {w.commentCount ?? 0}</button>
+                      </td>
+                    </tr>
+                    {openRows === w.id && (
+                      <tr><td colSpan={8} style={{ background: "#f8fafc" }}><WorklogRows worklogId={w.id} /></td></tr>
+                    )}
+                    {openWl === w.id && (
+                      <tr><td colSpan={8} style={{ background: "#f8fafc" }}><WorklogComments worklogId={w.id} onChanged={() => load()} /></td></tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <Pager offset={offset} limit={PAGE_SIZE} total={total} busy={busy} onMove={n => load(n)} />
+        </div>
+      </div>
+    </>
+  );
+}
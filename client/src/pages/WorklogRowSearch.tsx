@@ -0,0 +1,82 @@
+// src/pages/WorklogRowSearch.tsx — 근무일지 작업 행 검색 (표준 양식으로 올린 일지만). 라인/작업 내용으로 찾고 시간·수량 합계
+import React, { useState } from "react";
+import { API_BASE, STATUS_KO, jsonFetch } from "../components/hr/Shared";
+import type { WorklogParsedRow } from "../components/hr/Shared";
+
+type Totals = { rows: number; hours: number; quantity: number };
+
+export default function WorklogRowSearch() {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [line, setLine] = useState("");
+  const [q, setQ] = useState("");
+  const [rows, setRows] = useState<WorklogParsedRow[]>([]);
+  const [totals, setTotals] = useState<Totals | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState<string | null>(null);
+
+  async function search(e?: React.FormEvent) {
+    e?.preventDefault();
+    setBusy(true); setErr(null);
+    try {
+      const qs = new URLSearchParams();
+      if (from) qs.set("from", from);
+      if (to) qs.set("to", to);
+      if (line.trim()) qs.set("line", line.trim());
+      if (q.trim()) qs.set("q", q.trim());
+      const { ok, status, data } = await jsonFetch(`${API_BASE}/api/worklog-rows?${qs}`);
+      if (!ok || (data as any)?.ok === false) throw new Error(typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`);
+      setRows((data as any).data as WorklogParsedRow[]);
+      setTotals((data as any).totals as Totals);
+    } catch (e: any) {
+      setErr(e?.message || "작업 행 검색 실패");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <form className="toolbar" onSubmit={search}>
+        <input className="inp" type="date" value={from} onChange={e => setFrom(e.target.value)} />
+        <span>~</span>
+        <input className="inp" type="date" value={to} onChange={e => setTo(e.target.value)} />
+        <input className="inp" placeholder="라인" style={{ width: 120 }} value={line} onChange={e => setLine(e.target.value)} />
+        <input className="inp" placeholder="작업 내용/이름" value={q} onChange={e => setQ(e.target.value)} />
+        <button className="btn btn-primary" disabled={busy}>검색</button>
+        {err && <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>}
+        {totals && <span className="badge">{totals.rows}행 · {Math.round(totals.hours * 100) / 100}시간 · 수량 {totals.quantity.toLocaleString()}</span>}
+      </form>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="tbl-wrap">
+            <table>
+              <thead>
+                <tr><th>날짜</th><th>이름</th><th>라인</th><th>작업</th><th>시간</th><th>생산수량</th><th>일지</th></tr>
+              </thead>
+              <tbody>
+                {rows.length === 0 ? (
+                  <tr><td colSpan={7} style={{ padding: 12, color: "#94a3b8" }}>{totals ? "검색 결과가 없습니다." : "조건을 넣고 검색하세요."}</td></tr>
+                ) : rows.map(r => (
+                  <tr key={`${r.worklogId}-${r.rowNo}`}>
+                    <td>{r.workDate}</td>
+                    <td>{r.uploaderName ?? "-"}</td>
+                    <td>{r.line}</td>
+                    <td>{r.task}</td>
+                    <td>{r.hours}</td>
+                    <td>{r.quantity ?? "-"}</td>
+                    <td title={`${r.fileName ?? ""} ${r.rowNo}행`}>{r.shift ?? ""} {r.status ? STATUS_KO[r.status] : ""}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {totals && totals.rows > rows.length && (
+            <div style={{ color: "#64748b", fontSize: 13 }}>앞의 {rows.length}행만 표시합니다. 조건을 좁혀 보세요.</div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
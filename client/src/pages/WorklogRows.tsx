@@ -0,0 +1,47 @@
+// src/pages/WorklogRows.tsx — 표준 양식 근무일지에서 읽은 작업 행 (검토 화면에서 펼쳐 보기)
+import { useEffect, useState } from "react";
+import { API_BASE, jsonFetch } from "../components/hr/Shared";
+import type { WorklogParsedRow } from "../components/hr/Shared";
+
+export default function WorklogRows({ worklogId }: { worklogId: string }) {
+  const [rows, setRows] = useState<WorklogParsedRow[] | null>(null);
+  const [err, setErr] = useState<string | null>(null);
+
+  useEffect(() => {
+    setRows(null); setErr(null);
+    jsonFetch(`${API_BASE}/api/worklogs/${worklogId}/rows`).then(({ ok, status, data }) => {
+      if (!ok || (data as any)?.ok === false) throw new Error(typeof data === "string" ? data : (data as any)?.error || `HTTP ${status}`);
+      setRows((data as any).data as WorklogParsedRow[]);
+    }).catch((e: any) => setErr(e?.message || "작업 행 조회 실패"));
+  }, [worklogId]);
+
+  if (err) return <span className="badge" style={{ borderColor: "#fecaca", color: "#b91c1c" }}>오류: {err}</span>;
+  if (!rows) return <span style={{ color: "#94a3b8" }}>불러오는 중…</span>;
+
+  const hours = rows.reduce((s, r) => s + r.hours, 0);
+  const quantity = rows.reduce((s, r) => s + (r.quantity ?? 0), 0);
+  return (
+    <table>
+      <thead>
+        <tr><th>행</th><th>날짜</th><th>라인</th><th>작업</th><th>시간</th><th>생산수량</th></tr>
+      </thead>
+      <tbody>
+        {rows.map(r => (
+          <tr key={r.rowNo}>
+            <td>{r.rowNo}</td>
+            <td>{r.workDate}</td>
+            <td>{r.line}</td>
+            <td>{r.task}</td>
+            <td>{r.hours}</td>
+            <td>{r.quantity ?? "-"}</td>
+          </tr>
+        ))}
+        <tr style={{ fontWeight: 700 }}>
+          <td colSpan={4}>합계 {rows.length}행</td>
+          <td>{Math.round(hours * 100) / 100}</td>
+          <td>{quantity.toLocaleString()}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,255 @@
+// analytics.ts — 인사 통계 집계(휴가 사용/결재 소요일/반려율/연차 소멸 예정/근무일지 제출률)와 엑셀 내보내기
+// DB에 의존하지 않는다. 신청/직원/일지 조회와 근무일 계산은 server.ts에서 담당
+
+import ExcelJS from 'exceljs';
+
+export const ANALYTICS_LEAVE_TYPES = ['연차', '반차', '병가', '경조사'] as const;
+export const TOTAL_LABEL = '전체';
+
+// 승인된 휴가 한 건. dates: 휴가 기간의 근무일 (차감 일수를 근무일마다 고르게 나눠 월별로 집계)
+export interface UsageInput {
+  dept: string;
+  leaveType: string;
+  days: number;
+  startDate: string;
+  dates: string[];
+}
+
+// 결재가 끝난 신청 한 건. decidedAt: 마지막 결재 시각 (승인 후 취소된 건도 승인으로 셈)
+export interface DecisionInput {
+  dept: string;
+  dateRequested: string;
+  decidedAt: string | null;
+  approved: boolean;
+}
+
+export interface AnnualRemainInput {
+  userId: string;
+  empId: string;
+  name: string;
+  dept: string;
+  entitled: number;
+  used: number;
+  pending: number;
+  remaining: number;
+}
+
+// 직원별 근무일지 제출 대상일(근무일 - 휴가일)과 제출한 근무일
+export interface ComplianceInput {
+  userId: string;
+  name: string;
+  dept: string;
+  expected: string[];
+  submitted: string[];
+}
+
+export interface UsageRow { key: string; days: number; requests: number }
+export interface MonthUsageRow { month: string; days: number; byType: Record<string, number> }
+export interface TurnaroundRow { dept: string; decided: number; avgDays: number; medianDays: number; maxDays: number }
+export interface RejectionRow { dept: string; decided: number; approved: number; rejected: number; rate: number }
+export interface ExpiringRow extends AnnualRemainInput { unplanned: number; workdaysLeft: number }
+export interface ComplianceRow { dept: string; headcount: number; expected: number; submitted: number; missing: number; rate: number }
+
+export interface AnalyticsReport {
+  year: number;
+  dept: string | null;
+  asOf: string;
+  usageByDept: UsageRow[];
+  usageByType: UsageRow[];
+  usageByMonth: MonthUsageRow[];
+  turnaround: TurnaroundRow[];
+  rejection: RejectionRow[];
+  expiring: ExpiringRow[];
+  compliance: ComplianceRow[];
+}
+
+const round1 = (n: number) => Math.round(n * 10) / 10;
+const rate = (part: number, whole: number) => whole ? Math.round(part / whole * 1000) / 10 : 0; // %
+
+function groupBy<T>(items: T[], keyOf: (x: T) => string) {
+  const m = new Map<string, T[]>();
+  for (const x of items) {
+    const k = keyOf(x);
+    m.set(k, [...(m.get(k) ?? []), x]);
+  }
+  return m;
+}
+
+// 연도를 걸친 휴가는 그 해에 든 근무일 몫만
+function daysInYear(u: UsageInput, year: number) {
+  const prefix = `${year}-`;
+  if (!u.dates.length) return u.startDate.startsWith(prefix) ? u.days : 0;
+  return u.days * u.dates.filter(d => d.startsWith(prefix)).length / u.dates.length;
+}
+
+export function leaveUsage(inputs: UsageInput[], year: number) {
+  const sumBy = (keyOf: (u: UsageInput) => string): UsageRow[] =>
+    [...groupBy(inputs.filter(u => daysInYear(u, year) > 0), keyOf)]
+      .map(([key, list]) => ({ key, days: round1(list.reduce((s, u) => s + daysInYear(u, year), 0)), requests: list.length }))
+      .sort((a, b) => b.days - a.days || a.key.localeCompare(b.key));
+
+  const months: MonthUsageRow[] = Array.from({ length: 12 }, (_, i) => ({
+    month: `${year}-${String(i + 1).padStart(2, '0')}`,
+    days: 0,
+    byType: Object.fromEntries(ANALYTICS_LEAVE_TYPES.map(t => [t, 0])),
+  }));
+  for (const u of inputs) {
+    const dates = u.dates.length ? u.dates : [u.startDate];
+    const per = u.days / dates.length;
+    for (const d of dates) {
+      const m = months.find(x => d.startsWith(x.month));
+      if (!m) continue;
+      m.days += per;
+      m.byType[u.leaveType] = (m.byType[u.leaveType] ?? 0) + per;
+    }
+  }
+  for (const m of months) {
+    m.days = round1(m.days);
+    for (const t of Object.keys(m.byType)) m.byType[t] = round1(m.byType[t]);
+  }
+
+  return { byDept: sumBy(u => u.dept), byType: sumBy(u => u.leaveType), byMonth: months };
+}
+
+// 신청일은 날짜만 있으므로 결재 소요일도 날짜 차이(당일 결재 = 0일)로 계산
+export function decisionDays(d: Pick<DecisionInput, 'dateRequested' | 'decidedAt'>) {
+  if (!d.decidedAt) return null;
+  const ms = Date.parse(`${d.decidedAt.slice(0, 10)}T00:00:00Z`) - Date.parse(`${d.dateRequested}T00:00:00Z`);
+  return isNaN(ms) ? null : Math.max(0, ms / 86400000);
+}
+
+function median(sorted: number[]) {
+  if (!sorted.length) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// 부서별 + 마지막에 전체 행
+function perDept<T>(inputs: T[], deptOf: (x: T) => string, row: (dept: string, list: T[]) => any) {
+  const rows = [...groupBy(inputs, deptOf)].map(([dept, list]) => row(dept, list)).sort((a, b) => a.dept.localeCompare(b.dept));
+  return inputs.length ? [...rows, row(TOTAL_LABEL, inputs)] : rows;
+}
+
+export function approvalTurnaround(inputs: DecisionInput[]): TurnaroundRow[] {
+  const timed = inputs.filter(d => decisionDays(d) !== null);
+  return perDept(timed, d => d.dept, (dept, list) => {
+    const days = list.map(d => decisionDays(d)!).sort((a, b) => a - b);
+    return {
+      dept, decided: days.length,
+      avgDays: round1(days.reduce((s, n) => s + n, 0) / days.length),
+      medianDays: round1(median(days)),
+      maxDays: round1(days[days.length - 1]),
+    };
+  });
+}
+
+export function rejectionRates(inputs: DecisionInput[]): RejectionRow[] {
+  return perDept(inputs, d => d.dept, (dept, list) => {
+    const approved = list.filter(d => d.approved).length;
+    const rejected = list.length - approved;
+    return { dept, decided: list.length, approved, rejected, rate: rate(rejected, list.length) };
+  });
+}
+
+// 남은 연차에서 결재 대기분을 뺀 "아직 계획 없는" 일수가 minDays 이상인 직원 (많은 순)
+export function expiringAnnualLeave(inputs: AnnualRemainInput[], workdaysLeft: number, minDays: number): ExpiringRow[] {
+  return inputs
+    .map(b => ({ ...b, unplanned: round1(b.remaining - b.pending), workdaysLeft }))
+    .filter(b => b.unplanned > 0 && b.unplanned >= minDays)
+    .sort((a, b) => b.unplanned - a.unplanned || a.name.localeCompare(b.name));
+}
+
+export function worklogCompliance(inputs: ComplianceInput[]): ComplianceRow[] {
+  return perDept(inputs, c => c.dept, (dept, list) => {
+    let expected = 0, submitted = 0;
+    for (const c of list) {
+      const done = new Set(c.submitted);
+      expected += c.expected.length;
+      submitted += c.expected.filter(d => done.has(d)).length;
+    }
+    return { dept, headcount: list.length, expected, submitted, missing: expected - submitted, rate: rate(submitted, expected) };
+  });
+}
+
+/* ---------------- 엑셀 내보내기 ---------------- */
+export const ANALYTICS_SECTIONS = ['usageDept', 'usageType', 'usageMonth', 'turnaround', 'rejection', 'expiring', 'compliance'] as const;
+export type AnalyticsSection = typeof ANALYTICS_SECTIONS[number];
+
+interface SheetSpec {
+  title: string;
+  columns: Array<{ header: string; key: string; width: number }>;
+  rows: (r: AnalyticsReport) => Array<Record<string, unknown>>;
+}
+
+const SHEETS: Record<AnalyticsSection, SheetSpec> = {
+  usageDept: {
+    title: '부서별 휴가 사용',
+    columns: [{ header: '부서', key: 'key', width: 18 }, { header: '사용 일수', key: 'days', width: 12 }, { header: '건수', key: 'requests', width: 10 }],
+    rows: r => r.usageByDept as any[],
+  },
+  usageType: {
+    title: '종류별 휴가 사용',
+    columns: [{ header: '휴가 종류', key: 'key', width: 14 }, { header: '사용 일수', key: 'days', width: 12 }, { header: '건수', key: 'requests', width: 10 }],
+    rows: r => r.usageByType as any[],
+  },
+  usageMonth: {
+    title: '월별 휴가 사용',
+    columns: [
+      { header: '월', key: 'month', width: 10 }, { header: '합계', key: 'days', width: 10 },
+      ...ANALYTICS_LEAVE_TYPES.map(t => ({ header: t, key: t, width: 10 })),
+    ],
+    rows: r => r.usageByMonth.map(m => ({ month: m.month, days: m.days, ...m.byType })),
+  },
+  turnaround: {
+    title: '결재 소요일',
+    columns: [
+      { header: '부서', key: 'dept', width: 18 }, { header: '결재 건수', key: 'decided', width: 10 },
+      { header: '평균(일)', key: 'avgDays', width: 10 }, { header: '중앙값(일)', key: 'medianDays', width: 12 }, { header: '최대(일)', key: 'maxDays', width: 10 },
+    ],
+    rows: r => r.turnaround as any[],
+  },
+  rejection: {
+    title: '반려율',
+    columns: [
+      { header: '부서', key: 'dept', width: 18 }, { header: '결재 건수', key: 'decided', width: 10 },
+      { header: '승인', key: 'approved', width: 8 }, { header: '반려', key: 'rejected', width: 8 }, { header: '반려율(%)', key: 'rate', width: 10 },
+    ],
+    rows: r => r.rejection as any[],
+  },
+  expiring: {
+    title: '연차 소멸 예정',
+    columns: [
+      { header: '사번', key: 'empId', width: 12 }, { header: '이름', key: 'name', width: 12 }, { header: '부서', key: 'dept', width: 18 },
+      { header: '발생', key: 'entitled', width: 8 }, { header: '사용', key: 'used', width: 8 }, { header: '결재 대기', key: 'pending', width: 10 },
+      { header: '미사용(계획 없음)', key: 'unplanned', width: 16 }, { header: '남은 근무일', key: 'workdaysLeft', width: 12 },
+    ],
+    rows: r => r.expiring as any[],
+  },
+  compliance: {
+    title: '근무일지 제출률',
+    columns: [
+      { header: '부서', key: 'dept', width: 18 }, { header: '인원', key: 'headcount', width: 8 }, { header: '제출 대상일', key: 'expected', width: 12 },
+      { header: '제출', key: 'submitted', width: 8 }, { header: '미제출', key: 'missing', width: 8 }, { header: '제출률(%)', key: 'rate', width: 10 },
+    ],
+    rows: r => r.compliance as any[],
+  },
+};
+
+export function analyticsSectionTitle(section: AnalyticsSection) {
+  return SHEETS[section].title;
+}
+
+// 선택한 통계마다 시트 하나 (첫 줄: 제목/기준, 둘째 줄: 머리글)
+export async function buildAnalyticsWorkbook(report: AnalyticsReport, sections: readonly AnalyticsSection[]): Promise<Buffer> {
+  const wb = new ExcelJS.Workbook();
+  for (const s of sections) {
+    const spec = SHEETS[s];
+    const ws = wb.addWorksheet(spec.title);
+    ws.addRow([`${spec.title} — ${report.year}년${report.dept ? ` / ${report.dept}` : ''} (기준일 ${report.asOf})`]).font = { bold: true };
+    ws.addRow(spec.columns.map(c => c.header)).font = { bold: true };
+    spec.columns.forEach((c, i) => { ws.getColumn(i + 1).width = c.width; });
+    for (const row of spec.rows(report)) ws.addRow(spec.columns.map(c => row[c.key] ?? ''));
+    ws.views = [{ state: 'frozen', ySplit: 2 }];
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
@@ -0,0 +1,91 @@
+// attendance.ts — 출퇴근 기록의 근무일 판정과 근태 대조(미출근/휴가 중 출근/지각)
+// DB에 의존하지 않는다. 출퇴근 기록·승인된 휴가·근무일 조회와 예외 저장은 server.ts에서 담당
+//  - 야간 근무는 자정을 넘기므로 낮 12시 전 출근은 전날이 야간 근무면 전날 근무로 봄
+//  - 지각은 근무조 시작 시각 + 유예 시간 뒤 출근
+
+import { addDays } from './workdays';
+
+export const WORK_SHIFTS = ['주간', '야간'] as const;
+export type WorkShift = typeof WORK_SHIFTS[number];
+
+export const ATTENDANCE_EXCEPTION_KINDS = ['noShow', 'onLeave', 'late'] as const;
+export type AttendanceExceptionKind = typeof ATTENDANCE_EXCEPTION_KINDS[number];
+
+export const ATTENDANCE_EXCEPTION_LABELS: Record<AttendanceExceptionKind, string> = {
+  noShow: '미출근',
+  onLeave: '휴가 중 출근',
+  late: '지각',
+};
+
+export interface AttendanceConfig {
+  shiftStart: Record<WorkShift, string>;  // 'HH:mm'
+  graceMinutes: number;
+}
+
+export const DEFAULT_ATTENDANCE_CONFIG: AttendanceConfig = {
+  shiftStart: { 주간: '09:00', 야간: '21:00' },
+  graceMinutes: 5,
+};
+
+const NIGHT_CUTOFF_HOUR = 12;
+
+const minutesOf = (hhmm: string) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+// 출근 시각(로컬 'YYYY-MM-DDTHH:mm:ss')이 속한 근무일과 근무조. shiftOn: 그날 근무조 (근무 교대 반영)
+export function attendanceWorkDate(clockIn: string, shiftOn: (date: string) => WorkShift): { workDate: string; shift: WorkShift } {
+  const date = clockIn.slice(0, 10);
+  if (Number(clockIn.slice(11, 13)) < NIGHT_CUTOFF_HOUR) {
+    const prev = addDays(date, -1);
+    if (shiftOn(prev) === '야간') return { workDate: prev, shift: '야간' };
+  }
+  return { workDate: date, shift: shiftOn(date) };
+}
+
+// 근무조 시작보다 늦은 분 (유예 시간 안이면 0). 야간 근무의 자정 뒤 출근은 다음 날 시각으로 셈
+export function minutesLate(shift: WorkShift, workDate: string, clockIn: string, cfg: AttendanceConfig) {
+  const dayOffset = clockIn.slice(0, 10) > workDate ? 24 * 60 : 0;
+  const late = dayOffset + minutesOf(clockIn.slice(11, 16)) - minutesOf(cfg.shiftStart[shift]);
+  return late > cfg.graceMinutes ? late : 0;
+}
+
+// 대조 대상 직원 한 명의 하루
+export interface ReconcileInput {
+  userId: string;
+  shift: WorkShift;               // 그날 근무조 (승인된 근무 교대 반영)
+  clockIn: string | null;
+  leave: { requestId: string; leaveType: string } | null;   // 승인된 종일 휴가
+  halfDay: { requestId: string } | null;                    // 승인된 반차 (지각으로 보지 않음)
+  away: { requestId: string; label: string } | null;        // 승인된 출장 등 그 밖의 부재
+}
+
+export interface AttendanceException {
+  userId: string;
+  kind: AttendanceExceptionKind;
+  minutesLate: number | null;
+  requestId: string | null;
+  detail: string;
+}
+
+// 근무일: 출근 기록도 부재 승인도 없으면 미출근, 늦게 왔으면 지각
+// 모든 날: 종일 휴가가 승인된 날 출근 기록이 있으면 휴가 중 출근
+export function reconcileDay(workDate: string, isWorkday: boolean, staff: ReconcileInput[], cfg: AttendanceConfig): AttendanceException[] {
+  const out: AttendanceException[] = [];
+  for (const s of staff) {
+    if (s.clockIn && s.leave) {
+      out.push({ userId: s.userId, kind: 'onLeave', minutesLate: null, requestId: s.leave.requestId, detail: `${s.leave.leaveType} 승인일 출근 ${s.clockIn.slice(11, 16)}` });
+      continue;
+    }
+    if (!isWorkday) continue;
+    if (!s.clockIn) {
+      if (s.leave || s.away) continue;
+      out.push({ userId: s.userId, kind: 'noShow', minutesLate: null, requestId: s.halfDay?.requestId ?? null, detail: s.halfDay ? '반차 외 출근 기록 없음' : '출근 기록 없음' });
+      continue;
+    }
+    if (s.halfDay || s.away) continue;
+    const late = minutesLate(s.shift, workDate, s.clockIn, cfg);
+    if (late > 0) {
+      out.push({ userId: s.userId, kind: 'late', minutesLate: late, requestId: null, detail: `${s.shift} ${cfg.shiftStart[s.shift]} 시작 · ${s.clockIn.slice(11, 16)} 출근` });
+    }
+  }
+  return out;
+}
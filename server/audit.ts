@@ -0,0 +1,101 @@
+// audit.ts — 감사 기록 (해시 체인 / 스냅숏 정리 / CSV)
+// DB에 의존하지 않는 순수 함수만 둔다. audit_events 테이블 기록/조회는 server.ts에서 담당
+//  - 각 기록의 hash = sha256(직전 기록 hash + 이 기록의 저장 값) → 중간 기록을 고치거나 지우면 이후 체인이 모두 어긋남
+
+import { createHash } from 'crypto';
+
+export interface AuditEvent {
+  seq: number;
+  id: string;
+  ts: string;
+  actorId: string | null;
+  actorName: string | null;
+  action: string;            // 예: request.approve, login.failure
+  entityType: string;        // 예: request, worklog, user
+  entityId: string | null;
+  before: string | null;     // JSON (canonicalJson)
+  after: string | null;      // JSON (canonicalJson)
+  ip: string | null;
+  prevHash: string;
+  hash: string;
+}
+
+export const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+function sha256(text: string | Buffer) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// 키를 정렬한 JSON (같은 값이면 항상 같은 문자열)
+export function canonicalJson(v: unknown): string {
+  if (v === undefined) return 'null';
+  if (v === null || typeof v !== 'object') return JSON.stringify(v);
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  const obj = v as Record<string, unknown>;
+  const keys = Object.keys(obj).filter(k => obj[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(obj[k])}`).join(',')}}`;
+}
+
+// 기록할 스냅숏: 비밀번호 해시는 빼고, 서명 dataURL은 길이 대신 지문(sha256)만 남김
+const SECRET_KEYS = new Set(['passwordHash', 'password', 'newPassword', 'currentPassword']);
+export function auditSnapshot(v: unknown): unknown {
+  if (typeof v === 'string') {
+    const m = /^data:([\w/+.-]+);base64,(.+)$/.exec(v);
+    return m ? `[${m[1]} sha256:${sha256(Buffer.from(m[2], 'base64'))}]` : v;
+  }
+  if (v === null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(auditSnapshot);
+  const out: Record<string, unknown> = {};
+  for (const [k, val] of Object.entries(v as Record<string, unknown>)) {
+    if (!SECRET_KEYS.has(k)) out[k] = auditSnapshot(val);
+  }
+  return out;
+}
+
+type HashInput = Omit<AuditEvent, 'seq' | 'hash'>;
+
+export function auditHash(e: HashInput): string {
+  const fields = [e.id, e.ts, e.actorId, e.actorName, e.action, e.entityType, e.entityId, e.before, e.after, e.ip];
+  return sha256(`${e.prevHash}\n${JSON.stringify(fields)}`);
+}
+
+export interface AuditVerifyResult {
+  ok: boolean;
+  count: number;
+  lastHash: string;
+  brokenAt?: number;         // 처음 어긋난 기록의 seq
+  reason?: string;
+}
+
+// seq 순으로 정렬된 전체 기록의 체인 검증
+export function verifyAuditChain(rows: Iterable<AuditEvent>): AuditVerifyResult {
+  let prev = AUDIT_GENESIS_HASH;
+  let count = 0;
+  for (const r of rows) {
+    if (r.prevHash !== prev) {
+      return { ok: false, count, lastHash: prev, brokenAt: r.seq, reason: '직전 기록과 연결되지 않습니다 (기록 삭제 또는 순서 변경)' };
+    }
+    if (auditHash(r) !== r.hash) {
+      return { ok: false, count, lastHash: prev, brokenAt: r.seq, reason: '기록 내용이 해시와 일치하지 않습니다 (기록 수정)' };
+    }
+    prev = r.hash;
+    count++;
+  }
+  return { ok: true, count, lastHash: prev };
+}
+
+// CSV (엑셀에서 한글이 깨지지 않도록 BOM 포함)
+export function csvCell(v: unknown) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const AUDIT_CSV_COLUMNS: Array<keyof AuditEvent> = [
+  'seq', 'ts', 'actorId', 'actorName', 'action', 'entityType', 'entityId', 'ip', 'before', 'after', 'prevHash', 'hash',
+];
+
+export function auditCsv(rows: Iterable<AuditEvent>): string {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+  for (const r of rows) lines.push(AUDIT_CSV_COLUMNS.map(c => csvCell(r[c])).join(','));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,80 @@
+// calendar.ts — 팀 휴가 달력 / 최소 인원 규칙 계산
+// DB에 의존하지 않는 순수 함수만 둔다. 신청/직원/규칙 조회는 server.ts에서 담당
+
+export type StaffingShift = '전체' | '주간' | '야간';
+
+// 달력에 표시하는 부재 (승인 + 결재 대기 신청)
+export interface Absence {
+  requestId: string;
+  requesterId: string | null;
+  name: string;
+  deptId: string | null;     // 조직 미등록 신청자는 NULL
+  dept: string;
+  shift: '주간' | '야간' | null;
+  leaveType: string;
+  startDate: string;
+  endDate: string;
+  status: string;
+}
+
+export interface StaffingRule {
+  id: string;
+  deptId: string;
+  dept: string;
+  shift: StaffingShift;      // 전체: 근무조 구분 없이 부서 전체 인원
+  minStaff: number;
+  headcount: number;         // 규칙에 해당하는 재직 인원
+}
+
+export interface StaffingShortfall {
+  date: string;
+  ruleId: string;
+  deptId: string;
+  dept: string;
+  shift: StaffingShift;
+  headcount: number;
+  away: number;              // 반차는 0.5명
+  available: number;
+  minStaff: number;
+}
+
+export function overlapsRange(a: { startDate: string; endDate: string }, from: string, to: string) {
+  return a.startDate <= to && a.endDate >= from;
+}
+
+// 반차는 하루의 절반만 자리를 비움
+export function absenceWeight(leaveType: string) {
+  return leaveType === '반차' ? 0.5 : 1;
+}
+
+// 근무조 미지정 직원은 주간 근무로 봄
+export function ruleCovers(rule: Pick<StaffingRule, 'deptId' | 'shift'>, a: Pick<Absence, 'deptId' | 'shift'>) {
+  return a.deptId === rule.deptId && (rule.shift === '전체' || (a.shift ?? '주간') === rule.shift);
+}
+
+// 날짜별로 최소 인원에 못 미치는 규칙 (days에는 근무일만 넘김)
+export function staffingShortfalls(days: string[], rules: StaffingRule[], absences: Absence[]): StaffingShortfall[] {
+  const out: StaffingShortfall[] = [];
+  for (const rule of rules) {
+    const related = absences.filter(a => ruleCovers(rule, a));
+    for (const date of days) {
+      const away = related
+        .filter(a => a.startDate <= date && a.endDate >= date)
+        .reduce((sum, a) => sum + absenceWeight(a.leaveType), 0);
+      const available = rule.headcount - away;
+      if (available < rule.minStaff) {
+        out.push({
+          date, ruleId: rule.id, deptId: rule.deptId, dept: rule.dept, shift: rule.shift,
+          headcount: rule.headcount, away, available, minStaff: rule.minStaff,
+        });
+      }
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.dept.localeCompare(b.dept));
+}
+
+// 업무인수자 칸은 자유 입력 — "홍길동" / "홍길동 대리" 모두 이름으로 비교
+export function handoverMatches(handoverPerson: string | null | undefined, name: string) {
+  const who = (handoverPerson ?? '').trim().split(/\s+/)[0];
+  return !!who && who === name.trim();
+}
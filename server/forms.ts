@@ -0,0 +1,219 @@
+// forms.ts — 인사계출 양식(.xlsx) 채우기
+// 템플릿별 셀 매핑(어느 항목을 어느 셀/위치에 넣을지)은 DB에 저장하고, 여기서는 매핑대로 채우기만 한다
+// 휴가 외 신청 종류의 입력값은 details.<항목> 필드로 매핑 (항목 이름은 requestTypes.ts)
+
+import ExcelJS from 'exceljs';
+import zlib from 'zlib';
+
+export const FORM_FIELDS = [
+  'dateRequested', 'empId', 'name', 'dept', 'position', 'leaveType',
+  'startDate', 'endDate', 'days', 'note', 'handoverPerson', 'contact',
+] as const;
+export type FormField = typeof FORM_FIELDS[number] | `details.${string}`;
+export const DETAILS_FIELD_PATTERN = /^details\.[A-Za-z]+$/;
+
+// 값 표기 방식 (양식 칸의 여백/글자 배치에 맞춘 형식)
+//  - reqDate: 2025년          08월          27일
+//  - start/end: 2025 년        08     월      29    일   부터/까지
+//  - year/month/day: 날짜의 일부만 (연/월/일 칸이 나뉜 양식)
+//  - daysLabel: (1 일간)
+export const FORM_FORMATS = ['text', 'reqDate', 'start', 'end', 'year', 'month', 'day', 'daysLabel'] as const;
+export type FormFormat = typeof FORM_FORMATS[number];
+
+export const FORM_IMAGE_FIELDS = ['signature', 'managerSignature'] as const;
+export type FormImageField = typeof FORM_IMAGE_FIELDS[number];
+
+export interface CellMapping { cell: string; field: FormField; format?: FormFormat }
+
+// tl: 0부터 시작하는 열/행 위치 (소수점으로 칸 안 위치 조정), ext: 픽셀 크기
+export interface ImageMapping {
+  field: FormImageField;
+  tl: { col: number; row: number };
+  ext: { width: number; height: number };
+}
+
+export interface FormMapping {
+  sheet?: string;        // 없으면 첫 번째 시트
+  cells: CellMapping[];
+  images: ImageMapping[];
+}
+
+export interface FormRequest {
+  requestId: string;
+  dateRequested: string; empId: string; name: string; dept: string; position: string; leaveType: string;
+  startDate: string; endDate: string; days?: number | null; note?: string | null;
+  handoverPerson?: string | null; contact?: string | null;
+  signature?: string | null; managerSignature?: string | null;
+  details?: Record<string, unknown> | null;   // 휴가 외 신청 종류의 입력값
+}
+
+// 기본 제공 템플릿의 매핑 (최초 기동 시 DB에 없으면 등록)
+export const DEFAULT_FORM_MAPPINGS: Record<string, FormMapping> = {
+  '인사계출_일반직.xlsx': {
+    cells: [
+      { cell: 'B4', field: 'dept' },
+      { cell: 'K4', field: 'name' },
+      { cell: 'K5', field: 'empId' },
+      { cell: 'W4', field: 'position' },
+      { cell: 'AE4', field: 'leaveType' },
+      { cell: 'C11', field: 'startDate', format: 'start' },
+      { cell: 'C13', field: 'endDate', format: 'end' },
+      { cell: 'R11', field: 'days', format: 'daysLabel' },
+      { cell: 'B16', field: 'note' },
+      { cell: 'B17', field: 'handoverPerson' },
+      { cell: 'P17', field: 'contact' },
+      { cell: 'K21', field: 'dateRequested', format: 'reqDate' },
+      { cell: 'T23', field: 'name' },
+    ],
+    images: [
+      { field: 'signature', tl: { col: 8.8, row: 26.1 }, ext: { width: 80, height: 40 } },
+      { field: 'signature', tl: { col: 25.2, row: 21.8 }, ext: { width: 60, height: 35 } },
+      { field: 'managerSignature', tl: { col: 23.8, row: 26.1 }, ext: { width: 80, height: 40 } },
+    ],
+  },
+  // 생산직 양식은 기간이 B열 병합 칸, 작성일이 연/월/일 칸으로 나뉘어 있음
+  '인사계출_생산직.xlsx': {
+    cells: [
+      { cell: 'B4', field: 'dept' },
+      { cell: 'K4', field: 'name' },
+      { cell: 'K5', field: 'empId' },
+      { cell: 'W4', field: 'position' },
+      { cell: 'AE4', field: 'leaveType' },
+      { cell: 'B11', field: 'startDate', format: 'start' },
+      { cell: 'B13', field: 'endDate', format: 'end' },
+      { cell: 'R12', field: 'days', format: 'daysLabel' },
+      { cell: 'B16', field: 'note' },
+      { cell: 'B17', field: 'handoverPerson' },
+      { cell: 'P17', field: 'contact' },
+      { cell: 'K21', field: 'dateRequested', format: 'year' },
+      { cell: 'Q21', field: 'dateRequested', format: 'month' },
+      { cell: 'V21', field: 'dateRequested', format: 'day' },
+      { cell: 'T23', field: 'name' },
+    ],
+    images: [
+      { field: 'signature', tl: { col: 10.8, row: 26.1 }, ext: { width: 80, height: 40 } },
+      { field: 'signature', tl: { col: 25.2, row: 21.8 }, ext: { width: 60, height: 35 } },
+      { field: 'managerSignature', tl: { col: 22.8, row: 26.1 }, ext: { width: 80, height: 40 } },
+    ],
+  },
+};
+
+function formatDate(date: string, format: FormFormat) {
+  const [y, m, d] = date.split('-');
+  const SP10 = ' '.repeat(10), SP8 = ' '.repeat(8), SP6 = ' '.repeat(6), SP4 = ' '.repeat(4), SP3 = ' '.repeat(3);
+  switch (format) {
+    case 'reqDate': return `${y}년${SP10}${m}월${SP10}${d}일`;
+    case 'start': return `${y} 년${SP8}${m}${SP4} 월${SP6}${d}${SP3} 일   부터`;
+    case 'end': return `${y} 년${SP8}${m}${SP4} 월${SP6}${d}${SP3} 일   까지`;
+    case 'year': return y;
+    case 'month': return m;
+    case 'day': return d;
+    default: return date;
+  }
+}
+
+export function formValue(rec: FormRequest, m: CellMapping): string {
+  const raw = m.field.startsWith('details.') ? rec.details?.[m.field.slice('details.'.length)] : rec[m.field as typeof FORM_FIELDS[number]];
+  if (raw === null || raw === undefined) return '';
+  const format = m.format ?? 'text';
+  if (format === 'daysLabel') return `(${raw} 일간)`;
+  if (format !== 'text' && /^\d{4}-\d{2}-\d{2}/.test(String(raw))) return formatDate(String(raw).slice(0, 10), format);
+  return String(raw);
+}
+
+function dataUrlImage(dataUrl: string): { buffer: Buffer; extension: 'png' | 'jpeg' } | null {
+  const m = /^data:image\/(png|jpe?g);base64,(.+)$/.exec(dataUrl);
+  if (!m) return null;
+  return { buffer: Buffer.from(m[2], 'base64'), extension: m[1] === 'png' ? 'png' : 'jpeg' };
+}
+
+// 템플릿 파일에 신청 내용을 채운 .xlsx 버퍼
+export async function renderLeaveForm(templatePath: string, mapping: FormMapping, rec: FormRequest): Promise<Buffer> {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.readFile(templatePath);
+  const ws = (mapping.sheet ? wb.getWorksheet(mapping.sheet) : undefined) ?? wb.worksheets[0];
+  if (!ws) throw new Error('템플릿에 시트가 없습니다');
+
+  for (const m of mapping.cells) ws.getCell(m.cell).value = formValue(rec, m);
+
+  const imageIds = new Map<FormImageField, number>();
+  for (const img of mapping.images) {
+    if (!imageIds.has(img.field)) {
+      const parsed = rec[img.field] ? dataUrlImage(rec[img.field]!) : null;
+      if (parsed) imageIds.set(img.field, wb.addImage(parsed as any));
+    }
+    const imageId = imageIds.get(img.field);
+    if (imageId !== undefined) ws.addImage(imageId, { tl: img.tl, ext: img.ext } as any);
+  }
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// 업로드한 템플릿의 시트 이름 (읽을 수 없는 파일이면 예외)
+export async function templateSheets(buffer: Buffer): Promise<string[]> {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer as any);
+  return wb.worksheets.map(ws => ws.name);
+}
+
+/* ---------------- 미리보기용 견본 ---------------- */
+
+// 서명 자리 확인용 이미지: 테두리 있는 반투명 사각형 PNG
+function crc32(buf: Buffer) {
+  let c, crc = 0xffffffff;
+  for (let n = 0; n < buf.length; n++) {
+    c = (crc ^ buf[n]) & 0xff;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    crc = (crc >>> 8) ^ c;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type: string, data: Buffer) {
+  const len = Buffer.alloc(4); len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4); crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function placeholderPng(width: number, height: number) {
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 4 + 1);
+    for (let x = 0; x < width; x++) {
+      const edge = x < 2 || y < 2 || x >= width - 2 || y >= height - 2;
+      raw.set(edge ? [37, 99, 235, 255] : [191, 219, 254, 120], row + 1 + x * 4);
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0); ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 6, 0, 0, 0], 8); // 8bit RGBA
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr), pngChunk('IDAT', zlib.deflateSync(raw)), pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+export const SAMPLE_FORM_REQUEST: FormRequest = {
+  requestId: 'sample',
+  dateRequested: '2025-08-27',
+  empId: '1001',
+  name: '홍길동',
+  dept: '생산팀',
+  position: '사원',
+  leaveType: '연차',
+  startDate: '2025-08-28',
+  endDate: '2025-08-29',
+  days: 2,
+  note: '개인 사정',
+  handoverPerson: '김대리',
+  contact: '010-1234-5678',
+  signature: placeholderPng(80, 40),
+  managerSignature: placeholderPng(80, 40),
+};
+
+// 다운로드 파일명: HR_사번_이름_작성일.xlsx
+export function formFileName(rec: FormRequest) {
+  return `HR_${rec.empId}_${rec.name}_${rec.dateRequested}.xlsx`.replace(/[\\/:*?"<>|]/g, '_');
+}
@@ -0,0 +1,134 @@
+// imports.ts — 직원 명부/과거 휴가 신청 일괄 가져오기용 CSV·엑셀 읽기와 머리글 매핑
+// DB에 의존하지 않는다. 행 검증(zod)과 저장/되돌리기는 server.ts에서 담당
+
+import ExcelJS from 'exceljs';
+import { normalizeDate } from './workdays';
+
+export const IMPORT_KINDS = ['employees', 'requests'] as const;
+export type ImportKind = typeof IMPORT_KINDS[number];
+
+// 파일의 한 행 — line: 파일 기준 행 번호 (머리글 = 1)
+export interface ImportRow { line: number; values: Record<string, string> }
+
+// 머리글(한글/영문) → 필드. 목록에 없는 열은 무시
+export const IMPORT_COLUMNS: Record<ImportKind, Array<[field: string, headers: string[]]>> = {
+  employees: [
+    ['empId', ['사번', 'empId']],
+    ['name', ['이름', '성명', 'name']],
+    ['dept', ['부서', 'dept']],
+    ['position', ['직급', 'position']],
+    ['hireDate', ['입사일', 'hireDate']],
+    ['managerEmpId', ['상사사번', '상사 사번', 'managerEmpId']],
+    ['contact', ['연락처', 'contact']],
+    ['shift', ['근무조', 'shift']],
+    ['username', ['아이디', '계정', 'username']],
+  ],
+  requests: [
+    ['dateRequested', ['신청일', 'dateRequested']],
+    ['empId', ['사번', 'empId']],
+    ['name', ['이름', '성명', 'name']],
+    ['dept', ['부서', 'dept']],
+    ['position', ['직급', 'position']],
+    ['leaveType', ['종류', '휴가 종류', 'leaveType']],
+    ['startDate', ['시작일', 'startDate']],
+    ['endDate', ['종료일', 'endDate']],
+    ['note', ['사유', '비고', 'note']],
+    ['handoverPerson', ['업무인수자', 'handoverPerson']],
+    ['contact', ['연락처', 'contact']],
+    ['status', ['상태', 'status']],
+  ],
+};
+
+const DATE_FIELDS = new Set(['hireDate', 'dateRequested', 'startDate', 'endDate']);
+
+// 상태는 화면에 보이는 한글로 적어도 받음
+const STATUS_ALIASES: Record<string, string> = { 승인: 'Approved', 반려: 'Rejected', 거절: 'Rejected', 취소: 'Canceled' };
+
+const headerKey = (s: string) => s.replace(/\s+/g, '').toLowerCase();
+
+// 따옴표("a,b", "" 이스케이프)와 따옴표 안 줄바꿈을 처리하는 CSV 파서
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  const s = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+function excelDate(d: Date) {
+  const p = (n: number) => String(n).padStart(2, '0');
+  // 엑셀 날짜 셀은 UTC 자정으로 들어옴
+  return `${d.getUTCFullYear()}-${p(d.getUTCMonth() + 1)}-${p(d.getUTCDate())}`;
+}
+
+export function cellText(v: ExcelJS.CellValue): string {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return excelDate(v);
+  if (typeof v === 'object') {
+    if ('result' in v) return cellText(v.result as ExcelJS.CellValue);
+    if ('richText' in v) return v.richText.map(t => t.text).join('');
+    if ('text' in v) return String(v.text);
+    return '';
+  }
+  return String(v);
+}
+
+// 첫 시트의 값 (엑셀) 또는 CSV를 행 배열로
+async function readTable(buffer: Buffer, filename: string): Promise<string[][]> {
+  if (!/\.xlsx$/i.test(filename)) return parseCsv(buffer.toString('utf8'));
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer as any);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+  const rows: string[][] = [];
+  for (let r = 1; r <= ws.rowCount; r++) {
+    const row = ws.getRow(r);
+    const out: string[] = [];
+    for (let c = 1; c <= ws.columnCount; c++) out.push(cellText(row.getCell(c).value));
+    rows.push(out);
+  }
+  return rows;
+}
+
+export interface ImportTable { rows: ImportRow[]; unknownHeaders: string[] }
+
+// 머리글로 열을 찾아 필드 이름으로 바꾸고, 날짜/상태 표기를 정리. 빈 행은 건너뜀
+export async function readImportFile(kind: ImportKind, buffer: Buffer, filename: string): Promise<ImportTable> {
+  const [header = [], ...body] = await readTable(buffer, filename);
+  const columns = IMPORT_COLUMNS[kind];
+  const fieldAt = header.map(h => columns.find(([, names]) => names.some(n => headerKey(n) === headerKey(h)))?.[0]);
+
+  const rows: ImportRow[] = [];
+  body.forEach((cells, i) => {
+    if (cells.every(c => !c.trim())) return;
+    const values: Record<string, string> = {};
+    fieldAt.forEach((field, c) => {
+      if (!field) return;
+      let v = (cells[c] ?? '').trim();
+      if (DATE_FIELDS.has(field) && v) v = normalizeDate(v) ?? v;
+      if (field === 'status' && v) v = STATUS_ALIASES[v] ?? v;
+      values[field] = v;
+    });
+    rows.push({ line: i + 2, values });
+  });
+  return { rows, unknownHeaders: header.filter((h, i) => h.trim() && !fieldAt[i]) };
+}
@@ -0,0 +1,152 @@
+// mailer.ts — 알림 메일 발송 (전송 방식 교체 가능)
+// DB에 의존하지 않는다. 누구에게 무엇을 보낼지는 server.ts에서 결정
+//  MAIL_TRANSPORT=smtp  : SMTP_HOST/SMTP_PORT로 SMTP 전송 (개발 중엔 MailHog 등 로컬 SMTP 수집기)
+//    SMTP_SECURE=on이면 처음부터 TLS(SMTPS, 기본 465). 계정(SMTP_USER)은 TLS 연결에서만 보냄
+//  MAIL_TRANSPORT=log   : 받는 사람/제목만 콘솔에 출력 (본문은 개인정보가 있어 남기지 않음)
+//  MAIL_TRANSPORT=off   : 보내지 않음 (SMTP_HOST가 없을 때 기본값)
+
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+}
+
+export interface MailTransport {
+  name: string;
+  send(msg: MailMessage): Promise<void>;
+}
+
+export interface SmtpOptions {
+  host: string;
+  port: number;
+  from: string;
+  user?: string;
+  pass?: string;
+  secure?: boolean;    // SMTPS (암묵적 TLS)
+  timeoutMs?: number;
+}
+
+export function logTransport(log: (line: string) => void = console.log): MailTransport {
+  return {
+    name: 'log',
+    async send(msg) { log(`[mail] to=${msg.to} subject=${msg.subject}`); },
+  };
+}
+
+export function nullTransport(): MailTransport {
+  return { name: 'off', async send() { /* no-op */ } };
+}
+
+// 제목 등 헤더의 한글은 RFC 2047 인코딩
+function encodeHeader(value: string) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// 76자마다 줄바꿈한 base64 본문
+function base64Body(text: string) {
+  return (Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) ?? []).join('\r\n');
+}
+
+export function buildMimeMessage(from: string, msg: MailMessage, date = new Date()) {
+  const domain = from.split('@')[1]?.replace(/>.*$/, '') || os.hostname();
+  return [
+    `From: ${from}`,
+    `To: ${msg.to}`,
+    `Subject: ${encodeHeader(msg.subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Body(msg.text),
+  ].join('\r\n');
+}
+
+// 최소한의 SMTP 클라이언트 (EHLO → [AUTH LOGIN] → MAIL → RCPT → DATA → QUIT). STARTTLS는 지원하지 않음
+//  AUTH LOGIN은 계정을 base64로만 보내므로 TLS(SMTPS) 연결이 아니면 계정을 받지 않음
+export function smtpTransport(opts: SmtpOptions): MailTransport {
+  if (opts.user && !opts.secure) throw new Error('SMTP_USER는 SMTP_SECURE=on(TLS 연결)일 때만 쓸 수 있습니다');
+  const timeoutMs = opts.timeoutMs ?? 10_000;
+  const addr = (s: string) => s.match(/<([^>]+)>/)?.[1] ?? s.trim();
+
+  return {
+    name: 'smtp',
+    send(msg) {
+      return new Promise<void>((resolve, reject) => {
+        const sock = opts.secure
+          ? tls.connect({ host: opts.host, port: opts.port, servername: opts.host })
+          : net.createConnection({ host: opts.host, port: opts.port });
+        let buf = '';
+        let waiting: { expect: number; next: () => void } | null = null;
+        let done = false;
+        const finish = (err?: Error) => {
+          if (done) return;
+          done = true;
+          sock.destroy();
+          err ? reject(err) : resolve();
+        };
+        const expect = (code: number, next: () => void) => { waiting = { expect: code, next }; };
+        const write = (line: string, code: number, next: () => void) => { expect(code, next); sock.write(`${line}\r\n`); };
+
+        sock.setTimeout(timeoutMs, () => finish(new Error('SMTP timeout')));
+        sock.on('error', err => finish(err));
+        sock.on('close', () => finish(new Error('SMTP connection closed')));
+        sock.on('data', chunk => {
+          buf += chunk.toString('utf8');
+          // 여러 줄 응답은 "250-..." 이어지다가 "250 ..."으로 끝남
+          let m: RegExpExecArray | null;
+          while ((m = /^(\d{3})([ -])(.*)\r?\n/m.exec(buf))) {
+            buf = buf.slice(m.index + m[0].length);
+            if (m[2] === '-') continue;
+            const code = Number(m[1]);
+            const w = waiting;
+            waiting = null;
+            if (!w) continue;
+            if (code !== w.expect) return finish(new Error(`SMTP ${code} ${m[3]}`));
+            w.next();
+          }
+        });
+
+        const data = buildMimeMessage(opts.from, msg).replace(/^\./gm, '..'); // dot-stuffing
+        const sendMail = () =>
+          write(`MAIL FROM:<${addr(opts.from)}>`, 250, () =>
+            write(`RCPT TO:<${addr(msg.to)}>`, 250, () =>
+              write('DATA', 354, () =>
+                write(`${data}\r\n.`, 250, () =>
+                  write('QUIT', 221, () => finish())))));
+
+        expect(220, () =>
+          write(`EHLO ${os.hostname()}`, 250, () => {
+            if (!opts.user) return sendMail();
+            write('AUTH LOGIN', 334, () =>
+              write(Buffer.from(opts.user!).toString('base64'), 334, () =>
+                write(Buffer.from(opts.pass ?? '').toString('base64'), 235, sendMail)));
+          }));
+      });
+    },
+  };
+}
+
+export function createMailTransport(env: NodeJS.ProcessEnv = process.env): MailTransport {
+  const kind = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'off');
+  if (kind === 'off') return nullTransport();
+  if (kind === 'smtp') {
+    const secure = env.SMTP_SECURE === 'on';
+    return smtpTransport({
+      host: env.SMTP_HOST || 'localhost',
+      port: Number(env.SMTP_PORT) || (secure ? 465 : 1025),
+      secure,
+      from: env.MAIL_FROM || 'leave-manager@localhost',
+      user: env.SMTP_USER || undefined,
+      pass: env.SMTP_PASS || undefined,
+    });
+  }
+  if (kind === 'log') return logTransport();
+  return nullTransport();
+}
@@ -0,0 +1,143 @@
+// migrate.ts — 번호 붙은 스키마 마이그레이션(migrations/) 적용과 상태 확인
+// server.ts가 기동할 때 migrate(db)로 아직 적용하지 않은 것만 한 트랜잭션으로 적용 (하나라도 실패하면 전부 롤백)
+//
+// CLI (server 폴더에서):
+//   npx ts-node migrate.ts status [db파일]   적용됨/대기 목록
+//   npx ts-node migrate.ts up [db파일]       대기 중인 마이그레이션 적용
+//   npx ts-node migrate.ts verify <db파일>   복사본에 적용해 무결성·행 수·재적용 확인 (원본은 그대로)
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MIGRATIONS } from './migrations';
+import { Migration } from './migrations/schema';
+
+export const DEFAULT_DB_FILE = 'leave_manager.db';
+
+export interface MigrationState { version: number; name: string; appliedAt: string | null }
+
+function nowTs() {
+  const d = new Date();
+  const p = (n: number) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+function ensureMigrationTable(db: Database.Database) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    appliedAt TEXT NOT NULL
+  )`);
+}
+
+// 코드에 있는 마이그레이션 + DB에만 기록된 것(더 새 버전의 코드로 올린 DB)
+export function migrationStatus(db: Database.Database, migrations: Migration[] = MIGRATIONS): MigrationState[] {
+  const tracked = !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_migrations'`).get();
+  const rows = tracked ? db.prepare('SELECT version, name, appliedAt FROM schema_migrations').all() as MigrationState[] : [];
+  const applied = new Map(rows.map(r => [r.version, r]));
+  const known = migrations.map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version)?.appliedAt ?? null }));
+  const unknown = [...applied.values()].filter(r => !migrations.some(m => m.version === r.version));
+  return [...known, ...unknown].sort((a, b) => a.version - b.version);
+}
+
+// 대기 중인 마이그레이션을 번호 순서대로 적용. 적용한 것의 목록을 돌려줌
+//  - 테이블을 다시 만드는 마이그레이션이 있으므로 적용하는 동안 외래 키 검사를 끄고, 끝난 뒤 위반이 없는지 확인
+export function migrate(db: Database.Database, migrations: Migration[] = MIGRATIONS): Migration[] {
+  const versions = migrations.map(m => m.version);
+  if (versions.some((v, i) => i > 0 && v <= versions[i - 1])) throw new Error('migrations must be in ascending version order');
+
+  ensureMigrationTable(db);
+  const done = new Set(migrationStatus(db, migrations).filter(s => s.appliedAt).map(s => s.version));
+  const newer = [...done].filter(v => !versions.includes(v));
+  if (newer.length) console.warn(`[migrate] DB has migrations unknown to this build: ${newer.join(', ')}`);
+  const pending = migrations.filter(m => !done.has(m.version));
+  if (!pending.length) return [];
+
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      for (const m of pending) {
+        m.up(db);
+        db.prepare('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?,?,?)').run(m.version, m.name, nowTs());
+        console.log(`[migrate] ${String(m.version).padStart(3, '0')}_${m.name} applied`);
+      }
+      const violations = db.pragma('foreign_key_check') as unknown[];
+      if (violations.length) throw new Error(`foreign key violations after migration: ${violations.length}`);
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+  return pending;
+}
+
+/* ---------------- 확인용: 예전 DB 복사본에 올려 보기 ---------------- */
+const tableCounts = (db: Database.Database) =>
+  new Map((db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'`).all() as Array<{ name: string }>)
+    .map(t => [t.name, (db.prepare(`SELECT COUNT(*) AS n FROM "${t.name}"`).get() as { n: number }).n]));
+
+// 문제가 있으면 설명 목록, 없으면 빈 배열
+export function verifyUpgrade(file: string, migrations: Migration[] = MIGRATIONS): string[] {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-verify-'));
+  const copy = path.join(dir, path.basename(file));
+  for (const suffix of ['', '-wal', '-shm']) {
+    if (fs.existsSync(file + suffix)) fs.copyFileSync(file + suffix, copy + suffix);
+  }
+  const db = new Database(copy);
+  const problems: string[] = [];
+  try {
+    const before = tableCounts(db);
+    migrate(db, migrations);
+    const after = tableCounts(db);
+    for (const [table, n] of before) {
+      if (after.get(table) !== n) problems.push(`${table}: 행 수 ${n} → ${after.get(table) ?? '테이블 없음'}`);
+    }
+    const integrity = db.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') problems.push(`integrity_check: ${integrity}`);
+    const fk = db.pragma('foreign_key_check') as unknown[];
+    if (fk.length) problems.push(`foreign_key_check: ${fk.length}건`);
+    const pending = migrationStatus(db, migrations).filter(s => !s.appliedAt);
+    if (pending.length) problems.push(`적용되지 않음: ${pending.map(s => s.version).join(', ')}`);
+    if (migrate(db, migrations).length) problems.push('두 번째 실행에서 다시 적용됨');
+  } catch (e: any) {
+    problems.push(`적용 실패: ${e?.message ?? e}`);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return problems;
+}
+
+function printStatus(states: MigrationState[]) {
+  for (const s of states) {
+    console.log(`${String(s.version).padStart(3, '0')}  ${s.name.padEnd(24)} ${s.appliedAt ?? '(대기)'}`);
+  }
+}
+
+if (require.main === module) {
+  const [cmd = 'status', file] = process.argv.slice(2);
+  if (cmd === 'verify') {
+    if (!file || !fs.existsSync(file)) {
+      console.error('usage: migrate.ts verify <db파일>');
+      process.exit(2);
+    }
+    const problems = verifyUpgrade(file);
+    problems.forEach(p => console.error(`  - ${p}`));
+    console.log(problems.length ? `FAIL ${file}` : `OK ${file}: ${MIGRATIONS.length}개 마이그레이션 적용, 데이터 보존`);
+    process.exit(problems.length ? 1 : 0);
+  } else if (cmd === 'status' || cmd === 'up') {
+    const target = file ?? DEFAULT_DB_FILE;
+    if (cmd === 'status' && !fs.existsSync(target)) {
+      console.error(`${target}: 파일이 없습니다`);
+      process.exit(2);
+    }
+    const db = new Database(target);
+    if (cmd === 'up') migrate(db);
+    printStatus(migrationStatus(db));
+    db.close();
+  } else {
+    console.error('usage: migrate.ts status|up [db파일] | verify <db파일>');
+    process.exit(2);
+  }
+}
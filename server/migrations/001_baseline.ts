@@ -0,0 +1,351 @@
+// 001 — 기준 스키마: 마이그레이션 도입 전 server.ts가 기동할 때마다 만들던 테이블/컬럼/인덱스
+// 예전 DB(schema_migrations 없음)에도 그대로 돌 수 있게 IF NOT EXISTS + 없는 컬럼만 추가
+
+import { Migration, addMissingColumns } from './schema';
+
+export const migration: Migration = {
+  version: 1,
+  name: 'baseline',
+  up(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS requests (
+      requestId TEXT PRIMARY KEY,
+      dateRequested TEXT NOT NULL,
+      empId TEXT NOT NULL,
+      name TEXT NOT NULL,
+      dept TEXT NOT NULL,
+      position TEXT NOT NULL,
+      leaveType TEXT NOT NULL,
+      startDate TEXT NOT NULL,
+      endDate TEXT NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL,
+      signature TEXT,            -- 신청자 서명 (구버전 dataURL — signatureId로 옮김)
+      handoverPerson TEXT,       -- 업무인수자
+      contact TEXT,              -- 연락처
+      managerSignature TEXT,     -- 승인자 서명 (구버전 dataURL — managerSignatureId로 옮김)
+      managerSignerId TEXT,      -- 승인자 ID
+      managerSignedAt TEXT       -- 승인 시각 (ISO-ish)
+    )`);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('employee','manager','hr','admin')),
+      passwordHash TEXT NOT NULL
+    )`);
+
+    /* ---------------- worklogs 테이블 스키마 ---------------- */
+    // "파일업로드(필수) + 서명(필수)"에 맞춘 최소 스키마
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS worklogs (
+        id TEXT PRIMARY KEY,
+        uploaderId TEXT NOT NULL,
+        fileName TEXT NOT NULL,
+        filePath TEXT NOT NULL,
+        signature TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('Pending','Approved','Rejected')),
+        createdAt TEXT NOT NULL
+      )
+    `);
+
+    addMissingColumns(db, 'worklogs', [
+      ['uploaderId', 'TEXT'],
+      ['fileName', 'TEXT'],
+      ['filePath', 'TEXT'],
+      ['signature', 'TEXT'],
+      ['status', 'TEXT'],
+      ['createdAt', 'TEXT'],
+      // 근무 내용 (근무일/근무조/시간/메모)과 검토 결과
+      ['workDate', 'TEXT'],
+      ['shift', 'TEXT'],                     // 주간 / 야간
+      ['hours', 'REAL'],
+      ['notes', 'TEXT'],
+      ['prevWorklogId', 'TEXT'],             // 반려된 일지를 다시 제출한 경우 원 일지
+      ['reviewerId', 'TEXT'],
+      ['reviewedAt', 'TEXT'],
+      ['rejectReason', 'TEXT'],
+      ['signatureId', 'TEXT'],               // 작성자 서명 (signatures.id) — signature(dataURL)는 옮긴 뒤 비움
+    ]);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_worklogs_created ON worklogs(createdAt)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_worklogs_uploader ON worklogs(uploaderId)');
+
+    // 근무일지 검토 의견 (작성자/검토자가 주고받는 댓글)
+    db.exec(`CREATE TABLE IF NOT EXISTS worklog_comments (
+      id TEXT PRIMARY KEY,
+      worklogId TEXT NOT NULL REFERENCES worklogs(id),
+      authorId TEXT NOT NULL,
+      body TEXT NOT NULL,
+      createdAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_worklog_comments ON worklog_comments(worklogId)');
+
+    addMissingColumns(db, 'requests', [
+      ['handoverPerson', 'TEXT'],
+      ['contact', 'TEXT'],
+      ['signature', 'TEXT'],
+      ['managerSignature', 'TEXT'],
+      ['managerSignerId', 'TEXT'],
+      ['managerSignedAt', 'TEXT'],
+      ['requesterId', 'TEXT'],
+      ['days', 'REAL'],                      // 차감 일수 (근무일 기준, 반차 0.5)
+      ['currentStep', 'INTEGER'],            // 진행 중인 결재 단계 (완료/반려 시 NULL)
+      ['prevRequestId', 'TEXT'],             // 정정 신청이면 원 신청 (이전 버전)
+      ['cancelStatus', 'TEXT'],              // 승인 건 취소 요청: Pending / Approved / Rejected
+      ['cancelReason', 'TEXT'],
+      ['signatureId', 'TEXT'],               // 신청자 서명 (signatures.id) — signature(dataURL)는 옮긴 뒤 비움
+      ['managerSignatureId', 'TEXT'],        // 최종 승인자 서명
+    ]);
+    // 목록 조회(정렬/기간/신청자 필터)용
+    db.exec('CREATE INDEX IF NOT EXISTS idx_requests_date ON requests(dateRequested)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_requests_period ON requests(startDate, endDate)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_requests_requester ON requests(requesterId)');
+    addMissingColumns(db, 'users', [
+      ['hireDate', 'TEXT'],                  // 구버전 입사일 — 직원 정보(employees.hireDate)가 없을 때만 사용
+      ['active', 'INTEGER NOT NULL DEFAULT 1'], // 0: 로그인 불가 (퇴사 등)
+      ['mustChangePassword', 'INTEGER NOT NULL DEFAULT 0'], // 1: 다음 로그인 때 변경해야 함
+      ['passwordChangedAt', 'TEXT'],
+      ['createdAt', 'TEXT'],
+      ['failedLogins', 'INTEGER NOT NULL DEFAULT 0'], // 연속 로그인 실패 횟수
+      ['lockedUntil', 'TEXT'],               // 이 시각까지 로그인 잠금
+    ]);
+
+    // 로그인 세션 — 리프레시 토큰은 해시만 저장 (`${id}.${secret}` 형태로 발급)
+    //  prevRefreshHash: 직전 토큰. 이미 교체된 토큰이 다시 오면 탈취로 보고 세션을 끊음
+    db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL REFERENCES users(id),
+      refreshHash TEXT NOT NULL,
+      prevRefreshHash TEXT,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT NOT NULL,
+      rotatedAt TEXT,
+      expiresAt TEXT NOT NULL,
+      revokedAt TEXT,
+      revokedReason TEXT,        -- logout / admin / password / deactivated / reuse
+      ip TEXT,
+      userAgent TEXT
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(userId)');
+
+    // 알림 — 화면 알림함(inApp=1)과 메일(emailTo) 발송 기록. 메일만 받는 설정이면 inApp=0 (알림함에 안 보임)
+    addMissingColumns(db, 'users', [
+      ['email', 'TEXT'],                     // 알림 메일 주소 (본인이 설정)
+    ]);
+    db.exec(`CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL REFERENCES users(id),
+      type TEXT NOT NULL,        -- 예: approval.pending
+      title TEXT NOT NULL,
+      body TEXT,
+      link TEXT,                 -- 화면 경로 (예: /manager)
+      entityType TEXT,
+      entityId TEXT,
+      inApp INTEGER NOT NULL DEFAULT 1,
+      emailTo TEXT,
+      emailedAt TEXT,
+      emailError TEXT,
+      createdAt TEXT NOT NULL,
+      readAt TEXT
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(userId, readAt)');
+    // 사용자별 알림 받기 설정 (행이 없으면 모두 받음)
+    db.exec(`CREATE TABLE IF NOT EXISTS notification_prefs (
+      userId TEXT NOT NULL REFERENCES users(id),
+      type TEXT NOT NULL,
+      inApp INTEGER NOT NULL DEFAULT 1,
+      email INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY (userId, type)
+    )`);
+
+    // 공휴일(달력 파일로 등록하는 음력 공휴일 등) + 회사 휴무일. 양력 고정 공휴일은 코드에서 계산
+    db.exec(`CREATE TABLE IF NOT EXISTS holidays (
+      id TEXT PRIMARY KEY,
+      date TEXT NOT NULL,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('public','closure')),
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      UNIQUE (date, kind)
+    )`);
+
+    // 연차 원장: 승인 시 차감(-), 승인 취소 시 복원(+), 인사 조정(±)을 누적 기록
+    // 발생(부여)분은 입사일 기준 규칙으로 계산하므로 원장에 쌓지 않음
+    db.exec(`CREATE TABLE IF NOT EXISTS leave_ledger (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      year INTEGER NOT NULL,
+      bucket TEXT NOT NULL CHECK (bucket IN ('연차','병가','경조사')),
+      days REAL NOT NULL,        -- 차감은 음수
+      kind TEXT NOT NULL CHECK (kind IN ('deduct','restore','adjust')),
+      requestId TEXT,
+      note TEXT,
+      createdBy TEXT,
+      createdAt TEXT NOT NULL
+    )`);
+
+    // 결재선: 부서·휴가 종류별 결재 단계 정의 (dept/leaveType이 NULL이면 공통)
+    db.exec(`CREATE TABLE IF NOT EXISTS approval_lines (
+      id TEXT PRIMARY KEY,
+      dept TEXT,
+      leaveType TEXT,
+      steps TEXT NOT NULL,       -- JSON [{ label, approverRole, approverUserId? }]
+      updatedBy TEXT,
+      updatedAt TEXT NOT NULL
+    )`);
+
+    // 신청별 결재 단계 — 신청 시점의 결재선을 복사해 두므로 이후 결재선이 바뀌어도 진행 중인 건은 그대로
+    db.exec(`CREATE TABLE IF NOT EXISTS request_approvals (
+      id TEXT PRIMARY KEY,
+      requestId TEXT NOT NULL,
+      stepNo INTEGER NOT NULL,   -- 1부터
+      label TEXT NOT NULL,       -- 예: 팀장 / 부서장 / 인사 확인
+      approverRole TEXT NOT NULL CHECK (approverRole IN ('manager','hr','admin')),
+      approverUserId TEXT,
+      status TEXT NOT NULL CHECK (status IN ('Waiting','Pending','Approved','Rejected','Skipped')),
+      signerId TEXT,
+      signature TEXT,            -- 결재자 서명 (구버전 dataURL — signatureId로 옮김)
+      signedAt TEXT,
+      comment TEXT,
+      UNIQUE (requestId, stepNo)
+    )`);
+    // 단계 구분: approval(신청 결재) / cancel(승인 건 취소 결재 — 기존 단계 뒤에 이어 붙임)
+    addMissingColumns(db, 'request_approvals', [
+      ['phase', "TEXT NOT NULL DEFAULT 'approval'"],
+      ['signatureId', 'TEXT'],               // 결재자 서명 (signatures.id)
+    ]);
+
+    // 서명 이미지 — 파일은 SIGNATURE_DIR/<sha256 앞 2자>/<sha256>.<확장자>, 행에는 해시와 서명자
+    //  신청/일지/결재 단계에는 dataURL 대신 signatures.id만 둠
+    db.exec(`CREATE TABLE IF NOT EXISTS signatures (
+      id TEXT PRIMARY KEY,
+      sha256 TEXT NOT NULL,      -- 저장한 이미지 바이트의 SHA-256 (hex)
+      mime TEXT NOT NULL,
+      bytes INTEGER NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      filePath TEXT NOT NULL,    -- SIGNATURE_DIR 기준 상대 경로
+      entityType TEXT NOT NULL CHECK (entityType IN ('request','worklog')),
+      entityId TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('requester','approver','uploader')),
+      stepNo INTEGER,            -- 결재자 서명이면 결재 단계
+      signerId TEXT,
+      signedAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_signatures_entity ON signatures(entityType, entityId)');
+
+    // 양식 템플릿 — 이름별로 버전을 쌓고, 이름마다 사용 중(active) 버전은 하나
+    //  draft: 매핑 편집/미리보기 중, active: 양식 생성에 사용, retired: 보관
+    db.exec(`CREATE TABLE IF NOT EXISTS form_templates (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,        -- 예: 인사계출_생산직
+      version INTEGER NOT NULL,
+      file TEXT NOT NULL,        -- doc_data 기준 상대 경로
+      sheets TEXT NOT NULL,      -- JSON 시트 이름 목록
+      mapping TEXT NOT NULL,     -- JSON { sheet?, cells: [{ cell, field, format? }], images: [{ field, tl, ext }] }
+      status TEXT NOT NULL CHECK (status IN ('draft','active','retired')),
+      note TEXT,
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      activatedAt TEXT,
+      UNIQUE (name, version)
+    )`);
+
+    /* ---------------- 조직: 부서 / 직원 ---------------- */
+    db.exec(`CREATE TABLE IF NOT EXISTS departments (
+      id TEXT PRIMARY KEY,
+      name TEXT UNIQUE NOT NULL,
+      headEmployeeId TEXT        -- 부서장 (employees.id)
+    )`);
+
+    // 직원 정보 — 로그인 계정(users.id)과 1:1 연결 (계정 없는 직원도 가능)
+    db.exec(`CREATE TABLE IF NOT EXISTS employees (
+      id TEXT PRIMARY KEY,
+      userId TEXT UNIQUE REFERENCES users(id),
+      empId TEXT UNIQUE NOT NULL,  -- 사번
+      name TEXT NOT NULL,
+      deptId TEXT NOT NULL REFERENCES departments(id),
+      position TEXT NOT NULL,      -- 직급
+      hireDate TEXT,               -- 입사일 (연차 발생 기준)
+      managerId TEXT REFERENCES employees(id), -- 직속 상사
+      contact TEXT,
+      active INTEGER NOT NULL DEFAULT 1
+    )`);
+    addMissingColumns(db, 'employees', [
+      ['shift', 'TEXT'],                     // 근무조: 주간 / 야간 (NULL은 주간)
+    ]);
+
+    // 최소 근무 인원 — 부서·근무조별로 이 인원 밑으로 내려가면 승인 화면에서 경고
+    db.exec(`CREATE TABLE IF NOT EXISTS staffing_rules (
+      id TEXT PRIMARY KEY,
+      deptId TEXT NOT NULL REFERENCES departments(id),
+      shift TEXT NOT NULL DEFAULT '전체' CHECK (shift IN ('전체','주간','야간')),
+      minStaff INTEGER NOT NULL,
+      updatedBy TEXT,
+      updatedAt TEXT NOT NULL,
+      UNIQUE (deptId, shift)
+    )`);
+
+    /* ---------------- 급여 자료 내보내기 기록 ---------------- */
+    // 내보낼 때 포함한 신청의 값을 남겨 두고, 이후 그 신청이 바뀌거나 취소되면 비교해서 보여줌
+    db.exec(`CREATE TABLE IF NOT EXISTS payroll_exports (
+      id TEXT PRIMARY KEY,
+      month TEXT NOT NULL,       -- 귀속월 YYYY-MM
+      format TEXT NOT NULL CHECK (format IN ('csv','xlsx')),
+      requestCount INTEGER NOT NULL,
+      createdBy TEXT,
+      createdAt TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_payroll_exports_month ON payroll_exports(month)');
+    db.exec(`CREATE TABLE IF NOT EXISTS payroll_export_requests (
+      exportId TEXT NOT NULL REFERENCES payroll_exports(id),
+      requestId TEXT NOT NULL,
+      snapshot TEXT NOT NULL,    -- JSON: 내보낼 때의 상태/종류/기간/일수/신청자
+      PRIMARY KEY (exportId, requestId)
+    )`);
+
+    /* ---------------- 일괄 가져오기 기록 ---------------- */
+    // 직원 명부/과거 신청을 파일로 가져온 묶음 — 만든 행을 남겨 두고 묶음 단위로 되돌림
+    db.exec(`CREATE TABLE IF NOT EXISTS import_batches (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL CHECK (kind IN ('employees','requests')),
+      fileName TEXT NOT NULL,
+      rowCount INTEGER NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('committed','rolledBack')),
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      rolledBackBy TEXT,
+      rolledBackAt TEXT
+    )`);
+    db.exec(`CREATE TABLE IF NOT EXISTS import_batch_items (
+      batchId TEXT NOT NULL REFERENCES import_batches(id),
+      entityId TEXT NOT NULL,    -- employees.id 또는 requests.requestId
+      line INTEGER NOT NULL,     -- 파일의 행 번호
+      PRIMARY KEY (batchId, entityId)
+    )`);
+
+    /* ---------------- 감사 기록 ---------------- */
+    // 추가만 가능한 기록 — 수정/삭제는 트리거가 막고, hash 체인으로 DB 파일을 직접 고친 흔적도 찾아냄
+    db.exec(`CREATE TABLE IF NOT EXISTS audit_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT UNIQUE NOT NULL,
+      ts TEXT NOT NULL,
+      actorId TEXT,              -- 로그인 실패 등은 NULL
+      actorName TEXT,
+      action TEXT NOT NULL,      -- 예: request.approve
+      entityType TEXT NOT NULL,  -- 예: request, worklog
+      entityId TEXT,
+      before TEXT,               -- 변경 전 JSON
+      after TEXT,                -- 변경 후 JSON
+      ip TEXT,
+      prevHash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_events(entityType, entityId)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_events(ts)');
+    db.exec(`CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`);
+    db.exec(`CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END`);
+  },
+};
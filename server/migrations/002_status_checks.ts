@@ -0,0 +1,114 @@
+// 002 — 상태 컬럼 CHECK 제약조건
+//  - requests: 예전 DB는 CREATE 당시 제약이 없고 ALTER로 붙인 컬럼은 타입만 있음 → 새 정의로 옮김
+//    (status / cancelStatus 값 제한, 기본 항목 NOT NULL)
+//  - worklogs: 아주 예전 DB는 컬럼을 ALTER로 붙여 status 제약이 없음, 근무조 값 제한 추가
+//  - request_approvals: ALTER로 붙인 phase에 값 제한
+// 대소문자만 다른 상태값(approved 등)은 맞춰서 옮기고, 그 밖의 값이나 빈 필수 항목이 있으면 멈춤
+
+import type { Database } from 'better-sqlite3';
+import { Migration, assertNoRows, rebuildTable } from './schema';
+
+const REQUEST_STATUSES = ['Pending', 'Approved', 'Rejected', 'Canceled'];
+const CANCEL_STATUSES = ['Pending', 'Approved', 'Rejected'];
+const WORKLOG_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+const sqlList = (values: string[]) => values.map(v => `'${v}'`).join(',');
+
+// 대소문자/앞뒤 공백만 다른 값은 정식 표기로
+function normalized(col: string, values: string[]) {
+  return `CASE lower(trim(${col})) ${values.map(v => `WHEN '${v.toLowerCase()}' THEN '${v}'`).join(' ')} ELSE ${col} END`;
+}
+
+function assertValues(db: Database, table: string, key: string, col: string, values: string[], nullable: boolean) {
+  assertNoRows(db,
+    `SELECT ${key}, ${col} FROM ${table} WHERE ${nullable ? `${col} IS NOT NULL AND ` : ''}(${normalized(col, values)}) NOT IN (${sqlList(values)})${nullable ? '' : ` OR ${col} IS NULL`}`,
+    `${table}.${col} 값이 올바르지 않습니다`);
+}
+
+export const migration: Migration = {
+  version: 2,
+  name: 'status_checks',
+  up(db) {
+    assertValues(db, 'requests', 'requestId', 'status', REQUEST_STATUSES, false);
+    assertValues(db, 'requests', 'requestId', 'cancelStatus', CANCEL_STATUSES, true);
+    assertNoRows(db, `SELECT requestId FROM requests WHERE dateRequested IS NULL OR empId IS NULL OR name IS NULL
+      OR dept IS NULL OR position IS NULL OR leaveType IS NULL OR startDate IS NULL OR endDate IS NULL`,
+      'requests의 필수 항목이 비어 있습니다');
+    rebuildTable(db, 'requests', name => `CREATE TABLE ${name} (
+      requestId TEXT PRIMARY KEY,
+      dateRequested TEXT NOT NULL,
+      empId TEXT NOT NULL,
+      name TEXT NOT NULL,
+      dept TEXT NOT NULL,
+      position TEXT NOT NULL,
+      leaveType TEXT NOT NULL,
+      startDate TEXT NOT NULL,
+      endDate TEXT NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL CHECK (status IN (${sqlList(REQUEST_STATUSES)})),
+      signature TEXT,            -- 신청자 서명 (구버전 dataURL — signatureId로 옮김)
+      handoverPerson TEXT,       -- 업무인수자
+      contact TEXT,              -- 연락처
+      managerSignature TEXT,     -- 승인자 서명 (구버전 dataURL — managerSignatureId로 옮김)
+      managerSignerId TEXT,      -- 승인자 ID
+      managerSignedAt TEXT,      -- 승인 시각 (ISO-ish)
+      requesterId TEXT,
+      days REAL,                 -- 차감 일수 (근무일 기준, 반차 0.5)
+      currentStep INTEGER,       -- 진행 중인 결재 단계 (완료/반려 시 NULL)
+      prevRequestId TEXT,        -- 정정 신청이면 원 신청 (이전 버전)
+      cancelStatus TEXT CHECK (cancelStatus IN (${sqlList(CANCEL_STATUSES)})), -- 승인 건 취소 요청
+      cancelReason TEXT,
+      signatureId TEXT,          -- 신청자 서명 (signatures.id)
+      managerSignatureId TEXT    -- 최종 승인자 서명
+    )`, {
+      status: normalized('status', REQUEST_STATUSES),
+      cancelStatus: normalized('cancelStatus', CANCEL_STATUSES),
+    });
+
+    assertValues(db, 'worklogs', 'id', 'status', WORKLOG_STATUSES, false);
+    assertNoRows(db, `SELECT id FROM worklogs WHERE uploaderId IS NULL OR fileName IS NULL OR filePath IS NULL OR createdAt IS NULL`,
+      'worklogs의 필수 항목이 비어 있습니다');
+    assertNoRows(db, `SELECT id, shift FROM worklogs WHERE shift IS NOT NULL AND shift NOT IN ('주간','야간')`,
+      'worklogs.shift 값이 올바르지 않습니다');
+    rebuildTable(db, 'worklogs', name => `CREATE TABLE ${name} (
+      id TEXT PRIMARY KEY,
+      uploaderId TEXT NOT NULL,
+      fileName TEXT NOT NULL,
+      filePath TEXT NOT NULL,
+      signature TEXT NOT NULL DEFAULT '', -- 구버전 dataURL — signatureId로 옮긴 뒤 비움
+      status TEXT NOT NULL CHECK (status IN (${sqlList(WORKLOG_STATUSES)})),
+      createdAt TEXT NOT NULL,
+      workDate TEXT,
+      shift TEXT CHECK (shift IN ('주간','야간')),
+      hours REAL,
+      notes TEXT,
+      prevWorklogId TEXT,        -- 반려된 일지를 다시 제출한 경우 원 일지
+      reviewerId TEXT,
+      reviewedAt TEXT,
+      rejectReason TEXT,
+      signatureId TEXT           -- 작성자 서명 (signatures.id)
+    )`, {
+      status: normalized('status', WORKLOG_STATUSES),
+      signature: "COALESCE(signature, '')",
+    });
+
+    assertNoRows(db, `SELECT id, phase FROM request_approvals WHERE phase NOT IN ('approval','cancel')`,
+      'request_approvals.phase 값이 올바르지 않습니다');
+    rebuildTable(db, 'request_approvals', name => `CREATE TABLE ${name} (
+      id TEXT PRIMARY KEY,
+      requestId TEXT NOT NULL,
+      stepNo INTEGER NOT NULL,   -- 1부터
+      label TEXT NOT NULL,       -- 예: 팀장 / 부서장 / 인사 확인
+      approverRole TEXT NOT NULL CHECK (approverRole IN ('manager','hr','admin')),
+      approverUserId TEXT,
+      status TEXT NOT NULL CHECK (status IN ('Waiting','Pending','Approved','Rejected','Skipped')),
+      signerId TEXT,
+      signature TEXT,            -- 결재자 서명 (구버전 dataURL — signatureId로 옮김)
+      signedAt TEXT,
+      comment TEXT,
+      phase TEXT NOT NULL DEFAULT 'approval' CHECK (phase IN ('approval','cancel')), -- 취소 결재는 기존 단계 뒤에
+      signatureId TEXT,          -- 결재자 서명 (signatures.id)
+      UNIQUE (requestId, stepNo)
+    )`);
+  },
+};
@@ -0,0 +1,30 @@
+// 003 — 목록/결재/집계 쿼리용 인덱스
+//  - 신청: 상태+기간(달력·통계·급여 자료), 신청자+상태(내 신청·잔여일수·보고 라인), 정정 이력
+//  - 근무일지: 상태+제출일(검토 목록), 작성자+상태
+//  - 결재 단계: 결재 대기함 (상태+지정 결재자)
+//  - 연차 원장: 사람·연도별 잔여일수, 신청별 차감/복원
+// 신청자/작성자 단독 인덱스는 복합 인덱스의 앞부분과 같으므로 정리
+
+import { Migration } from './schema';
+
+export const migration: Migration = {
+  version: 3,
+  name: 'query_indexes',
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_requests_status_period ON requests(status, startDate, endDate);
+      CREATE INDEX IF NOT EXISTS idx_requests_requester_status ON requests(requesterId, status);
+      DROP INDEX IF EXISTS idx_requests_requester;
+      CREATE INDEX IF NOT EXISTS idx_requests_prev ON requests(prevRequestId);
+
+      CREATE INDEX IF NOT EXISTS idx_worklogs_status_created ON worklogs(status, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_worklogs_uploader_status ON worklogs(uploaderId, status);
+      DROP INDEX IF EXISTS idx_worklogs_uploader;
+
+      CREATE INDEX IF NOT EXISTS idx_request_approvals_pending ON request_approvals(status, approverUserId);
+
+      CREATE INDEX IF NOT EXISTS idx_leave_ledger_user_year ON leave_ledger(userId, year);
+      CREATE INDEX IF NOT EXISTS idx_leave_ledger_request ON leave_ledger(requestId);
+    `);
+  },
+};
@@ -0,0 +1,35 @@
+// 004 — 결재 위임 (부재 중 대신 결재할 동료 지정)
+//  - approval_delegations: 위임자 → 대리 결재자, 기간(시작·종료일 포함), 범위(부서/휴가 종류/근무일지)
+//  - 서명한 결재 단계·최종 승인·근무일지 검토에 누구 대신 했는지 기록
+
+import { Migration, addMissingColumns } from './schema';
+
+export const migration: Migration = {
+  version: 4,
+  name: 'approval_delegations',
+  up(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS approval_delegations (
+      id TEXT PRIMARY KEY,
+      delegatorId TEXT NOT NULL REFERENCES users(id),
+      delegateId TEXT NOT NULL REFERENCES users(id),
+      startDate TEXT NOT NULL,
+      endDate TEXT NOT NULL,     -- 이 날까지 (지나면 자동 만료)
+      depts TEXT,                -- JSON 부서명 배열, NULL이면 전 부서
+      leaveTypes TEXT,           -- JSON 휴가 종류 배열, NULL이면 전 종류
+      worklogs INTEGER NOT NULL DEFAULT 1, -- 근무일지 검토 포함
+      reason TEXT,
+      createdBy TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      revokedBy TEXT,
+      revokedAt TEXT,
+      CHECK (delegatorId <> delegateId),
+      CHECK (endDate >= startDate)
+    )`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate ON approval_delegations(delegateId, endDate)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegator ON approval_delegations(delegatorId, endDate)`);
+
+    addMissingColumns(db, 'request_approvals', [['onBehalfOf', 'TEXT']]);   // 대신 결재한 원 결재자
+    addMissingColumns(db, 'requests', [['managerOnBehalfOf', 'TEXT']]);      // 최종 승인을 대신 받은 원 결재자
+    addMissingColumns(db, 'worklogs', [['reviewOnBehalfOf', 'TEXT']]);       // 검토를 대신 받은 원 검토자
+  },
+};
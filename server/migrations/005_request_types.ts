@@ -0,0 +1,20 @@
+// 005 — 휴가 외 신청 종류 (연장근무/특근/출장/근무 교대)
+//  - requests.requestType: 신청 종류 키 (기존 신청은 모두 leave), details: 종류별 입력값 JSON
+//  - approval_lines.requestType: 종류별 결재선 (기존 결재선은 휴가용)
+
+import { Migration, addMissingColumns } from './schema';
+
+const TYPES = "'leave','overtime','holidayWork','businessTrip','shiftSwap'";
+
+export const migration: Migration = {
+  version: 5,
+  name: 'request_types',
+  up(db) {
+    addMissingColumns(db, 'requests', [
+      ['requestType', `TEXT NOT NULL DEFAULT 'leave' CHECK (requestType IN (${TYPES}))`],
+      ['details', 'TEXT'],
+    ]);
+    addMissingColumns(db, 'approval_lines', [['requestType', `TEXT NOT NULL DEFAULT 'leave' CHECK (requestType IN (${TYPES}))`]]);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_requests_type_status ON requests(requestType, status)`);
+  },
+};
@@ -0,0 +1,71 @@
+// 006 — 출퇴근 기록과 근태 대조
+//  - attendance: 직원·근무일마다 한 행 (본인 로그인 또는 공용 단말(키오스크) 서명으로 기록)
+//  - attendance_exceptions: 대조 결과 (미출근/휴가 중 출근/지각), 인사가 확인 처리
+//  - attendance_runs: 근무일별 대조 실행 기록 (야간 자동 실행은 ranBy NULL)
+//  - signatures: 키오스크 출퇴근 서명을 담도록 entityType/role 값 추가
+
+import { Migration, rebuildTable } from './schema';
+
+export const migration: Migration = {
+  version: 6,
+  name: 'attendance',
+  up(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS attendance (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL REFERENCES users(id),
+      workDate TEXT NOT NULL,    -- 근무일 (야간 근무는 시작한 날)
+      shift TEXT NOT NULL CHECK (shift IN ('주간','야간')),
+      clockIn TEXT NOT NULL,
+      clockOut TEXT,
+      clockInVia TEXT NOT NULL CHECK (clockInVia IN ('self','kiosk')),
+      clockOutVia TEXT CHECK (clockOutVia IN ('self','kiosk')),
+      clockInBy TEXT,            -- 기록한 계정 (키오스크면 단말에 로그인한 관리자)
+      clockOutBy TEXT,
+      clockInSignatureId TEXT,   -- 키오스크 서명 (signatures.id)
+      clockOutSignatureId TEXT,
+      UNIQUE (userId, workDate),
+      CHECK (clockOut IS NULL OR clockOut >= clockIn)
+    )`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_attendance_date ON attendance(workDate)`);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS attendance_exceptions (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL REFERENCES users(id),
+      workDate TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('noShow','onLeave','late')),
+      minutesLate INTEGER,
+      requestId TEXT,            -- 관련 휴가 신청
+      detail TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','resolved')),
+      resolution TEXT,
+      resolvedBy TEXT,
+      resolvedAt TEXT,
+      detectedAt TEXT NOT NULL,
+      UNIQUE (userId, workDate, kind)
+    )`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_attendance_exceptions_date ON attendance_exceptions(workDate, status)`);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS attendance_runs (
+      workDate TEXT PRIMARY KEY,
+      ranAt TEXT NOT NULL,
+      ranBy TEXT,
+      exceptions INTEGER NOT NULL
+    )`);
+
+    rebuildTable(db, 'signatures', name => `CREATE TABLE ${name} (
+      id TEXT PRIMARY KEY,
+      sha256 TEXT NOT NULL,      -- 저장한 이미지 바이트의 SHA-256 (hex)
+      mime TEXT NOT NULL,
+      bytes INTEGER NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      filePath TEXT NOT NULL,    -- SIGNATURE_DIR 기준 상대 경로
+      entityType TEXT NOT NULL CHECK (entityType IN ('request','worklog','attendance')),
+      entityId TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('requester','approver','uploader','attendee')),
+      stepNo INTEGER,            -- 결재자 서명이면 결재 단계
+      signerId TEXT,
+      signedAt TEXT NOT NULL
+    )`);
+  },
+};
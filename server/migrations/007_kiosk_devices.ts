@@ -0,0 +1,24 @@
+// 007 — 공용 단말(키오스크) 등록
+//  - kiosk_devices: 인사/관리자가 등록한 단말. 단말 토큰(해시만 저장)으로 키오스크 출퇴근 API만 쓸 수 있음
+//  - deptId: 지정하면 그 부서 직원만 기록 (없으면 전체)
+//  - 이후 키오스크 출퇴근의 attendance.clockInBy/clockOutBy에는 단말 id가 들어감 (clockInVia='kiosk')
+
+import { Migration } from './schema';
+
+export const migration: Migration = {
+  version: 7,
+  name: 'kiosk_devices',
+  up(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS kiosk_devices (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      deptId TEXT REFERENCES departments(id),
+      tokenHash TEXT NOT NULL,   -- 단말 토큰 비밀값의 SHA-256 (hex)
+      createdBy TEXT,
+      createdAt TEXT NOT NULL,
+      lastUsedAt TEXT,
+      revokedAt TEXT,
+      revokedBy TEXT
+    )`);
+  },
+};
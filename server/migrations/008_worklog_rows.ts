@@ -0,0 +1,25 @@
+// 008 — 근무일지 표준 양식(.xlsx) 행 저장
+//  - worklogs.fileType: 내용으로 확인한 파일 형식 (xlsx/pdf/png/jpg). 이전 업로드는 NULL
+//  - worklog_rows: 표준 양식에서 읽은 작업 행 (날짜/라인/작업/시간/생산수량), 검토 화면과 검색에 사용
+
+import { Migration, addMissingColumns } from './schema';
+
+export const migration: Migration = {
+  version: 8,
+  name: 'worklog_rows',
+  up(db) {
+    addMissingColumns(db, 'worklogs', [['fileType', 'TEXT']]);
+    db.exec(`CREATE TABLE IF NOT EXISTS worklog_rows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      worklogId TEXT NOT NULL REFERENCES worklogs(id),
+      rowNo INTEGER NOT NULL,    -- 시트 행 번호 (원본과 맞춰 보기 위함)
+      workDate TEXT NOT NULL,
+      line TEXT NOT NULL,
+      task TEXT NOT NULL,
+      hours REAL NOT NULL CHECK (hours > 0 AND hours <= 24),
+      quantity INTEGER CHECK (quantity IS NULL OR quantity >= 0),
+      UNIQUE (worklogId, rowNo)
+    )`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_worklog_rows_date ON worklog_rows(workDate, line)`);
+  },
+};
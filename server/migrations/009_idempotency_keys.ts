@@ -0,0 +1,18 @@
+// 009 — 오프라인 보관함 재전송 중복 방지
+//  - requests/worklogs.idempotencyKey: 클라이언트가 제출마다 만든 키 (Idempotency-Key 헤더)
+//  - 같은 사용자의 같은 키는 한 행만 — 재전송되면 새로 만들지 않고 기존 행을 돌려줌
+
+import { Migration, addMissingColumns } from './schema';
+
+export const migration: Migration = {
+  version: 9,
+  name: 'idempotency_keys',
+  up(db) {
+    addMissingColumns(db, 'requests', [['idempotencyKey', 'TEXT']]);
+    addMissingColumns(db, 'worklogs', [['idempotencyKey', 'TEXT']]);
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_requests_idempotency ON requests(requesterId, idempotencyKey)
+      WHERE idempotencyKey IS NOT NULL`);
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_worklogs_idempotency ON worklogs(uploaderId, idempotencyKey)
+      WHERE idempotencyKey IS NOT NULL`);
+  },
+};
@@ -0,0 +1,14 @@
+// migrations/index.ts — 적용 순서대로 나열 (새 마이그레이션은 다음 번호 파일을 만들어 끝에 추가)
+
+import { Migration } from './schema';
+import { migration as m001 } from './001_baseline';
+import { migration as m002 } from './002_status_checks';
+import { migration as m003 } from './003_query_indexes';
+import { migration as m004 } from './004_approval_delegations';
+import { migration as m005 } from './005_request_types';
+import { migration as m006 } from './006_attendance';
+import { migration as m007 } from './007_kiosk_devices';
+import { migration as m008 } from './008_worklog_rows';
+import { migration as m009 } from './009_idempotency_keys';
+
+export const MIGRATIONS: Migration[] = [m001, m002, m003, m004, m005, m006, m007, m008, m009];
@@ -0,0 +1,60 @@
+// migrations/schema.ts — 마이그레이션 정의 형식과 SQLite 스키마 변경 도우미
+// SQLite의 ALTER TABLE은 컬럼 추가/이름 변경만 되므로, 제약조건을 바꿀 때는 테이블을 새로 만들어 옮김
+
+import type { Database } from 'better-sqlite3';
+
+export interface Migration {
+  version: number;           // 파일 번호와 같게, 한 번 배포한 번호는 바꾸지 않음
+  name: string;
+  up(db: Database): void;    // 트랜잭션 안에서 호출됨
+}
+
+const IDENT = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// PRAGMA에는 바인딩이 안 되므로 식별자만 검증해서 씀
+function ident(name: string) {
+  if (!IDENT.test(name)) throw new Error(`Invalid identifier: ${name}`);
+  return name;
+}
+
+export function columnsOf(db: Database, table: string): string[] {
+  return (db.prepare(`PRAGMA table_info(${ident(table)})`).all() as Array<{ name: string }>).map(c => c.name);
+}
+
+// 예전 DB에 없는 컬럼만 추가 (기준 스키마 001 전용 — 이후 변경은 새 마이그레이션으로)
+export function addMissingColumns(db: Database, table: string, cols: Array<[col: string, type: string]>) {
+  const have = new Set(columnsOf(db, table));
+  for (const [col, type] of cols) {
+    if (have.has(col)) continue;
+    db.prepare(`ALTER TABLE ${ident(table)} ADD COLUMN ${ident(col)} ${type}`).run();
+    console.log(`[migrate] ${table}.${col} added`);
+  }
+}
+
+// 테이블을 새 정의로 다시 만들고 데이터를 옮김. 인덱스/트리거는 원래 정의대로 다시 만듦
+//  - createSql(name): 새 테이블 CREATE 문 (임시 이름으로 만든 뒤 바꿈)
+//  - select: 옮길 때 값을 바꿀 컬럼 → SQL 식 (나머지는 같은 이름의 컬럼을 그대로)
+//  - 새 정의에만 있는 컬럼은 기본값, 예전에만 있던 컬럼은 버림
+export function rebuildTable(
+  db: Database, table: string, createSql: (name: string) => string, select: Record<string, string> = {},
+) {
+  const tmp = ident(`${table}__new`);
+  const dependents = db.prepare(`SELECT sql FROM sqlite_master
+    WHERE tbl_name = ? AND type IN ('index','trigger') AND sql IS NOT NULL`).all(table) as Array<{ sql: string }>;
+  db.exec(createSql(tmp));
+  const old = new Set(columnsOf(db, table));
+  const cols = columnsOf(db, tmp).filter(c => old.has(c) || c in select);
+  db.exec(`INSERT INTO ${tmp} (${cols.join(', ')})
+    SELECT ${cols.map(c => select[c] ?? c).join(', ')} FROM ${ident(table)}`);
+  db.exec(`DROP TABLE ${ident(table)}`);
+  db.exec(`ALTER TABLE ${tmp} RENAME TO ${ident(table)}`);
+  dependents.forEach(d => db.exec(d.sql));
+}
+
+// 제약조건을 걸기 전에 어긋나는 행을 찾아 마이그레이션을 멈춤 (어떤 행인지 메시지에 남김)
+export function assertNoRows(db: Database, sql: string, message: string) {
+  const rows = db.prepare(sql).all() as Array<Record<string, unknown>>;
+  if (!rows.length) return;
+  const ids = rows.slice(0, 10).map(r => Object.values(r).join(':')).join(', ');
+  throw new Error(`${message} (${rows.length}행: ${ids}${rows.length > 10 ? ', …' : ''})`);
+}
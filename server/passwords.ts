@@ -0,0 +1,40 @@
+// passwords.ts — 비밀번호 정책 / 임시 비밀번호
+// DB에 의존하지 않는 순수 함수만 둔다. 계정 저장은 server.ts에서 담당
+
+import { randomInt } from 'crypto';
+
+export const PASSWORD_MIN_LENGTH = Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH) || 10);
+const PASSWORD_MAX_LENGTH = 72; // bcrypt는 72바이트까지만 사용
+
+// 정책 위반 사유 (통과하면 null)
+//  - 최소 길이, 영문/숫자/특수문자 중 3종류 이상
+//  - 아이디를 포함하거나 같은 글자 4번 이상 반복 금지
+export function passwordPolicyError(password: string, username?: string): string | null {
+  if (password.length < PASSWORD_MIN_LENGTH) return `비밀번호는 ${PASSWORD_MIN_LENGTH}자 이상이어야 합니다`;
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_LENGTH) return `비밀번호가 너무 깁니다 (최대 ${PASSWORD_MAX_LENGTH}바이트)`;
+  const kinds = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(password)).length;
+  if (kinds < 3) return '영문 대문자/소문자/숫자/특수문자 중 3종류 이상을 섞어야 합니다';
+  if (username && password.toLowerCase().includes(username.toLowerCase())) return '비밀번호에 아이디를 넣을 수 없습니다';
+  if (/(.)\1{3,}/.test(password)) return '같은 글자를 4번 이상 반복할 수 없습니다';
+  return null;
+}
+
+// 관리자 초기화/신규 계정용 임시 비밀번호 (정책을 항상 만족, 헷갈리는 글자 제외)
+const LOWER = 'abcdefghjkmnpqrstuvwxyz';
+const UPPER = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DIGIT = '23456789';
+const SYMBOL = '!@#$%*?';
+
+export function temporaryPassword(): string {
+  const pick = (set: string) => set[randomInt(set.length)];
+  const all = LOWER + UPPER + DIGIT;
+  const chars = [pick(LOWER), pick(UPPER), pick(DIGIT), pick(SYMBOL)];
+  while (chars.length < Math.max(PASSWORD_MIN_LENGTH, 12)) chars.push(pick(all));
+  // 섞기 (Fisher–Yates)
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  const out = chars.join('');
+  return /(.)\1{3,}/.test(out) ? temporaryPassword() : out;
+}
@@ -0,0 +1,192 @@
+// payroll.ts — 급여용 월별 휴가 자료: 일자별 분류, 직원별 합계, 고정 양식 CSV/엑셀, 내보낸 신청과 현재 상태 비교
+// DB에 의존하지 않는다. 승인 신청/근무일/발생 일수 조회와 내보내기 기록은 server.ts에서 담당
+//  - 승인 건만, 여러 달에 걸친 휴가는 그 달의 근무일 몫만
+//  - 구분: 유급(연차) / 반차 / 병가 / 경조사 / 무급(해당 연도 발생 일수를 넘어 쓴 몫 — 인사 조정·과거 자료로만 생김)
+
+import ExcelJS from 'exceljs';
+import { csvCell } from './audit';
+
+export type PayrollBucket = '연차' | '병가' | '경조사';
+export const PAYROLL_CATEGORIES = ['paid', 'half', 'sick', 'family', 'unpaid'] as const;
+export type PayrollCategory = typeof PAYROLL_CATEGORIES[number];
+
+export interface PayrollPerson {
+  key: string;               // 계정 id, 계정 없는 과거 신청은 emp:<사번>
+  empId: string;
+  name: string;
+  dept: string;
+  position: string;
+}
+
+export interface PayrollRequest extends PayrollPerson {
+  requestId: string;
+  leaveType: string;
+  bucket: PayrollBucket;
+  startDate: string;
+  endDate: string;
+  days: number;              // 차감 일수 (근무일마다 고르게 나눔)
+  dates: string[];           // 휴가 기간의 근무일
+}
+
+export interface PayrollDayRow extends PayrollPerson {
+  date: string;
+  leaveType: string;
+  requestId: string;
+  category: PayrollCategory;
+  days: number;
+}
+
+export type PayrollSummaryRow = PayrollPerson & Record<PayrollCategory, number> & { total: number; leaveDates: number };
+
+// 내보낼 때의 신청 값 — 나중에 바뀐 신청을 찾는 기준
+export interface PayrollRequestSnapshot {
+  requestId: string;
+  requesterId: string | null;
+  empId: string;
+  name: string;
+  status: string;
+  leaveType: string;
+  startDate: string;
+  endDate: string;
+  days: number;
+}
+
+export interface PayrollDiff {
+  added: PayrollRequestSnapshot[];                                           // 내보낸 뒤 새로 승인된 신청
+  removed: Array<{ before: PayrollRequestSnapshot; after: PayrollRequestSnapshot | null }>; // 취소 등으로 빠진 신청
+  changed: Array<{ before: PayrollRequestSnapshot; after: PayrollRequestSnapshot; fields: string[] }>;
+  unchanged: number;
+}
+
+const round2 = (n: number) => Math.round(n * 100) / 100;
+
+function categoryOf(r: Pick<PayrollRequest, 'bucket' | 'leaveType'>): PayrollCategory {
+  if (r.bucket === '병가') return 'sick';
+  if (r.bucket === '경조사') return 'family';
+  return r.leaveType === '반차' ? 'half' : 'paid';
+}
+
+// requests: 해당 월과 겹치는 승인 건 + 같은 해 앞서 쓴 승인 건 (무급 판정용 누적)
+// entitledOf: 사람·연도·구분별 발생 일수 (모르면 Infinity)
+export function payrollDays(
+  month: string,
+  requests: PayrollRequest[],
+  entitledOf: (key: string, year: number, bucket: PayrollBucket) => number,
+): PayrollDayRow[] {
+  const groups = new Map<string, PayrollRequest[]>();
+  for (const r of requests) {
+    // 원장과 같게 휴가 시작일의 연도에서 차감
+    const g = `${r.key}|${r.startDate.slice(0, 4)}|${r.bucket}`;
+    groups.set(g, [...(groups.get(g) ?? []), r]);
+  }
+
+  const out: PayrollDayRow[] = [];
+  for (const list of groups.values()) {
+    const { key, bucket } = list[0];
+    const limit = entitledOf(key, Number(list[0].startDate.slice(0, 4)), bucket);
+    const entries = list
+      .flatMap(r => r.dates.map(date => ({ r, date, days: r.days / r.dates.length })))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.r.requestId.localeCompare(b.r.requestId));
+    let used = 0;
+    for (const e of entries) {
+      const paid = Math.max(0, Math.min(e.days, limit - used));
+      used += e.days;
+      if (!e.date.startsWith(`${month}-`)) continue;
+      const { requestId, leaveType, empId, name, dept, position } = e.r;
+      const base = { key, empId, name, dept, position, date: e.date, leaveType, requestId };
+      if (paid > 0) out.push({ ...base, category: categoryOf(e.r), days: round2(paid) });
+      if (e.days - paid > 0) out.push({ ...base, category: 'unpaid', days: round2(e.days - paid) });
+    }
+  }
+  return out.sort((a, b) => a.dept.localeCompare(b.dept) || a.empId.localeCompare(b.empId) || a.date.localeCompare(b.date));
+}
+
+// 재직자는 휴가가 없어도 한 줄 (급여 대장과 맞추기 쉽게)
+export function payrollSummary(people: PayrollPerson[], days: PayrollDayRow[]): PayrollSummaryRow[] {
+  const rows = new Map<string, PayrollSummaryRow>();
+  const rowOf = (p: PayrollPerson) => {
+    let row = rows.get(p.key);
+    if (!row) {
+      row = { key: p.key, empId: p.empId, name: p.name, dept: p.dept, position: p.position, paid: 0, half: 0, sick: 0, family: 0, unpaid: 0, total: 0, leaveDates: 0 };
+      rows.set(p.key, row);
+    }
+    return row;
+  };
+  people.forEach(rowOf);
+  const dates = new Map<string, Set<string>>();
+  for (const d of days) {
+    const row = rowOf(d);
+    row[d.category] = round2(row[d.category] + d.days);
+    row.total = round2(row.total + d.days);
+    dates.set(d.key, (dates.get(d.key) ?? new Set()).add(d.date));
+  }
+  for (const [key, set] of dates) rows.get(key)!.leaveDates = set.size;
+  return [...rows.values()].sort((a, b) => a.dept.localeCompare(b.dept) || a.empId.localeCompare(b.empId));
+}
+
+/* ---------------- 고정 양식 (열 순서/머리글은 급여 프로그램 업로드 양식이므로 바꾸지 않음) ---------------- */
+const AMOUNT_COLUMNS: Array<[PayrollCategory, string]> = [
+  ['paid', '유급(연차)'], ['half', '반차'], ['sick', '병가'], ['family', '경조사'], ['unpaid', '무급'],
+];
+const PERSON_COLUMNS: Array<[keyof PayrollPerson, string]> = [['empId', '사번'], ['name', '이름'], ['dept', '부서'], ['position', '직급']];
+
+export const PAYROLL_DAILY_HEADERS = ['귀속월', ...PERSON_COLUMNS.map(c => c[1]), '날짜', '휴가 종류', ...AMOUNT_COLUMNS.map(c => c[1]), '신청번호'];
+export const PAYROLL_SUMMARY_HEADERS = ['귀속월', ...PERSON_COLUMNS.map(c => c[1]), ...AMOUNT_COLUMNS.map(c => c[1]), '합계', '휴가 날짜 수'];
+
+function dailyValues(month: string, d: PayrollDayRow) {
+  return [
+    month, ...PERSON_COLUMNS.map(([k]) => d[k]), d.date, d.leaveType,
+    ...AMOUNT_COLUMNS.map(([c]) => c === d.category ? d.days : 0), d.requestId,
+  ];
+}
+
+function summaryValues(month: string, s: PayrollSummaryRow) {
+  return [month, ...PERSON_COLUMNS.map(([k]) => s[k]), ...AMOUNT_COLUMNS.map(([c]) => s[c]), s.total, s.leaveDates];
+}
+
+// CSV는 한 표만 담으므로 view로 일자별/직원별을 고름 (엑셀에서 한글이 깨지지 않도록 BOM 포함)
+export function payrollCsv(month: string, view: 'daily' | 'summary', summary: PayrollSummaryRow[], days: PayrollDayRow[]) {
+  const lines = view === 'summary'
+    ? [PAYROLL_SUMMARY_HEADERS, ...summary.map(s => summaryValues(month, s))]
+    : [PAYROLL_DAILY_HEADERS, ...days.map(d => dailyValues(month, d))];
+  return '\uFEFF' + lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export async function buildPayrollWorkbook(month: string, summary: PayrollSummaryRow[], days: PayrollDayRow[]): Promise<Buffer> {
+  const wb = new ExcelJS.Workbook();
+  const sheet = (name: string, headers: string[], rows: unknown[][]) => {
+    const ws = wb.addWorksheet(name);
+    ws.addRow(headers).font = { bold: true };
+    headers.forEach((h, i) => { ws.getColumn(i + 1).width = Math.max(10, h.length * 2 + 4); });
+    rows.forEach(r => ws.addRow(r));
+    ws.views = [{ state: 'frozen', ySplit: 1 }];
+  };
+  sheet('직원별', PAYROLL_SUMMARY_HEADERS, summary.map(s => summaryValues(month, s)));
+  sheet('일자별', PAYROLL_DAILY_HEADERS, days.map(d => dailyValues(month, d)));
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+/* ---------------- 내보낸 신청 비교 ---------------- */
+const SNAPSHOT_FIELDS: Array<keyof PayrollRequestSnapshot> = ['requesterId', 'empId', 'name', 'status', 'leaveType', 'startDate', 'endDate', 'days'];
+
+// recorded: 내보낼 때 기록한 신청, included: 지금 다시 만들면 들어갈 신청, current: 기록한 신청의 현재 값
+export function diffPayrollRequests(
+  recorded: PayrollRequestSnapshot[],
+  included: PayrollRequestSnapshot[],
+  current: Map<string, PayrollRequestSnapshot>,
+): PayrollDiff {
+  const now = new Map(included.map(r => [r.requestId, r]));
+  const before = new Set(recorded.map(r => r.requestId));
+  const diff: PayrollDiff = { added: included.filter(r => !before.has(r.requestId)), removed: [], changed: [], unchanged: 0 };
+  for (const b of recorded) {
+    const after = now.get(b.requestId);
+    if (!after) {
+      diff.removed.push({ before: b, after: current.get(b.requestId) ?? null });
+      continue;
+    }
+    const fields = SNAPSHOT_FIELDS.filter(f => b[f] !== after[f]);
+    if (fields.length) diff.changed.push({ before: b, after, fields });
+    else diff.unchanged++;
+  }
+  return diff;
+}
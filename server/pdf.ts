@@ -0,0 +1,170 @@
+// pdf.ts — 승인된 인사계출을 PDF로 (인사계출 양식 배치를 따름)
+// 휴가 외 신청 종류는 같은 머리/결재란에 등록부(requestTypes.ts)가 정한 항목 행을 넣은 신청서
+// 한글 글꼴은 PDF_FONT_PATH → doc_data/fonts → 운영체제 기본 글꼴 순으로 찾는다
+
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import type { FormRequest } from './forms';
+
+export interface PdfApprovalStep {
+  label: string;
+  status: string;            // Approved / Skipped …
+  signerName?: string | null;
+  signature?: string | null;
+  signedAt?: string | null;
+}
+
+export type PdfLeaveRequest = FormRequest & {
+  status: string;
+  managerSignedAt?: string | null;
+  approvals: PdfApprovalStep[];
+};
+
+const SYSTEM_FONTS = [
+  'C:\\Windows\\Fonts\\malgun.ttf',
+  '/usr/share/fonts/truetype/nanum/NanumGothic.ttf',
+  '/usr/share/fonts/truetype/nanum/NanumBarunGothic.ttf',
+  '/Library/Fonts/NanumGothic.ttf',
+  '/System/Library/Fonts/Supplemental/AppleGothic.ttf',
+];
+
+export function findPdfFont(docDir: string): string | null {
+  if (process.env.PDF_FONT_PATH && fs.existsSync(process.env.PDF_FONT_PATH)) return process.env.PDF_FONT_PATH;
+  const fontDir = path.join(docDir, 'fonts');
+  if (fs.existsSync(fontDir)) {
+    const f = fs.readdirSync(fontDir).find(x => /\.(ttf|otf)$/i.test(x));
+    if (f) return path.join(fontDir, f);
+  }
+  return SYSTEM_FONTS.find(f => fs.existsSync(f)) ?? null;
+}
+
+export function createPdf(fontPath: string) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+  doc.registerFont('ko', fontPath);
+  return doc;
+}
+
+function imageBuffer(dataUrl?: string | null): Buffer | null {
+  const m = dataUrl ? /^data:image\/(png|jpe?g);base64,(.+)$/.exec(dataUrl) : null;
+  return m ? Buffer.from(m[2], 'base64') : null;
+}
+
+// 칸 안에 가운데 정렬 글자
+function cellText(doc: PDFKit.PDFDocument, text: string, x: number, y: number, w: number, h: number, size = 10) {
+  doc.fontSize(size);
+  const th = doc.heightOfString(text, { width: w - 8 });
+  doc.text(text, x + 4, y + Math.max(2, (h - th) / 2), { width: w - 8, align: 'center' });
+}
+
+// 칸 안 왼쪽 정렬 글자
+function cellValue(doc: PDFKit.PDFDocument, text: string, x: number, y: number, w: number, h: number, size = 11) {
+  doc.fontSize(size);
+  const th = doc.heightOfString(text || ' ', { width: w - 12 });
+  doc.text(text, x + 6, y + Math.max(2, (h - th) / 2), { width: w - 12 });
+}
+
+function labeledRow(doc: PDFKit.PDFDocument, x: number, y: number, h: number, cols: Array<[string, string, number]>) {
+  let cx = x;
+  for (const [label, value, w] of cols) {
+    const lw = 70;
+    doc.rect(cx, y, lw, h).fillAndStroke('#f1f5f9', '#111827').fillColor('#111827');
+    cellText(doc, label, cx, y, lw, h);
+    doc.rect(cx + lw, y, w - lw, h).stroke();
+    cellValue(doc, value, cx + lw, y, w - lw, h);
+    cx += w;
+  }
+}
+
+function ymd(date: string) {
+  const [y, m, d] = date.slice(0, 10).split('-');
+  return `${y}년 ${m}월 ${d}일`;
+}
+
+// 신청 한 건 = 한 페이지
+export function drawLeavePage(doc: PDFKit.PDFDocument, r: PdfLeaveRequest) {
+  doc.addPage();
+  doc.font('ko').fillColor('#111827').lineWidth(0.8);
+  const x = 40, W = 515;
+
+  doc.fontSize(24).text('인  사  계  출', x, 50, { width: W, align: 'center', characterSpacing: 4 });
+
+  let y = 110;
+  labeledRow(doc, x, y, 30, [['소  속', r.dept, 172], ['성  명', r.name, 172], ['직  책', r.position, 171]]);
+  y += 30;
+  labeledRow(doc, x, y, 30, [['사원번호', r.empId, 172], ['구  분', r.leaveType, 172], ['일  수', r.days != null ? `${r.days}일` : '-', 171]]);
+  y += 30;
+  labeledRow(doc, x, y, 44, [['기  간', `${ymd(r.startDate)} 부터  ${ymd(r.endDate)} 까지`, W]]);
+  y += 44;
+  labeledRow(doc, x, y, 44, [['사  유', r.note ?? '', W]]);
+  y += 44;
+  labeledRow(doc, x, y, 30, [['업무인수자', r.handoverPerson ?? '', 257], ['휴가시 연락처', r.contact ?? '', 258]]);
+  y += 30;
+
+  drawSignOff(doc, r, y + 30, '상기와 같이 계출하오니 재가하여 주시기 바랍니다.');
+}
+
+// 휴가 외 신청 한 건 = 한 페이지: 인적 사항 + 종류별 항목 행 + 결재란
+export function drawTypedRequestPage(doc: PDFKit.PDFDocument, r: PdfLeaveRequest, layout: { title: string; rows: Array<[string, string]> }) {
+  doc.addPage();
+  doc.font('ko').fillColor('#111827').lineWidth(0.8);
+  const x = 40, W = 515;
+
+  doc.fontSize(24).text(layout.title, x, 50, { width: W, align: 'center', characterSpacing: 2 });
+
+  let y = 110;
+  labeledRow(doc, x, y, 30, [['소  속', r.dept, 172], ['성  명', r.name, 172], ['직  책', r.position, 171]]);
+  y += 30;
+  labeledRow(doc, x, y, 30, [['사원번호', r.empId, 172], ['구  분', r.leaveType, 343]]);
+  y += 30;
+  for (const [label, value] of [...layout.rows, ...(r.note ? [['비  고', r.note] as [string, string]] : [])]) {
+    const h = value.length > 40 ? 44 : 30;
+    labeledRow(doc, x, y, h, [[label, value, W]]);
+    y += h;
+  }
+
+  drawSignOff(doc, r, y + 30, '상기와 같이 신청하오니 재가하여 주시기 바랍니다.');
+}
+
+// 맺음말 + 작성일 + 신청인 서명 + 결재란 + 문서번호
+function drawSignOff(doc: PDFKit.PDFDocument, r: PdfLeaveRequest, top: number, closing: string) {
+  const x = 40, W = 515;
+  let y = top;
+  doc.fontSize(12).text(closing, x, y, { width: W, align: 'center' });
+  y += 36;
+  doc.fontSize(12).text(ymd(r.dateRequested), x, y, { width: W, align: 'center' });
+  y += 36;
+
+  // 신청인 서명
+  doc.fontSize(12).text(`위 신청인   ${r.name}`, x + 250, y + 12);
+  const sig = imageBuffer(r.signature);
+  if (sig) doc.image(sig, x + 400, y, { fit: [90, 40] });
+  else doc.text('(인)', x + 420, y + 12);
+  y += 70;
+
+  // 결재란: 결재 단계별 서명 (단계 기록이 없는 예전 신청은 최종 승인 서명만)
+  const steps: PdfApprovalStep[] = r.approvals.length
+    ? r.approvals
+    : [{ label: '승인', status: r.status, signature: r.managerSignature, signedAt: r.managerSignedAt }];
+  const bw = Math.min(110, Math.floor(W / steps.length));
+  let bx = x + W - bw * steps.length;
+  doc.fontSize(10).text('결  재', bx - 50, y + 40, { width: 44, align: 'center' });
+  for (const st of steps) {
+    doc.rect(bx, y, bw, 22).fillAndStroke('#f1f5f9', '#111827').fillColor('#111827');
+    cellText(doc, st.label, bx, y, bw, 22);
+    doc.rect(bx, y + 22, bw, 60).stroke();
+    const img = imageBuffer(st.signature);
+    if (img) doc.image(img, bx + 8, y + 26, { fit: [bw - 16, 40], align: 'center' });
+    else if (st.status === 'Skipped') cellText(doc, '전결', bx, y + 22, bw, 44);
+    doc.rect(bx, y + 82, bw, 30).stroke();
+    cellText(doc, [st.signerName, st.signedAt?.replace('T', ' ').slice(0, 16)].filter(Boolean).join('\n'), bx, y + 82, bw, 30, 8);
+    bx += bw;
+  }
+  y += 130;
+
+  if (r.managerSignedAt) {
+    doc.fontSize(10).fillColor('#334155')
+      .text(`최종 승인: ${r.managerSignedAt.replace('T', ' ')}`, x, y, { width: W, align: 'right' });
+  }
+  doc.fontSize(8).fillColor('#94a3b8').text(`문서번호 ${r.requestId}`, x, 790, { width: W, align: 'left' });
+}
@@ -0,0 +1,317 @@
+// requestTypes.ts — 신청 종류 등록부: 휴가 외 연장근무/특근/출장/근무 교대
+// 종류마다 입력 항목(직원 화면 폼), 검증 스키마, 기본 결재선, 양식(엑셀 템플릿 이름 · PDF 항목)을 한곳에 둔다
+// DB에 의존하지 않는다. 근무일/동료 계정 확인은 server.ts가 RequestTypeContext로 넘김
+//  - 휴가(leave)는 기존 신청 스키마·잔여일수 규칙을 그대로 쓰므로 여기에는 이름만
+//  - 종류별 입력값은 requests.details(JSON)에, 기간은 startDate/endDate에, 종류 이름은 leaveType에 저장
+
+import { z } from 'zod';
+
+export const REQUEST_TYPE_KEYS = ['leave', 'overtime', 'holidayWork', 'businessTrip', 'shiftSwap'] as const;
+export type RequestTypeKey = typeof REQUEST_TYPE_KEYS[number];
+export type TypedRequestKey = Exclude<RequestTypeKey, 'leave'>;
+
+export const REQUEST_TYPE_LABELS: Record<RequestTypeKey, string> = {
+  leave: '휴가',
+  overtime: '연장근무',
+  holidayWork: '특근',
+  businessTrip: '출장',
+  shiftSwap: '근무 교대',
+};
+
+// 화면 폼 항목. user: 같은 부서 동료 계정 선택
+export type RequestFieldKind = 'date' | 'time' | 'number' | 'text' | 'textarea' | 'select' | 'user';
+export interface RequestFieldDef {
+  name: string;
+  label: string;
+  kind: RequestFieldKind;
+  required: boolean;
+  options?: string[];
+  placeholder?: string;
+}
+
+// server.ts의 결재선 단계와 같은 모양 (지정 결재자 없이 역할/조직 관계만)
+export interface RequestApprovalStep {
+  label: string;
+  approverRole: 'manager' | 'hr' | 'admin';
+  relation?: 'directManager' | 'deptHead';
+}
+
+export interface RequestTypeContext {
+  requesterId: string;
+  isWorkday(date: string): boolean;
+  colleagueName(userId: string): string | null;   // 같은 부서의 활성 계정이면 이름
+}
+
+export type FieldErrors = Record<string, string[]>;
+
+export interface RequestTypeDef<T = any> {
+  key: TypedRequestKey;
+  label: string;
+  description: string;
+  fields: RequestFieldDef[];
+  derived: Array<{ name: string; label: string }>;  // 서버가 계산해 details에 넣는 값 (양식 매핑용)
+  schema: z.ZodType<T, z.ZodTypeDef, unknown>;
+  // 저장 직전 검증 + 계산 값 채우기. 오류가 있으면 항목별 메시지
+  finalize(d: T, ctx: RequestTypeContext): { details: Record<string, unknown> } | { fieldErrors: FieldErrors };
+  period(d: Record<string, any>): { startDate: string; endDate: string };
+  summary(d: Record<string, any>): string;
+  absence: boolean;                    // 자리를 비우는 종류 (팀 달력·근무일지 제출 대상에서 빠짐)
+  approvalSteps: RequestApprovalStep[]; // 결재선 관리에 이 종류의 결재선이 없을 때
+  formTemplate: string;                 // 엑셀 양식 템플릿 이름 (양식 관리에서 이 이름으로 올림)
+  pdfTitle: string;
+  pdfRows(d: Record<string, any>): Array<[string, string]>;
+  sample: Record<string, unknown>;      // 양식 미리보기용 견본 details
+}
+
+/* ---------------- 공통 항목 ---------------- */
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, '날짜를 입력하세요');
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, '시각을 입력하세요 (HH:MM)');
+const reasonSchema = z.string().trim().min(1, '사유를 입력하세요').max(500);
+const SHIFTS = ['주간', '야간'] as const;
+const MAX_WORK_HOURS = 12;
+
+const minutesOf = (t: string) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+
+// 근무 시간 (종료가 시작보다 이르거나 같으면 다음 날 종료로 봄), 0.5시간 단위 내림
+export function workHours(startTime: string, endTime: string) {
+  let m = minutesOf(endTime) - minutesOf(startTime);
+  if (m <= 0) m += 24 * 60;
+  return Math.floor(m / 30) / 2;
+}
+
+function hoursIssue(hours: number): FieldErrors | null {
+  if (hours < 0.5) return { endTime: ['근무 시간이 30분 미만입니다'] };
+  if (hours > MAX_WORK_HOURS) return { endTime: [`한 번에 ${MAX_WORK_HOURS}시간까지 신청할 수 있습니다`] };
+  return null;
+}
+
+const ymdText = (d: string) => d.replace(/-/g, '.');
+const timeRange = (d: { startTime: string; endTime: string; hours?: number }) =>
+  `${d.startTime} ~ ${d.endTime}${d.hours != null ? ` (${d.hours}시간)` : ''}`;
+
+/* ---------------- 연장근무 ---------------- */
+const overtimeSchema = z.object({
+  workDate: dateSchema,
+  startTime: timeSchema,
+  endTime: timeSchema,
+  reason: reasonSchema,
+});
+
+const overtime: RequestTypeDef<z.infer<typeof overtimeSchema>> = {
+  key: 'overtime',
+  label: REQUEST_TYPE_LABELS.overtime,
+  description: '근무일의 소정 근무시간 이후 연장근무 (휴일 근무는 특근으로)',
+  fields: [
+    { name: 'workDate', label: '근무일', kind: 'date', required: true },
+    { name: 'startTime', label: '시작', kind: 'time', required: true },
+    { name: 'endTime', label: '종료', kind: 'time', required: true },
+    { name: 'reason', label: '사유', kind: 'textarea', required: true, placeholder: '작업 내용' },
+  ],
+  derived: [{ name: 'hours', label: '근무 시간' }],
+  schema: overtimeSchema,
+  finalize(d, ctx) {
+    if (!ctx.isWorkday(d.workDate)) return { fieldErrors: { workDate: ['휴일 근무는 특근으로 신청하세요'] } };
+    const hours = workHours(d.startTime, d.endTime);
+    const issue = hoursIssue(hours);
+    return issue ? { fieldErrors: issue } : { details: { ...d, hours } };
+  },
+  period: d => ({ startDate: d.workDate, endDate: d.workDate }),
+  summary: d => `${ymdText(d.workDate)} ${timeRange(d as any)}`,
+  absence: false,
+  approvalSteps: [
+    { label: '팀장', approverRole: 'manager', relation: 'directManager' },
+    { label: '인사 확인', approverRole: 'hr' },
+  ],
+  formTemplate: '연장근무신청서',
+  pdfTitle: '연 장 근 무 신 청 서',
+  pdfRows: d => [['근 무 일', ymdText(d.workDate)], ['근무 시간', timeRange(d as any)], ['사  유', d.reason]],
+  sample: { workDate: '2025-08-27', startTime: '18:00', endTime: '21:00', reason: '설비 점검', hours: 3 },
+};
+
+/* ---------------- 특근 (휴일 근무) ---------------- */
+const HOLIDAY_COMPENSATIONS = ['휴일근무수당', '대체휴무'] as const;
+const holidayWorkSchema = z.object({
+  workDate: dateSchema,
+  startTime: timeSchema,
+  endTime: timeSchema,
+  compensation: z.enum(HOLIDAY_COMPENSATIONS, { errorMap: () => ({ message: '보상 방식을 고르세요' }) }),
+  substituteDate: z.union([dateSchema, z.literal('')]).optional().transform(v => v || undefined),
+  reason: reasonSchema,
+});
+
+const holidayWork: RequestTypeDef<z.infer<typeof holidayWorkSchema>> = {
+  key: 'holidayWork',
+  label: REQUEST_TYPE_LABELS.holidayWork,
+  description: '주말·공휴일·회사 휴무일 근무. 수당 또는 대체휴무로 보상',
+  fields: [
+    { name: 'workDate', label: '근무일 (휴일)', kind: 'date', required: true },
+    { name: 'startTime', label: '시작', kind: 'time', required: true },
+    { name: 'endTime', label: '종료', kind: 'time', required: true },
+    { name: 'compensation', label: '보상', kind: 'select', required: true, options: [...HOLIDAY_COMPENSATIONS] },
+    { name: 'substituteDate', label: '대체휴무일', kind: 'date', required: false, placeholder: '대체휴무일 때' },
+    { name: 'reason', label: '사유', kind: 'textarea', required: true, placeholder: '작업 내용' },
+  ],
+  derived: [{ name: 'hours', label: '근무 시간' }],
+  schema: holidayWorkSchema,
+  finalize(d, ctx) {
+    const errors: FieldErrors = {};
+    if (ctx.isWorkday(d.workDate)) errors.workDate = ['특근은 휴일(주말·공휴일·휴무일)에만 신청할 수 있습니다'];
+    if (d.compensation === '대체휴무') {
+      if (!d.substituteDate) errors.substituteDate = ['대체휴무일을 입력하세요'];
+      else if (!ctx.isWorkday(d.substituteDate)) errors.substituteDate = ['대체휴무일은 근무일이어야 합니다'];
+    }
+    const hours = workHours(d.startTime, d.endTime);
+    Object.assign(errors, hoursIssue(hours));
+    if (Object.keys(errors).length) return { fieldErrors: errors };
+    const { substituteDate, ...rest } = d;
+    return { details: { ...rest, ...(d.compensation === '대체휴무' ? { substituteDate } : {}), hours } };
+  },
+  period: d => ({ startDate: d.workDate, endDate: d.workDate }),
+  summary: d => `${ymdText(d.workDate)} ${timeRange(d as any)} · ${d.compensation}${d.substituteDate ? ` ${ymdText(d.substituteDate)}` : ''}`,
+  absence: false,
+  approvalSteps: [
+    { label: '팀장', approverRole: 'manager', relation: 'directManager' },
+    { label: '부서장', approverRole: 'manager', relation: 'deptHead' },
+    { label: '인사 확인', approverRole: 'hr' },
+  ],
+  formTemplate: '특근신청서',
+  pdfTitle: '특 근 신 청 서',
+  pdfRows: d => [
+    ['근 무 일', ymdText(d.workDate)],
+    ['근무 시간', timeRange(d as any)],
+    ['보  상', `${d.compensation}${d.substituteDate ? ` (${ymdText(d.substituteDate)})` : ''}`],
+    ['사  유', d.reason],
+  ],
+  sample: { workDate: '2025-08-30', startTime: '08:00', endTime: '17:00', compensation: '대체휴무', substituteDate: '2025-09-01', reason: '납기 대응', hours: 9 },
+};
+
+/* ---------------- 출장 ---------------- */
+const TRANSPORTS = ['대중교통', '자가용', '회사 차량', '항공'] as const;
+const businessTripSchema = z.object({
+  startDate: dateSchema,
+  endDate: dateSchema,
+  destination: z.string().trim().min(1, '출장지를 입력하세요').max(100),
+  purpose: z.string().trim().min(1, '출장 목적을 입력하세요').max(500),
+  transport: z.enum(TRANSPORTS, { errorMap: () => ({ message: '교통편을 고르세요' }) }),
+});
+
+const businessTrip: RequestTypeDef<z.infer<typeof businessTripSchema>> = {
+  key: 'businessTrip',
+  label: REQUEST_TYPE_LABELS.businessTrip,
+  description: '외부 근무 (기간 동안 팀 달력에 부재로 표시)',
+  fields: [
+    { name: 'startDate', label: '시작일', kind: 'date', required: true },
+    { name: 'endDate', label: '종료일', kind: 'date', required: true },
+    { name: 'destination', label: '출장지', kind: 'text', required: true },
+    { name: 'transport', label: '교통편', kind: 'select', required: true, options: [...TRANSPORTS] },
+    { name: 'purpose', label: '목적', kind: 'textarea', required: true },
+  ],
+  derived: [],
+  schema: businessTripSchema,
+  finalize(d) {
+    if (d.endDate < d.startDate) return { fieldErrors: { endDate: ['종료일은 시작일보다 같거나 뒤여야 합니다'] } };
+    return { details: { ...d } };
+  },
+  period: d => ({ startDate: d.startDate, endDate: d.endDate }),
+  summary: d => `${d.destination} · ${d.transport}`,
+  absence: true,
+  approvalSteps: [
+    { label: '팀장', approverRole: 'manager', relation: 'directManager' },
+    { label: '부서장', approverRole: 'manager', relation: 'deptHead' },
+  ],
+  formTemplate: '출장신청서',
+  pdfTitle: '출 장 신 청 서',
+  pdfRows: d => [
+    ['기  간', `${ymdText(d.startDate)} ~ ${ymdText(d.endDate)}`],
+    ['출 장 지', d.destination],
+    ['교 통 편', d.transport],
+    ['목  적', d.purpose],
+  ],
+  sample: { startDate: '2025-08-28', endDate: '2025-08-29', destination: '울산 협력사', transport: '회사 차량', purpose: '금형 검수' },
+};
+
+/* ---------------- 근무 교대 ---------------- */
+const shiftSwapSchema = z.object({
+  swapDate: dateSchema,
+  counterpartId: z.string().min(1, '교대할 동료를 고르세요'),
+  fromShift: z.enum(SHIFTS, { errorMap: () => ({ message: '현재 근무조를 고르세요' }) }),
+  toShift: z.enum(SHIFTS, { errorMap: () => ({ message: '바꿀 근무조를 고르세요' }) }),
+  reason: reasonSchema,
+});
+
+const shiftSwap: RequestTypeDef<z.infer<typeof shiftSwapSchema>> = {
+  key: 'shiftSwap',
+  label: REQUEST_TYPE_LABELS.shiftSwap,
+  description: '같은 부서 동료와 하루 근무조(주간/야간) 맞교대',
+  fields: [
+    { name: 'swapDate', label: '교대일', kind: 'date', required: true },
+    { name: 'counterpartId', label: '교대 동료', kind: 'user', required: true },
+    { name: 'fromShift', label: '현재 근무조', kind: 'select', required: true, options: [...SHIFTS] },
+    { name: 'toShift', label: '바꿀 근무조', kind: 'select', required: true, options: [...SHIFTS] },
+    { name: 'reason', label: '사유', kind: 'textarea', required: true },
+  ],
+  derived: [{ name: 'counterpartName', label: '교대 동료 이름' }],
+  schema: shiftSwapSchema,
+  finalize(d, ctx) {
+    const errors: FieldErrors = {};
+    if (d.fromShift === d.toShift) errors.toShift = ['현재 근무조와 다른 근무조를 고르세요'];
+    const counterpartName = d.counterpartId === ctx.requesterId ? null : ctx.colleagueName(d.counterpartId);
+    if (!counterpartName) errors.counterpartId = ['같은 부서의 다른 직원만 고를 수 있습니다'];
+    if (Object.keys(errors).length) return { fieldErrors: errors };
+    return { details: { ...d, counterpartName } };
+  },
+  period: d => ({ startDate: d.swapDate, endDate: d.swapDate }),
+  summary: d => `${ymdText(d.swapDate)} ${d.fromShift}→${d.toShift} · 교대 ${d.counterpartName}`,
+  absence: false,
+  approvalSteps: [{ label: '팀장', approverRole: 'manager', relation: 'directManager' }],
+  formTemplate: '근무교대신청서',
+  pdfTitle: '근 무 교 대 신 청 서',
+  pdfRows: d => [
+    ['교 대 일', ymdText(d.swapDate)],
+    ['근 무 조', `${d.fromShift} → ${d.toShift}`],
+    ['교대 동료', d.counterpartName],
+    ['사  유', d.reason],
+  ],
+  sample: { swapDate: '2025-08-28', counterpartId: 'sample', counterpartName: '김대리', fromShift: '주간', toShift: '야간', reason: '가족 행사' },
+};
+
+export const REQUEST_TYPES: Record<TypedRequestKey, RequestTypeDef> = { overtime, holidayWork, businessTrip, shiftSwap };
+export const TYPED_REQUEST_KEYS = Object.keys(REQUEST_TYPES) as TypedRequestKey[];
+
+// 팀 달력/근무일지 제출 대상에서 부재로 보는 종류 (휴가 포함)
+export const ABSENCE_REQUEST_TYPES: RequestTypeKey[] = ['leave', ...TYPED_REQUEST_KEYS.filter(k => REQUEST_TYPES[k].absence)];
+
+export function requestTypeOf(key: string | null | undefined): RequestTypeDef | null {
+  return key && key in REQUEST_TYPES ? REQUEST_TYPES[key as TypedRequestKey] : null;
+}
+
+export function parseDetails(raw: string | null | undefined): Record<string, any> | null {
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+// 목록 표시용 한 줄 (휴가는 null)
+export function requestSummary(requestType: string | null | undefined, details: Record<string, any> | null) {
+  const def = requestTypeOf(requestType);
+  return def && details ? def.summary(details) : null;
+}
+
+// 클라이언트 폼/양식 매핑 화면에 내려주는 정의 (스키마·함수 제외)
+export function publicRequestTypes() {
+  return [
+    { key: 'leave' as RequestTypeKey, label: REQUEST_TYPE_LABELS.leave, description: '연차/반차/병가/경조사', fields: [], formFields: [], formTemplate: null, absence: true },
+    ...TYPED_REQUEST_KEYS.map(k => {
+      const t = REQUEST_TYPES[k];
+      return {
+        key: t.key as RequestTypeKey, label: t.label, description: t.description, fields: t.fields,
+        formFields: [...t.fields.filter(f => f.kind !== 'user'), ...t.derived].map(f => ({ field: `details.${f.name}`, label: f.label })),
+        formTemplate: t.formTemplate, absence: t.absence,
+      };
+    }),
+  ];
+}
+
+// 엑셀 템플릿 이름 → 그 양식을 쓰는 신청 종류 (등록부에 없는 이름은 휴가 양식)
+export function requestTypeForTemplate(name: string): RequestTypeKey {
+  return TYPED_REQUEST_KEYS.find(k => REQUEST_TYPES[k].formTemplate === name) ?? 'leave';
+}
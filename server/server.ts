@@ -1,6 +1,6 @@
 // server.ts — Express + SQLite + JWT 인증/권한 (RBAC)
 // 실행: npm run dev  (예: ts-node server.ts)
-// 필요 패키지: express cors helmet morgan better-sqlite3 zod jsonwebtoken bcryptjs
+// 필요 패키지: express cors helmet morgan better-sqlite3 zod jsonwebtoken bcryptjs multer exceljs archiver pdfkit
 // 타입: @types/jsonwebtoken @types/bcryptjs @types/express
 
 import express from 'express';
@@ -13,49 +13,131 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import fs from 'fs';
 import path from 'path';
-import { randomUUID as nodeRandomUUID } from 'crypto';
+import { createHash, randomBytes, randomUUID as nodeRandomUUID } from 'crypto';
 import multer from 'multer';
+import archiver from 'archiver';
+import {
+  HolidayEntry, HolidayKind, addDays, countBusinessDays, eachDate, fixedHolidays, isIsoDate, isWeekend,
+  parseHolidayCsv, parseIcs, substituteHolidays, uniqueHolidays,
+} from './workdays';
+import {
+  Absence, StaffingRule, handoverMatches, ruleCovers, staffingShortfalls,
+} from './calendar';
+import { createMailTransport } from './mailer';
+import {
+  DEFAULT_FORM_MAPPINGS, DETAILS_FIELD_PATTERN, FORM_FIELDS, FORM_FORMATS, FORM_IMAGE_FIELDS, FormMapping, FormRequest,
+  SAMPLE_FORM_REQUEST, formFileName, renderLeaveForm, templateSheets,
+} from './forms';
+import { PdfLeaveRequest, createPdf, drawLeavePage, drawTypedRequestPage, findPdfFont } from './pdf';
+import {
+  AUDIT_GENESIS_HASH, AuditEvent, auditCsv, auditHash, auditSnapshot, canonicalJson, csvCell, verifyAuditChain,
+} from './audit';
+import { PASSWORD_MIN_LENGTH, passwordPolicyError, temporaryPassword } from './passwords';
+import {
+  ANALYTICS_SECTIONS, AnalyticsReport, analyticsSectionTitle, approvalTurnaround, buildAnalyticsWorkbook,
+  expiringAnnualLeave, leaveUsage, rejectionRates, worklogCompliance,
+} from './analytics';
+import {
+  PayrollBucket, PayrollDiff, PayrollPerson, PayrollRequest, PayrollRequestSnapshot,
+  buildPayrollWorkbook, diffPayrollRequests, payrollCsv, payrollDays, payrollSummary,
+} from './payroll';
+import { IMPORT_COLUMNS, ImportKind, ImportRow, readImportFile } from './imports';
+import {
+  ATTENDANCE_EXCEPTION_KINDS, AttendanceConfig, DEFAULT_ATTENDANCE_CONFIG, ReconcileInput, WorkShift,
+  attendanceWorkDate, reconcileDay,
+} from './attendance';
+import { DEFAULT_DB_FILE, migrate } from './migrate';
+import {
+  ABSENCE_REQUEST_TYPES, REQUEST_TYPE_KEYS, REQUEST_TYPE_LABELS, TYPED_REQUEST_KEYS, RequestTypeKey, TypedRequestKey,
+  parseDetails, publicRequestTypes, requestSummary, requestTypeForTemplate, requestTypeOf,
+} from './requestTypes';
+import {
+  SIGNATURE_MAX_DATA_URL, SignatureImage, decodeSignature, readSignatureFile, saveSignatureFile, toDataUrl,
+} from './signatures';
+import { buildWorklogTemplate, detectWorklogFileType, parseWorklogSheet } from './worklogFiles';
 const app = express();
 
 // ---------------- 파일 폴더/정적 제공 ----------------
 const DOC_DIR = path.join(process.cwd(), 'doc_data');
-const WORKLOG_DIR = path.join(DOC_DIR, 'worklogs');          // 근무일지 저장 폴더
+// 근무일지 저장 폴더 — 공개 폴더(doc_data) 밖에 두고 권한 확인 후 API로만 제공
+const WORKLOG_DIR = process.env.WORKLOG_DIR || path.join(process.cwd(), 'worklog_data');
 //const UPLOAD_DIR = path.join(process.cwd(), 'upload_data/worklogs');
 if (!fs.existsSync(DOC_DIR)) fs.mkdirSync(DOC_DIR, { recursive: true });
 if (!fs.existsSync(WORKLOG_DIR)) fs.mkdirSync(WORKLOG_DIR, { recursive: true });
-app.use('/static', express.static(DOC_DIR)); // 예: /static/worklogs/aaa.pdf
+app.use('/static', express.static(DOC_DIR));
+// 서명 이미지는 공개 폴더(doc_data) 밖에 두고 권한 확인 후 API로만 제공
+const SIGNATURE_DIR = process.env.SIGNATURE_DIR || path.join(process.cwd(), 'signature_data');
+if (!fs.existsSync(SIGNATURE_DIR)) fs.mkdirSync(SIGNATURE_DIR, { recursive: true });
 
 const API_PORT = process.env.PORT ? Number(process.env.PORT) : 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
-const TOKEN_EXPIRES_IN = '2h'; // 토큰 유효기간
+// 액세스 토큰은 짧게, 리프레시 토큰(세션)으로 갱신 — 리프레시 토큰은 쓸 때마다 새로 발급
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 14;
+// 로그인 잠금: 연속 실패 횟수 / 잠금 시간(분)
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+// 없는 아이디로 로그인해도 비밀번호 비교에 같은 시간이 걸리게 쓰는 해시
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(randomBytes(16).toString('hex'), 10);
+// 알림 메일 본문에 넣을 화면 주소 (기본: 프런트 개발 서버)
+const APP_URL = process.env.APP_URL || process.env.VITE_ORIGIN || 'http://localhost:5173';
 const VITE_ORIGIN = process.env.VITE_ORIGIN || 'http://localhost:5173';
+// 기본 계정 시드: create(없을 때만 생성, 기본값) / reset(매 기동 시 기본 비밀번호로 되돌림 — 개발용) / off
+const SEED_USERS = (process.env.SEED_USERS || 'create') as 'create' | 'reset' | 'off';
+// 근태: 근무조 시작 시각(HH:mm) / 지각 유예(분) / 전날 근무를 자동 대조하는 시각(시, 0~23 — off면 수동 대조만)
+const ATTENDANCE_CONFIG: AttendanceConfig = {
+  shiftStart: {
+    주간: process.env.SHIFT_START_DAY || DEFAULT_ATTENDANCE_CONFIG.shiftStart.주간,
+    야간: process.env.SHIFT_START_NIGHT || DEFAULT_ATTENDANCE_CONFIG.shiftStart.야간,
+  },
+  graceMinutes: process.env.LATE_GRACE_MINUTES ? Number(process.env.LATE_GRACE_MINUTES) : DEFAULT_ATTENDANCE_CONFIG.graceMinutes,
+};
+const ATTENDANCE_RECONCILE_HOUR = process.env.ATTENDANCE_RECONCILE_HOUR === 'off' ? null : Number(process.env.ATTENDANCE_RECONCILE_HOUR ?? 2);
 
 // ---------------- Types (먼저 선언: 함수/스키마들이 참조) ----------------
 type LeaveType = '연차' | '반차' | '병가' | '경조사';
 type RequestStatus = 'Pending' | 'Approved' | 'Rejected' | 'Canceled';
 type Role = 'employee' | 'manager' | 'hr' | 'admin';
+type LeaveBucket = '연차' | '병가' | '경조사'; // 잔여일수 차감 단위 (반차는 연차에서 차감)
 
-// 서버 시작 시 템플릿 폴더가 없으면 생성
-const TEMPLATE_DIR = path.resolve(process.cwd(), 'doc_data');
+// 양식 템플릿 폴더 — 공개 폴더(doc_data) 밖에 두고 권한 확인 후 양식 API로만 제공
+const TEMPLATE_DIR = process.env.FORM_TEMPLATE_DIR || path.resolve(process.cwd(), 'template_data');
 if (!fs.existsSync(TEMPLATE_DIR)) {
   fs.mkdirSync(TEMPLATE_DIR, { recursive: true });
-  console.log('[init] created doc_data folder:', TEMPLATE_DIR);
+  console.log('[init] created template folder:', TEMPLATE_DIR);
 }
 
 // 연락처: 숫자/대쉬/공백/괄호 허용, 7~20자
 const phoneRegex = /^[0-9\-\s()+]{7,20}$/;
 
+// 서명 dataURL → 실제 PNG/JPEG인지, 크기 제한 안인지 확인해 디코딩
+const signatureImageSchema = z.string().max(SIGNATURE_MAX_DATA_URL, '서명 이미지가 너무 큽니다.')
+  .transform((v, ctx): SignatureImage => {
+    const r = decodeSignature(v);
+    if (!r.ok) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: r.error });
+      return z.NEVER;
+    }
+    return r.image;
+  });
+
 const LeaveTypeEnum = z.enum(['연차','반차','병가','경조사']);
 const StatusEnum = z.enum(['Pending','Approved','Rejected','Canceled']);
 const RoleEnum = z.enum(['employee','manager','hr','admin']);
-const DeptEnum = z.enum(['개발팀','생산지원팀','생산팀','공무팀']);
+const dateStrSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+// 부서는 departments 테이블 기준 (최초 기동 시 DEFAULT_DEPTS로 채움)
+const DEFAULT_DEPTS = ['개발팀','생산지원팀','생산팀','공무팀'];
+const DeptSchema = z.string().min(1).refine(
+  name => !!db.prepare('SELECT 1 FROM departments WHERE name=?').get(name),
+  { message: '등록되지 않은 부서입니다' }
+);
 
 // 서버 입력 검증 스키마
-const createRequestSchema = z.object({
+const requestFieldsSchema = z.object({
   dateRequested: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
   empId: z.string().min(1),
   name: z.string().min(1),
-  dept: DeptEnum,
+  dept: DeptSchema,
   position: z.string().min(1),
   leaveType: LeaveTypeEnum,
   startDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
@@ -64,97 +146,84 @@ const createRequestSchema = z.object({
   handoverPerson: z.string().min(1, '업무인수자를 입력하세요'),
   contact: z.string().regex(phoneRegex, '연락처 형식이 올바르지 않습니다'),
   status: StatusEnum.default('Pending'),
-  // 프런트의 서명 dataURL (필수)
-  signatureDataUrl: z
-    .string()
-    .regex(/^data:image\/(png|jpeg);base64,/, { message: '서명 데이터 URL 형식이 올바르지 않습니다.' }),
-}).refine((v)=>{
-  return new Date(v.endDate).getTime() >= new Date(v.startDate).getTime();
-}, { path:['endDate'], message:'종료일은 시작일보다 같거나 뒤여야 합니다' });
+  // 프런트의 서명 dataURL (필수) → 검증한 이미지
+  signatureDataUrl: signatureImageSchema,
+});
+const endNotBeforeStart = (v: { startDate: string; endDate: string }) =>
+  new Date(v.endDate).getTime() >= new Date(v.startDate).getTime();
+const endDateIssue = { path:['endDate'], message:'종료일은 시작일보다 같거나 뒤여야 합니다' };
+const createRequestSchema = requestFieldsSchema.refine(endNotBeforeStart, endDateIssue);
+
+// 과거 신청 가져오기: 신청과 같은 규칙, 서명 없이 결재가 끝난 상태로만
+const importRequestSchema = requestFieldsSchema.omit({ signatureDataUrl: true }).extend({
+  status: StatusEnum.exclude(['Pending']).default('Approved'),
+}).refine(endNotBeforeStart, endDateIssue);
 
 const updateStatusSchema = z.object({ status: StatusEnum });
 
 const approveWithSignatureSchema = z.object({
-  signatureDataUrl: z
-    .string()
-    .regex(/^data:image\/(png|jpeg);base64,/, { message: '서명 데이터 URL 형식이 올바르지 않습니다.' })
+  signatureDataUrl: signatureImageSchema,
+  comment: z.string().max(500).optional(),
+});
+
+const rejectSchema = z.object({ comment: z.string().max(500).optional() });
+const cancelSchema = z.object({ reason: z.string().max(500).optional() });
+
+// 결재선 단계의 결재자
+//  - relation: 신청자 기준 조직 관계 (directManager=직속 상사, deptHead=부서장)로 신청 시점에 지정
+//  - approverUserId: 지정 결재자
+//  - 둘 다 없으면 역할 보유자 (상사 역할은 자기 보고 라인의 신청만)
+const ApproverRoleEnum = z.enum(['manager','hr','admin']);
+const approvalStepSchema = z.object({
+  label: z.string().min(1).max(30),
+  approverRole: ApproverRoleEnum,
+  relation: z.enum(['directManager','deptHead']).optional(),
+  approverUserId: z.string().min(1).optional(),
 });
+type ApprovalStepDef = z.infer<typeof approvalStepSchema>;
+const RequestTypeEnum = z.enum(REQUEST_TYPE_KEYS);
+const approvalLineSchema = z.object({
+  requestType: RequestTypeEnum.default('leave'),
+  dept: DeptSchema.nullable().default(null),          // null: 전 부서 공통
+  leaveType: LeaveTypeEnum.nullable().default(null),  // null: 전 종류 공통 (휴가 결재선만)
+  steps: z.array(approvalStepSchema).min(1).max(6),
+}).refine(v => v.requestType === 'leave' || v.leaveType === null, { path: ['leaveType'], message: '휴가 종류는 휴가 결재선에만 지정합니다' });
+
+// 결재선이 하나도 없을 때 쓰는 기본 결재 순서: 팀장 → 부서장 → 인사 확인
+const DEFAULT_APPROVAL_STEPS: ApprovalStepDef[] = [
+  { label: '팀장', approverRole: 'manager', relation: 'directManager' },
+  { label: '부서장', approverRole: 'manager', relation: 'deptHead' },
+  { label: '인사 확인', approverRole: 'hr' },
+];
 
 // ---------------- DB ----------------
-const db = new Database('leave_manager.db');
+// 테이블/컬럼/인덱스는 migrations/ 의 번호 순서대로 (기동할 때 아직 적용하지 않은 것만)
+const db = new Database(DEFAULT_DB_FILE);
 db.pragma('journal_mode = WAL');
+migrate(db);
 
-db.prepare(`CREATE TABLE IF NOT EXISTS requests (
-  requestId TEXT PRIMARY KEY,
-  dateRequested TEXT NOT NULL,
-  empId TEXT NOT NULL,
-  name TEXT NOT NULL,
-  dept TEXT NOT NULL,
-  position TEXT NOT NULL,
-  leaveType TEXT NOT NULL,
-  startDate TEXT NOT NULL,
-  endDate TEXT NOT NULL,
-  note TEXT,
-  status TEXT NOT NULL,
-  signature TEXT,            -- 신청자 서명 (dataURL)
-  handoverPerson TEXT,       -- 업무인수자
-  contact TEXT,              -- 연락처
-  managerSignature TEXT,     -- 승인자 서명 (dataURL)
-  managerSignerId TEXT,      -- 승인자 ID
-  managerSignedAt TEXT       -- 승인 시각 (ISO-ish)
-)`).run();
-
-db.prepare(`CREATE TABLE IF NOT EXISTS users (
-  id TEXT PRIMARY KEY,
-  username TEXT UNIQUE NOT NULL,
-  name TEXT NOT NULL,
-  role TEXT NOT NULL CHECK (role IN ('employee','manager','hr','admin')),
-  passwordHash TEXT NOT NULL
-)`).run();
-
-/* ---------------- worklogs 테이블 스키마 ---------------- */
-// "파일업로드(필수) + 서명(필수)"에 맞춘 최소 스키마
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS worklogs (
-    id TEXT PRIMARY KEY,
-    uploaderId TEXT NOT NULL,
-    fileName TEXT NOT NULL,
-    filePath TEXT NOT NULL,
-    signature TEXT NOT NULL,
-    status TEXT NOT NULL CHECK (status IN ('Pending','Approved','Rejected')),
-    createdAt TEXT NOT NULL
-  )
-`).run();
-
-// 누락 컬럼 안전 추가(기존 DB 호환)
-function ensureColWorklogs(col: string, type: string) {
-  const found = db.prepare(
-    `SELECT 1 FROM pragma_table_info('worklogs') WHERE name=?`
-  ).get(col);
-  if (!found) {
-    db.prepare(`ALTER TABLE worklogs ADD COLUMN ${col} ${type}`).run();
-    console.log(`[migrate] worklogs.${col} added`);
-  }
-}
-ensureColWorklogs('uploaderId', 'TEXT');
-ensureColWorklogs('fileName', 'TEXT');
-ensureColWorklogs('filePath', 'TEXT');
-ensureColWorklogs('signature', 'TEXT');
-ensureColWorklogs('status', "TEXT");
-ensureColWorklogs('createdAt', 'TEXT');
-// ── zod 스키마: 승인 변경 ───────────────────────────────────
+// ── zod 스키마: 근무 내용 / 승인 변경 ───────────────────────
 const WorklogStatusEnum = z.enum(['Pending','Approved','Rejected']);
-const updateWorklogStatusSchema = z.object({ status: WorklogStatusEnum });
+const WorkShiftEnum = z.enum(['주간','야간']);
+// multipart 필드는 모두 문자열로 들어옴
+const worklogMetaSchema = z.object({
+  workDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, '근무일을 입력하세요'),
+  shift: WorkShiftEnum,
+  hours: z.coerce.number().min(0.5, '근무 시간을 입력하세요').max(24),
+  notes: z.string().max(1000).optional().default(''),
+  prevWorklogId: z.string().min(1).optional(),
+});
+// 반려는 사유 필수
+const updateWorklogStatusSchema = z.object({
+  status: WorklogStatusEnum,
+  reason: z.string().trim().max(500).optional(),
+}).refine(v => v.status !== 'Rejected' || !!v.reason, { path: ['reason'], message: '반려 사유를 입력하세요' });
+const worklogCommentSchema = z.object({ body: z.string().trim().min(1).max(1000) });
 
 // --- Multer (파일 업로드) ---
+// 근무일지: 형식(파일 내용)과 양식 검증을 통과한 뒤에만 WORKLOG_DIR에 저장
 const upload = multer({
-  storage: multer.diskStorage({
-    destination: (_req, _file, cb) => cb(null, WORKLOG_DIR),
-    filename: (_req, file, cb) => {
-      const safe = file.originalname.replace(/[^\w.\-가-힣_]/g, '_');
-      cb(null, `${Date.now()}_${safe}`);
-    },
-  }),
+  storage: multer.memoryStorage(),
   limits: { fileSize: 20 * 1024 * 1024 },
 });
 
@@ -170,22 +239,10 @@ const upload = multer({
 //   limits: { fileSize: 20 * 1024 * 1024 },
 // });
 
-// 기존 테이블에 누락 컬럼 있으면 추가
-function ensureColumn(table: string, col: string, type: string){
-  // PRAGMA table_info()는 파라미터 바인딩이 되지 않으므로 안전하게 식별자 검증 후 문자열로 사용
-  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
-    throw new Error(`Invalid table name: ${table}`);
-  }
-  // 현재 테이블 컬럼 목록 조회
-  const cols = db.prepare(`PRAGMA table_info(${table})`).all() as Array<{ name: string }>;
-  const exists = cols.some(c => c.name === col);
-  if (!exists) {
-    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${col} ${type}`).run();
-    console.log(`[DB] ${table}.${col} added`);
-  }
-}
-['handoverPerson','contact','signature','managerSignature','managerSignerId','managerSignedAt','requesterId']
-  .forEach(c => ensureColumn('requests', c, 'TEXT'));
+
+DEFAULT_DEPTS.forEach(name => {
+  db.prepare('INSERT OR IGNORE INTO departments (id, name) VALUES (?,?)').run(cryptoRandomId(), name);
+});
 
 // ---------------- 기본 계정 시드 ----------------
 function cryptoRandomId(){
@@ -194,28 +251,49 @@ function cryptoRandomId(){
   return 'id-' + Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
 
+// 새로 만든 기본 계정은 첫 로그인 때 비밀번호를 바꿔야 함
 function seedUser(username: string, name: string, role: Role, password: string){
   const rec = db.prepare('SELECT id, passwordHash FROM users WHERE username=?').get(username) as any;
-  const hash = bcrypt.hashSync(password, 10);
   if (!rec) {
     const id = cryptoRandomId();
-    db.prepare('INSERT INTO users (id, username, name, role, passwordHash) VALUES (?,?,?,?,?)')
-      .run(id, username, name, role, hash);
+    db.prepare(`INSERT INTO users (id, username, name, role, passwordHash, mustChangePassword, createdAt)
+      VALUES (?,?,?,?,?,1,?)`).run(id, username, name, role, bcrypt.hashSync(password, 10), nowTs());
     console.log(`seeded user: ${username}/${role}`);
-  } else {
-    // 기존 계정이 있지만 비밀번호가 다르면 업데이트
+  } else if (SEED_USERS === 'reset') {
+    // 개발용: 기존 계정이 있지만 비밀번호가 다르면 되돌림
     const needUpdate = !bcrypt.compareSync(password, rec.passwordHash);
     if (needUpdate) {
-      db.prepare('UPDATE users SET passwordHash=?, name=?, role=? WHERE username=?')
-        .run(hash, name, role, username);
+      db.prepare('UPDATE users SET passwordHash=?, name=?, role=?, active=1, mustChangePassword=0, passwordChangedAt=? WHERE username=?')
+        .run(bcrypt.hashSync(password, 10), name, role, nowTs(), username);
       console.log(`updated user password: ${username}`);
     }
   }
 }
-seedUser('admin', '관리자', 'admin', 'admin123!');
-seedUser('manager', '홍팀장', 'manager', 'manager123!');
-seedUser('hr', '김인사', 'hr', 'hr123!');
-seedUser('employee', '이사원', 'employee', 'emp123!');
+if (SEED_USERS !== 'off') {
+  seedUser('admin', '관리자', 'admin', 'admin123!');
+  seedUser('manager', '홍팀장', 'manager', 'manager123!');
+  seedUser('hr', '김인사', 'hr', 'hr123!');
+  seedUser('employee', '이사원', 'employee', 'emp123!');
+}
+
+// 기본 계정의 직원 정보 — 없을 때만 생성 (인사에서 수정한 값 보존)
+function seedEmployee(username: string, empId: string, dept: string, position: string, hireDate: string, managerUsername?: string){
+  const u = db.prepare('SELECT id, name, hireDate FROM users WHERE username=?').get(username) as any;
+  if (!u || db.prepare('SELECT 1 FROM employees WHERE userId=? OR empId=?').get(u.id, empId)) return;
+  const d = db.prepare('SELECT id FROM departments WHERE name=?').get(dept) as { id: string };
+  const mgr = managerUsername
+    ? db.prepare('SELECT e.id FROM employees e JOIN users u ON u.id = e.userId WHERE u.username=?').get(managerUsername) as { id: string } | undefined
+    : undefined;
+  db.prepare(`INSERT INTO employees (id, userId, empId, name, deptId, position, hireDate, managerId) VALUES (?,?,?,?,?,?,?,?)`)
+    .run(cryptoRandomId(), u.id, empId, u.name, d.id, position, u.hireDate ?? hireDate, mgr?.id ?? null);
+  console.log(`seeded employee: ${username}/${dept}`);
+}
+seedEmployee('admin', '1000', '개발팀', '부장', '2015-01-02');
+seedEmployee('manager', '1001', '생산팀', '팀장', '2012-03-02');
+seedEmployee('hr', '1002', '생산지원팀', '대리', '2018-07-02');
+seedEmployee('employee', '1003', '생산팀', '사원', '2024-09-02', 'manager');
+db.prepare(`UPDATE departments SET headEmployeeId = (SELECT e.id FROM employees e JOIN users u ON u.id = e.userId WHERE u.username='manager')
+  WHERE name='생산팀' AND headEmployeeId IS NULL`).run();
 
 // ---------------- Utils ----------------
 function todayStr(){
@@ -225,27 +303,821 @@ function todayStr(){
   return `${d.getFullYear()}-${mm}-${dd}`;
 }
 
+// 템플릿 이름: 파일명/이름 모두 받아 확장자 없이 통일
+function templateNameOf(s: string){
+  return s.trim().replace(/\.xlsx$/i, '');
+}
+
+// 로컬 시각 'YYYY-MM-DDTHH:mm:ss' (승인 시각 등 기록용)
+function nowTs(offsetMs = 0){
+  const d = new Date(Date.now() + offsetMs);
+  const p = (n: number) => String(n).padStart(2,'0');
+  return `${d.getFullYear()}-${p(d.getMonth()+1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
 function signToken(payload: object){
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_EXPIRES_IN });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN } as jwt.SignOptions);
+}
+
+// ---------------- 연차 잔여 (발생 규칙 + 원장) ----------------
+// 발생 규칙 (근로기준법 제60조, 회계연도 1/1~12/31 기준)
+//  - 입사 연도: 1개월 개근마다 1일 (입사 후 최대 11일)
+//  - 입사 다음 연도: 남은 월 발생분 + 전년도 근무일수 비례 15일 (0.5일 단위 올림)
+//  - 그 이후: 15일 + 최초 1년을 넘는 매 2년마다 1일, 최대 25일
+//  - 병가/경조사: 회사 규정 연간 한도
+const ACCRUAL_RULES = {
+  firstYearMonthly: 1,
+  firstYearMax: 11,
+  base: 15,
+  bonusEveryYears: 2,
+  maxAnnual: 25,
+  sickDays: 10,
+  familyEventDays: 5,
+};
+const LEAVE_BUCKETS: LeaveBucket[] = ['연차','병가','경조사'];
+
+// 잔여일수·원장·급여·휴가 통계는 휴가 신청만 (다른 종류는 일수 없이 details에 입력값)
+const isLeaveRequest = (r: { requestType?: string | null }) => (r.requestType ?? 'leave') === 'leave';
+
+function bucketOf(leaveType: LeaveType): LeaveBucket {
+  return leaveType === '반차' ? '연차' : leaveType;
+}
+
+// 신청 1건이 차감하는 일수: 근무일 하루당 1일, 반차는 0.5일
+function leaveDaysOf(r: { leaveType: LeaveType; startDate: string; endDate: string }){
+  const days = businessDays(r.startDate, r.endDate);
+  return r.leaveType === '반차' ? days * 0.5 : days;
+}
+
+// 저장된 일수 우선 (신청 시점 기준), 없으면 다시 계산
+function requestDaysOf(r: { leaveType: LeaveType; startDate: string; endDate: string; days?: number | null }){
+  return r.days ?? leaveDaysOf(r);
+}
+
+// from~to 사이에 채운 개월 수
+function fullMonthsBetween(from: string, to: string){
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  let months = (ty - fy) * 12 + (tm - fm);
+  if (td < fd) months--;
+  return Math.max(0, months);
+}
+
+function annualLeaveEntitlement(hireDate: string | null, year: number, asOf = todayStr()){
+  if (!hireDate) return ACCRUAL_RULES.base; // 입사일 미등록: 기본 일수
+  const hireYear = Number(hireDate.slice(0, 4));
+  if (year < hireYear) return 0;
+
+  const fiscalYears = year - hireYear - 1;
+  if (fiscalYears >= 1) {
+    const bonus = Math.floor((fiscalYears - 1) / ACCRUAL_RULES.bonusEveryYears);
+    return Math.min(ACCRUAL_RULES.maxAnnual, ACCRUAL_RULES.base + bonus);
+  }
+
+  // 1년 미만 월 단위 발생분 중 해당 연도에 채운 몫
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const until = asOf < yearEnd ? asOf : yearEnd;
+  const monthly = (to: string) => Math.min(ACCRUAL_RULES.firstYearMax, fullMonthsBetween(hireDate, to)) * ACCRUAL_RULES.firstYearMonthly;
+  let days = Math.max(0, monthly(until) - (year > hireYear ? monthly(yearStart) : 0));
+
+  if (year === hireYear + 1) {
+    const worked = (Date.parse(`${hireYear}-12-31`) - Date.parse(hireDate)) / 86400000 + 1;
+    days += Math.ceil(ACCRUAL_RULES.base * worked / 365 * 2) / 2;
+  }
+  return days;
+}
+
+function entitlementOf(bucket: LeaveBucket, hireDate: string | null, year: number){
+  if (bucket === '연차') return annualLeaveEntitlement(hireDate, year);
+  return bucket === '병가' ? ACCRUAL_RULES.sickDays : ACCRUAL_RULES.familyEventDays;
+}
+
+function hireDateOf(userId: string): string | null {
+  const row = db.prepare(`SELECT COALESCE(e.hireDate, u.hireDate) AS hireDate FROM users u
+    LEFT JOIN employees e ON e.userId = u.id WHERE u.id=?`).get(userId) as { hireDate: string | null } | undefined;
+  return row?.hireDate ?? null;
+}
+
+interface LeaveBalance { year: number; bucket: LeaveBucket; entitled: number; used: number; pending: number; remaining: number }
+
+function balancesFor(userId: string, year: number): LeaveBalance[] {
+  const hireDate = hireDateOf(userId);
+  const ledger = db.prepare(`SELECT bucket,
+      SUM(CASE WHEN kind='adjust' THEN days ELSE 0 END) AS adjusted,
+      SUM(CASE WHEN kind='adjust' THEN 0 ELSE -days END) AS used
+    FROM leave_ledger WHERE userId=? AND year=? GROUP BY bucket`)
+    .all(userId, year) as Array<{ bucket: LeaveBucket; adjusted: number; used: number }>;
+  const pendingRows = db.prepare(`SELECT leaveType, startDate, endDate, days FROM requests
+    WHERE requesterId=? AND status='Pending' AND requestType='leave' AND substr(startDate,1,4)=?`)
+    .all(userId, String(year)) as Array<{ leaveType: LeaveType; startDate: string; endDate: string; days: number | null }>;
+
+  return LEAVE_BUCKETS.map(bucket => {
+    const l = ledger.find(x => x.bucket === bucket);
+    const entitled = entitlementOf(bucket, hireDate, year) + (l?.adjusted ?? 0);
+    const used = l?.used ?? 0;
+    const pending = pendingRows
+      .filter(r => bucketOf(r.leaveType) === bucket)
+      .reduce((sum, r) => sum + requestDaysOf(r), 0);
+    return { year, bucket, entitled, used, pending, remaining: entitled - used };
+  });
+}
+
+// 잔여일수 초과 여부 (초과 시 오류 메시지). 신청 시에는 대기 중인 신청분도 예약된 것으로 본다
+type DaysInput = { leaveType: LeaveType; startDate: string; endDate: string; days?: number | null; prevRequestId?: string | null };
+
+// 정정 신청은 원 신청이 쓰고 있는 일수(승인 차감분/대기분)를 돌려받는 것으로 보고 계산
+function priorVersionCredit(r: DaysInput, countPending: boolean){
+  if (!r.prevRequestId) return 0;
+  const prev = db.prepare('SELECT * FROM requests WHERE requestId=?').get(r.prevRequestId) as any;
+  if (!prev || bucketOf(prev.leaveType) !== bucketOf(r.leaveType)) return 0;
+  if (String(prev.startDate).slice(0, 4) !== r.startDate.slice(0, 4)) return 0;
+  return prev.status === 'Approved' || (countPending && prev.status === 'Pending') ? requestDaysOf(prev) : 0;
+}
+
+function overdraftError(userId: string, r: DaysInput, countPending: boolean){
+  const bucket = bucketOf(r.leaveType);
+  const bal = balancesFor(userId, Number(r.startDate.slice(0, 4))).find(b => b.bucket === bucket)!;
+  const need = requestDaysOf(r);
+  const available = bal.remaining - (countPending ? bal.pending : 0) + priorVersionCredit(r, countPending);
+  if (need <= available) return null;
+  return `${bucket} 잔여일수가 부족합니다 (신청 ${need}일 / 사용 가능 ${available}일)`;
+}
+
+// 상태 전환에 맞춰 원장 기록: 승인되면 차감, 승인 건이 다른 상태가 되면 복원
+function syncLedgerForStatus(rec: any, nextStatus: RequestStatus, actorId: string){
+  if (!rec.requesterId) return; // 계정과 연결되지 않은 과거 데이터
+  if (!isLeaveRequest(rec)) return;
+  const wasApproved = rec.status === 'Approved';
+  const willApprove = nextStatus === 'Approved';
+  if (wasApproved === willApprove) return;
+  // 복원은 실제 차감했던 만큼 (그 사이 휴일이 바뀌어도 원장이 맞도록)
+  const deducted = (db.prepare(`SELECT -COALESCE(SUM(days),0) AS d FROM leave_ledger
+    WHERE requestId=? AND kind IN ('deduct','restore')`).get(rec.requestId) as { d: number }).d;
+  const days = willApprove ? requestDaysOf(rec) : deducted;
+  if (!days) return;
+  db.prepare(`INSERT INTO leave_ledger (id, userId, year, bucket, days, kind, requestId, createdBy, createdAt)
+    VALUES (?,?,?,?,?,?,?,?,?)`).run(
+      cryptoRandomId(), rec.requesterId, Number(String(rec.startDate).slice(0, 4)), bucketOf(rec.leaveType),
+      willApprove ? -days : days, willApprove ? 'deduct' : 'restore', rec.requestId, actorId, nowTs()
+    );
+}
+
+// ---------------- 근무일 계산 (공휴일/대체공휴일/회사 휴무일) ----------------
+type StoredHoliday = HolidayEntry & { id?: string };
+
+// 해당 연도의 휴일 전체: 양력 고정 + 등록 공휴일 + 대체공휴일 + 회사 휴무일
+function holidaysForYear(year: number): StoredHoliday[] {
+  const stored = db.prepare(`SELECT id, date, name, kind FROM holidays WHERE date LIKE ? ORDER BY date`)
+    .all(`${year}-%`) as StoredHoliday[];
+  const publicDays = uniqueHolidays([...stored.filter(h => h.kind === 'public'), ...fixedHolidays(year)]);
+  return [...publicDays, ...substituteHolidays(publicDays, year), ...stored.filter(h => h.kind === 'closure')]
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function holidaysBetween(startDate: string, endDate: string): StoredHoliday[] {
+  const out: StoredHoliday[] = [];
+  for (let y = Number(startDate.slice(0, 4)); y <= Number(endDate.slice(0, 4)); y++) {
+    out.push(...holidaysForYear(y).filter(h => h.date >= startDate && h.date <= endDate));
+  }
+  return out;
+}
+
+function businessDays(startDate: string, endDate: string){
+  if (endDate < startDate) return 0;
+  return countBusinessDays(startDate, endDate, new Set(holidaysBetween(startDate, endDate).map(h => h.date)));
+}
+
+// 휴일 변경 후 대기 중인 신청의 일수 재계산 (승인 건은 원장 기준 유지)
+function refreshPendingDays(){
+  const rows = db.prepare(`SELECT requestId, leaveType, startDate, endDate FROM requests WHERE status='Pending' AND requestType='leave'`).all() as any[];
+  const upd = db.prepare('UPDATE requests SET days=? WHERE requestId=?');
+  db.transaction(() => rows.forEach(r => upd.run(leaveDaysOf(r), r.requestId)))();
+}
+
+// 일수 미기록 신청 보정 (기존 DB)
+{
+  const rows = db.prepare(`SELECT requestId, leaveType, startDate, endDate FROM requests WHERE days IS NULL AND requestType='leave'`).all() as any[];
+  if (rows.length) {
+    const upd = db.prepare('UPDATE requests SET days=? WHERE requestId=?');
+    db.transaction(() => rows.forEach(r => upd.run(leaveDaysOf(r), r.requestId)))();
+    console.log(`[DB] requests.days backfilled: ${rows.length}`);
+  }
+}
+
+// ---------------- 조직 조회 ----------------
+interface EmployeeProfile {
+  id: string; userId: string | null; empId: string; name: string; deptId: string; dept: string;
+  position: string; hireDate: string | null; managerId: string | null; managerName: string | null;
+  contact: string | null; shift: '주간' | '야간' | null; active: number;
+}
+
+const EMPLOYEE_SELECT = `SELECT e.*, d.name AS dept, m.name AS managerName FROM employees e
+  JOIN departments d ON d.id = e.deptId
+  LEFT JOIN employees m ON m.id = e.managerId`;
+
+function profileOfUser(userId: string): EmployeeProfile | undefined {
+  return db.prepare(`${EMPLOYEE_SELECT} WHERE e.userId=?`).get(userId) as EmployeeProfile | undefined;
+}
+
+// 보고 라인(직·간접 부하 + 내가 부서장인 부서원)의 계정 id
+function reportUserIds(managerUserId: string): string[] {
+  const rows = db.prepare(`WITH RECURSIVE me(id) AS (SELECT id FROM employees WHERE userId = ?),
+    tree(id) AS (
+      SELECT e.id FROM employees e JOIN me ON e.managerId = me.id
+      UNION SELECT e.id FROM employees e JOIN departments d ON d.id = e.deptId JOIN me ON d.headEmployeeId = me.id
+      UNION SELECT e.id FROM employees e JOIN tree t ON e.managerId = t.id
+    )
+    SELECT DISTINCT e.userId FROM employees e JOIN tree t ON t.id = e.id
+    WHERE e.userId IS NOT NULL AND e.userId <> ?`).all(managerUserId, managerUserId) as Array<{ userId: string }>;
+  return rows.map(r => r.userId);
+}
+
+function isInReportingLine(managerUserId: string, requesterId: string | null){
+  if (!requesterId) return true; // 계정과 연결되지 않은 과거 데이터
+  if (!db.prepare('SELECT 1 FROM employees WHERE userId=?').get(requesterId)) return false; // 조직 미등록 신청자 — 등록 전까지 인사/관리자가 처리
+  return reportUserIds(managerUserId).includes(requesterId);
+}
+
+// 역할별 신청 조회 범위: 인사/관리자 전체, 상사 보고 라인, 직원 본인
+function requestScope(user: AuthedUser, alias = 'requests'): { where: string; params: any[] } {
+  if (user.role === 'hr' || user.role === 'admin') return { where: '1=1', params: [] };
+  if (user.role === 'manager') {
+    return { where: `(${alias}.requesterId = ? OR ${alias}.requesterId IN (SELECT value FROM json_each(?)))`, params: [user.id, JSON.stringify(reportUserIds(user.id))] };
+  }
+  return { where: `${alias}.requesterId = ?`, params: [user.id] };
+}
+
+function canViewRequest(user: AuthedUser, requesterId: string | null){
+  if (user.role === 'hr' || user.role === 'admin') return true;
+  if (requesterId === user.id) return true;
+  return user.role === 'manager' && isInReportingLine(user.id, requesterId);
+}
+
+// ---------------- 결재선 ----------------
+// 신청 종류별로 가장 구체적인 결재선 우선: 부서+휴가 종류 → 부서 → 휴가 종류 → 공통 → 기본값
+//  - 휴가 외 종류의 기본값은 등록부(requestTypes.ts)의 결재 순서
+function approvalLineFor(dept: string, requestType: RequestTypeKey, leaveType: string): ApprovalStepDef[] {
+  const row = db.prepare(`SELECT steps FROM approval_lines
+    WHERE requestType = ? AND (dept = ? OR dept IS NULL) AND (leaveType = ? OR leaveType IS NULL)
+    ORDER BY (dept IS NULL), (leaveType IS NULL) LIMIT 1`).get(requestType, dept, leaveType) as { steps: string } | undefined;
+  return row ? JSON.parse(row.steps) : defaultApprovalSteps(requestType);
+}
+
+function defaultApprovalSteps(requestType: RequestTypeKey): ApprovalStepDef[] {
+  return requestTypeOf(requestType)?.approvalSteps ?? DEFAULT_APPROVAL_STEPS;
+}
+
+// 조직 관계 단계의 결재자 계정 (직속 상사/부서장). 못 찾으면 null → 역할 기준 결재
+function resolveRelationApprover(relation: ApprovalStepDef['relation'], requesterId: string | null): string | null {
+  if (!relation || !requesterId) return null;
+  const row = relation === 'directManager'
+    ? db.prepare(`SELECT m.userId FROM employees e JOIN employees m ON m.id = e.managerId WHERE e.userId=?`).get(requesterId)
+    : db.prepare(`SELECT h.userId FROM employees e JOIN departments d ON d.id = e.deptId
+        JOIN employees h ON h.id = d.headEmployeeId WHERE e.userId=?`).get(requesterId);
+  return (row as { userId: string | null } | undefined)?.userId ?? null;
+}
+
+// 결재선을 신청에 복사. 결재자가 신청자 본인이거나 바로 앞 단계와 같은 사람이면 그 단계는 건너뜀
+function createApprovalSteps(requestId: string, r: { dept: string; requestType?: RequestTypeKey; leaveType: string }, requesterId: string | null){
+  const steps = approvalLineFor(r.dept, r.requestType ?? 'leave', r.leaveType).map(st => ({
+    ...st,
+    approverUserId: st.approverUserId ?? resolveRelationApprover(st.relation, requesterId),
+  }));
+  const skip = steps.map((st, i) => !!st.approverUserId &&
+    (st.approverUserId === requesterId || st.approverUserId === steps[i - 1]?.approverUserId));
+  if (skip.every(Boolean)) skip[skip.length - 1] = false;
+  const first = skip.indexOf(false);
+
+  const ins = db.prepare(`INSERT INTO request_approvals (id, requestId, stepNo, label, approverRole, approverUserId, status)
+    VALUES (?,?,?,?,?,?,?)`);
+  steps.forEach((st, i) => ins.run(
+    cryptoRandomId(), requestId, i + 1, st.label, st.approverRole, st.approverUserId ?? null,
+    skip[i] ? 'Skipped' : i === first ? 'Pending' : 'Waiting'
+  ));
+  db.prepare('UPDATE requests SET currentStep=? WHERE requestId=?').run(first + 1, requestId);
+}
+
+// 남은 단계 정리 (반려/관리자 상태 변경 시)
+function skipRemainingSteps(requestId: string){
+  db.prepare(`UPDATE request_approvals SET status='Skipped' WHERE requestId=? AND status IN ('Pending','Waiting')`).run(requestId);
+  db.prepare('UPDATE requests SET currentStep=NULL WHERE requestId=?').run(requestId);
+}
+
+// 승인 건 취소 요청: 최종 결재자가 서명하는 취소 결재 단계를 기존 단계 뒤에 추가 (대신 승인했으면 원 결재자)
+function createCancelStep(rec: any){
+  const last = db.prepare(`SELECT * FROM request_approvals WHERE requestId=? AND phase='approval' AND status='Approved'
+    ORDER BY stepNo DESC LIMIT 1`).get(rec.requestId) as any;
+  const stepNo = ((db.prepare('SELECT MAX(stepNo) AS n FROM request_approvals WHERE requestId=?').get(rec.requestId) as any).n ?? 0) + 1;
+  db.prepare(`INSERT INTO request_approvals (id, requestId, stepNo, label, approverRole, approverUserId, status, phase)
+    VALUES (?,?,?,?,?,?,?,?)`).run(
+      cryptoRandomId(), rec.requestId, stepNo, '취소 결재', last?.approverRole ?? 'manager',
+      rec.managerOnBehalfOf ?? rec.managerSignerId ?? last?.onBehalfOf ?? last?.signerId ?? null, 'Pending', 'cancel'
+    );
+  db.prepare('UPDATE requests SET currentStep=? WHERE requestId=?').run(stepNo, rec.requestId);
+}
+
+type StepRef = { approverRole: string; approverUserId: string | null };
+type SignTarget = { requesterId: string | null; dept: string; leaveType: string };
+
+// 본인 권한으로 서명할 수 있는 단계인지
+function ownsStep(step: StepRef, user: AuthedUser, requesterId: string | null){
+  if (user.role === 'admin') return true;
+  if (step.approverUserId) return step.approverUserId === user.id;
+  if (step.approverRole !== user.role) return false;
+  return user.role !== 'manager' || isInReportingLine(user.id, requesterId);
+}
+
+// 서명할 수 있으면 누구 대신인지 (본인 권한이면 onBehalfOf=null), 없으면 null
+//  - 대신 결재는 위임 범위 안에서, 위임자가 직접 서명할 수 있는 단계만. 본인 신청은 대신 결재 불가
+function signingAuthority(step: StepRef, user: AuthedUser, r: SignTarget): { onBehalfOf: string | null } | null {
+  if (ownsStep(step, user, r.requesterId)) return { onBehalfOf: null };
+  if (r.requesterId === user.id) return null;
+  for (const d of activeDelegationsTo(user.id)) {
+    if (!delegationCovers(d, { dept: r.dept, leaveType: r.leaveType })) continue;
+    const delegator = db.prepare('SELECT id, name, role FROM users WHERE id=?').get(d.delegatorId) as AuthedUser;
+    if (ownsStep(step, delegator, r.requesterId)) return { onBehalfOf: delegator.id };
+  }
+  return null;
+}
+
+// ---------------- 결재 위임 ----------------
+// 상사가 부재 기간 동안 다른 상사에게 결재(와 근무일지 검토)를 맡김. 종료일이 지나면 자동으로 효력이 없어짐
+interface DelegationRow {
+  id: string; delegatorId: string; delegateId: string; startDate: string; endDate: string;
+  depts: string | null; leaveTypes: string | null; worklogs: number; reason: string | null;
+  createdBy: string; createdAt: string; revokedBy: string | null; revokedAt: string | null;
+}
+// leaveType null: 근무일지 검토
+type DelegationScope = { dept: string | null; leaveType: string | null };
+
+// 오늘 유효한 위임 — 취소되지 않았고 위임자가 아직 활성 상사 계정일 때만
+const ACTIVE_DELEGATION = `SELECT d.* FROM approval_delegations d
+  JOIN users u ON u.id = d.delegatorId AND u.role = 'manager' AND u.active = 1
+  WHERE d.revokedAt IS NULL AND d.startDate <= ? AND d.endDate >= ?`;
+
+function activeDelegationsTo(delegateId: string): DelegationRow[] {
+  const today = todayStr();
+  return db.prepare(`${ACTIVE_DELEGATION} AND d.delegateId = ?`).all(today, today, delegateId) as DelegationRow[];
+}
+
+function delegationCovers(d: DelegationRow, scope: DelegationScope){
+  const depts = d.depts ? JSON.parse(d.depts) as string[] : null;
+  if (depts && (!scope.dept || !depts.includes(scope.dept))) return false;
+  if (scope.leaveType === null) return !!d.worklogs;
+  const types = d.leaveTypes ? JSON.parse(d.leaveTypes) as string[] : null;
+  return !types || types.includes(scope.leaveType);
+}
+
+// 위임자들 대신 결재할 수 있는 사람 (알림 대상)
+function delegatesOf(delegatorIds: string[], scope: DelegationScope): string[] {
+  if (!delegatorIds.length) return [];
+  const today = todayStr();
+  const rows = db.prepare(`${ACTIVE_DELEGATION} AND d.delegatorId IN (SELECT value FROM json_each(?))`)
+    .all(today, today, JSON.stringify(delegatorIds)) as DelegationRow[];
+  return rows.filter(d => delegationCovers(d, scope)).map(d => d.delegateId);
+}
+
+if (!db.prepare('SELECT 1 FROM approval_lines LIMIT 1').get()) {
+  db.prepare('INSERT INTO approval_lines (id, dept, leaveType, steps, updatedAt) VALUES (?,?,?,?,?)')
+    .run(cryptoRandomId(), null, null, JSON.stringify(DEFAULT_APPROVAL_STEPS), nowTs());
+  console.log('[DB] default approval line seeded');
+}
+
+// 예전 양식 파일(doc_data 바로 아래 / doc_data/templates — /static으로 누구나 받을 수 있었음)을 양식 폴더로 옮김
+// form_templates.file은 양식 폴더 기준 파일 이름
+{
+  let moved = 0;
+  for (const dir of [DOC_DIR, path.join(DOC_DIR, 'templates')]) {
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.xlsx')).forEach(f => {
+      const from = path.join(dir, f);
+      const to = path.join(TEMPLATE_DIR, f);
+      if (!fs.existsSync(to)) fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+      moved++;
+    });
+  }
+  const legacy = db.prepare(`UPDATE form_templates SET file=substr(file, length('templates/') + 1) WHERE file LIKE 'templates/%'`).run();
+  if (moved || legacy.changes) console.log(`[DB] form template files moved out of doc_data: ${moved}`);
+}
+
+// 예전 근무일지 파일(doc_data/worklogs — /static으로 누구나 받을 수 있었음)을 근무일지 폴더로 옮김
+// worklogs.filePath는 근무일지 폴더 기준 파일 이름
+{
+  const legacyDir = path.join(DOC_DIR, 'worklogs');
+  let moved = 0;
+  if (fs.existsSync(legacyDir)) {
+    fs.readdirSync(legacyDir).forEach(f => {
+      const from = path.join(legacyDir, f);
+      const to = path.join(WORKLOG_DIR, f);
+      if (!fs.statSync(from).isFile()) return;
+      if (!fs.existsSync(to)) fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+      moved++;
+    });
+  }
+  const legacy = db.prepare(`UPDATE worklogs SET filePath=substr(filePath, length('worklogs/') + 1) WHERE filePath LIKE 'worklogs/%'`).run();
+  if (moved || legacy.changes) console.log(`[DB] worklog files moved out of doc_data: ${moved}`);
+}
+
+// 양식 폴더에 직접 넣어 둔 .xlsx는 1버전으로 등록 (기본 매핑이 있으면 바로 사용, 없으면 draft)
+fs.readdirSync(TEMPLATE_DIR).filter(f => f.toLowerCase().endsWith('.xlsx')).forEach(file => {
+  const name = templateNameOf(file);
+  if (db.prepare('SELECT 1 FROM form_templates WHERE name=? OR file=?').get(name, file)) return;
+  const mapping = DEFAULT_FORM_MAPPINGS[file];
+  db.prepare(`INSERT INTO form_templates (id, name, version, file, sheets, mapping, status, createdAt, activatedAt)
+    VALUES (?,?,?,?,?,?,?,?,?)`).run(
+      cryptoRandomId(), name, 1, file, '[]', JSON.stringify(mapping ?? { cells: [], images: [] }),
+      mapping ? 'active' : 'draft', nowTs(), mapping ? nowTs() : null
+    );
+  console.log(`[DB] form template registered: ${name}`);
+});
+
+// 결재 단계가 없는 대기 신청 보정 (기존 DB)
+{
+  const rows = db.prepare(`SELECT requestId, dept, requestType, leaveType, requesterId FROM requests r WHERE status='Pending'
+    AND NOT EXISTS (SELECT 1 FROM request_approvals a WHERE a.requestId = r.requestId)`).all() as any[];
+  if (rows.length) {
+    db.transaction(() => rows.forEach(r => createApprovalSteps(r.requestId, r, r.requesterId)))();
+    console.log(`[DB] approval steps created for pending requests: ${rows.length}`);
+  }
+}
+
+// ---------------- 신청 저장 ----------------
+type LeaveRequestInput = z.infer<typeof createRequestSchema>;
+
+// 조직에 등록된 직원이면 사번/이름/부서/직급은 직원 정보 기준
+function withProfile(userId: string, data: LeaveRequestInput): LeaveRequestInput {
+  const profile = profileOfUser(userId);
+  return profile
+    ? { ...data, empId: profile.empId, name: profile.name, dept: profile.dept, position: profile.position }
+    : data;
+}
+
+// 트랜잭션 안에서 호출 (신청자 서명 저장 + 감사 기록에 req 필요)
+function insertLeaveRequest(req: express.Request, requestId: string, r: LeaveRequestInput, days: number, requesterId: string, prevRequestId: string | null){
+  const signatureId = recordSignature(req, r.signatureDataUrl, { entityType: 'request', entityId: requestId, role: 'requester', signerId: requesterId });
+  db.prepare(`INSERT INTO requests
+    (requestId,dateRequested,empId,name,dept,position,leaveType,startDate,endDate,note,status,handoverPerson,contact,signatureId,requesterId,days,prevRequestId)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`).run(
+      requestId, r.dateRequested, r.empId, r.name, r.dept, r.position, r.leaveType,
+      r.startDate, r.endDate, r.note ?? '', 'Pending', r.handoverPerson, r.contact, signatureId,
+      requesterId, days, prevRequestId
+    );
+  createApprovalSteps(requestId, r, requesterId);
+}
+
+// 휴가 외 신청: 종류 이름은 leaveType, 기간은 등록부의 period, 입력값은 details(JSON). 일수 없음
+type TypedRequestInsert = {
+  requestType: RequestTypeKey; label: string; details: Record<string, unknown>;
+  startDate: string; endDate: string; note: string; signatureDataUrl: SignatureImage;
+};
+function insertTypedRequest(req: express.Request, requestId: string, r: TypedRequestInsert, profile: EmployeeProfile, requesterId: string){
+  const signatureId = recordSignature(req, r.signatureDataUrl, { entityType: 'request', entityId: requestId, role: 'requester', signerId: requesterId });
+  db.prepare(`INSERT INTO requests
+    (requestId,dateRequested,empId,name,dept,position,requestType,leaveType,details,startDate,endDate,note,status,signatureId,requesterId)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`).run(
+      requestId, todayStr(), profile.empId, profile.name, profile.dept, profile.position, r.requestType, r.label,
+      JSON.stringify(r.details), r.startDate, r.endDate, r.note, 'Pending', signatureId, requesterId
+    );
+  createApprovalSteps(requestId, { dept: profile.dept, requestType: r.requestType, leaveType: r.label }, requesterId);
+}
+
+function hasPendingAmendment(requestId: string){
+  return !!db.prepare(`SELECT 1 FROM requests WHERE prevRequestId=? AND status='Pending'`).get(requestId);
+}
+
+// ---------------- 감사 기록 ----------------
+// 상태를 바꾸는 라우트는 변경과 같은 트랜잭션 안에서 호출 (변경이 롤백되면 기록도 남지 않음)
+//  - actor: 로그인 전 요청(로그인 성공/실패)처럼 req.user가 없을 때 지정
+//  - 키오스크 단말 요청은 단말 이름으로 남김
+//  - req가 없는 자동 작업(야간 대조 등)은 actor로 시스템을 지정
+function audit(
+  req: express.Request | null, action: string, entityType: string, entityId: string | null,
+  before: unknown, after: unknown, actor?: { id: string | null; name: string | null },
+){
+  const kiosk = (req as AuthedRequest | null)?.kiosk;
+  const user = (req as AuthedRequest | null)?.user ?? (kiosk ? { id: null, name: `키오스크(${kiosk.name})` } : undefined);
+  const last = db.prepare('SELECT hash FROM audit_events ORDER BY seq DESC LIMIT 1').get() as { hash: string } | undefined;
+  const e = {
+    id: cryptoRandomId(),
+    ts: nowTs(),
+    actorId: actor ? actor.id : user?.id ?? null,
+    actorName: actor ? actor.name : user?.name ?? null,
+    action,
+    entityType,
+    entityId,
+    before: before === undefined ? null : canonicalJson(auditSnapshot(before)),
+    after: after === undefined ? null : canonicalJson(auditSnapshot(after)),
+    ip: req?.ip ?? req?.socket?.remoteAddress ?? null,
+    prevHash: last?.hash ?? AUDIT_GENESIS_HASH,
+  };
+  db.prepare(`INSERT INTO audit_events (id, ts, actorId, actorName, action, entityType, entityId, before, after, ip, prevHash, hash)
+    VALUES (@id, @ts, @actorId, @actorName, @action, @entityType, @entityId, @before, @after, @ip, @prevHash, @hash)`)
+    .run({ ...e, hash: auditHash(e) });
+}
+
+function requestRow(id: string){
+  return db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
+}
+
+// ---------------- 서명 ----------------
+type SignatureRole = 'requester' | 'approver' | 'uploader' | 'attendee';
+type SignatureMeta = {
+  entityType: 'request' | 'worklog' | 'attendance';
+  entityId: string;
+  role: SignatureRole;
+  stepNo?: number | null;
+  signerId: string | null;
+  signedAt?: string | null;
+};
+type SignatureRow = {
+  id: string; sha256: string; mime: string; bytes: number; width: number; height: number; filePath: string;
+  entityType: string; entityId: string; role: SignatureRole; stepNo: number | null; signerId: string | null; signedAt: string;
+};
+
+function insertSignature(image: SignatureImage, meta: SignatureMeta){
+  const id = cryptoRandomId();
+  const filePath = saveSignatureFile(SIGNATURE_DIR, image);
+  db.prepare(`INSERT INTO signatures (id, sha256, mime, bytes, width, height, filePath, entityType, entityId, role, stepNo, signerId, signedAt)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`).run(
+      id, image.sha256, image.mime, image.bytes, image.width, image.height, filePath,
+      meta.entityType, meta.entityId, meta.role, meta.stepNo ?? null, meta.signerId, meta.signedAt ?? nowTs()
+    );
+  return id;
+}
+
+// 새 서명 저장 — 라우트의 트랜잭션 안에서 호출. 해시는 감사 기록(해시 체인)에도 남겨 나중에 검증
+function recordSignature(req: express.Request, image: SignatureImage, meta: SignatureMeta){
+  const id = insertSignature(image, meta);
+  audit(req, 'signature.record', meta.entityType, meta.entityId, null, {
+    signatureId: id, sha256: image.sha256, role: meta.role, stepNo: meta.stepNo ?? null, signerId: meta.signerId,
+  });
+  return id;
+}
+
+function signatureRecord(id: string | null | undefined){
+  return id ? db.prepare('SELECT * FROM signatures WHERE id=?').get(id) as SignatureRow | undefined : undefined;
+}
+
+// 화면/양식/PDF용 dataURL. 파일이 없으면 null
+function signatureDataUrl(id: string | null | undefined){
+  const row = signatureRecord(id);
+  const buf = row ? readSignatureFile(SIGNATURE_DIR, row.filePath) : null;
+  return row && buf ? toDataUrl(buf, row.mime) : null;
+}
+
+// 양식(.xlsx)/PDF는 신청 행의 signature/managerSignature(dataURL)를 그대로 씀
+function withSignatureImages<T extends { signatureId?: string | null; managerSignatureId?: string | null }>(rec: T){
+  return { ...rec, signature: signatureDataUrl(rec.signatureId), managerSignature: signatureDataUrl(rec.managerSignatureId) };
+}
+
+// 파일 내용이 서명 당시 해시와 같은지 + 그 해시가 감사 기록에 남아 있는지
+function verifySignatureRow(row: SignatureRow){
+  const buf = readSignatureFile(SIGNATURE_DIR, row.filePath);
+  const fileSha256 = buf ? sha256Hex(buf) : null;
+  const audited = !!db.prepare('SELECT 1 FROM audit_events WHERE entityType=? AND entityId=? AND after LIKE ? LIMIT 1')
+    .get(row.entityType, row.entityId, `%${row.sha256}%`);
+  return { fileSha256, fileOk: fileSha256 === row.sha256, audited };
+}
+
+// 기존 DB의 dataURL 서명을 파일로 옮김 (옮긴 행은 dataURL 칸을 비움)
+//  - 크기 제한은 새 서명에만 적용. 이미지로 읽을 수 없는 값은 그대로 두고 경고만
+//  - 감사 기록의 스냅숏에는 예전부터 서명 해시가 남아 있으므로 옮긴 뒤에도 같은 해시로 검증됨
+{
+  const moveLegacy = (dataUrl: string, meta: SignatureMeta) => {
+    const r = decodeSignature(dataUrl, { maxBytes: Infinity, maxSide: Infinity });
+    if (!r.ok) return null;
+    // 최종 승인 서명은 마지막 결재 단계 서명과 같은 이미지 → 같은 행을 가리키게
+    const same = db.prepare('SELECT id FROM signatures WHERE entityType=? AND entityId=? AND sha256=?')
+      .get(meta.entityType, meta.entityId, r.image.sha256) as { id: string } | undefined;
+    return same?.id ?? insertSignature(r.image, meta);
+  };
+  const notEmpty = (col: string) => `${col} IS NOT NULL AND ${col} <> ''`;
+  let moved = 0;
+  let skipped = 0;
+  const count = (id: string | null) => { if (id) moved++; else skipped++; return id; };
+
+  db.transaction(() => {
+    (db.prepare(`SELECT requestId, signature, requesterId, dateRequested FROM requests
+      WHERE ${notEmpty('signature')} AND signatureId IS NULL`).all() as any[]).forEach(r => {
+      const id = count(moveLegacy(r.signature, { entityType: 'request', entityId: r.requestId, role: 'requester', signerId: r.requesterId, signedAt: r.dateRequested }));
+      if (id) db.prepare('UPDATE requests SET signatureId=?, signature=NULL WHERE requestId=?').run(id, r.requestId);
+    });
+    (db.prepare(`SELECT id, requestId, stepNo, signature, signerId, signedAt FROM request_approvals
+      WHERE ${notEmpty('signature')} AND signatureId IS NULL ORDER BY requestId, stepNo`).all() as any[]).forEach(a => {
+      const id = count(moveLegacy(a.signature, { entityType: 'request', entityId: a.requestId, role: 'approver', stepNo: a.stepNo, signerId: a.signerId, signedAt: a.signedAt }));
+      if (id) db.prepare('UPDATE request_approvals SET signatureId=?, signature=NULL WHERE id=?').run(id, a.id);
+    });
+    (db.prepare(`SELECT requestId, managerSignature, managerSignerId, managerSignedAt FROM requests
+      WHERE ${notEmpty('managerSignature')} AND managerSignatureId IS NULL`).all() as any[]).forEach(r => {
+      const id = count(moveLegacy(r.managerSignature, { entityType: 'request', entityId: r.requestId, role: 'approver', signerId: r.managerSignerId, signedAt: r.managerSignedAt }));
+      if (id) db.prepare('UPDATE requests SET managerSignatureId=?, managerSignature=NULL WHERE requestId=?').run(id, r.requestId);
+    });
+    (db.prepare(`SELECT id, signature, uploaderId, createdAt FROM worklogs
+      WHERE ${notEmpty('signature')} AND signatureId IS NULL`).all() as any[]).forEach(w => {
+      const id = count(moveLegacy(w.signature, { entityType: 'worklog', entityId: w.id, role: 'uploader', signerId: w.uploaderId, signedAt: w.createdAt }));
+      if (id) db.prepare(`UPDATE worklogs SET signatureId=?, signature='' WHERE id=?`).run(id, w.id);
+    });
+  })();
+  if (moved) console.log(`[DB] signatures moved to files: ${moved}`);
+  if (skipped) console.warn(`[DB] signatures left as data URL (not a valid image): ${skipped}`);
+}
+
+// ---------------- 알림 ----------------
+const NOTIFICATION_TYPES = {
+  'approval.pending': '결재 요청',
+  'request.approved': '휴가 승인',
+  'request.rejected': '휴가 반려',
+  'delegation.assigned': '결재 위임',
+  'worklog.submitted': '근무일지 제출',
+  'worklog.reviewed': '근무일지 검토',
+} as const;
+type NotificationType = keyof typeof NOTIFICATION_TYPES;
+const NOTIFICATION_TYPE_KEYS = Object.keys(NOTIFICATION_TYPES) as [NotificationType, ...NotificationType[]];
+
+const mailer = createMailTransport();
+// 접속 중인 실시간 알림(SSE) 연결 — 사용자별로 탭 여러 개 가능
+const notificationStreams = new Map<string, Set<express.Response>>();
+
+interface NotificationInput { title: string; body?: string; link?: string; entityType?: string; entityId?: string }
+
+function notificationPref(userId: string, type: NotificationType){
+  const row = db.prepare('SELECT inApp, email FROM notification_prefs WHERE userId=? AND type=?').get(userId, type) as { inApp: number; email: number } | undefined;
+  return { inApp: row ? !!row.inApp : true, email: row ? !!row.email : true };
+}
+
+function unreadCount(userId: string){
+  return (db.prepare('SELECT COUNT(*) AS n FROM notifications WHERE userId=? AND inApp=1 AND readAt IS NULL').get(userId) as { n: number }).n;
+}
+
+function pushToUser(userId: string, event: string, data: unknown){
+  for (const res of notificationStreams.get(userId) ?? []) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// 상태 변경과 같은 트랜잭션 안에서 호출. 실시간 전송/메일은 커밋 후에 — 롤백되면 행이 없으므로 건너뜀
+function notify(userIds: Array<string | null | undefined>, type: NotificationType, n: NotificationInput){
+  for (const userId of new Set(userIds.filter((x): x is string => !!x))) {
+    const u = db.prepare('SELECT email, active FROM users WHERE id=?').get(userId) as { email: string | null; active: number } | undefined;
+    if (!u?.active) continue;
+    const pref = notificationPref(userId, type);
+    const emailTo = pref.email ? u.email : null;
+    if (!pref.inApp && !emailTo) continue;
+    const id = cryptoRandomId();
+    db.prepare(`INSERT INTO notifications (id, userId, type, title, body, link, entityType, entityId, inApp, emailTo, createdAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?)`).run(
+        id, userId, type, n.title, n.body ?? null, n.link ?? null, n.entityType ?? null, n.entityId ?? null,
+        pref.inApp ? 1 : 0, emailTo, nowTs()
+      );
+    setImmediate(() => deliverNotification(id));
+  }
+}
+
+function deliverNotification(id: string){
+  const row = db.prepare('SELECT * FROM notifications WHERE id=?').get(id) as any;
+  if (!row) return;
+  if (row.inApp) {
+    const { emailTo: _e, emailedAt: _a, emailError: _x, inApp: _i, ...item } = row;
+    pushToUser(row.userId, 'notification', { item, unread: unreadCount(row.userId) });
+  }
+  if (row.emailTo) {
+    const text = [row.body, row.link ? `${APP_URL}${row.link}` : null].filter(Boolean).join('\n\n');
+    mailer.send({ to: row.emailTo, subject: `[휴가 관리] ${row.title}`, text: text || row.title })
+      .then(() => db.prepare('UPDATE notifications SET emailedAt=?, emailError=NULL WHERE id=?').run(nowTs(), id))
+      .catch((e: any) => {
+        console.error('[mail] send failed:', e?.message || e);
+        db.prepare('UPDATE notifications SET emailError=? WHERE id=?').run(String(e?.message || e).slice(0, 300), id);
+      });
+  }
+}
+
+// 현재 결재 단계를 서명할 수 있는 사람 (지정 결재자 또는 해당 역할 — 관리자 계정은 역할이 맞을 때만)
+//  + 그 사람들에게서 결재를 위임받은 대리 결재자
+function stepApproverIds(requestId: string): string[] {
+  const step = db.prepare(`SELECT a.approverRole, a.approverUserId, r.requesterId, r.dept, r.leaveType FROM request_approvals a
+    JOIN requests r ON r.requestId = a.requestId WHERE a.requestId=? AND a.status='Pending'`).get(requestId) as any;
+  if (!step) return [];
+  const direct = step.approverUserId
+    ? [step.approverUserId as string]
+    : (db.prepare('SELECT id, name, role FROM users WHERE role=? AND active=1').all(step.approverRole) as AuthedUser[])
+        .filter(u => u.id !== step.requesterId && ownsStep(step, u, step.requesterId)).map(u => u.id);
+  const delegates = delegatesOf(direct, { dept: step.dept, leaveType: step.leaveType }).filter(id => id !== step.requesterId);
+  return [...direct, ...delegates];
+}
+
+const periodOf = (r: { startDate: string; endDate: string }) => r.startDate === r.endDate ? r.startDate : `${r.startDate} ~ ${r.endDate}`;
+const requestTypeLabel = (r: { requestType?: string | null }) => REQUEST_TYPE_LABELS[(r.requestType ?? 'leave') as RequestTypeKey] ?? '휴가';
+
+// 알림 본문용 한 줄: 휴가는 종류·기간·일수, 다른 종류는 등록부 요약
+function requestLine(r: any){
+  const summary = requestSummary(r.requestType, parseDetails(r.details));
+  return summary ? `${r.leaveType} ${summary}` : `${r.leaveType} ${periodOf(r)}${r.days ? ` (${r.days}일)` : ''}`;
+}
+
+function notifyApprovers(requestId: string){
+  const r = requestRow(requestId);
+  const cancel = r.cancelStatus === 'Pending';
+  notify(stepApproverIds(requestId), 'approval.pending', {
+    title: `${requestTypeLabel(r)}${cancel ? ' 취소' : ''} 결재 요청 — ${r.name}`,
+    body: `${r.dept} ${r.name} · ${requestLine(r)}${cancel && r.cancelReason ? `\n취소 사유: ${r.cancelReason}` : ''}`,
+    link: '/manager', entityType: 'request', entityId: requestId,
+  });
+}
+
+function notifyRequester(requestId: string, type: 'request.approved' | 'request.rejected', comment?: string | null){
+  const r = requestRow(requestId);
+  const what = `${requestTypeLabel(r)}${r.cancelStatus ? ' 취소' : ''}`;
+  notify([r.requesterId], type, {
+    title: `${what} ${type === 'request.approved' ? '승인' : '반려'} — ${isLeaveRequest(r) ? `${r.leaveType} ` : ''}${periodOf(r)}`,
+    body: comment ? `의견: ${comment}` : undefined,
+    link: '/employee', entityType: 'request', entityId: requestId,
+  });
+}
+
+// 근무일지 검토자: 직속 상사 (없으면 부서장)
+function worklogReviewerIds(uploaderId: string): string[] {
+  const row = db.prepare(`SELECT COALESCE(m.userId, h.userId) AS userId FROM employees e
+    LEFT JOIN employees m ON m.id = e.managerId
+    LEFT JOIN departments d ON d.id = e.deptId
+    LEFT JOIN employees h ON h.id = d.headEmployeeId AND h.id <> e.id
+    WHERE e.userId=?`).get(uploaderId) as { userId: string | null } | undefined;
+  const reviewer = row?.userId ? db.prepare(`SELECT id FROM users WHERE id=? AND role IN ('manager','admin')`).get(row.userId) as { id: string } | undefined : undefined;
+  return reviewer ? [reviewer.id] : [];
+}
+
+// ---------------- 세션 (리프레시 토큰) ----------------
+const REFRESH_REUSE_GRACE_MS = 10_000; // 여러 탭이 동시에 갱신할 때 방금 교체된 토큰은 탈취로 보지 않음
+
+function sha256Hex(text: string | Buffer){
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function accessTokenFor(u: { id: string; role: string; mustChangePassword?: number | boolean }, sessionId: string){
+  return signToken({ sub: u.id, role: u.role, sid: sessionId, mcp: u.mustChangePassword ? 1 : undefined });
+}
+
+function openSession(req: express.Request, u: { id: string; role: string; mustChangePassword?: number | boolean }){
+  const id = cryptoRandomId();
+  const secret = randomBytes(32).toString('base64url');
+  const ts = nowTs();
+  db.prepare(`INSERT INTO sessions (id, userId, refreshHash, createdAt, lastUsedAt, expiresAt, ip, userAgent)
+    VALUES (?,?,?,?,?,?,?,?)`).run(
+      id, u.id, sha256Hex(secret), ts, ts, nowTs(REFRESH_TOKEN_DAYS * 86400_000),
+      req.ip ?? null, String(req.headers['user-agent'] ?? '').slice(0, 200) || null
+    );
+  return { sessionId: id, token: accessTokenFor(u, id), refreshToken: `${id}.${secret}` };
+}
+
+function revokeSession(sessionId: string, reason: string){
+  return db.prepare('UPDATE sessions SET revokedAt=?, revokedReason=? WHERE id=? AND revokedAt IS NULL')
+    .run(nowTs(), reason, sessionId).changes;
+}
+
+// exceptSessionId: 비밀번호를 바꾼 본인 세션은 유지
+function revokeUserSessions(userId: string, reason: string, exceptSessionId?: string){
+  return db.prepare('UPDATE sessions SET revokedAt=?, revokedReason=? WHERE userId=? AND revokedAt IS NULL AND id IS NOT ?')
+    .run(nowTs(), reason, userId, exceptSessionId ?? null).changes;
+}
+
+function parseRefreshToken(token: string): { sessionId: string; secret: string } | null {
+  const i = token.indexOf('.');
+  return i > 0 ? { sessionId: token.slice(0, i), secret: token.slice(i + 1) } : null;
 }
 
 // ---------------- Auth Middleware ----------------
 interface AuthedUser { id: string; name: string; role: Role }
-interface AuthedRequest extends express.Request { user?: AuthedUser }
+interface KioskDevice { id: string; name: string; deptId: string | null }
+// kiosk: 키오스크 단말 토큰으로 들어온 요청 (user 없음)
+interface AuthedRequest extends express.Request { user?: AuthedUser; sessionId?: string; kiosk?: KioskDevice }
+
+// 비밀번호 변경 전에도 쓸 수 있는 경로
+const PASSWORD_CHANGE_PATHS = ['/api/me', '/api/me/password'];
 
 function authRequired(req: AuthedRequest, res: express.Response, next: express.NextFunction){
   const h = req.headers['authorization'] || '';
   const m = /^Bearer\s+(.+)$/i.exec(h as string);
   if (!m) return res.status(401).json({ ok:false, error: 'Unauthorized' });
+  let decoded: any;
   try{
-    const decoded = jwt.verify(m[1], JWT_SECRET) as any;
-    const user = db.prepare('SELECT id, name, role FROM users WHERE id=?').get(decoded.sub) as AuthedUser | undefined;
-    if (!user) return res.status(401).json({ ok:false, error:'Invalid token' });
-    req.user = user;
-    next();
+    decoded = jwt.verify(m[1], JWT_SECRET);
   }catch(err){
     return res.status(401).json({ ok:false, error: 'Invalid/expired token' });
   }
+  const row = db.prepare('SELECT id, name, role, active, mustChangePassword FROM users WHERE id=?')
+    .get(decoded.sub) as (AuthedUser & { active: number; mustChangePassword: number }) | undefined;
+  if (!row || !row.active) return res.status(401).json({ ok:false, error:'Invalid token' });
+  // 로그아웃/강제 종료된 세션의 토큰은 만료 전이라도 거부
+  const session = decoded.sid
+    ? db.prepare('SELECT revokedAt FROM sessions WHERE id=? AND userId=?').get(decoded.sid, row.id) as { revokedAt: string | null } | undefined
+    : undefined;
+  if (!session || session.revokedAt) return res.status(401).json({ ok:false, error:'Session revoked' });
+  if (row.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+    return res.status(403).json({ ok:false, error:'비밀번호를 변경해야 합니다', code:'PASSWORD_CHANGE_REQUIRED' });
+  }
+  req.user = { id: row.id, name: row.name, role: row.role };
+  req.sessionId = decoded.sid;
+  next();
 }
 
 function ensureRole(roles: Role[]){
@@ -256,13 +1128,29 @@ function ensureRole(roles: Role[]){
   };
 }
 
+// 공용 단말(키오스크) — 인사/관리자가 등록한 단말 토큰(Authorization: Kiosk <id>.<비밀값>)
+//  로그인 세션과 별개라 키오스크 출퇴근 API 밖에서는 쓸 수 없음
+function kioskRequired(req: AuthedRequest, res: express.Response, next: express.NextFunction){
+  const m = /^Kiosk\s+(.+)$/i.exec(String(req.headers['authorization'] || ''));
+  const i = m ? m[1].indexOf('.') : -1;
+  const row = i > 0
+    ? db.prepare('SELECT id, name, deptId, tokenHash, revokedAt FROM kiosk_devices WHERE id=?').get(m![1].slice(0, i)) as any
+    : undefined;
+  if (!row || row.revokedAt || row.tokenHash !== sha256Hex(m![1].slice(i + 1))) {
+    return res.status(401).json({ ok:false, error:'등록되지 않은 단말입니다', code:'KIOSK_UNREGISTERED' });
+  }
+  db.prepare('UPDATE kiosk_devices SET lastUsedAt=? WHERE id=?').run(nowTs(), row.id);
+  req.kiosk = { id: row.id, name: row.name, deptId: row.deptId };
+  next();
+}
+
 // ---------------- App ----------------
 
 app.use(helmet());
 const corsOptions = { origin: VITE_ORIGIN, credentials: false };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
-app.use(express.json({ limit: '10mb' })); // dataURL 서명 대비
+app.use(express.json({ limit: '1mb' })); // dataURL 서명 (이미지 256KB 제한) 대비
 app.use(morgan('dev'));
 
 // 개발 편의를 위한 간단 로거 (헤더 확인)
@@ -285,215 +1173,3062 @@ app.post('/api/login', (req, res) => {
   }
   const { username, password } = p.data;
   const found = db.prepare('SELECT * FROM users WHERE username=?').get(username) as any;
-  if (!found) return res.status(401).json({ ok:false, error:'Invalid credentials' });
-  const ok = bcrypt.compareSync(password, found.passwordHash);
-  if (!ok) return res.status(401).json({ ok:false, error:'Invalid credentials' });
-  const token = signToken({ sub: found.id, role: found.role });
-  const user = { id: found.id, name: found.name, role: found.role as Role };
-  return res.json({ ok:true, token, user });
+  const anonymous = { id: null, name: null };
+  // 없는 아이디/틀린 비밀번호/잠긴 계정/중지된 계정은 같은 응답 — 계정이 있는지, 비밀번호가 맞는지 드러나지 않게
+  //  비밀번호 비교를 먼저 해서 (없는 아이디는 더미 해시) 응답 시간도 같게
+  const ok = bcrypt.compareSync(password, found?.passwordHash ?? DUMMY_PASSWORD_HASH) && !!found;
+  const locked = !!found?.lockedUntil && found.lockedUntil > nowTs();
+  if (!ok || locked || !found.active) {
+    db.transaction(() => {
+      const reason = locked ? 'locked' : !ok ? 'password' : 'inactive';
+      audit(req, 'login.failure', 'user', found?.id ?? null, undefined, { username, reason }, anonymous);
+      if (!found || ok || locked) return;
+      // 연속 실패가 한도에 닿으면 잠금 (횟수는 잠금과 함께 초기화)
+      const failures = (found.failedLogins ?? 0) + 1;
+      if (failures >= LOGIN_MAX_FAILURES) {
+        const until = nowTs(LOGIN_LOCK_MINUTES * 60_000);
+        db.prepare('UPDATE users SET failedLogins=0, lockedUntil=? WHERE id=?').run(until, found.id);
+        audit(req, 'user.lock', 'user', found.id, { lockedUntil: found.lockedUntil ?? null }, { lockedUntil: until, failures }, anonymous);
+      } else {
+        db.prepare('UPDATE users SET failedLogins=? WHERE id=?').run(failures, found.id);
+      }
+    })();
+    return res.status(401).json({ ok:false, error:'Invalid credentials' });
+  }
+  const issued = db.transaction(() => {
+    db.prepare('UPDATE users SET failedLogins=0, lockedUntil=NULL WHERE id=?').run(found.id);
+    const session = openSession(req, found);
+    audit(req, 'login.success', 'user', found.id, undefined, { username, sessionId: session.sessionId }, { id: found.id, name: found.name });
+    return session;
+  })();
+  const user = { id: found.id, name: found.name, role: found.role as Role, mustChangePassword: !!found.mustChangePassword };
+  return res.json({ ok:true, token: issued.token, refreshToken: issued.refreshToken, user });
+});
+
+// 액세스 토큰 갱신 — 리프레시 토큰도 새로 발급 (이전 것은 더 이상 못 씀)
+app.post('/api/token/refresh', (req, res) => {
+  const p = z.object({ refreshToken: z.string().min(1) }).safeParse(req.body ?? {});
+  const parsed = p.success ? parseRefreshToken(p.data.refreshToken) : null;
+  if (!parsed) return res.status(400).json({ ok:false, error:'Validation error' });
+  const s = db.prepare('SELECT * FROM sessions WHERE id=?').get(parsed.sessionId) as any;
+  if (!s || s.revokedAt || s.expiresAt <= nowTs()) return res.status(401).json({ ok:false, error:'세션이 만료되었습니다' });
+
+  const hash = sha256Hex(parsed.secret);
+  if (hash !== s.refreshHash) {
+    if (hash === s.prevRefreshHash && s.rotatedAt && s.rotatedAt >= nowTs(-REFRESH_REUSE_GRACE_MS)) {
+      return res.status(401).json({ ok:false, error:'이미 갱신된 토큰입니다', code:'REFRESH_ROTATED' });
+    }
+    if (hash === s.prevRefreshHash) {
+      const owner = db.prepare('SELECT id, name FROM users WHERE id=?').get(s.userId) as { id: string; name: string } | undefined;
+      db.transaction(() => {
+        revokeSession(s.id, 'reuse');
+        audit(req, 'session.reuse', 'session', s.id, null, { userId: s.userId }, owner ?? { id: null, name: null });
+      })();
+    }
+    return res.status(401).json({ ok:false, error:'세션이 만료되었습니다' });
+  }
+  const u = db.prepare('SELECT id, name, role, active, mustChangePassword FROM users WHERE id=?').get(s.userId) as any;
+  if (!u?.active) {
+    db.transaction(() => {
+      revokeSession(s.id, 'deactivated');
+      audit(req, 'session.revoke', 'session', s.id, null, { userId: s.userId, reason: 'deactivated' }, u ?? { id: null, name: null });
+    })();
+    return res.status(401).json({ ok:false, error:'세션이 만료되었습니다' });
+  }
+
+  const secret = randomBytes(32).toString('base64url');
+  db.prepare('UPDATE sessions SET refreshHash=?, prevRefreshHash=?, lastUsedAt=?, rotatedAt=? WHERE id=?')
+    .run(sha256Hex(secret), hash, nowTs(), nowTs(), s.id);
+  return res.json({ ok:true, token: accessTokenFor(u, s.id), refreshToken: `${s.id}.${secret}` });
+});
+
+// 로그아웃 — 만료된 액세스 토큰이나 리프레시 토큰으로도 세션을 끊을 수 있게 인증 미들웨어 없이 처리
+app.post('/api/logout', (req, res) => {
+  let sessionId: string | undefined;
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers['authorization'] || ''));
+  if (m) {
+    try { sessionId = (jwt.verify(m[1], JWT_SECRET, { ignoreExpiration: true }) as any).sid; } catch { /* no-op */ }
+  }
+  const refresh = typeof req.body?.refreshToken === 'string' ? parseRefreshToken(req.body.refreshToken) : null;
+  if (!sessionId && refresh) {
+    const s = db.prepare('SELECT id, refreshHash FROM sessions WHERE id=?').get(refresh.sessionId) as any;
+    if (s?.refreshHash === sha256Hex(refresh.secret)) sessionId = s.id;
+  }
+  if (!sessionId) return res.json({ ok:true });
+  const s = db.prepare('SELECT s.userId, u.name FROM sessions s JOIN users u ON u.id = s.userId WHERE s.id=?').get(sessionId) as any;
+  db.transaction(() => {
+    if (revokeSession(sessionId!, 'logout') && s) audit(req, 'logout', 'session', sessionId!, null, null, { id: s.userId, name: s.name });
+  })();
+  return res.json({ ok:true });
 });
 
 app.get('/api/me', authRequired, (req: AuthedRequest, res) => {
   if (DEBUG_AUTH) console.log('[DEBUG_AUTH] /api/me user=', req.user);
-  return res.json({ ok:true, data: req.user });
+  const { mustChangePassword } = db.prepare('SELECT mustChangePassword FROM users WHERE id=?').get(req.user!.id) as any;
+  return res.json({ ok:true, data: { ...req.user, mustChangePassword: !!mustChangePassword } });
+});
+
+// 본인 비밀번호 변경 — 다른 기기의 세션은 끊고, 현재 세션에는 새 액세스 토큰을 돌려줌
+app.post('/api/me/password', authRequired, (req: AuthedRequest, res) => {
+  const p = z.object({ currentPassword: z.string().min(1), newPassword: z.string().min(1) }).safeParse(req.body);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const u = db.prepare('SELECT * FROM users WHERE id=?').get(req.user!.id) as any;
+  if (!bcrypt.compareSync(p.data.currentPassword, u.passwordHash)) {
+    return res.status(400).json({ ok:false, error:'현재 비밀번호가 맞지 않습니다', fieldErrors: { currentPassword: ['현재 비밀번호가 맞지 않습니다'] } });
+  }
+  const policy = passwordPolicyError(p.data.newPassword, u.username)
+    ?? (p.data.newPassword === p.data.currentPassword ? '현재 비밀번호와 다르게 정해야 합니다' : null);
+  if (policy) return res.status(400).json({ ok:false, error: policy, fieldErrors: { newPassword: [policy] } });
+
+  db.transaction(() => {
+    db.prepare('UPDATE users SET passwordHash=?, mustChangePassword=0, passwordChangedAt=? WHERE id=?')
+      .run(bcrypt.hashSync(p.data.newPassword, 10), nowTs(), u.id);
+    revokeUserSessions(u.id, 'password', req.sessionId);
+    audit(req, 'user.password-change', 'user', u.id, { mustChangePassword: !!u.mustChangePassword }, { mustChangePassword: false });
+  })();
+  const token = accessTokenFor({ id: u.id, role: u.role }, req.sessionId!);
+  return res.json({ ok:true, token, user: { id: u.id, name: u.name, role: u.role as Role, mustChangePassword: false } });
+});
+
+// 비밀번호 정책 안내 (변경 화면)
+app.get('/api/password-policy', (_req, res) => {
+  return res.json({ ok:true, data: { minLength: PASSWORD_MIN_LENGTH } });
 });
 
 // ---- Leave Requests APIs ----
-app.get('/api/requests', authRequired, (req, res) => {
-  const rows = db.prepare('SELECT * FROM requests ORDER BY dateRequested DESC').all();
-  return res.json({ ok:true, data: rows });
+// 목록 응답에는 서명 이미지를 싣지 않고 유무만 (includeSignatures=1일 때만 dataURL 포함)
+const REQUEST_LIST_COLUMNS = `r.requestId, r.dateRequested, r.empId, r.name, r.dept, r.position, r.requestType, r.leaveType, r.details,
+  r.startDate, r.endDate, r.note, r.status, r.handoverPerson, r.contact, r.managerSignerId, r.managerSignedAt,
+  r.requesterId, r.days, r.currentStep, r.prevRequestId, r.cancelStatus, r.cancelReason,
+  r.signatureId, r.managerSignatureId, r.managerOnBehalfOf,
+  (r.signatureId IS NOT NULL) AS hasSignature,
+  (r.managerSignatureId IS NOT NULL) AS hasManagerSignature`;
+
+// 목록 행: 종류별 입력값(details JSON)을 풀고 요약 한 줄(휴가는 null)을 붙임
+function requestListRow<T extends { requestType: string; details: string | null }>(r: T){
+  const details = parseDetails(r.details);
+  return { ...r, details, summary: requestSummary(r.requestType, details) };
+}
+
+// 목록 공통: 쪽 나누기 + 정렬 방향
+const listPageSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  offset: z.coerce.number().int().min(0).default(0),
+  order: z.enum(['asc','desc']).default('desc'),
+  includeSignatures: z.enum(['0','1']).optional(),
+});
+
+// 정렬 키 → 컬럼 (ORDER BY에는 이 목록의 값만 들어감)
+const REQUEST_SORT_COLUMNS = {
+  dateRequested: 'r.dateRequested',
+  startDate: 'r.startDate',
+  name: 'r.name',
+  dept: 'r.dept',
+  requestType: 'r.requestType',
+  leaveType: 'r.leaveType',
+  status: 'r.status',
+} as const;
+
+const requestListQuerySchema = listPageSchema.extend({
+  dept: z.string().min(1).optional(),
+  status: StatusEnum.optional(),
+  requestType: RequestTypeEnum.optional(),
+  leaveType: LeaveTypeEnum.optional(),
+  from: dateStrSchema.optional(),
+  to: dateStrSchema.optional(),
+  dateField: z.enum(['leave','requested']).default('leave'), // leave: 휴가 기간이 겹치는 신청, requested: 신청일 기준
+  requesterId: z.string().min(1).optional(),
+  q: z.string().trim().min(1).optional(),                    // 이름/사번 일부
+  sort: z.enum(Object.keys(REQUEST_SORT_COLUMNS) as [keyof typeof REQUEST_SORT_COLUMNS]).default('dateRequested'),
+});
+
+function requestListWhere(user: AuthedUser, f: z.infer<typeof requestListQuerySchema>): { where: string; params: any[] } {
+  const scope = requestScope(user, 'r');
+  const conds = [scope.where];
+  const params: any[] = [...scope.params];
+  if (f.dept) { conds.push('r.dept = ?'); params.push(f.dept); }
+  if (f.status) { conds.push('r.status = ?'); params.push(f.status); }
+  if (f.requestType) { conds.push('r.requestType = ?'); params.push(f.requestType); }
+  if (f.leaveType) { conds.push('r.leaveType = ?'); params.push(f.leaveType); }
+  if (f.dateField === 'requested') {
+    if (f.from) { conds.push('r.dateRequested >= ?'); params.push(f.from); }
+    if (f.to) { conds.push('r.dateRequested <= ?'); params.push(f.to); }
+  } else {
+    if (f.from) { conds.push('r.endDate >= ?'); params.push(f.from); }
+    if (f.to) { conds.push('r.startDate <= ?'); params.push(f.to); }
+  }
+  if (f.requesterId) { conds.push('r.requesterId = ?'); params.push(f.requesterId); }
+  if (f.q) { conds.push('(r.name LIKE ? OR r.empId LIKE ?)'); params.push(`%${f.q}%`, `%${f.q}%`); }
+  return { where: conds.join(' AND '), params };
+}
+
+// 권한 범위 안에서 필터/정렬/쪽 나누기. total은 필터 조건에 맞는 전체 건수
+app.get('/api/requests', authRequired, (req: AuthedRequest, res) => {
+  const p = requestListQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const f = p.data;
+  const { where, params } = requestListWhere(req.user!, f);
+  const dir = f.order === 'asc' ? 'ASC' : 'DESC';
+  const total = (db.prepare(`SELECT COUNT(*) AS n FROM requests r WHERE ${where}`).get(...params) as { n: number }).n;
+  const rows = db.prepare(`SELECT ${REQUEST_LIST_COLUMNS} FROM requests r WHERE ${where}
+    ORDER BY ${REQUEST_SORT_COLUMNS[f.sort]} ${dir}, r.requestId ${dir} LIMIT ? OFFSET ?`)
+    .all(...params, f.limit, f.offset) as any[];
+  const data = rows.map(r => f.includeSignatures === '1' ? withSignatureImages(requestListRow(r)) : requestListRow(r));
+  return res.json({ ok:true, data, total, limit: f.limit, offset: f.offset });
 });
 
 // 내 신청 목록 (로그인 사용자 기준)
 app.get('/api/requests/mine', authRequired, (req: AuthedRequest, res) => {
   try {
-    const rows = db.prepare('SELECT * FROM requests WHERE requesterId = ? ORDER BY dateRequested DESC')
-      .all(req.user!.id);
-    return res.json({ ok:true, data: rows });
+    const rows = db.prepare(`SELECT ${REQUEST_LIST_COLUMNS},
+        (SELECT label FROM request_approvals a WHERE a.requestId = r.requestId AND a.status='Pending') AS currentStepLabel,
+        (SELECT n.requestId FROM requests n WHERE n.prevRequestId = r.requestId AND n.status <> 'Canceled'
+          ORDER BY n.dateRequested DESC LIMIT 1) AS amendedBy
+      FROM requests r WHERE requesterId = ? ORDER BY dateRequested DESC`)
+      .all(req.user!.id) as any[];
+    return res.json({ ok:true, data: rows.map(requestListRow) });
   } catch (e) {
     return res.status(500).json({ ok:false, error:'Internal error' });
   }
 });
 
-// 신규 신청 (서명 포함 저장)
-app.post('/api/requests', authRequired, ensureRole(['employee','admin']), (req: AuthedRequest, res) => {
-  const p = createRequestSchema.safeParse(req.body);
-  if (!p.success) {
+// 신청 종류 등록부 (직원 신청 폼, 결재선/양식 관리 화면용)
+app.get('/api/request-types', authRequired, (_req, res) => {
+  return res.json({ ok:true, data: publicRequestTypes() });
+});
+
+// 같은 부서 동료 (근무 교대 상대 선택용)
+app.get('/api/colleagues', authRequired, (req: AuthedRequest, res) => {
+  const profile = profileOfUser(req.user!.id);
+  if (!profile) return res.json({ ok:true, data: [] });
+  const rows = db.prepare(`SELECT u.id, e.name, e.empId, e.position, e.shift FROM employees e
+    JOIN users u ON u.id = e.userId AND u.active = 1
+    WHERE e.deptId = ? AND e.active = 1 AND u.id <> ? ORDER BY e.name`).all(profile.deptId, req.user!.id);
+  return res.json({ ok:true, data: rows });
+});
+
+// 휴가 외 신청 — details는 종류별 스키마로 검증하고 등록부의 finalize가 근무일/동료 확인과 계산 값을 채움
+const typedRequestSchema = z.object({
+  requestType: z.enum(TYPED_REQUEST_KEYS as [TypedRequestKey, ...TypedRequestKey[]]),
+  details: z.record(z.unknown()),
+  note: z.string().max(500).optional().default(''),
+  signatureDataUrl: signatureImageSchema,
+});
+
+function createTypedRequest(req: AuthedRequest, res: express.Response, idempotencyKey: string | null){
+  const p = typedRequestSchema.safeParse(req.body);
+  if (!p.success) {
     const flat = p.error.flatten();
     return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
   }
-  const r = p.data;
+  const def = requestTypeOf(p.data.requestType)!;
+  const d = def.schema.safeParse(p.data.details);
+  if (!d.success) {
+    const flat = d.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const profile = profileOfUser(req.user!.id);
+  if (!profile) return res.status(400).json({ ok:false, error:'조직에 등록된 직원만 신청할 수 있습니다' });
+  const colleague = db.prepare(`SELECT e.name FROM employees e JOIN users u ON u.id = e.userId AND u.active = 1
+    WHERE u.id = ? AND e.deptId = ? AND e.active = 1`);
+  const done = def.finalize(d.data, {
+    requesterId: req.user!.id,
+    isWorkday: date => businessDays(date, date) > 0,
+    colleagueName: id => (colleague.get(id, profile.deptId) as { name: string } | undefined)?.name ?? null,
+  });
+  if ('fieldErrors' in done) {
+    return res.status(400).json({ ok:false, error: Object.values(done.fieldErrors).flat()[0], fieldErrors: done.fieldErrors });
+  }
+  const { startDate, endDate } = def.period(done.details);
+  const dup = db.prepare(`SELECT requestId FROM requests WHERE requesterId=? AND requestType=? AND status IN ('Pending','Approved')
+    AND startDate <= ? AND endDate >= ?`).get(req.user!.id, def.key, endDate, startDate);
+  if (dup) return res.status(409).json({ ok:false, error:`같은 날짜에 진행 중이거나 승인된 ${def.label} 신청이 있습니다` });
   const requestId = cryptoRandomId();
 
-  db.prepare(`INSERT INTO requests
-    (requestId,dateRequested,empId,name,dept,position,leaveType,startDate,endDate,note,status,handoverPerson,contact,signature,requesterId)
-    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`).run(
-      requestId, r.dateRequested, r.empId, r.name, r.dept, r.position, r.leaveType,
-      r.startDate, r.endDate, r.note ?? '', r.status, r.handoverPerson, r.contact, r.signatureDataUrl,
-      req.user!.id
-    );
+  db.transaction(() => {
+    insertTypedRequest(req, requestId, {
+      requestType: def.key, label: def.label, details: done.details, startDate, endDate,
+      note: p.data.note, signatureDataUrl: p.data.signatureDataUrl,
+    }, profile, req.user!.id);
+    if (idempotencyKey) db.prepare('UPDATE requests SET idempotencyKey=? WHERE requestId=?').run(idempotencyKey, requestId);
+    audit(req, 'request.create', 'request', requestId, null, requestRow(requestId));
+    notifyApprovers(requestId);
+  })();
+
+  return res.status(201).json({ ok:true, data: requestListRow(requestRow(requestId)) });
+}
+
+// 오프라인 보관함 재전송 — Idempotency-Key 헤더 (클라이언트가 제출마다 만든 키)
+// 같은 사용자가 같은 키로 이미 만든 행이 있으면 새로 만들지 않고 그 행을 돌려줌 (replayed: true)
+const idempotencyKeySchema = z.string().regex(/^[\w-]{8,100}$/, 'Idempotency-Key 형식이 올바르지 않습니다');
+
+function idempotencyKeyOf(req: express.Request): { ok: true; key: string | null } | { ok: false; error: string } {
+  const raw = req.get('Idempotency-Key');
+  if (raw === undefined) return { ok: true, key: null };
+  const p = idempotencyKeySchema.safeParse(raw);
+  return p.success ? { ok: true, key: p.data } : { ok: false, error: p.error.issues[0].message };
+}
+
+// 신규 신청 (서명 포함 저장). requestType이 휴가가 아니면 종류별 신청
+app.post('/api/requests', authRequired, ensureRole(['employee','admin']), (req: AuthedRequest, res) => {
+  const idem = idempotencyKeyOf(req);
+  if (!idem.ok) return res.status(400).json({ ok:false, error: idem.error });
+  if (idem.key) {
+    const done = db.prepare('SELECT * FROM requests WHERE requesterId=? AND idempotencyKey=?').get(req.user!.id, idem.key) as any;
+    if (done) return res.json({ ok:true, data: isLeaveRequest(done) ? done : requestListRow(done), replayed: true });
+  }
+  if (req.body?.requestType && req.body.requestType !== 'leave') return createTypedRequest(req, res, idem.key);
+  const p = createRequestSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const r = withProfile(req.user!.id, p.data);
+  const days = leaveDaysOf(r);
+  if (!days) return res.status(400).json({ ok:false, error:'선택한 기간에 근무일이 없습니다', fieldErrors: { endDate: ['근무일이 없는 기간입니다'] } });
+  const overdraft = overdraftError(req.user!.id, { ...r, days }, true);
+  if (overdraft) return res.status(409).json({ ok:false, error: overdraft });
+  const requestId = cryptoRandomId();
+
+  db.transaction(() => {
+    insertLeaveRequest(req, requestId, r, days, req.user!.id, null);
+    if (idem.key) db.prepare('UPDATE requests SET idempotencyKey=? WHERE requestId=?').run(idem.key, requestId);
+    audit(req, 'request.create', 'request', requestId, null, requestRow(requestId));
+    notifyApprovers(requestId);
+  })();
+
+  const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(requestId);
+  return res.status(201).json({ ok:true, data: rec });
+});
+
+// 본인 신청 취소 — 결재 대기 중이면 즉시 취소, 승인된 건은 취소 결재 요청 (승인되면 연차 복원)
+app.post('/api/requests/:id/cancel', authRequired, (req: AuthedRequest, res) => {
+  const { id } = req.params;
+  const p = cancelSchema.safeParse(req.body ?? {});
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const exists = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
+  if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  if (exists.requesterId !== req.user!.id) return res.status(403).json({ ok:false, error:'본인 신청만 취소할 수 있습니다' });
+  if (exists.status !== 'Pending' && exists.status !== 'Approved') return res.status(409).json({ ok:false, error:'취소할 수 없는 상태입니다' });
+  if (exists.cancelStatus === 'Pending') return res.status(409).json({ ok:false, error:'이미 취소 결재가 진행 중입니다' });
+  if (hasPendingAmendment(id)) return res.status(409).json({ ok:false, error:'정정 신청이 결재 중입니다' });
+
+  db.transaction(() => {
+    if (exists.status === 'Pending') {
+      skipRemainingSteps(id);
+      db.prepare(`UPDATE requests SET status='Canceled', cancelReason=? WHERE requestId=?`).run(p.data.reason ?? null, id);
+    } else {
+      createCancelStep(exists);
+      db.prepare(`UPDATE requests SET cancelStatus='Pending', cancelReason=? WHERE requestId=?`).run(p.data.reason ?? null, id);
+      notifyApprovers(id);
+    }
+    audit(req, exists.status === 'Pending' ? 'request.cancel' : 'request.cancel-request', 'request', id, exists, requestRow(id));
+  })();
+
+  const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id);
+  return res.json({ ok:true, data: rec });
+});
+
+// 본인 신청 정정 — 새 신청을 원 신청에 연결해 결재선을 다시 탐
+//  - 원 신청이 대기 중이면 바로 취소
+//  - 원 신청이 승인 건이면 정정 신청이 최종 승인될 때 취소(연차 복원)되고, 반려되면 그대로 유지
+app.post('/api/requests/:id/amend', authRequired, ensureRole(['employee','admin']), (req: AuthedRequest, res) => {
+  const { id } = req.params;
+  const p = createRequestSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const prev = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
+  if (!prev) return res.status(404).json({ ok:false, error:'Not found' });
+  if (prev.requesterId !== req.user!.id) return res.status(403).json({ ok:false, error:'본인 신청만 정정할 수 있습니다' });
+  if (!isLeaveRequest(prev)) return res.status(409).json({ ok:false, error:'휴가 신청만 정정할 수 있습니다 (취소 후 다시 신청하세요)' });
+  if (prev.status !== 'Pending' && prev.status !== 'Approved') return res.status(409).json({ ok:false, error:'정정할 수 없는 상태입니다' });
+  if (prev.cancelStatus === 'Pending') return res.status(409).json({ ok:false, error:'취소 결재가 진행 중입니다' });
+  if (hasPendingAmendment(id)) return res.status(409).json({ ok:false, error:'이미 정정 신청이 결재 중입니다' });
+
+  const r = withProfile(req.user!.id, p.data);
+  const days = leaveDaysOf(r);
+  if (!days) return res.status(400).json({ ok:false, error:'선택한 기간에 근무일이 없습니다', fieldErrors: { endDate: ['근무일이 없는 기간입니다'] } });
+  const overdraft = overdraftError(req.user!.id, { ...r, days, prevRequestId: id }, true);
+  if (overdraft) return res.status(409).json({ ok:false, error: overdraft });
+  const requestId = cryptoRandomId();
+
+  db.transaction(() => {
+    if (prev.status === 'Pending') {
+      skipRemainingSteps(id);
+      db.prepare(`UPDATE requests SET status='Canceled', cancelReason='정정' WHERE requestId=?`).run(id);
+      audit(req, 'request.cancel', 'request', id, prev, requestRow(id));
+    }
+    insertLeaveRequest(req, requestId, r, days, req.user!.id, id);
+    audit(req, 'request.amend', 'request', requestId, null, requestRow(requestId));
+    notifyApprovers(requestId);
+  })();
 
   const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(requestId);
   return res.status(201).json({ ok:true, data: rec });
 });
 
-// 상태 변경 (승인/거절)
-app.put('/api/requests/:id/status', authRequired, ensureRole(['manager','admin']), (req, res) => {
+// 상태 직접 변경 (관리자 보정용 — 결재선을 건너뜀. 일반 승인/반려는 /approve, /reject)
+app.put('/api/requests/:id/status', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
   const p = updateStatusSchema.safeParse(req.body);
   if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
   const { id } = req.params;
-  const exists = db.prepare('SELECT requestId FROM requests WHERE requestId=?').get(id);
+  const exists = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
   if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
-  db.prepare('UPDATE requests SET status=? WHERE requestId=?').run(p.data.status, id);
+  if (p.data.status === 'Approved' && exists.status !== 'Approved' && exists.requesterId && isLeaveRequest(exists)) {
+    const overdraft = overdraftError(exists.requesterId, exists, false);
+    if (overdraft) return res.status(409).json({ ok:false, error: overdraft });
+  }
+  db.transaction(() => {
+    syncLedgerForStatus(exists, p.data.status, req.user!.id);
+    // 진행 중이던 취소 결재는 관리자 변경으로 종료
+    db.prepare(`UPDATE requests SET status=?, cancelStatus=CASE WHEN cancelStatus='Pending' THEN NULL ELSE cancelStatus END
+      WHERE requestId=?`).run(p.data.status, id);
+    if (p.data.status === 'Pending' && exists.status !== 'Pending') {
+      db.prepare('DELETE FROM request_approvals WHERE requestId=?').run(id);
+      createApprovalSteps(id, exists, exists.requesterId);
+    } else if (p.data.status !== 'Pending') {
+      skipRemainingSteps(id);
+    }
+    audit(req, 'request.status', 'request', id, exists, requestRow(id));
+  })();
   const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id);
   return res.json({ ok:true, data: rec });
 });
 
 // 최근 한 달
-app.get('/api/requests/recent', authRequired, ensureRole(['manager','hr','admin']), (req, res) => {
+app.get('/api/requests/recent', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
   const now = new Date();
   const cut = new Date(now); cut.setMonth(cut.getMonth()-1);
   const cutStr = `${cut.getFullYear()}-${String(cut.getMonth()+1).padStart(2,'0')}-${String(cut.getDate()).padStart(2,'0')}`;
-  const rows = db.prepare('SELECT * FROM requests WHERE dateRequested >= ? ORDER BY dateRequested DESC').all(cutStr);
-  return res.json({ ok:true, data: rows });
+  const scope = requestScope(req.user!, 'r');
+  const rows = db.prepare(`SELECT ${REQUEST_LIST_COLUMNS} FROM requests r WHERE r.dateRequested >= ? AND ${scope.where} ORDER BY r.dateRequested DESC`)
+    .all(cutStr, ...scope.params) as any[];
+  return res.json({ ok:true, data: rows.map(requestListRow) });
+});
+
+// 신청자 서명 조회 (저장된 파일을 dataURL로)
+app.get('/api/requests/:id/signature', authRequired, (req: AuthedRequest, res) => {
+  const r = db.prepare('SELECT signatureId, requesterId FROM requests WHERE requestId=?').get(req.params.id) as any;
+  if (!r?.signatureId) return res.status(404).send('No signature');
+  if (!canViewRequest(req.user!, r.requesterId)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const dataUrl = signatureDataUrl(r.signatureId);
+  if (!dataUrl) return res.status(404).send('No signature');
+  res.json({ ok: true, dataUrl });
 });
 
-// 신청자 서명 조회 (dataURL 그대로)
-app.get('/api/requests/:id/signature', authRequired, (req, res) => {
-  const r = db.prepare('SELECT signature FROM requests WHERE requestId=?').get(req.params.id) as any;
-  if (!r?.signature) return res.status(404).send('No signature');
-  res.json({ ok: true, dataUrl: r.signature });
+// 서명 무결성 검증 — 신청자/결재자 서명 파일의 해시가 서명 당시 기록(signatures 행, 감사 기록)과 같은지
+app.get('/api/requests/:id/signatures/verify', authRequired, (req: AuthedRequest, res) => {
+  const rec = db.prepare('SELECT requestId, requesterId, status, signatureId, managerSignatureId FROM requests WHERE requestId=?')
+    .get(req.params.id) as any;
+  if (!rec) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewRequest(req.user!, rec.requesterId)) return res.status(403).json({ ok:false, error:'Forbidden' });
+
+  const steps = db.prepare(`SELECT stepNo, label, phase, signatureId FROM request_approvals
+    WHERE requestId=? AND signatureId IS NOT NULL ORDER BY stepNo`).all(rec.requestId) as any[];
+  const slots: Array<{ label: string; signatureId: string; stepNo: number | null }> = [
+    ...(rec.signatureId ? [{ label: '신청자', signatureId: rec.signatureId, stepNo: null }] : []),
+    ...steps.map(s => ({ label: s.label, signatureId: s.signatureId, stepNo: s.stepNo })),
+  ];
+  // 최종 승인 서명은 보통 마지막 단계 서명과 같은 행
+  if (rec.managerSignatureId && !slots.some(s => s.signatureId === rec.managerSignatureId)) {
+    slots.push({ label: '최종 승인', signatureId: rec.managerSignatureId, stepNo: null });
+  }
+
+  const signatures = slots.map(slot => {
+    const row = signatureRecord(slot.signatureId);
+    if (!row) return { ...slot, found: false, valid: false };
+    const signer = row.signerId ? db.prepare('SELECT name FROM users WHERE id=?').get(row.signerId) as { name: string } | undefined : undefined;
+    const check = verifySignatureRow(row);
+    return {
+      ...slot, found: true, role: row.role, signerId: row.signerId, signerName: signer?.name ?? null, signedAt: row.signedAt,
+      sha256: row.sha256, ...check, valid: check.fileOk && check.audited,
+    };
+  });
+  return res.json({ ok:true, data: { requestId: rec.requestId, status: rec.status, valid: signatures.length > 0 && signatures.every(s => s.valid), signatures } });
 });
 
-// 승인 + 승인자 서명 저장
-app.post('/api/requests/:id/approve', authRequired, ensureRole(['manager','admin']), (req: AuthedRequest, res) => {
+// 취소 결재 서명 — 승인 건을 취소하고 차감했던 연차를 복원
+function approveCancellation(req: AuthedRequest, res: express.Response, exists: any, body: z.infer<typeof approveWithSignatureSchema>){
+  const step = db.prepare(`SELECT * FROM request_approvals WHERE requestId=? AND status='Pending' AND phase='cancel'`).get(exists.requestId) as any;
+  if (!step) return res.status(409).json({ ok:false, error:'취소 결재 대기 중인 신청이 아닙니다' });
+  const authority = signingAuthority(step, req.user!, exists);
+  if (!authority) return res.status(403).json({ ok:false, error:'취소 결재자가 아닙니다' });
+  db.transaction(() => {
+    const ts = nowTs();
+    const signatureId = recordSignature(req, body.signatureDataUrl, {
+      entityType: 'request', entityId: exists.requestId, role: 'approver', stepNo: step.stepNo, signerId: req.user!.id, signedAt: ts,
+    });
+    db.prepare(`UPDATE request_approvals SET status='Approved', signerId=?, onBehalfOf=?, signatureId=?, signedAt=?, comment=? WHERE id=?`)
+      .run(req.user!.id, authority.onBehalfOf, signatureId, ts, body.comment ?? null, step.id);
+    syncLedgerForStatus(exists, 'Canceled', req.user!.id);
+    db.prepare(`UPDATE requests SET status='Canceled', cancelStatus='Approved', currentStep=NULL WHERE requestId=?`).run(exists.requestId);
+    audit(req, 'request.cancel-approve', 'request', exists.requestId, exists, requestRow(exists.requestId));
+    notifyRequester(exists.requestId, 'request.approved', body.comment);
+  })();
+  const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(exists.requestId);
+  return res.json({ ok:true, data: rec });
+}
+
+// 현재 결재 단계 서명 — 마지막 단계가 서명하면 승인(연차 차감)
+app.post('/api/requests/:id/approve', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
   const { id } = req.params;
   const p = approveWithSignatureSchema.safeParse(req.body);
   if (!p.success) {
     const flat = p.error.flatten();
     return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
   }
-  const exists = db.prepare('SELECT requestId, status FROM requests WHERE requestId=?').get(id) as any;
+  const exists = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
   if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  if (exists.cancelStatus === 'Pending') return approveCancellation(req, res, exists, p.data);
   if (exists.status === 'Approved') return res.status(409).json({ ok:false, error:'Already approved' });
+  const step = db.prepare(`SELECT * FROM request_approvals WHERE requestId=? AND status='Pending'`).get(id) as any;
+  if (exists.status !== 'Pending' || !step) return res.status(409).json({ ok:false, error:'결재 대기 중인 신청이 아닙니다' });
+  const authority = signingAuthority(step, req.user!, exists);
+  if (!authority) return res.status(403).json({ ok:false, error:'현재 결재 단계의 결재자가 아닙니다' });
 
-  const now = new Date();
-  const ts = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,'0')}-${String(now.getDate()).padStart(2,'0')}T${String(now.getHours()).padStart(2,'0')}:${String(now.getMinutes()).padStart(2,'0')}:${String(now.getSeconds()).padStart(2,'0')}`;
+  const next = db.prepare(`SELECT stepNo FROM request_approvals WHERE requestId=? AND stepNo > ? AND status='Waiting' ORDER BY stepNo LIMIT 1`)
+    .get(id, step.stepNo) as { stepNo: number } | undefined;
+  if (!next && exists.requesterId && isLeaveRequest(exists)) {
+    const overdraft = overdraftError(exists.requesterId, exists, false);
+    if (overdraft) return res.status(409).json({ ok:false, error: overdraft });
+  }
 
-  db.prepare(`UPDATE requests
-    SET status='Approved',
-        managerSignature=?,
-        managerSignerId=?,
-        managerSignedAt=?
-    WHERE requestId=?`)
-    .run(p.data.signatureDataUrl, req.user!.id, ts, id);
+  const ts = nowTs();
+  db.transaction(() => {
+    const signatureId = recordSignature(req, p.data.signatureDataUrl, {
+      entityType: 'request', entityId: id, role: 'approver', stepNo: step.stepNo, signerId: req.user!.id, signedAt: ts,
+    });
+    db.prepare(`UPDATE request_approvals SET status='Approved', signerId=?, onBehalfOf=?, signatureId=?, signedAt=?, comment=? WHERE id=?`)
+      .run(req.user!.id, authority.onBehalfOf, signatureId, ts, p.data.comment ?? null, step.id);
+    if (next) {
+      db.prepare(`UPDATE request_approvals SET status='Pending' WHERE requestId=? AND stepNo=?`).run(id, next.stepNo);
+      db.prepare('UPDATE requests SET currentStep=? WHERE requestId=?').run(next.stepNo, id);
+      audit(req, 'request.approve-step', 'request', id, exists, { ...requestRow(id), signedStep: step.stepNo, onBehalfOf: authority.onBehalfOf });
+      notifyApprovers(id);
+      return;
+    }
+    // 정정 신청이 승인되면 원 승인 건은 취소 (연차 복원 후 새 일수 차감)
+    const prev = exists.prevRequestId ? db.prepare('SELECT * FROM requests WHERE requestId=?').get(exists.prevRequestId) as any : null;
+    if (prev?.status === 'Approved') {
+      syncLedgerForStatus(prev, 'Canceled', req.user!.id);
+      db.prepare(`UPDATE requests SET status='Canceled', cancelReason='정정' WHERE requestId=?`).run(prev.requestId);
+      skipRemainingSteps(prev.requestId);
+      audit(req, 'request.cancel', 'request', prev.requestId, prev, requestRow(prev.requestId));
+    }
+    // 최종 승인: 양식이 쓰는 승인자 서명 컬럼에도 마지막 결재자 서명(같은 signatures 행)을 기록
+    syncLedgerForStatus(exists, 'Approved', req.user!.id);
+    db.prepare(`UPDATE requests
+      SET status='Approved',
+          currentStep=NULL,
+          managerSignatureId=?,
+          managerSignerId=?,
+          managerOnBehalfOf=?,
+          managerSignedAt=?
+      WHERE requestId=?`)
+      .run(signatureId, req.user!.id, authority.onBehalfOf, ts, id);
+    audit(req, 'request.approve', 'request', id, exists, { ...requestRow(id), signedStep: step.stepNo });
+    notifyRequester(id, 'request.approved', p.data.comment);
+  })();
 
   const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id);
   return res.json({ ok:true, data: rec });
 });
 
-// ---- Self test endpoint (간단 진단) ----
-app.get('/__selftest', (_req, res) => {
-  const users = db.prepare('SELECT username, role FROM users ORDER BY username').all();
-  return res.json({ ok:true, users, note: 'login with admin/admin123!, manager/manager123!, hr/hr123!, employee/emp123!' });
+// 현재 결재 단계에서 반려
+app.post('/api/requests/:id/reject', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const { id } = req.params;
+  const p = rejectSchema.safeParse(req.body ?? {});
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const exists = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id) as any;
+  if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  const step = db.prepare(`SELECT * FROM request_approvals WHERE requestId=? AND status='Pending'`).get(id) as any;
+  const isCancel = exists.cancelStatus === 'Pending';
+  if ((exists.status !== 'Pending' && !isCancel) || !step) return res.status(409).json({ ok:false, error:'결재 대기 중인 신청이 아닙니다' });
+  const authority = signingAuthority(step, req.user!, exists);
+  if (!authority) return res.status(403).json({ ok:false, error:'현재 결재 단계의 결재자가 아닙니다' });
+
+  db.transaction(() => {
+    db.prepare(`UPDATE request_approvals SET status='Rejected', signerId=?, onBehalfOf=?, signedAt=?, comment=? WHERE id=?`)
+      .run(req.user!.id, authority.onBehalfOf, nowTs(), p.data.comment ?? null, step.id);
+    skipRemainingSteps(id);
+    // 취소 결재 반려: 승인 상태 유지
+    if (isCancel) db.prepare(`UPDATE requests SET cancelStatus='Rejected' WHERE requestId=?`).run(id);
+    else db.prepare(`UPDATE requests SET status='Rejected' WHERE requestId=?`).run(id);
+    audit(req, isCancel ? 'request.cancel-reject' : 'request.reject', 'request', id, exists,
+      { ...requestRow(id), signedStep: step.stepNo, comment: p.data.comment ?? null });
+    notifyRequester(id, 'request.rejected', p.data.comment);
+  })();
+
+  const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(id);
+  return res.json({ ok:true, data: rec });
 });
 
-// 개발용 JWT 디코더 (프로덕션 사용 금지)
-app.get('/__debug/jwt', (req, res) => {
-  try {
-    const h = String(req.headers.authorization || '');
-    const m = /^Bearer\s+(.+)$/.exec(h);
-    if (!m) return res.status(400).json({ ok:false, error:'No Bearer token' });
-    const decoded = jwt.verify(m[1], JWT_SECRET);
-    return res.json({ ok:true, decoded });
-  } catch (e:any) {
-    return res.status(401).json({ ok:false, error: String(e?.message||e) });
+// 신청의 결재 진행 내역
+app.get('/api/requests/:id/approvals', authRequired, (req: AuthedRequest, res) => {
+  const rec = db.prepare('SELECT requesterId FROM requests WHERE requestId=?').get(req.params.id) as any;
+  if (!rec) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewRequest(req.user!, rec.requesterId)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const rows = db.prepare(`SELECT a.*, u.name AS signerName, ob.name AS onBehalfOfName FROM request_approvals a
+    LEFT JOIN users u ON u.id = a.signerId
+    LEFT JOIN users ob ON ob.id = a.onBehalfOf
+    WHERE a.requestId=? ORDER BY a.stepNo`).all(req.params.id);
+  return res.json({ ok:true, data: rows });
+});
+
+// 내 결재 차례인 신청 목록 (위임받아 대신 결재할 신청 포함 — onBehalfOf)
+app.get('/api/approvals/pending', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const u = req.user!;
+  const delegators = activeDelegationsTo(u.id).map(d => d.delegatorId);
+  const rows = db.prepare(`SELECT ${REQUEST_LIST_COLUMNS}, a.stepNo, a.label AS stepLabel, a.phase AS stepPhase, a.approverRole, a.approverUserId,
+      (SELECT COUNT(*) FROM request_approvals x WHERE x.requestId = r.requestId AND x.phase = a.phase) AS totalSteps
+    FROM requests r
+    JOIN request_approvals a ON a.requestId = r.requestId AND a.status='Pending'
+    WHERE (r.status='Pending' OR r.cancelStatus='Pending')
+      AND (? = 'admin' OR a.approverUserId = ? OR (a.approverUserId IS NULL AND a.approverRole = ?)
+        OR a.approverUserId IN (SELECT value FROM json_each(?)) OR (a.approverUserId IS NULL AND a.approverRole = 'manager' AND ? > 0))
+    ORDER BY r.dateRequested DESC`).all(u.role, u.id, u.role, JSON.stringify(delegators), delegators.length) as any[];
+  const userName = db.prepare('SELECT name FROM users WHERE id=?');
+  const mine = rows.flatMap(({ approverRole, approverUserId, ...r }) => {
+    const authority = signingAuthority({ approverRole, approverUserId }, u, r);
+    if (!authority) return [];
+    const onBehalfOfName = authority.onBehalfOf ? (userName.get(authority.onBehalfOf) as { name: string }).name : null;
+    return [{ ...requestListRow(r as any), onBehalfOf: authority.onBehalfOf, onBehalfOfName }];
+  });
+  return res.json({ ok:true, data: mine });
+});
+
+// ---- Approval Line APIs ----
+app.get('/api/approval-lines', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`SELECT * FROM approval_lines
+    ORDER BY requestType <> 'leave', requestType, (dept IS NULL) DESC, dept, (leaveType IS NULL) DESC, leaveType`).all() as any[];
+  const typeDefaults = Object.fromEntries(REQUEST_TYPE_KEYS.map(k => [k, defaultApprovalSteps(k)]));
+  return res.json({ ok:true, data: rows.map(r => ({ ...r, steps: JSON.parse(r.steps) })), defaults: DEFAULT_APPROVAL_STEPS, typeDefaults });
+});
+
+// 신청 종류+부서+휴가 종류 조합당 하나 — 있으면 교체
+app.put('/api/approval-lines', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = approvalLineSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
   }
+  const { requestType, dept, leaveType, steps } = p.data;
+  const found = db.prepare('SELECT * FROM approval_lines WHERE requestType=? AND dept IS ? AND leaveType IS ?').get(requestType, dept, leaveType) as any;
+  const id = found?.id ?? cryptoRandomId();
+  const row = db.transaction(() => {
+    if (found) {
+      db.prepare('UPDATE approval_lines SET steps=?, updatedBy=?, updatedAt=? WHERE id=?').run(JSON.stringify(steps), req.user!.id, nowTs(), id);
+    } else {
+      db.prepare('INSERT INTO approval_lines (id, requestType, dept, leaveType, steps, updatedBy, updatedAt) VALUES (?,?,?,?,?,?,?)')
+        .run(id, requestType, dept, leaveType, JSON.stringify(steps), req.user!.id, nowTs());
+    }
+    const saved = db.prepare('SELECT * FROM approval_lines WHERE id=?').get(id) as any;
+    audit(req, 'approval-line.save', 'approval_line', id, found ?? null, saved);
+    return saved;
+  })();
+  return res.json({ ok:true, data: { ...row, steps: JSON.parse(row.steps) } });
 });
 
-app.listen(API_PORT, () => {
-  console.log(`Leave Manager API listening on http://localhost:${API_PORT}`);
-  if (DEBUG_AUTH) console.log('[DEBUG_AUTH] enabled');
+app.delete('/api/approval-lines/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const found = db.prepare('SELECT * FROM approval_lines WHERE id=?').get(req.params.id);
+  if (!found) return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM approval_lines WHERE id=?').run(req.params.id);
+    audit(req, 'approval-line.delete', 'approval_line', req.params.id, found, null);
+  })();
+  return res.json({ ok:true });
+});
+
+// ---- Delegation APIs (결재 위임 — 상사 본인 등록, 인사/관리자는 전체 조회·대신 등록) ----
+const delegationSchema = z.object({
+  delegatorId: z.string().min(1).optional(),  // 인사/관리자가 다른 상사의 위임을 등록할 때
+  delegateId: z.string().min(1, '대리 결재자를 고르세요'),
+  startDate: dateStrSchema.refine(isIsoDate, '없는 날짜입니다'),
+  endDate: dateStrSchema.refine(isIsoDate, '없는 날짜입니다'),
+  depts: z.array(DeptSchema).min(1).max(50).nullable().default(null),        // null: 전 부서
+  leaveTypes: z.array(LeaveTypeEnum).min(1).nullable().default(null),        // null: 전 종류
+  worklogs: z.boolean().default(true),
+  reason: z.string().trim().max(200).optional(),
+}).refine(endNotBeforeStart, endDateIssue);
+
+const delegationListQuerySchema = z.object({
+  state: z.enum(['current','all']).default('current'),  // current: 예정 + 진행 중
+});
+
+// state: scheduled(시작 전) / active / expired(종료일 지남) / revoked
+const DELEGATION_SELECT = `SELECT d.*, fu.name AS delegatorName, tu.name AS delegateName, cu.name AS createdByName,
+    CASE WHEN d.revokedAt IS NOT NULL THEN 'revoked' WHEN d.endDate < @today THEN 'expired'
+      WHEN d.startDate > @today THEN 'scheduled' ELSE 'active' END AS state
+  FROM approval_delegations d
+  LEFT JOIN users fu ON fu.id = d.delegatorId
+  LEFT JOIN users tu ON tu.id = d.delegateId
+  LEFT JOIN users cu ON cu.id = d.createdBy`;
+
+const parseDelegation = (r: any) =>
+  ({ ...r, depts: r.depts ? JSON.parse(r.depts) : null, leaveTypes: r.leaveTypes ? JSON.parse(r.leaveTypes) : null, worklogs: !!r.worklogs });
+
+function delegationRow(id: string){
+  const r = db.prepare(`${DELEGATION_SELECT} WHERE d.id = @id`).get({ id, today: todayStr() });
+  return r ? parseDelegation(r) : undefined;
+}
+
+function notifyDelegate(d: any, revoked: boolean){
+  const scope = [d.depts?.join(', '), d.leaveTypes?.join(', '), d.worklogs ? '근무일지 포함' : null].filter(Boolean).join(' · ');
+  notify([d.delegateId], 'delegation.assigned', {
+    title: revoked ? `결재 위임 취소 — ${d.delegatorName}` : `결재 위임 — ${d.delegatorName} 대신 결재`,
+    body: `${d.startDate} ~ ${d.endDate}${scope ? `\n범위: ${scope}` : ''}${!revoked && d.reason ? `\n${d.reason}` : ''}`,
+    link: '/manager', entityType: 'delegation', entityId: d.id,
+  });
+}
+
+// 대리 결재자로 고를 수 있는 계정 (활성 상사)
+app.get('/api/delegations/candidates', authRequired, ensureRole(['manager','hr','admin']), (_req, res) => {
+  const rows = db.prepare(`SELECT u.id, u.name, d.name AS dept FROM users u
+    LEFT JOIN employees e ON e.userId = u.id LEFT JOIN departments d ON d.id = e.deptId
+    WHERE u.role = 'manager' AND u.active = 1 ORDER BY u.name`).all();
+  return res.json({ ok:true, data: rows });
 });
 
-// server.ts (라우트 하단 어딘가, auth 미들웨어 뒤에)
-app.get('/api/templates', authRequired, ensureRole(['hr','admin']), (req, res) => {
-  const files = fs.readdirSync(DOC_DIR)
-    .filter(f => f.toLowerCase().endsWith('.xlsx'));
-  return res.json({ ok:true, data: files }); // 예: ["양식A.xlsx","template-2025.xlsx"]
+// 상사: 내가 맡긴/맡은 위임, 인사/관리자: 전체
+app.get('/api/delegations', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const p = delegationListQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const u = req.user!;
+  const where = [
+    u.role === 'manager' ? '(d.delegatorId = @me OR d.delegateId = @me)' : '1=1',
+    p.data.state === 'current' ? 'd.revokedAt IS NULL AND d.endDate >= @today' : '1=1',
+  ].join(' AND ');
+  const rows = db.prepare(`${DELEGATION_SELECT} WHERE ${where} ORDER BY d.startDate DESC, d.createdAt DESC`)
+    .all({ me: u.id, today: todayStr() }) as any[];
+  return res.json({ ok:true, data: rows.map(parseDelegation) });
 });
 
-// server.ts (템플릿 다운로드 라우트)
-app.get('/api/templates/:name', authRequired, ensureRole(['hr','admin']), (req, res) => {
-  const name = req.params.name;
-  const files = fs.readdirSync(DOC_DIR).filter(f => f.toLowerCase().endsWith('.xlsx'));
-  if (!files.includes(name)) {
-    return res.status(400).json({ ok:false, error:'invalid template name' });
+app.post('/api/delegations', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const p = delegationSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
   }
-  const full = path.join(DOC_DIR, name);
-  // ↓ 캐시 방지
-  res.setHeader('Cache-Control', 'no-store, max-age=0');
-  res.sendFile(full);
+  const u = req.user!;
+  const d = p.data;
+  const delegatorId = d.delegatorId ?? u.id;
+  if (u.role === 'manager' && delegatorId !== u.id) return res.status(403).json({ ok:false, error:'본인 결재만 위임할 수 있습니다' });
+  const managerOk = (id: string) => !!db.prepare(`SELECT 1 FROM users WHERE id=? AND role='manager' AND active=1`).get(id);
+  if (!managerOk(delegatorId)) return res.status(400).json({ ok:false, error:'위임자는 활성 상사 계정이어야 합니다', fieldErrors: { delegatorId: ['상사 계정이 아닙니다'] } });
+  if (!managerOk(d.delegateId)) return res.status(400).json({ ok:false, error:'대리 결재자는 활성 상사 계정이어야 합니다', fieldErrors: { delegateId: ['상사 계정이 아닙니다'] } });
+  if (d.delegateId === delegatorId) return res.status(400).json({ ok:false, error:'본인에게는 위임할 수 없습니다', fieldErrors: { delegateId: ['본인에게는 위임할 수 없습니다'] } });
+  if (d.endDate < todayStr()) return res.status(400).json({ ok:false, error:'이미 지난 기간입니다', fieldErrors: { endDate: ['이미 지난 기간입니다'] } });
+  const overlap = db.prepare(`SELECT 1 FROM approval_delegations WHERE delegatorId=? AND delegateId=? AND revokedAt IS NULL
+    AND startDate <= ? AND endDate >= ?`).get(delegatorId, d.delegateId, d.endDate, d.startDate);
+  if (overlap) return res.status(409).json({ ok:false, error:'같은 사람에게 기간이 겹치는 위임이 있습니다' });
+
+  const id = cryptoRandomId();
+  const row = db.transaction(() => {
+    db.prepare(`INSERT INTO approval_delegations (id, delegatorId, delegateId, startDate, endDate, depts, leaveTypes, worklogs, reason, createdBy, createdAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?)`).run(
+        id, delegatorId, d.delegateId, d.startDate, d.endDate,
+        d.depts ? JSON.stringify(d.depts) : null, d.leaveTypes ? JSON.stringify(d.leaveTypes) : null,
+        d.worklogs ? 1 : 0, d.reason || null, u.id, nowTs()
+      );
+    const saved = delegationRow(id);
+    audit(req, 'delegation.create', 'delegation', id, null, saved);
+    notifyDelegate(saved, false);
+    return saved;
+  })();
+  return res.status(201).json({ ok:true, data: row });
 });
 
-app.get('/api/worklogs', authRequired, ensureRole(['manager','admin']), (req, res) => {
-  try {
-    const rows = db.prepare(`
-      SELECT w.*, u.username as uploaderUsername, u.name as uploaderName
-      FROM worklogs w
-      LEFT JOIN users u ON u.id = w.uploaderId
-      ORDER BY w.createdAt DESC
-    `).all();
-    return res.json({ ok:true, data: rows });
-  } catch (e) {
-    return res.status(500).json({ ok:false, error:'Internal error' });
+// 위임 취소 — 위임자 본인 또는 인사/관리자. 끝난 위임은 그대로 둠
+app.post('/api/delegations/:id/revoke', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const before = delegationRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  if (req.user!.role === 'manager' && before.delegatorId !== req.user!.id) return res.status(403).json({ ok:false, error:'Forbidden' });
+  if (before.state === 'revoked' || before.state === 'expired') return res.status(409).json({ ok:false, error:'이미 끝난 위임입니다' });
+  const row = db.transaction(() => {
+    db.prepare('UPDATE approval_delegations SET revokedBy=?, revokedAt=? WHERE id=?').run(req.user!.id, nowTs(), before.id);
+    const after = delegationRow(before.id);
+    audit(req, 'delegation.revoke', 'delegation', before.id, before, after);
+    notifyDelegate(after, true);
+    return after;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// ---- Leave Balance APIs ----
+const balanceQuerySchema = z.object({ year: z.coerce.number().int().min(2000).max(2100).optional() });
+
+// 내 잔여 연차 (기본: 올해)
+app.get('/api/balances/mine', authRequired, (req: AuthedRequest, res) => {
+  const p = balanceQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const year = p.data.year ?? new Date().getFullYear();
+  return res.json({ ok:true, data: balancesFor(req.user!.id, year) });
+});
+
+// 특정 직원 잔여 연차 (인사)
+app.get('/api/balances/:userId', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = balanceQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const exists = db.prepare('SELECT id FROM users WHERE id=?').get(req.params.userId);
+  if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  const year = p.data.year ?? new Date().getFullYear();
+  return res.json({ ok:true, data: balancesFor(req.params.userId, year) });
+});
+
+// ---- Org APIs (부서/직원) ----
+const departmentSchema = z.object({ name: z.string().trim().min(1).max(30), headEmployeeId: z.string().min(1).nullable().optional() });
+const employeeSchema = z.object({
+  userId: z.string().min(1).nullable().optional(),
+  empId: z.string().trim().min(1),
+  name: z.string().trim().min(1),
+  deptId: z.string().min(1),
+  position: z.string().trim().min(1),
+  hireDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().optional(),
+  managerId: z.string().min(1).nullable().optional(),
+  contact: z.string().regex(phoneRegex, '연락처 형식이 올바르지 않습니다').nullable().optional(),
+  shift: WorkShiftEnum.nullable().optional(),
+  active: z.boolean().optional(),
+});
+
+// 상사 지정이 순환(자기 자신 포함)을 만드는지
+function createsManagerCycle(employeeId: string, managerId: string | null | undefined){
+  let cur = managerId ?? null;
+  for (let guard = 0; cur && guard < 100; guard++) {
+    if (cur === employeeId) return true;
+    cur = (db.prepare('SELECT managerId FROM employees WHERE id=?').get(cur) as { managerId: string | null } | undefined)?.managerId ?? null;
   }
+  return false;
+}
+
+// 로그인 사용자의 직원 정보 (신청서 자동 입력용, 미등록이면 null)
+app.get('/api/me/profile', authRequired, (req: AuthedRequest, res) => {
+  return res.json({ ok:true, data: profileOfUser(req.user!.id) ?? null });
+});
+
+app.get('/api/departments', authRequired, (_req, res) => {
+  const rows = db.prepare(`SELECT d.*, h.name AS headName,
+      (SELECT COUNT(*) FROM employees e WHERE e.deptId = d.id AND e.active = 1) AS headcount
+    FROM departments d LEFT JOIN employees h ON h.id = d.headEmployeeId ORDER BY d.name`).all();
+  return res.json({ ok:true, data: rows });
 });
 
-// POST /api/worklogs
-app.post('/api/worklogs', authRequired, upload.single('file'), (req: AuthedRequest, res) => {
+app.post('/api/departments', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = departmentSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const id = cryptoRandomId();
   try {
-    if (!req.file) return res.status(400).json({ ok:false, error:'파일이 필요합니다' });
-    const { signatureDataUrl } = req.body;
-    if (!/^data:image\/(png|jpeg);base64,/.test(signatureDataUrl || ''))
-      return res.status(400).json({ ok:false, error:'서명 데이터가 필요합니다' });
+    db.transaction(() => {
+      db.prepare('INSERT INTO departments (id, name, headEmployeeId) VALUES (?,?,?)').run(id, p.data.name, p.data.headEmployeeId ?? null);
+      audit(req, 'department.create', 'department', id, null, db.prepare('SELECT * FROM departments WHERE id=?').get(id));
+    })();
+  } catch (e) {
+    if (isUniqueViolation(e)) return res.status(409).json({ ok:false, error:'이미 있는 부서입니다' });
+    throw e;
+  }
+  return res.status(201).json({ ok:true, data: db.prepare('SELECT * FROM departments WHERE id=?').get(id) });
+});
 
-    const id = cryptoRandomId();  // ✅ 진짜 고유 ID 생성
-    const createdAt = new Date().toISOString();
-    const filePath = `worklogs/${req.file.filename}`;
-
-    db.prepare(`
-      INSERT INTO worklogs (id, uploaderId, fileName, filePath, signature, status, createdAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      id,                            // ✅ 고유 id
-      req.user!.id,                  // ✅ 업로더
-      req.file.originalname || req.file.filename,
-      filePath,
-      signatureDataUrl,
-      'Pending',
-      createdAt
-    );
+// 부서장 지정 (부서명은 신청/결재선 기록에 쓰이므로 변경하지 않음)
+app.put('/api/departments/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = z.object({ headEmployeeId: z.string().min(1).nullable() }).safeParse(req.body);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  if (p.data.headEmployeeId && !db.prepare('SELECT 1 FROM employees WHERE id=?').get(p.data.headEmployeeId)) {
+    return res.status(400).json({ ok:false, error:'존재하지 않는 직원입니다' });
+  }
+  const before = db.prepare('SELECT * FROM departments WHERE id=?').get(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const row = db.transaction(() => {
+    db.prepare('UPDATE departments SET headEmployeeId=? WHERE id=?').run(p.data.headEmployeeId, req.params.id);
+    const after = db.prepare('SELECT * FROM departments WHERE id=?').get(req.params.id);
+    audit(req, 'department.head', 'department', req.params.id, before, after);
+    return after;
+  })();
+  return res.json({ ok:true, data: row });
+});
 
-    return res.status(201).json({ ok:true, data:{ id, filePath } });
-  } catch (e:any) {
-    console.error('[worklogs] upload error:', e);
-    return res.status(500).json({ ok:false, error:'Internal error' });
+app.delete('/api/departments/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  if (db.prepare('SELECT 1 FROM employees WHERE deptId=?').get(req.params.id)) {
+    return res.status(409).json({ ok:false, error:'소속 직원이 있는 부서는 삭제할 수 없습니다' });
   }
+  const before = db.prepare('SELECT * FROM departments WHERE id=?').get(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM departments WHERE id=?').run(req.params.id);
+    audit(req, 'department.delete', 'department', req.params.id, before, null);
+  })();
+  return res.json({ ok:true });
 });
 
+// 직원 목록: 인사/관리자 전체, 상사는 보고 라인
+app.get('/api/employees', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const u = req.user!;
+  const rows = u.role === 'manager'
+    ? db.prepare(`${EMPLOYEE_SELECT} WHERE e.userId IN (SELECT value FROM json_each(?)) ORDER BY d.name, e.name`).all(JSON.stringify(reportUserIds(u.id)))
+    : db.prepare(`${EMPLOYEE_SELECT} ORDER BY d.name, e.name`).all();
+  return res.json({ ok:true, data: rows });
+});
+
+function validateEmployeeRefs(data: z.infer<typeof employeeSchema>, employeeId?: string): string | null {
+  if (!db.prepare('SELECT 1 FROM departments WHERE id=?').get(data.deptId)) return '존재하지 않는 부서입니다';
+  if (data.userId && !db.prepare('SELECT 1 FROM users WHERE id=?').get(data.userId)) return '존재하지 않는 계정입니다';
+  if (data.managerId && !db.prepare('SELECT 1 FROM employees WHERE id=?').get(data.managerId)) return '존재하지 않는 상사입니다';
+  if (employeeId && createsManagerCycle(employeeId, data.managerId)) return '보고 관계가 순환됩니다';
+  return null;
+}
+
+app.post('/api/employees', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = employeeSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const refErr = validateEmployeeRefs(p.data);
+  if (refErr) return res.status(400).json({ ok:false, error: refErr });
+  const e = p.data;
+  const id = cryptoRandomId();
+  try {
+    db.transaction(() => {
+      db.prepare(`INSERT INTO employees (id, userId, empId, name, deptId, position, hireDate, managerId, contact, shift, active)
+        VALUES (?,?,?,?,?,?,?,?,?,?,?)`).run(
+          id, e.userId ?? null, e.empId, e.name, e.deptId, e.position, e.hireDate ?? null, e.managerId ?? null,
+          e.contact ?? null, e.shift ?? null, e.active === false ? 0 : 1
+        );
+      audit(req, 'employee.create', 'employee', id, null, db.prepare('SELECT * FROM employees WHERE id=?').get(id));
+    })();
+  } catch (err) {
+    if (isUniqueViolation(err)) return res.status(409).json({ ok:false, error:'사번 또는 계정이 이미 등록되어 있습니다' });
+    throw err;
+  }
+  return res.status(201).json({ ok:true, data: db.prepare(`${EMPLOYEE_SELECT} WHERE e.id=?`).get(id) });
+});
 
-// 상태 변경(상사/관리자)
-app.put('/api/worklogs/:id/status', authRequired, ensureRole(['manager','admin']), (req, res) => {
+app.put('/api/employees/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = employeeSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
   const { id } = req.params;
-  const { status } = req.body || {};
-  if (!['Approved','Rejected','Pending'].includes(status)) {
-    return res.status(400).json({ ok:false, error:'Validation error' });
+  const before = db.prepare('SELECT * FROM employees WHERE id=?').get(id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const refErr = validateEmployeeRefs(p.data, id);
+  if (refErr) return res.status(400).json({ ok:false, error: refErr });
+  const e = p.data;
+  try {
+    db.transaction(() => {
+      db.prepare(`UPDATE employees SET userId=?, empId=?, name=?, deptId=?, position=?, hireDate=?, managerId=?, contact=?, shift=?, active=?
+        WHERE id=?`).run(
+          e.userId ?? null, e.empId, e.name, e.deptId, e.position, e.hireDate ?? null, e.managerId ?? null,
+          e.contact ?? null, e.shift ?? null, e.active === false ? 0 : 1, id
+        );
+      audit(req, 'employee.update', 'employee', id, before, db.prepare('SELECT * FROM employees WHERE id=?').get(id));
+    })();
+  } catch (err) {
+    if (isUniqueViolation(err)) return res.status(409).json({ ok:false, error:'사번 또는 계정이 이미 등록되어 있습니다' });
+    throw err;
   }
-  const exists = db.prepare('SELECT id FROM worklogs WHERE id=?').get(id);
-  if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  return res.json({ ok:true, data: db.prepare(`${EMPLOYEE_SELECT} WHERE e.id=?`).get(id) });
+});
+
+// ---- User Account APIs (계정 관리 — 목록은 직원 정보 연결용으로 인사도 조회) ----
+const USER_SELECT = `SELECT u.id, u.username, u.name, u.role, u.active, u.mustChangePassword, u.passwordChangedAt, u.createdAt,
+    u.failedLogins, u.lockedUntil, e.id AS employeeId
+  FROM users u LEFT JOIN employees e ON e.userId = u.id`;
+const createUserSchema = z.object({
+  username: z.string().trim().min(3).max(30).regex(/^[A-Za-z0-9._-]+$/, '영문/숫자/._- 만 쓸 수 있습니다'),
+  name: z.string().trim().min(1).max(30),
+  role: RoleEnum,
+  password: z.string().min(1).optional(),   // 없으면 임시 비밀번호 발급
+});
+const updateUserSchema = z.object({
+  name: z.string().trim().min(1).max(30).optional(),
+  role: RoleEnum.optional(),
+});
+
+function userRow(id: string){
+  return db.prepare(`${USER_SELECT} WHERE u.id=?`).get(id) as any;
+}
+
+// 마지막 남은 (사용 중인) 관리자는 역할 변경/사용 중지 불가
+function isLastActiveAdmin(userId: string){
+  const u = db.prepare('SELECT role, active FROM users WHERE id=?').get(userId) as any;
+  if (u?.role !== 'admin' || !u.active) return false;
+  return (db.prepare(`SELECT COUNT(*) AS n FROM users WHERE role='admin' AND active=1`).get() as { n: number }).n <= 1;
+}
+
+app.get('/api/users', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`${USER_SELECT} ORDER BY u.username`).all();
+  return res.json({ ok:true, data: rows });
+});
+
+// 계정 생성 — 첫 로그인 때 비밀번호 변경. 임시 비밀번호는 이 응답에서만 확인 가능
+app.post('/api/users', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const p = createUserSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { username, name, role } = p.data;
+  const password = p.data.password ?? temporaryPassword();
+  const policy = passwordPolicyError(password, username);
+  if (policy) return res.status(400).json({ ok:false, error: policy, fieldErrors: { password: [policy] } });
+  const id = cryptoRandomId();
+  try {
+    db.transaction(() => {
+      db.prepare(`INSERT INTO users (id, username, name, role, passwordHash, active, mustChangePassword, createdAt)
+        VALUES (?,?,?,?,?,1,1,?)`).run(id, username, name, role, bcrypt.hashSync(password, 10), nowTs());
+      audit(req, 'user.create', 'user', id, null, userRow(id));
+    })();
+  } catch (e) {
+    if (isUniqueViolation(e)) return res.status(409).json({ ok:false, error:'이미 있는 아이디입니다' });
+    throw e;
+  }
+  return res.status(201).json({ ok:true, data: userRow(id), temporaryPassword: p.data.password ? undefined : password });
+});
+
+// 이름/역할 변경
+app.put('/api/users/:id', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const p = updateUserSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const before = userRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  if (p.data.role && p.data.role !== 'admin' && isLastActiveAdmin(before.id)) {
+    return res.status(409).json({ ok:false, error:'마지막 관리자의 역할은 바꿀 수 없습니다' });
+  }
+  const row = db.transaction(() => {
+    db.prepare('UPDATE users SET name=COALESCE(?, name), role=COALESCE(?, role) WHERE id=?')
+      .run(p.data.name ?? null, p.data.role ?? null, before.id);
+    const after = userRow(before.id);
+    audit(req, p.data.role && p.data.role !== before.role ? 'user.role' : 'user.update', 'user', before.id, before, after);
+    return after;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// 사용 중지/재개 — 중지하면 세션도 모두 끊음
+app.post('/api/users/:id/:action(deactivate|activate)', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const before = userRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const active = req.params.action === 'activate';
+  if (!active && before.id === req.user!.id) return res.status(409).json({ ok:false, error:'본인 계정은 중지할 수 없습니다' });
+  if (!active && isLastActiveAdmin(before.id)) return res.status(409).json({ ok:false, error:'마지막 관리자는 중지할 수 없습니다' });
+  const row = db.transaction(() => {
+    db.prepare('UPDATE users SET active=? WHERE id=?').run(active ? 1 : 0, before.id);
+    if (!active) revokeUserSessions(before.id, 'deactivated');
+    const after = userRow(before.id);
+    audit(req, `user.${req.params.action}`, 'user', before.id, before, after);
+    return after;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// 비밀번호 초기화 — 임시 비밀번호 발급, 다음 로그인 때 변경 (세션 종료, 잠금 해제)
+app.post('/api/users/:id/reset-password', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const before = userRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const password = temporaryPassword();
+  db.transaction(() => {
+    db.prepare('UPDATE users SET passwordHash=?, mustChangePassword=1, passwordChangedAt=?, failedLogins=0, lockedUntil=NULL WHERE id=?')
+      .run(bcrypt.hashSync(password, 10), nowTs(), before.id);
+    revokeUserSessions(before.id, 'password');
+    audit(req, 'user.password-reset', 'user', before.id, before, userRow(before.id));
+  })();
+  return res.json({ ok:true, data: userRow(before.id), temporaryPassword: password });
+});
 
-  db.prepare('UPDATE worklogs SET status=? WHERE id=?').run(status, id);
-  const row = db.prepare('SELECT * FROM worklogs WHERE id=?').get(id);
+// 로그인 잠금 해제
+app.post('/api/users/:id/unlock', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const before = userRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const row = db.transaction(() => {
+    db.prepare('UPDATE users SET failedLogins=0, lockedUntil=NULL WHERE id=?').run(before.id);
+    const after = userRow(before.id);
+    audit(req, 'user.unlock', 'user', before.id, before, after);
+    return after;
+  })();
   return res.json({ ok:true, data: row });
 });
+
+// 이 계정의 모든 세션 강제 종료
+app.post('/api/users/:id/sign-out', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const before = userRow(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  const revoked = db.transaction(() => {
+    const n = revokeUserSessions(before.id, 'admin');
+    audit(req, 'session.revoke-all', 'user', before.id, null, { revoked: n });
+    return n;
+  })();
+  return res.json({ ok:true, data: { revoked } });
+});
+
+// ---- Session APIs (활성 세션 조회/강제 종료) ----
+app.get('/api/sessions', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const rows = db.prepare(`SELECT s.id, s.userId, u.username, u.name, s.createdAt, s.lastUsedAt, s.expiresAt, s.ip, s.userAgent
+    FROM sessions s JOIN users u ON u.id = s.userId
+    WHERE s.revokedAt IS NULL AND s.expiresAt > ?
+    ORDER BY s.lastUsedAt DESC`).all(nowTs()) as any[];
+  return res.json({ ok:true, data: rows.map(r => ({ ...r, current: r.id === req.sessionId })) });
+});
+
+app.delete('/api/sessions/:id', authRequired, ensureRole(['admin']), (req: AuthedRequest, res) => {
+  const s = db.prepare('SELECT * FROM sessions WHERE id=?').get(req.params.id) as any;
+  if (!s || s.revokedAt) return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    revokeSession(s.id, 'admin');
+    audit(req, 'session.revoke', 'session', s.id, { userId: s.userId, ip: s.ip, createdAt: s.createdAt }, { revokedReason: 'admin' });
+  })();
+  return res.json({ ok:true });
+});
+
+// ---- Holiday / Workday APIs ----
+const HolidayKindEnum = z.enum(['public','closure']);
+const holidaySchema = z.object({ date: dateStrSchema, name: z.string().min(1).max(50), kind: HolidayKindEnum });
+const holidayImport = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+function isUniqueViolation(e: any){
+  return e?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+// 근무일 계산 미리보기 (신청서 작성 화면)
+app.get('/api/workdays', authRequired, (req, res) => {
+  const p = z.object({ start: dateStrSchema, end: dateStrSchema, leaveType: LeaveTypeEnum.optional() }).safeParse(req.query);
+  if (!p.success || p.data.end < p.data.start) return res.status(400).json({ ok:false, error:'Validation error' });
+  const { start, end, leaveType } = p.data;
+  const excluded = holidaysBetween(start, end).filter(h => !isWeekend(h.date));
+  const workdays = businessDays(start, end);
+  const days = leaveType ? leaveDaysOf({ leaveType, startDate: start, endDate: end }) : workdays;
+  return res.json({ ok:true, data: { start, end, workdays, days, calendarDays: eachDate(start, end).length, excluded } });
+});
+
+// 연도별 휴일 목록 (계산된 공휴일은 builtin=true, id 없음)
+app.get('/api/holidays', authRequired, (req, res) => {
+  const p = balanceQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  return res.json({ ok:true, data: holidaysForYear(p.data.year ?? new Date().getFullYear()) });
+});
+
+app.post('/api/holidays', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = holidaySchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const id = cryptoRandomId();
+  try {
+    db.transaction(() => {
+      db.prepare('INSERT INTO holidays (id, date, name, kind, createdBy, createdAt) VALUES (?,?,?,?,?,?)')
+        .run(id, p.data.date, p.data.name, p.data.kind, req.user!.id, nowTs());
+      audit(req, 'holiday.create', 'holiday', id, null, db.prepare('SELECT * FROM holidays WHERE id=?').get(id));
+    })();
+  } catch (e) {
+    if (isUniqueViolation(e)) return res.status(409).json({ ok:false, error:'이미 등록된 날짜입니다' });
+    throw e;
+  }
+  refreshPendingDays();
+  return res.status(201).json({ ok:true, data: db.prepare('SELECT * FROM holidays WHERE id=?').get(id) });
+});
+
+app.put('/api/holidays/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = holidaySchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const before = db.prepare('SELECT * FROM holidays WHERE id=?').get(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE holidays SET date=?, name=?, kind=? WHERE id=?').run(p.data.date, p.data.name, p.data.kind, req.params.id);
+      audit(req, 'holiday.update', 'holiday', req.params.id, before, db.prepare('SELECT * FROM holidays WHERE id=?').get(req.params.id));
+    })();
+  } catch (e) {
+    if (isUniqueViolation(e)) return res.status(409).json({ ok:false, error:'이미 등록된 날짜입니다' });
+    throw e;
+  }
+  refreshPendingDays();
+  return res.json({ ok:true, data: db.prepare('SELECT * FROM holidays WHERE id=?').get(req.params.id) });
+});
+
+app.delete('/api/holidays/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const before = db.prepare('SELECT * FROM holidays WHERE id=?').get(req.params.id);
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM holidays WHERE id=?').run(req.params.id);
+    audit(req, 'holiday.delete', 'holiday', req.params.id, before, null);
+  })();
+  refreshPendingDays();
+  return res.json({ ok:true });
+});
+
+// 달력 파일 가져오기: .ics(공공 달력 등) 또는 .csv(날짜,이름[,구분])
+// 같은 날짜·구분이 있으면 이름만 갱신
+app.post('/api/holidays/import', authRequired, ensureRole(['hr','admin']), holidayImport.single('file'), (req: AuthedRequest, res) => {
+  if (!req.file) return res.status(400).json({ ok:false, error:'파일이 필요합니다' });
+  const kindParsed = HolidayKindEnum.safeParse(req.query.kind ?? 'public');
+  if (!kindParsed.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const kind: HolidayKind = kindParsed.data;
+
+  const text = req.file.buffer.toString('utf8');
+  const isIcs = /\.ics$/i.test(req.file.originalname) || text.includes('BEGIN:VCALENDAR');
+  const errors: Array<{ line: number; error: string }> = [];
+  let entries: HolidayEntry[];
+  if (isIcs) {
+    entries = parseIcs(text, kind);
+  } else {
+    const rows = parseHolidayCsv(text, kind);
+    rows.forEach(r => { if (r.error) errors.push({ line: r.line, error: r.error }); });
+    entries = rows.flatMap(r => r.entry ? [r.entry] : []);
+  }
+  if (!entries.length) return res.status(400).json({ ok:false, error:'가져올 휴일이 없습니다', errors });
+
+  const upsert = db.prepare(`INSERT INTO holidays (id, date, name, kind, createdBy, createdAt) VALUES (?,?,?,?,?,?)
+    ON CONFLICT(date, kind) DO UPDATE SET name=excluded.name`);
+  const ts = nowTs();
+  db.transaction(() => {
+    entries.forEach(h => upsert.run(cryptoRandomId(), h.date, h.name, h.kind, req.user!.id, ts));
+    audit(req, 'holiday.import', 'holiday', null, null, { file: req.file!.originalname, kind, entries });
+  })();
+  refreshPendingDays();
+  return res.json({ ok:true, data: { imported: entries.length, format: isIcs ? 'ics' : 'csv', errors } });
+});
+
+// ---- Notification APIs (알림함 / 실시간 스트림 / 받기 설정) ----
+const NOTIFICATION_SELECT = `SELECT id, userId, type, title, body, link, entityType, entityId, createdAt, readAt FROM notifications`;
+const notificationQuerySchema = z.object({
+  unread: z.enum(['0','1']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(30),
+});
+const notificationPrefsSchema = z.object({
+  email: z.string().trim().email('메일 주소 형식이 올바르지 않습니다').max(200).nullable().optional(),
+  prefs: z.array(z.object({ type: z.enum(NOTIFICATION_TYPE_KEYS), inApp: z.boolean(), email: z.boolean() })).default([]),
+});
+
+app.get('/api/notifications', authRequired, (req: AuthedRequest, res) => {
+  const p = notificationQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const userId = req.user!.id;
+  const rows = db.prepare(`${NOTIFICATION_SELECT} WHERE userId=? AND inApp=1 ${p.data.unread === '1' ? 'AND readAt IS NULL' : ''}
+    ORDER BY createdAt DESC, rowid DESC LIMIT ?`).all(userId, p.data.limit);
+  return res.json({ ok:true, data: rows, unread: unreadCount(userId) });
+});
+
+// 읽음 표시는 개인 알림함 상태라 감사 기록을 남기지 않음
+app.post('/api/notifications/:id/read', authRequired, (req: AuthedRequest, res) => {
+  const userId = req.user!.id;
+  const r = db.prepare('UPDATE notifications SET readAt=? WHERE id=? AND userId=? AND readAt IS NULL').run(nowTs(), req.params.id, userId);
+  if (!r.changes && !db.prepare('SELECT 1 FROM notifications WHERE id=? AND userId=?').get(req.params.id, userId)) {
+    return res.status(404).json({ ok:false, error:'Not found' });
+  }
+  const unread = unreadCount(userId);
+  pushToUser(userId, 'unread', { unread });
+  return res.json({ ok:true, unread });
+});
+
+app.post('/api/notifications/read-all', authRequired, (req: AuthedRequest, res) => {
+  const userId = req.user!.id;
+  db.prepare('UPDATE notifications SET readAt=? WHERE userId=? AND readAt IS NULL').run(nowTs(), userId);
+  pushToUser(userId, 'unread', { unread: 0 });
+  return res.json({ ok:true, unread: 0 });
+});
+
+app.get('/api/notifications/prefs', authRequired, (req: AuthedRequest, res) => {
+  const userId = req.user!.id;
+  const u = db.prepare('SELECT email FROM users WHERE id=?').get(userId) as { email: string | null };
+  const prefs = NOTIFICATION_TYPE_KEYS.map(type => ({ type, label: NOTIFICATION_TYPES[type], ...notificationPref(userId, type) }));
+  return res.json({ ok:true, data: { email: u.email, mailEnabled: mailer.name !== 'off', prefs } });
+});
+
+app.put('/api/notifications/prefs', authRequired, (req: AuthedRequest, res) => {
+  const p = notificationPrefsSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const userId = req.user!.id;
+  const snapshot = () => ({
+    email: (db.prepare('SELECT email FROM users WHERE id=?').get(userId) as { email: string | null }).email,
+    prefs: db.prepare('SELECT type, inApp, email FROM notification_prefs WHERE userId=? ORDER BY type').all(userId),
+  });
+  db.transaction(() => {
+    const before = snapshot();
+    if (p.data.email !== undefined) db.prepare('UPDATE users SET email=? WHERE id=?').run(p.data.email || null, userId);
+    const upsert = db.prepare(`INSERT INTO notification_prefs (userId, type, inApp, email) VALUES (?,?,?,?)
+      ON CONFLICT(userId, type) DO UPDATE SET inApp=excluded.inApp, email=excluded.email`);
+    p.data.prefs.forEach(x => upsert.run(userId, x.type, x.inApp ? 1 : 0, x.email ? 1 : 0));
+    audit(req, 'notification.prefs', 'user', userId, before, snapshot());
+  })();
+  return res.json({ ok:true });
+});
+
+// EventSource는 헤더를 못 붙이므로 1회용 입장권을 먼저 받아 쿼리로 연결 (토큰이 URL/로그에 남지 않게)
+const STREAM_TICKET_TTL_MS = 30_000;
+const streamTickets = new Map<string, { userId: string; sessionId?: string; expiresAt: number }>();
+
+app.post('/api/notifications/stream-ticket', authRequired, (req: AuthedRequest, res) => {
+  const now = Date.now();
+  for (const [k, t] of streamTickets) if (t.expiresAt < now) streamTickets.delete(k);
+  const ticket = randomBytes(24).toString('base64url');
+  streamTickets.set(ticket, { userId: req.user!.id, sessionId: req.sessionId, expiresAt: now + STREAM_TICKET_TTL_MS });
+  return res.json({ ok:true, ticket });
+});
+
+// 실시간 알림 (server-sent events): notification / unread 이벤트
+app.get('/api/notifications/stream', (req, res) => {
+  const ticket = typeof req.query.ticket === 'string' ? streamTickets.get(req.query.ticket) : undefined;
+  if (ticket) streamTickets.delete(String(req.query.ticket));
+  if (!ticket || ticket.expiresAt < Date.now()) return res.status(401).json({ ok:false, error:'Invalid ticket' });
+  const { userId, sessionId } = ticket;
+  const alive = () => {
+    const u = db.prepare('SELECT active FROM users WHERE id=?').get(userId) as { active: number } | undefined;
+    const s = sessionId ? db.prepare('SELECT revokedAt FROM sessions WHERE id=?').get(sessionId) as { revokedAt: string | null } | undefined : undefined;
+    return !!u?.active && !!s && !s.revokedAt;
+  };
+  if (!alive()) return res.status(401).json({ ok:false, error:'Session revoked' });
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write(`retry: 5000\nevent: unread\ndata: ${JSON.stringify({ unread: unreadCount(userId) })}\n\n`);
+  const set = notificationStreams.get(userId) ?? new Set<express.Response>();
+  set.add(res);
+  notificationStreams.set(userId, set);
+
+  // 주기적으로 연결 유지 + 로그아웃/강제 종료된 세션은 끊음
+  const ping = setInterval(() => alive() ? res.write(': ping\n\n') : res.end(), 25_000);
+  req.on('close', () => {
+    clearInterval(ping);
+    set.delete(res);
+    if (!set.size) notificationStreams.delete(userId);
+  });
+});
+
+// ---- Calendar APIs (팀 휴가 달력 / 최소 근무 인원) ----
+const CALENDAR_MAX_DAYS = 93;
+const calendarQuerySchema = z.object({
+  dept: z.string().trim().min(1).optional(),   // 부서 이름 (신청서의 dept)
+  from: z.string().refine(isIsoDate, '날짜 형식이 올바르지 않습니다'),
+  to: z.string().refine(isIsoDate, '날짜 형식이 올바르지 않습니다'),
+}).refine(q => q.from <= q.to, { message: '기간이 올바르지 않습니다', path: ['to'] })
+  .refine(q => eachDate(q.from, q.to).length <= CALENDAR_MAX_DAYS, { message: `최대 ${CALENDAR_MAX_DAYS}일까지 조회할 수 있습니다`, path: ['to'] });
+
+const staffingRuleSchema = z.object({
+  deptId: z.string().min(1),
+  shift: z.enum(['전체','주간','야간']).default('전체'),
+  minStaff: z.coerce.number().int().min(1).max(999),
+});
+
+// 승인 + 결재 대기 신청 (부서는 조직 정보 우선, 미등록 신청자는 신청서의 부서 이름으로 찾음)
+const ABSENCE_SELECT = `SELECT r.requestId, r.requesterId, r.name, r.dept, r.requestType, r.leaveType, r.startDate, r.endDate, r.status,
+    r.days, r.handoverPerson, r.prevRequestId, e.shift,
+    COALESCE(e.deptId, (SELECT d.id FROM departments d WHERE d.name = r.dept)) AS deptId
+  FROM requests r LEFT JOIN employees e ON e.userId = r.requesterId`;
+
+// 자리를 비우는 신청만 (휴가 + 출장 등 등록부에서 absence인 종류)
+function absencesBetween(from: string, to: string): Absence[] {
+  return db.prepare(`${ABSENCE_SELECT}
+    WHERE r.status IN ('Approved','Pending') AND r.startDate <= ? AND r.endDate >= ?
+      AND r.requestType IN (SELECT value FROM json_each(?))
+    ORDER BY r.startDate, r.name`).all(to, from, JSON.stringify(ABSENCE_REQUEST_TYPES)) as Absence[];
+}
+
+function staffingRules(): StaffingRule[] {
+  return db.prepare(`SELECT s.id, s.deptId, d.name AS dept, s.shift, s.minStaff,
+      (SELECT COUNT(*) FROM employees e WHERE e.deptId = s.deptId AND e.active = 1
+        AND (s.shift = '전체' OR COALESCE(e.shift, '주간') = s.shift)) AS headcount
+    FROM staffing_rules s JOIN departments d ON d.id = s.deptId
+    ORDER BY d.name, s.shift`).all() as StaffingRule[];
+}
+
+function workdaysBetween(from: string, to: string){
+  const off = new Set(holidaysBetween(from, to).map(h => h.date));
+  return eachDate(from, to).filter(d => !isWeekend(d) && !off.has(d));
+}
+
+// 달력: 상사는 보고 라인 신청만 이름을 보여주고, 인원 부족 계산은 부서 전체 기준
+app.get('/api/calendar', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const p = calendarQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { dept, from, to } = p.data;
+  const u = req.user!;
+  const all = absencesBetween(from, to);
+  const visible = u.role === 'manager' ? new Set([u.id, ...reportUserIds(u.id)]) : null;
+  const absences = all
+    .filter(a => !dept || a.dept === dept)
+    .filter(a => !visible || (a.requesterId != null && visible.has(a.requesterId)));
+  const rules = staffingRules().filter(r => !dept || r.dept === dept);
+  return res.json({ ok:true, data: {
+    from, to, absences, rules,
+    holidays: holidaysBetween(from, to).map(({ date, name, kind }) => ({ date, name, kind })),
+    staffing: staffingShortfalls(workdaysBetween(from, to), rules, all),
+  } });
+});
+
+// 승인 전 확인: 같은 부서 동료 휴가, 최소 인원 미달, 업무인수자 부재
+app.get('/api/requests/:id/conflicts', authRequired, ensureRole(['manager','hr','admin']), (req: AuthedRequest, res) => {
+  const self = db.prepare(`${ABSENCE_SELECT} WHERE r.requestId=?`).get(req.params.id) as
+    (Absence & { requestType: RequestTypeKey; handoverPerson: string | null; prevRequestId: string | null }) | undefined;
+  if (!self) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewRequest(req.user!, self.requesterId)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  // 자리를 비우지 않는 신청(연장근무·특근·근무 교대)은 겹침/인원 확인 대상이 아님
+  if (!ABSENCE_REQUEST_TYPES.includes(self.requestType)) {
+    return res.json({ ok:true, data: { overlaps: [], staffing: [], handover: [], warnings: [] } });
+  }
+
+  // 정정 신청이면 원 신청은 대체될 것이므로 제외
+  const others = absencesBetween(self.startDate, self.endDate)
+    .filter(a => a.requestId !== self.requestId && a.requestId !== self.prevRequestId);
+  const overlaps = others.filter(a => a.requesterId !== self.requesterId &&
+    (self.deptId ? a.deptId === self.deptId : a.dept === self.dept));
+  const handover = others.filter(a => handoverMatches(self.handoverPerson, a.name));
+  const rules = staffingRules().filter(r => ruleCovers(r, self));
+  const staffing = staffingShortfalls(workdaysBetween(self.startDate, self.endDate), rules, [...others, self]);
+
+  const period = (a: Absence) => a.startDate === a.endDate ? a.startDate : `${a.startDate}~${a.endDate}`;
+  const warnings: string[] = [];
+  if (overlaps.length) {
+    warnings.push(`같은 부서 ${overlaps.length}건의 휴가와 겹칩니다: ${overlaps.map(a => `${a.name}(${period(a)}${a.status === 'Pending' ? ', 대기' : ''})`).join(', ')}`);
+  }
+  for (const r of rules) {
+    const days = staffing.filter(s => s.ruleId === r.id);
+    if (!days.length) continue;
+    const worst = Math.min(...days.map(s => s.available));
+    warnings.push(`${r.dept} ${r.shift === '전체' ? '' : `${r.shift} `}최소 인원 ${r.minStaff}명 미달 (${days.map(s => s.date.slice(5)).join(', ')} / 최저 ${worst}명)`);
+  }
+  if (handover.length) {
+    warnings.push(`업무인수자 ${self.handoverPerson}도 휴가입니다: ${handover.map(period).join(', ')}`);
+  }
+  return res.json({ ok:true, data: { overlaps, staffing, handover, warnings } });
+});
+
+app.get('/api/staffing-rules', authRequired, ensureRole(['manager','hr','admin']), (_req, res) => {
+  return res.json({ ok:true, data: staffingRules() });
+});
+
+app.put('/api/staffing-rules', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = staffingRuleSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { deptId, shift, minStaff } = p.data;
+  if (!db.prepare('SELECT 1 FROM departments WHERE id=?').get(deptId)) return res.status(400).json({ ok:false, error:'존재하지 않는 부서입니다' });
+  const found = db.prepare('SELECT * FROM staffing_rules WHERE deptId=? AND shift=?').get(deptId, shift) as any;
+  const id = found?.id ?? cryptoRandomId();
+  const row = db.transaction(() => {
+    if (found) {
+      db.prepare('UPDATE staffing_rules SET minStaff=?, updatedBy=?, updatedAt=? WHERE id=?').run(minStaff, req.user!.id, nowTs(), id);
+    } else {
+      db.prepare('INSERT INTO staffing_rules (id, deptId, shift, minStaff, updatedBy, updatedAt) VALUES (?,?,?,?,?,?)')
+        .run(id, deptId, shift, minStaff, req.user!.id, nowTs());
+    }
+    const saved = db.prepare('SELECT * FROM staffing_rules WHERE id=?').get(id);
+    audit(req, 'staffing-rule.save', 'staffing_rule', id, found ?? null, saved);
+    return staffingRules().find(r => r.id === id);
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+app.delete('/api/staffing-rules/:id', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const found = db.prepare('SELECT * FROM staffing_rules WHERE id=?').get(req.params.id);
+  if (!found) return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    db.prepare('DELETE FROM staffing_rules WHERE id=?').run(req.params.id);
+    audit(req, 'staffing-rule.delete', 'staffing_rule', req.params.id, found, null);
+  })();
+  return res.json({ ok:true });
+});
+
+// ---- Attendance APIs (출퇴근 기록 / 공용 단말 키오스크 / 근태 대조) ----
+type AttendanceVia = 'self' | 'kiosk';
+
+const kioskClockSchema = z.object({
+  empId: z.string().trim().min(1, '사번을 입력하세요'),
+  signatureDataUrl: signatureImageSchema,
+});
+const attendanceMineQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(62).default(14),
+});
+const attendanceExceptionQuerySchema = z.object({
+  from: z.string().refine(isIsoDate, '날짜 형식이 올바르지 않습니다'),
+  to: z.string().refine(isIsoDate, '날짜 형식이 올바르지 않습니다'),
+  dept: z.string().min(1).optional(),
+  kind: z.enum(ATTENDANCE_EXCEPTION_KINDS).optional(),
+  status: z.enum(['open','resolved','all']).default('open'),
+}).refine(q => q.from <= q.to, { message: '기간이 올바르지 않습니다', path: ['to'] })
+  .refine(q => eachDate(q.from, q.to).length <= CALENDAR_MAX_DAYS, { message: `최대 ${CALENDAR_MAX_DAYS}일까지 조회할 수 있습니다`, path: ['to'] });
+const resolveExceptionSchema = z.object({
+  resolution: z.string().trim().min(1, '처리 내용을 입력하세요').max(500),
+});
+const reconcileSchema = z.object({
+  date: z.string().refine(isIsoDate, '날짜 형식이 올바르지 않습니다'),
+});
+
+// 그날 근무조: 승인된 근무 교대가 있으면 바뀐 근무조 (신청자는 toShift, 교대 동료는 fromShift)
+function shiftOn(userId: string, date: string, fallback: WorkShift | null): WorkShift {
+  const swap = db.prepare(`SELECT requesterId, details FROM requests
+    WHERE requestType='shiftSwap' AND status='Approved' AND startDate=?
+      AND (requesterId=? OR json_extract(details, '$.counterpartId')=?)
+    ORDER BY dateRequested DESC LIMIT 1`).get(date, userId, userId) as { requesterId: string; details: string | null } | undefined;
+  const d = swap ? parseDetails(swap.details) : null;
+  const s = d ? (swap!.requesterId === userId ? d.toShift : d.fromShift) : null;
+  return s === '주간' || s === '야간' ? s : fallback ?? '주간';
+}
+
+const ATTENDANCE_SELECT = `SELECT a.*, e.empId, e.name, d.name AS dept FROM attendance a
+  LEFT JOIN employees e ON e.userId = a.userId
+  LEFT JOIN departments d ON d.id = e.deptId`;
+
+function attendanceRow(id: string){
+  return db.prepare(`${ATTENDANCE_SELECT} WHERE a.id=?`).get(id) as any;
+}
+
+// 퇴근 대상: 아직 퇴근하지 않은 가장 최근 출근 (야간 근무 포함 20시간 안)
+function openAttendance(userId: string){
+  return db.prepare(`SELECT * FROM attendance WHERE userId=? AND clockOut IS NULL AND clockIn >= ?
+    ORDER BY clockIn DESC LIMIT 1`).get(userId, nowTs(-20 * 3600_000)) as any;
+}
+
+// 기록한 주체: 본인 계정 또는 키오스크 단말 id
+function recordedBy(req: AuthedRequest){
+  return req.kiosk ? req.kiosk.id : req.user!.id;
+}
+
+function clockIn(req: AuthedRequest, res: express.Response, userId: string, via: AttendanceVia, image?: SignatureImage){
+  const profile = profileOfUser(userId);
+  if (!profile || !profile.active) return res.status(400).json({ ok:false, error:'조직에 등록된 직원만 출퇴근을 기록할 수 있습니다' });
+  const ts = nowTs();
+  const { workDate, shift } = attendanceWorkDate(ts, date => shiftOn(userId, date, profile.shift));
+  if (db.prepare('SELECT 1 FROM attendance WHERE userId=? AND workDate=?').get(userId, workDate)) {
+    return res.status(409).json({ ok:false, error:`${profile.name}님은 ${workDate} 출근 기록이 이미 있습니다` });
+  }
+  const id = cryptoRandomId();
+  const row = db.transaction(() => {
+    const signatureId = image
+      ? recordSignature(req, image, { entityType: 'attendance', entityId: id, role: 'attendee', signerId: userId, signedAt: ts })
+      : null;
+    db.prepare(`INSERT INTO attendance (id, userId, workDate, shift, clockIn, clockInVia, clockInBy, clockInSignatureId)
+      VALUES (?,?,?,?,?,?,?,?)`).run(id, userId, workDate, shift, ts, via, recordedBy(req), signatureId);
+    const saved = attendanceRow(id);
+    audit(req, 'attendance.clockIn', 'attendance', id, null, saved);
+    return saved;
+  })();
+  // 이미 대조한 근무일에 늦게 찍은 출근(야간 근무 등)은 그 직원만 다시 대조
+  if (db.prepare('SELECT 1 FROM attendance_runs WHERE workDate=?').get(workDate)) reconcileAttendance(workDate, userId);
+  return res.status(201).json({ ok:true, data: row });
+}
+
+function clockOut(req: AuthedRequest, res: express.Response, userId: string, via: AttendanceVia, image?: SignatureImage){
+  const open = openAttendance(userId);
+  if (!open) return res.status(409).json({ ok:false, error:'퇴근할 출근 기록이 없습니다' });
+  const ts = nowTs();
+  const row = db.transaction(() => {
+    const signatureId = image
+      ? recordSignature(req, image, { entityType: 'attendance', entityId: open.id, role: 'attendee', signerId: userId, signedAt: ts })
+      : null;
+    db.prepare('UPDATE attendance SET clockOut=?, clockOutVia=?, clockOutBy=?, clockOutSignatureId=? WHERE id=?')
+      .run(ts, via, recordedBy(req), signatureId, open.id);
+    const saved = attendanceRow(open.id);
+    audit(req, 'attendance.clockOut', 'attendance', open.id, open, saved);
+    return saved;
+  })();
+  return res.json({ ok:true, data: row });
+}
+
+// 키오스크: 등록된 단말에서 사번으로 직원을 찾고, 직원이 직접 서명
+//  부서를 지정한 단말은 그 부서 직원만
+function kioskTarget(req: AuthedRequest, res: express.Response): { userId: string; image: SignatureImage } | null {
+  const p = kioskClockSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+    return null;
+  }
+  const emp = db.prepare(`SELECT e.userId, e.deptId FROM employees e JOIN users u ON u.id = e.userId
+    WHERE e.empId=? AND e.active = 1 AND u.active = 1`).get(p.data.empId) as { userId: string; deptId: string } | undefined;
+  const kiosk = req.kiosk!;
+  if (!emp || (kiosk.deptId && emp.deptId !== kiosk.deptId)) {
+    res.status(404).json({ ok:false, error:'사번을 확인하세요', fieldErrors: { empId: ['등록된 사번이 아닙니다'] } });
+    return null;
+  }
+  return { userId: emp.userId, image: p.data.signatureDataUrl };
+}
+
+const ATTENDANCE_SYSTEM_ACTOR = { id: null, name: '시스템(자동 대조)' };
+
+// 하루 대조: 미출근/휴가 중 출근/지각을 다시 계산해 열린 예외를 맞춤 (확인 처리한 예외는 그대로)
+//  onlyUserId: 그 직원만 (대조 후 늦게 찍은 출근)
+//  req: 인사가 직접 실행한 대조. 없으면 자동 실행으로 보고 시스템 이름으로 감사 기록
+function reconcileAttendance(workDate: string, onlyUserId?: string, req: AuthedRequest | null = null){
+  const ranBy = req?.user?.id ?? null;
+  const byUser = onlyUserId ? ' AND e.userId = ?' : '';
+  const staff = db.prepare(`SELECT e.userId, e.shift FROM employees e JOIN users u ON u.id = e.userId
+    WHERE e.active = 1 AND u.active = 1 AND COALESCE(e.hireDate, u.hireDate, '') <= ?${byUser}`)
+    .all(workDate, ...(onlyUserId ? [onlyUserId] : [])) as Array<{ userId: string; shift: WorkShift | null }>;
+  // 출근 기록이 있으면 출근 당시 정한 근무조로
+  const records = new Map((db.prepare('SELECT userId, shift, clockIn FROM attendance WHERE workDate=?').all(workDate) as Array<{ userId: string; shift: WorkShift; clockIn: string }>)
+    .map(a => [a.userId, a]));
+  const approved = db.prepare(`SELECT requestId, requesterId, requestType, leaveType FROM requests
+    WHERE status='Approved' AND startDate <= ? AND endDate >= ? AND requesterId IS NOT NULL
+      AND requestType IN (SELECT value FROM json_each(?))`)
+    .all(workDate, workDate, JSON.stringify(ABSENCE_REQUEST_TYPES)) as Array<{ requestId: string; requesterId: string; requestType: RequestTypeKey; leaveType: string }>;
+
+  const inputs: ReconcileInput[] = staff.map(s => {
+    const mine = approved.filter(r => r.requesterId === s.userId);
+    const leave = mine.find(r => r.requestType === 'leave' && r.leaveType !== '반차');
+    const half = mine.find(r => r.requestType === 'leave' && r.leaveType === '반차');
+    const away = mine.find(r => r.requestType !== 'leave');
+    const record = records.get(s.userId);
+    return {
+      userId: s.userId,
+      shift: record?.shift ?? shiftOn(s.userId, workDate, s.shift),
+      clockIn: record?.clockIn ?? null,
+      leave: leave ? { requestId: leave.requestId, leaveType: leave.leaveType } : null,
+      halfDay: half ? { requestId: half.requestId } : null,
+      away: away ? { requestId: away.requestId, label: REQUEST_TYPE_LABELS[away.requestType] } : null,
+    };
+  });
+  const found = reconcileDay(workDate, businessDays(workDate, workDate) > 0, inputs, ATTENDANCE_CONFIG);
+
+  const ts = nowTs();
+  db.transaction(() => {
+    const keep = new Set(found.map(x => `${x.userId}|${x.kind}`));
+    const open = db.prepare(`SELECT id, userId, kind FROM attendance_exceptions WHERE workDate=? AND status='open'${onlyUserId ? ' AND userId=?' : ''}`)
+      .all(workDate, ...(onlyUserId ? [onlyUserId] : [])) as Array<{ id: string; userId: string; kind: string }>;
+    const del = db.prepare('DELETE FROM attendance_exceptions WHERE id=?');
+    open.filter(x => !keep.has(`${x.userId}|${x.kind}`)).forEach(x => del.run(x.id));
+    const upsert = db.prepare(`INSERT INTO attendance_exceptions (id, userId, workDate, kind, minutesLate, requestId, detail, detectedAt)
+      VALUES (?,?,?,?,?,?,?,?)
+      ON CONFLICT (userId, workDate, kind) DO UPDATE SET minutesLate=excluded.minutesLate, requestId=excluded.requestId,
+        detail=excluded.detail WHERE status='open'`);
+    found.forEach(x => upsert.run(cryptoRandomId(), x.userId, workDate, x.kind, x.minutesLate, x.requestId, x.detail, ts));
+    if (!onlyUserId) {
+      db.prepare(`INSERT INTO attendance_runs (workDate, ranAt, ranBy, exceptions) VALUES (?,?,?,?)
+        ON CONFLICT (workDate) DO UPDATE SET ranAt=excluded.ranAt, ranBy=excluded.ranBy, exceptions=excluded.exceptions`)
+        .run(workDate, ts, ranBy, found.length);
+    }
+    audit(req, 'attendance.reconcile', 'attendance_run', workDate, null,
+      { workDate, exceptions: found.length, userId: onlyUserId ?? null }, ranBy ? undefined : ATTENDANCE_SYSTEM_ACTOR);
+  })();
+  return found.length;
+}
+
+// 야간 자동 대조: 정해진 시각이 지나면 전날까지 아직 대조하지 않은 근무일을 차례로
+//  첫 출퇴근 기록일 전은 건너뜀 (기능을 쓰기 전 날짜가 모두 미출근이 되지 않게), 최대 7일 전까지
+function reconcilePendingDays(){
+  if (ATTENDANCE_RECONCILE_HOUR === null) return;
+  const now = new Date();
+  const until = addDays(todayStr(), now.getHours() >= ATTENDANCE_RECONCILE_HOUR ? -1 : -2);
+  const first = (db.prepare('SELECT MIN(workDate) AS d FROM attendance').get() as { d: string | null }).d;
+  if (!first || first > until) return;
+  const last = (db.prepare('SELECT MAX(workDate) AS d FROM attendance_runs').get() as { d: string | null }).d;
+  let from = addDays(until, -6);
+  if (last && addDays(last, 1) > from) from = addDays(last, 1);
+  if (first > from) from = first;
+  for (const date of from <= until ? eachDate(from, until) : []) {
+    try {
+      const n = reconcileAttendance(date);
+      console.log(`[attendance] ${date} reconciled (${n} exceptions)`);
+    } catch (e) {
+      console.error(`[attendance] ${date} reconcile failed`, e);
+    }
+  }
+}
+reconcilePendingDays();
+setInterval(reconcilePendingDays, 15 * 60_000).unref();
+
+app.post('/api/attendance/clock-in', authRequired, (req: AuthedRequest, res) => clockIn(req, res, req.user!.id, 'self'));
+app.post('/api/attendance/clock-out', authRequired, (req: AuthedRequest, res) => clockOut(req, res, req.user!.id, 'self'));
+
+// 단말 확인 (키오스크 화면 시작 시)
+app.get('/api/attendance/kiosk/device', kioskRequired, (req: AuthedRequest, res) => {
+  const { id, name, deptId } = req.kiosk!;
+  const dept = deptId ? db.prepare('SELECT name FROM departments WHERE id=?').get(deptId) as { name: string } | undefined : undefined;
+  return res.json({ ok:true, data: { id, name, dept: dept?.name ?? null } });
+});
+
+app.post('/api/attendance/kiosk/clock-in', kioskRequired, (req: AuthedRequest, res) => {
+  const t = kioskTarget(req, res);
+  return t && clockIn(req, res, t.userId, 'kiosk', t.image);
+});
+app.post('/api/attendance/kiosk/clock-out', kioskRequired, (req: AuthedRequest, res) => {
+  const t = kioskTarget(req, res);
+  return t && clockOut(req, res, t.userId, 'kiosk', t.image);
+});
+
+// 내 출퇴근: 퇴근 전 기록(open)과 최근 기록
+app.get('/api/attendance/mine', authRequired, (req: AuthedRequest, res) => {
+  const p = attendanceMineQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const rows = db.prepare(`${ATTENDANCE_SELECT} WHERE a.userId=? AND a.workDate >= ? ORDER BY a.workDate DESC`)
+    .all(req.user!.id, addDays(todayStr(), 1 - p.data.days));
+  const open = openAttendance(req.user!.id);
+  return res.json({ ok:true, data: rows, openId: open?.id ?? null, config: ATTENDANCE_CONFIG });
+});
+
+app.get('/api/attendance/exceptions', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = attendanceExceptionQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { from, to, dept, kind, status } = p.data;
+  const conds = ['x.workDate BETWEEN ? AND ?'];
+  const params: any[] = [from, to];
+  if (dept) { conds.push('d.name = ?'); params.push(dept); }
+  if (kind) { conds.push('x.kind = ?'); params.push(kind); }
+  if (status !== 'all') { conds.push('x.status = ?'); params.push(status); }
+  const rows = db.prepare(`SELECT x.*, e.empId, e.name, d.name AS dept, a.shift, a.clockIn, a.clockOut, a.clockInVia,
+      r.leaveType AS requestLabel, ru.name AS resolvedByName
+    FROM attendance_exceptions x
+    LEFT JOIN employees e ON e.userId = x.userId
+    LEFT JOIN departments d ON d.id = e.deptId
+    LEFT JOIN attendance a ON a.userId = x.userId AND a.workDate = x.workDate
+    LEFT JOIN requests r ON r.requestId = x.requestId
+    LEFT JOIN users ru ON ru.id = x.resolvedBy
+    WHERE ${conds.join(' AND ')}
+    ORDER BY x.workDate DESC, d.name, e.name, x.kind`).all(...params);
+  const runs = db.prepare(`SELECT r.*, u.name AS ranByName FROM attendance_runs r LEFT JOIN users u ON u.id = r.ranBy
+    WHERE r.workDate BETWEEN ? AND ? ORDER BY r.workDate DESC`).all(from, to);
+  return res.json({ ok:true, data: rows, runs });
+});
+
+app.post('/api/attendance/exceptions/:id/resolve', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = resolveExceptionSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const before = db.prepare('SELECT * FROM attendance_exceptions WHERE id=?').get(req.params.id) as any;
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  if (before.status !== 'open') return res.status(409).json({ ok:false, error:'이미 확인 처리한 예외입니다' });
+  const row = db.transaction(() => {
+    db.prepare(`UPDATE attendance_exceptions SET status='resolved', resolution=?, resolvedBy=?, resolvedAt=? WHERE id=?`)
+      .run(p.data.resolution, req.user!.id, nowTs(), before.id);
+    const saved = db.prepare('SELECT * FROM attendance_exceptions WHERE id=?').get(before.id);
+    audit(req, 'attendance.exception.resolve', 'attendance_exception', before.id, before, saved);
+    return saved;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// 수동 대조: 지난 근무일만 (휴가를 나중에 승인했거나 기록을 고친 뒤 다시 맞출 때)
+app.post('/api/attendance/reconcile', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = reconcileSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { date } = p.data;
+  if (date >= todayStr()) return res.status(400).json({ ok:false, error:'지난 근무일만 대조할 수 있습니다', fieldErrors: { date: ['오늘 이전 날짜를 고르세요'] } });
+  const exceptions = reconcileAttendance(date, undefined, req);
+  return res.json({ ok:true, data: { workDate: date, exceptions } });
+});
+
+// ---- 키오스크 단말 관리 (인사/관리자) ----
+// 단말 토큰은 등록할 때 한 번만 보여 주고 해시만 저장. 잃어버리면 중지하고 새로 등록
+const kioskDeviceSchema = z.object({
+  name: z.string().trim().min(1, '단말 이름을 입력하세요').max(50),
+  deptId: z.string().min(1).nullable().optional(),
+});
+
+const KIOSK_DEVICE_SELECT = `SELECT k.id, k.name, k.deptId, d.name AS dept, k.createdAt, k.lastUsedAt, k.revokedAt,
+    c.name AS createdByName
+  FROM kiosk_devices k LEFT JOIN departments d ON d.id = k.deptId LEFT JOIN users c ON c.id = k.createdBy`;
+
+app.get('/api/kiosk-devices', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`${KIOSK_DEVICE_SELECT} ORDER BY (k.revokedAt IS NOT NULL), k.createdAt DESC`).all();
+  return res.json({ ok:true, data: rows });
+});
+
+app.post('/api/kiosk-devices', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const p = kioskDeviceSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const deptId = p.data.deptId ?? null;
+  if (deptId && !db.prepare('SELECT 1 FROM departments WHERE id=?').get(deptId)) {
+    return res.status(400).json({ ok:false, error:'Validation error', fieldErrors: { deptId: ['없는 부서입니다'] } });
+  }
+  const id = cryptoRandomId();
+  const secret = randomBytes(32).toString('base64url');
+  const row = db.transaction(() => {
+    db.prepare(`INSERT INTO kiosk_devices (id, name, deptId, tokenHash, createdBy, createdAt) VALUES (?,?,?,?,?,?)`)
+      .run(id, p.data.name, deptId, sha256Hex(secret), req.user!.id, nowTs());
+    const saved = db.prepare(`${KIOSK_DEVICE_SELECT} WHERE k.id=?`).get(id);
+    audit(req, 'kiosk-device.create', 'kiosk_device', id, null, saved);
+    return saved;
+  })();
+  return res.status(201).json({ ok:true, data: row, token: `${id}.${secret}` });
+});
+
+app.post('/api/kiosk-devices/:id/revoke', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const before = db.prepare(`${KIOSK_DEVICE_SELECT} WHERE k.id=?`).get(req.params.id) as any;
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  if (before.revokedAt) return res.status(409).json({ ok:false, error:'이미 중지된 단말입니다' });
+  const row = db.transaction(() => {
+    db.prepare('UPDATE kiosk_devices SET revokedAt=?, revokedBy=? WHERE id=?').run(nowTs(), req.user!.id, before.id);
+    const saved = db.prepare(`${KIOSK_DEVICE_SELECT} WHERE k.id=?`).get(before.id);
+    audit(req, 'kiosk-device.revoke', 'kiosk_device', before.id, before, saved);
+    return saved;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// ---- Analytics APIs (인사 통계 대시보드 / 엑셀) ----
+const analyticsQuerySchema = z.object({
+  year: z.coerce.number().int().min(2000).max(2100).optional(),
+  dept: z.string().trim().min(1).optional(),                  // 부서 이름
+  minRemaining: z.coerce.number().min(0).max(30).default(3),  // 연차 소멸 예정: 계획 없는 잔여가 이 일수 이상
+});
+const analyticsExportSchema = analyticsQuerySchema.extend({
+  section: z.enum(['all', ...ANALYTICS_SECTIONS]).default('all'),
+});
+
+function analyticsReport(year: number, dept: string | null, minRemaining: number): AnalyticsReport {
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const today = todayStr();
+  // 연도를 걸친 휴가도 있으므로 앞뒤 해 휴일까지 한 번에 읽어 둠
+  const off = new Set(holidaysBetween(`${year - 1}-01-01`, `${year + 1}-12-31`).map(h => h.date));
+  const workdaysIn = (from: string, to: string) => from > to ? [] : eachDate(from, to).filter(d => !isWeekend(d) && !off.has(d));
+  const byDept = dept ? ' AND r.dept = ?' : '';
+  const deptParams = dept ? [dept] : [];
+
+  // 휴가 사용: 기간이 해당 연도와 겹치는 승인 건 (부서는 신청 당시 부서)
+  const approved = db.prepare(`SELECT r.dept, r.leaveType, r.startDate, r.endDate, r.days FROM requests r
+    WHERE r.status='Approved' AND r.requestType='leave' AND r.startDate <= ? AND r.endDate >= ?${byDept}`)
+    .all(yearEnd, yearStart, ...deptParams) as Array<{ dept: string; leaveType: LeaveType; startDate: string; endDate: string; days: number | null }>;
+  const usage = leaveUsage(approved.map(r => ({
+    dept: r.dept, leaveType: r.leaveType, startDate: r.startDate, days: requestDaysOf(r), dates: workdaysIn(r.startDate, r.endDate),
+  })), year);
+
+  // 결재 결과: 그 해에 신청해 승인(이후 취소 포함)되거나 반려된 휴가 신청
+  const decisions = (db.prepare(`SELECT r.dept, r.dateRequested, r.status,
+      CASE WHEN r.status='Rejected' THEN (SELECT MAX(a.signedAt) FROM request_approvals a
+        WHERE a.requestId = r.requestId AND a.phase='approval' AND a.status='Rejected') ELSE r.managerSignedAt END AS decidedAt
+    FROM requests r
+    WHERE r.requestType='leave' AND r.dateRequested BETWEEN ? AND ? AND (r.status='Rejected' OR r.managerSignedAt IS NOT NULL)${byDept}`)
+    .all(yearStart, yearEnd, ...deptParams) as Array<{ dept: string; dateRequested: string; status: RequestStatus; decidedAt: string | null }>)
+    .map(d => ({ dept: d.dept, dateRequested: d.dateRequested, decidedAt: d.decidedAt, approved: d.status !== 'Rejected' }));
+
+  // 재직 직원 (부서는 현재 조직 기준)
+  const staff = db.prepare(`SELECT e.userId, e.empId, e.name, d.name AS dept, u.role,
+      COALESCE(e.hireDate, u.hireDate) AS hireDate
+    FROM employees e JOIN departments d ON d.id = e.deptId JOIN users u ON u.id = e.userId
+    WHERE e.active = 1 AND u.active = 1${dept ? ' AND d.name = ?' : ''}
+    ORDER BY d.name, e.name`).all(...deptParams) as Array<{ userId: string; empId: string; name: string; dept: string; role: Role; hireDate: string | null }>;
+
+  // 남은 근무일: 지난 해는 0, 올해는 오늘부터, 앞으로의 해는 전체
+  const workdaysLeft = workdaysIn(today > yearStart ? today : yearStart, yearEnd).length;
+  const expiring = expiringAnnualLeave(staff.map(s => {
+    const b = balancesFor(s.userId, year).find(x => x.bucket === '연차')!;
+    return { userId: s.userId, empId: s.empId, name: s.name, dept: s.dept, entitled: b.entitled, used: b.used, pending: b.pending, remaining: b.remaining };
+  }), workdaysLeft, minRemaining);
+
+  // 근무일지 제출률: 직원 계정만, 입사일~오늘(연도 안) 근무일 중 종일 휴가·출장일을 뺀 날 대비 제출(대기/승인)한 날
+  const until = today < yearEnd ? today : yearEnd;
+  const workers = staff.filter(s => s.role === 'employee');
+  const leaveDates = new Map<string, Set<string>>();
+  for (const r of db.prepare(`SELECT requesterId, startDate, endDate FROM requests
+      WHERE status='Approved' AND leaveType <> '반차' AND requestType IN (SELECT value FROM json_each(?))
+        AND requesterId IS NOT NULL AND startDate <= ? AND endDate >= ?`)
+      .all(JSON.stringify(ABSENCE_REQUEST_TYPES), until, yearStart) as Array<{ requesterId: string; startDate: string; endDate: string }>) {
+    const set = leaveDates.get(r.requesterId) ?? new Set<string>();
+    eachDate(r.startDate, r.endDate).forEach(d => set.add(d));
+    leaveDates.set(r.requesterId, set);
+  }
+  const submitted = new Map<string, string[]>();
+  for (const w of db.prepare(`SELECT uploaderId, COALESCE(workDate, substr(createdAt,1,10)) AS d FROM worklogs
+      WHERE status IN ('Pending','Approved') AND COALESCE(workDate, substr(createdAt,1,10)) BETWEEN ? AND ?`)
+      .all(yearStart, until) as Array<{ uploaderId: string; d: string }>) {
+    submitted.set(w.uploaderId, [...(submitted.get(w.uploaderId) ?? []), w.d]);
+  }
+  const compliance = worklogCompliance(workers.map(s => {
+    const from = s.hireDate && s.hireDate > yearStart ? s.hireDate : yearStart;
+    const away = leaveDates.get(s.userId);
+    return {
+      userId: s.userId, name: s.name, dept: s.dept,
+      expected: workdaysIn(from, until).filter(d => !away?.has(d)),
+      submitted: submitted.get(s.userId) ?? [],
+    };
+  }));
+
+  return {
+    year, dept, asOf: today,
+    usageByDept: usage.byDept, usageByType: usage.byType, usageByMonth: usage.byMonth,
+    turnaround: approvalTurnaround(decisions), rejection: rejectionRates(decisions),
+    expiring, compliance,
+  };
+}
+
+app.get('/api/analytics', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = analyticsQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { year, dept, minRemaining } = p.data;
+  return res.json({ ok:true, data: analyticsReport(year ?? new Date().getFullYear(), dept ?? null, minRemaining) });
+});
+
+// section=all이면 통계마다 시트 하나씩 담은 통합 문서
+app.get('/api/analytics/export.xlsx', authRequired, ensureRole(['hr','admin']), async (req, res) => {
+  const p = analyticsExportSchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { year, dept, minRemaining, section } = p.data;
+  const report = analyticsReport(year ?? new Date().getFullYear(), dept ?? null, minRemaining);
+  const sections = section === 'all' ? ANALYTICS_SECTIONS : [section];
+  const title = section === 'all' ? '인사통계' : analyticsSectionTitle(section).replace(/\s+/g, '_');
+  try {
+    const buf = await buildAnalyticsWorkbook(report, sections);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', attachmentHeader(`${title}_${report.year}${report.dept ? `_${report.dept}` : ''}.xlsx`));
+    res.setHeader('Cache-Control', 'no-store, max-age=0');
+    return res.send(buf);
+  } catch (e) {
+    console.error('[analytics] export failed', e);
+    return res.status(500).json({ ok:false, error:'통계 파일 생성 실패' });
+  }
+});
+
+// ---- Audit APIs (감사 기록 조회/검증/CSV) ----
+const auditQuerySchema = z.object({
+  from: dateStrSchema.optional(),
+  to: dateStrSchema.optional(),
+  actor: z.string().min(1).optional(),       // 계정 id 또는 이름 일부
+  action: z.string().min(1).optional(),      // 'request' → request.* 전부, 'request.approve' → 정확히
+  entityType: z.string().min(1).optional(),
+  entityId: z.string().min(1).optional(),
+  q: z.string().min(1).optional(),           // 변경 전/후 내용 검색
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+  offset: z.coerce.number().int().min(0).default(0),
+});
+
+function auditWhere(f: z.infer<typeof auditQuerySchema>): { where: string; params: any[] } {
+  const conds: string[] = [];
+  const params: any[] = [];
+  if (f.from) { conds.push('ts >= ?'); params.push(f.from); }
+  if (f.to) { conds.push('ts < ?'); params.push(`${f.to}T99`); }
+  if (f.actor) { conds.push('(actorId = ? OR actorName LIKE ?)'); params.push(f.actor, `%${f.actor}%`); }
+  if (f.action) {
+    conds.push(f.action.includes('.') ? 'action = ?' : `(action = ? OR action LIKE ?)`);
+    params.push(f.action);
+    if (!f.action.includes('.')) params.push(`${f.action}.%`);
+  }
+  if (f.entityType) { conds.push('entityType = ?'); params.push(f.entityType); }
+  if (f.entityId) { conds.push('entityId = ?'); params.push(f.entityId); }
+  if (f.q) { conds.push('(before LIKE ? OR after LIKE ? OR entityId LIKE ?)'); params.push(`%${f.q}%`, `%${f.q}%`, `%${f.q}%`); }
+  return { where: conds.length ? conds.join(' AND ') : '1=1', params };
+}
+
+app.get('/api/audit', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = auditQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { where, params } = auditWhere(p.data);
+  const total = (db.prepare(`SELECT COUNT(*) AS n FROM audit_events WHERE ${where}`).get(...params) as { n: number }).n;
+  const rows = db.prepare(`SELECT * FROM audit_events WHERE ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+    .all(...params, p.data.limit, p.data.offset);
+  return res.json({ ok:true, data: rows, total });
+});
+
+// 조회 조건 그대로 CSV (limit/offset 무시)
+app.get('/api/audit/export.csv', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = auditQuerySchema.safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const { where, params } = auditWhere(p.data);
+  const rows = db.prepare(`SELECT * FROM audit_events WHERE ${where} ORDER BY seq`).all(...params) as AuditEvent[];
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', attachmentHeader(`감사기록_${todayStr()}.csv`));
+  return res.send(auditCsv(rows));
+});
+
+// 해시 체인 검증 — 처음 어긋난 기록의 seq를 알려줌
+app.get('/api/audit/verify', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare('SELECT * FROM audit_events ORDER BY seq').iterate() as Iterable<AuditEvent>;
+  return res.json({ ok:true, data: verifyAuditChain(rows) });
+});
+
+// ---- Self test endpoint (간단 진단) ----
+// 개발용 계정 목록 — 로그인 없이 보이므로 DEBUG_AUTH=1일 때만
+if (DEBUG_AUTH) {
+  app.get('/__selftest', (_req, res) => {
+    const users = db.prepare('SELECT username, role FROM users ORDER BY username').all();
+    return res.json({ ok:true, users });
+  });
+}
+
+// 개발용 JWT 디코더 (프로덕션 사용 금지)
+app.get('/__debug/jwt', (req, res) => {
+  try {
+    const h = String(req.headers.authorization || '');
+    const m = /^Bearer\s+(.+)$/.exec(h);
+    if (!m) return res.status(400).json({ ok:false, error:'No Bearer token' });
+    const decoded = jwt.verify(m[1], JWT_SECRET);
+    return res.json({ ok:true, decoded });
+  } catch (e:any) {
+    return res.status(401).json({ ok:false, error: String(e?.message||e) });
+  }
+});
+
+app.listen(API_PORT, () => {
+  console.log(`Leave Manager API listening on http://localhost:${API_PORT}`);
+  if (DEBUG_AUTH) console.log('[DEBUG_AUTH] enabled');
+});
+
+// ---- Form Template APIs (양식 업로드/버전/셀 매핑) ----
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => cb(null, file.originalname.toLowerCase().endsWith('.xlsx')),
+});
+
+const cellRefSchema = z.string().regex(/^[A-Z]{1,3}[1-9]\d{0,6}$/, '셀 주소 형식이 올바르지 않습니다 (예: K21)');
+const formMappingSchema = z.object({
+  sheet: z.string().min(1).optional(),
+  cells: z.array(z.object({
+    cell: cellRefSchema,
+    field: z.union([
+      z.enum(FORM_FIELDS),
+      z.custom<`details.${string}`>(v => typeof v === 'string' && DETAILS_FIELD_PATTERN.test(v), '알 수 없는 항목입니다'),
+    ]),
+    format: z.enum(FORM_FORMATS).optional(),
+  })).max(100),
+  images: z.array(z.object({
+    field: z.enum(FORM_IMAGE_FIELDS),
+    tl: z.object({ col: z.number().min(0).max(200), row: z.number().min(0).max(2000) }),
+    ext: z.object({ width: z.number().positive().max(1000), height: z.number().positive().max(1000) }),
+  })).max(10),
+});
+const templateUploadSchema = z.object({
+  name: z.string().trim().min(1).max(50).regex(/^[^\\/:*?"<>|]+$/, '파일명에 쓸 수 없는 문자가 있습니다'),
+  note: z.string().max(200).optional(),
+  mapping: z.string().optional(), // JSON (없으면 같은 이름의 최신 버전 매핑을 이어받음)
+});
+
+// 양식을 채울 신청: 서명 이미지 + 종류별 입력값
+function formRequestOf(rec: any): FormRequest {
+  return { ...withSignatureImages(rec), details: parseDetails(rec.details) };
+}
+
+// 견본 신청: 휴가 외 종류의 양식(등록부의 템플릿 이름)이면 그 종류의 견본 입력값으로
+function sampleFormRequest(templateName: string): FormRequest {
+  const def = requestTypeOf(requestTypeForTemplate(templateName));
+  if (!def) return SAMPLE_FORM_REQUEST;
+  return { ...SAMPLE_FORM_REQUEST, leaveType: def.label, days: null, ...def.period(def.sample), details: def.sample };
+}
+
+function formTemplateRow(id: string){
+  const row = db.prepare('SELECT * FROM form_templates WHERE id=?').get(id) as any;
+  return row && { ...row, sheets: JSON.parse(row.sheets), mapping: JSON.parse(row.mapping) };
+}
+
+// 사용 중 템플릿 이름 (양식 만들기 선택용)
+app.get('/api/templates', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`SELECT name FROM form_templates WHERE status='active' ORDER BY name`).all() as Array<{ name: string }>;
+  return res.json({ ok:true, data: rows.map(r => r.name) });
+});
+
+// 전체 버전 목록
+app.get('/api/form-templates', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`SELECT t.*, u.name AS createdByName FROM form_templates t
+    LEFT JOIN users u ON u.id = t.createdBy ORDER BY t.name, t.version DESC`).all() as any[];
+  return res.json({ ok:true, data: rows.map(r => ({ ...r, sheets: JSON.parse(r.sheets), mapping: JSON.parse(r.mapping) })) });
+});
+
+// 새 템플릿(또는 새 버전) 업로드 → draft
+app.post('/api/form-templates', authRequired, ensureRole(['hr','admin']), templateUpload.single('file'), async (req: AuthedRequest, res) => {
+  if (!req.file) return res.status(400).json({ ok:false, error:'.xlsx 파일을 선택하세요' });
+  const p = templateUploadSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const name = templateNameOf(p.data.name);
+  const latest = db.prepare('SELECT version, mapping FROM form_templates WHERE name=? ORDER BY version DESC LIMIT 1')
+    .get(name) as { version: number; mapping: string } | undefined;
+
+  let mapping: FormMapping = latest ? JSON.parse(latest.mapping) : { cells: [], images: [] };
+  if (p.data.mapping) {
+    let raw: unknown;
+    try { raw = JSON.parse(p.data.mapping); } catch { return res.status(400).json({ ok:false, error:'매핑 JSON 형식 오류' }); }
+    const m = formMappingSchema.safeParse(raw);
+    if (!m.success) return res.status(400).json({ ok:false, error:'매핑 형식 오류', fieldErrors: m.error.flatten().fieldErrors });
+    mapping = m.data;
+  }
+
+  let sheets: string[];
+  try {
+    sheets = await templateSheets(req.file.buffer);
+  } catch {
+    return res.status(400).json({ ok:false, error:'엑셀 파일을 읽을 수 없습니다' });
+  }
+
+  const id = cryptoRandomId();
+  const file = `${id}.xlsx`;
+  fs.writeFileSync(path.join(TEMPLATE_DIR, file), req.file.buffer);
+  db.transaction(() => {
+    db.prepare(`INSERT INTO form_templates (id, name, version, file, sheets, mapping, status, note, createdBy, createdAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?)`).run(
+        id, name, (latest?.version ?? 0) + 1, file, JSON.stringify(sheets), JSON.stringify(mapping),
+        'draft', p.data.note ?? null, req.user!.id, nowTs()
+      );
+    audit(req, 'form-template.upload', 'form_template', id, null, formTemplateRow(id));
+  })();
+  return res.status(201).json({ ok:true, data: formTemplateRow(id) });
+});
+
+// 파일은 그대로 두고 매핑만 바꿀 새 버전 (draft)
+app.post('/api/form-templates/:id/clone', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const src = db.prepare('SELECT * FROM form_templates WHERE id=?').get(req.params.id) as any;
+  if (!src) return res.status(404).json({ ok:false, error:'Not found' });
+  const version = (db.prepare('SELECT MAX(version) AS v FROM form_templates WHERE name=?').get(src.name) as { v: number }).v + 1;
+  const id = cryptoRandomId();
+  db.transaction(() => {
+    db.prepare(`INSERT INTO form_templates (id, name, version, file, sheets, mapping, status, note, createdBy, createdAt)
+      VALUES (?,?,?,?,?,?,?,?,?,?)`).run(
+        id, src.name, version, src.file, src.sheets, src.mapping, 'draft', `v${src.version}에서 복사`, req.user!.id, nowTs()
+      );
+    audit(req, 'form-template.clone', 'form_template', id, null, { ...formTemplateRow(id), sourceId: src.id });
+  })();
+  return res.status(201).json({ ok:true, data: formTemplateRow(id) });
+});
+
+// 매핑 수정 — 사용/보관 중인 버전은 고정 (새 버전을 만들어 수정)
+app.put('/api/form-templates/:id/mapping', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = formMappingSchema.safeParse(req.body);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const row = formTemplateRow(req.params.id);
+  if (!row) return res.status(404).json({ ok:false, error:'Not found' });
+  if (row.status !== 'draft') return res.status(409).json({ ok:false, error:'작성 중(draft) 버전만 수정할 수 있습니다' });
+  const sheets = row.sheets as string[];
+  if (p.data.sheet && sheets.length && !sheets.includes(p.data.sheet)) {
+    return res.status(400).json({ ok:false, error:`템플릿에 없는 시트입니다: ${p.data.sheet}` });
+  }
+  db.transaction(() => {
+    db.prepare('UPDATE form_templates SET mapping=? WHERE id=?').run(JSON.stringify(p.data), req.params.id);
+    audit(req, 'form-template.mapping', 'form_template', req.params.id, { mapping: row.mapping }, { mapping: p.data });
+  })();
+  return res.json({ ok:true, data: formTemplateRow(req.params.id) });
+});
+
+// 사용 시작 — 같은 이름의 기존 사용 버전은 보관. 견본으로 한 번 채워 보고 실패하면 거부
+app.post('/api/form-templates/:id/activate', authRequired, ensureRole(['hr','admin']), async (req, res) => {
+  const row = db.prepare('SELECT * FROM form_templates WHERE id=?').get(req.params.id) as any;
+  if (!row) return res.status(404).json({ ok:false, error:'Not found' });
+  if (row.status === 'active') return res.status(409).json({ ok:false, error:'이미 사용 중인 버전입니다' });
+  const mapping = JSON.parse(row.mapping) as FormMapping;
+  if (!mapping.cells.length && !mapping.images.length) return res.status(400).json({ ok:false, error:'셀 매핑이 비어 있습니다' });
+  try {
+    await renderLeaveForm(path.join(TEMPLATE_DIR, row.file), mapping, sampleFormRequest(row.name));
+  } catch (e: any) {
+    return res.status(400).json({ ok:false, error:`견본 양식 생성 실패: ${e?.message || e}` });
+  }
+  db.transaction(() => {
+    const prevActive = db.prepare(`SELECT id FROM form_templates WHERE name=? AND status='active'`).get(row.name) as { id: string } | undefined;
+    db.prepare(`UPDATE form_templates SET status='retired' WHERE name=? AND status='active'`).run(row.name);
+    db.prepare(`UPDATE form_templates SET status='active', activatedAt=? WHERE id=?`).run(nowTs(), row.id);
+    audit(req, 'form-template.activate', 'form_template', row.id, { status: row.status }, { status: 'active', retiredId: prevActive?.id ?? null });
+  })();
+  return res.json({ ok:true, data: formTemplateRow(row.id) });
+});
+
+app.post('/api/form-templates/:id/retire', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const row = db.prepare('SELECT status FROM form_templates WHERE id=?').get(req.params.id) as { status: string } | undefined;
+  if (!row || row.status === 'retired') return res.status(404).json({ ok:false, error:'Not found' });
+  db.transaction(() => {
+    db.prepare(`UPDATE form_templates SET status='retired' WHERE id=?`).run(req.params.id);
+    audit(req, 'form-template.retire', 'form_template', req.params.id, { status: row.status }, { status: 'retired' });
+  })();
+  return res.json({ ok:true, data: formTemplateRow(req.params.id) });
+});
+
+// 원본 템플릿 파일
+app.get('/api/form-templates/:id/file', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const row = db.prepare('SELECT name, version, file FROM form_templates WHERE id=?').get(req.params.id) as any;
+  if (!row) return res.status(404).json({ ok:false, error:'Not found' });
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  res.setHeader('Content-Disposition', attachmentHeader(`${row.name}_v${row.version}.xlsx`));
+  res.sendFile(path.join(TEMPLATE_DIR, row.file));
+});
+
+// 미리보기 — 견본 신청(또는 ?requestId=)으로 채운 양식
+app.get('/api/form-templates/:id/preview.xlsx', authRequired, ensureRole(['hr','admin']), async (req, res) => {
+  const row = db.prepare('SELECT name, version, file, mapping FROM form_templates WHERE id=?').get(req.params.id) as any;
+  if (!row) return res.status(404).json({ ok:false, error:'Not found' });
+  const found = req.query.requestId
+    ? db.prepare('SELECT * FROM requests WHERE requestId=?').get(String(req.query.requestId)) as any
+    : sampleFormRequest(row.name);
+  const rec: FormRequest | undefined = found && req.query.requestId ? formRequestOf(found) : found;
+  if (!rec) return res.status(404).json({ ok:false, error:'신청을 찾을 수 없습니다' });
+  try {
+    const buf = await renderLeaveForm(path.join(TEMPLATE_DIR, row.file), JSON.parse(row.mapping), rec);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', attachmentHeader(`미리보기_${row.name}_v${row.version}.xlsx`));
+    res.setHeader('Cache-Control', 'no-store, max-age=0');
+    return res.send(buf);
+  } catch (e: any) {
+    return res.status(400).json({ ok:false, error:`미리보기 생성 실패: ${e?.message || e}` });
+  }
+});
+
+// ---- Leave Form APIs (템플릿에 신청 내용을 채운 .xlsx) ----
+const formExportSchema = z.object({
+  template: z.string().min(1),
+  from: dateStrSchema,
+  to: dateStrSchema,
+  status: z.union([StatusEnum, z.literal('all')]).default('Approved'),
+}).refine(v => v.from <= v.to, { message: '시작일이 종료일보다 늦습니다', path: ['to'] });
+
+// 이름의 사용 중 버전 (파일 + 매핑). 없으면 오류 메시지
+function loadFormTemplate(name: string): { file: string; mapping: FormMapping } | { error: string } {
+  const row = db.prepare(`SELECT file, mapping FROM form_templates WHERE name=? AND status='active'`)
+    .get(templateNameOf(name)) as { file: string; mapping: string } | undefined;
+  if (!row) return { error: '사용 중인 템플릿이 아닙니다' };
+  return { file: path.join(TEMPLATE_DIR, row.file), mapping: JSON.parse(row.mapping) };
+}
+
+// 한글 파일명 다운로드 (RFC 5987)
+function attachmentHeader(filename: string){
+  return `attachment; filename="${encodeURIComponent(filename)}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// template을 주지 않으면 휴가 외 종류는 등록부의 양식 이름으로
+app.get('/api/requests/:id/form.xlsx', authRequired, ensureRole(['hr','admin']), async (req, res) => {
+  const found = db.prepare('SELECT * FROM requests WHERE requestId=?').get(req.params.id) as any;
+  if (!found) return res.status(404).json({ ok:false, error:'Not found' });
+  const tpl = loadFormTemplate(String(req.query.template ?? requestTypeOf(found.requestType)?.formTemplate ?? ''));
+  if ('error' in tpl) return res.status(400).json({ ok:false, error: tpl.error });
+  const rec = formRequestOf(found);
+  try {
+    const buf = await renderLeaveForm(tpl.file, tpl.mapping, rec);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', attachmentHeader(formFileName(rec)));
+    res.setHeader('Cache-Control', 'no-store, max-age=0');
+    return res.send(buf);
+  } catch (e) {
+    console.error('[form] render failed', e);
+    return res.status(500).json({ ok:false, error:'양식 생성 실패' });
+  }
+});
+
+// 기간(휴가 기간이 겹치는 신청) 일괄 ZIP — 템플릿을 쓰는 종류의 신청만 (휴가 양식이면 휴가, 출장신청서면 출장)
+app.get('/api/forms/export.zip', authRequired, ensureRole(['hr','admin']), async (req, res) => {
+  const p = formExportSchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { template, from, to, status } = p.data;
+  const tpl = loadFormTemplate(template);
+  if ('error' in tpl) return res.status(400).json({ ok:false, error: tpl.error });
+  const rows = db.prepare(`SELECT * FROM requests WHERE requestType = ? AND startDate <= ? AND endDate >= ? AND (? = 'all' OR status = ?)
+    ORDER BY startDate, empId`).all(requestTypeForTemplate(templateNameOf(template)), to, from, status, status) as any[];
+  if (!rows.length) return res.status(404).json({ ok:false, error:'해당 기간에 신청이 없습니다' });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', attachmentHeader(`인사계출_${from}_${to}.zip`));
+  const zip = archiver('zip');
+  zip.on('error', e => { console.error('[form] zip failed', e); res.destroy(e); });
+  zip.pipe(res);
+  const used = new Set<string>();
+  try {
+    for (const row of rows) {
+      const rec = formRequestOf(row);
+      let name = formFileName(rec);
+      for (let i = 2; used.has(name); i++) name = formFileName(rec).replace(/\.xlsx$/, `_${i}.xlsx`);
+      used.add(name);
+      zip.append(await renderLeaveForm(tpl.file, tpl.mapping, rec), { name });
+    }
+    await zip.finalize();
+  } catch (e) {
+    // 헤더를 이미 보냈으므로 연결을 끊어 불완전한 ZIP임을 알림
+    console.error('[form] render failed', e);
+    zip.abort();
+    res.destroy();
+  }
+});
+
+// ---- Leave PDF APIs (승인된 인사계출 PDF) ----
+const monthSchema = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/);
+
+function pdfRequestOf(rec: any): PdfLeaveRequest {
+  const approvals = (db.prepare(`SELECT a.label, a.status, a.signatureId, a.signedAt,
+      u.name || COALESCE(' (' || ob.name || ' 대신)', '') AS signerName
+    FROM request_approvals a LEFT JOIN users u ON u.id = a.signerId LEFT JOIN users ob ON ob.id = a.onBehalfOf
+    WHERE a.requestId=? AND a.phase='approval' ORDER BY a.stepNo`).all(rec.requestId) as any[])
+    .map(({ signatureId, ...a }) => ({ ...a, signature: signatureDataUrl(signatureId) })) as PdfLeaveRequest['approvals'];
+  return { ...formRequestOf(rec), status: rec.status, managerSignedAt: rec.managerSignedAt, approvals };
+}
+
+// 휴가는 인사계출, 다른 종류는 등록부의 제목·항목으로
+function drawRequestPage(doc: PDFKit.PDFDocument, rec: any){
+  const r = pdfRequestOf(rec);
+  const def = requestTypeOf(rec.requestType);
+  if (def && r.details) drawTypedRequestPage(doc, r, { title: def.pdfTitle, rows: def.pdfRows(r.details) });
+  else drawLeavePage(doc, r);
+}
+
+function pdfFontOrError(res: express.Response){
+  const font = findPdfFont(DOC_DIR);
+  if (!font) res.status(500).json({ ok:false, error:'PDF용 한글 글꼴이 없습니다 (PDF_FONT_PATH 또는 doc_data/fonts에 .ttf 배치)' });
+  return font;
+}
+
+// 신청 한 건 — 본인/보고 라인 상사/인사/관리자
+app.get('/api/requests/:id/form.pdf', authRequired, (req: AuthedRequest, res) => {
+  const rec = db.prepare('SELECT * FROM requests WHERE requestId=?').get(req.params.id) as any;
+  if (!rec) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewRequest(req.user!, rec.requesterId)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  if (rec.status !== 'Approved') return res.status(409).json({ ok:false, error:'승인된 신청만 PDF로 받을 수 있습니다' });
+  const font = pdfFontOrError(res);
+  if (!font) return;
+
+  const doc = createPdf(font);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', attachmentHeader(formFileName(rec).replace(/\.xlsx$/, '.pdf')));
+  doc.pipe(res);
+  drawRequestPage(doc, rec);
+  doc.end();
+});
+
+// 월별 묶음 — 기간이 그 달에 걸친 승인 건(모든 신청 종류)을 한 PDF로 (보관용)
+app.get('/api/forms/export.pdf', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = monthSchema.safeParse(req.query.month);
+  if (!p.success) return res.status(400).json({ ok:false, error:'month=YYYY-MM 형식이 필요합니다' });
+  const month = p.data;
+  const rows = db.prepare(`SELECT * FROM requests WHERE status='Approved' AND startDate <= ? AND endDate >= ?
+    ORDER BY startDate, empId`).all(`${month}-31`, `${month}-01`) as any[];
+  if (!rows.length) return res.status(404).json({ ok:false, error:'해당 월에 승인된 신청이 없습니다' });
+  const font = pdfFontOrError(res);
+  if (!font) return;
+
+  const doc = createPdf(font);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', attachmentHeader(`인사계출_${month}.pdf`));
+  doc.pipe(res);
+  rows.forEach(r => drawRequestPage(doc, r));
+  doc.end();
+});
+
+// ---- Payroll export APIs (급여용 월별 휴가 자료) ----
+const payrollExportSchema = z.object({
+  month: monthSchema,
+  format: z.enum(['csv','xlsx']).default('xlsx'),
+  view: z.enum(['daily','summary']).default('daily'),   // CSV만: 일자별 / 직원별
+});
+
+const PAYROLL_REQUEST_COLUMNS = `r.requestId, r.requesterId, r.status, r.leaveType, r.startDate, r.endDate, r.days,
+    COALESCE(e.empId, r.empId) AS empId, COALESCE(e.name, r.name) AS name,
+    COALESCE(d.name, r.dept) AS dept, COALESCE(e.position, r.position) AS position
+  FROM requests r LEFT JOIN employees e ON e.userId = r.requesterId LEFT JOIN departments d ON d.id = e.deptId`;
+
+type PayrollRequestRow = PayrollRequestSnapshot & { dept: string; position: string };
+
+function payrollSnapshot(r: PayrollRequestRow): PayrollRequestSnapshot {
+  return {
+    requestId: r.requestId, requesterId: r.requesterId ?? null, empId: r.empId, name: r.name, status: r.status,
+    leaveType: r.leaveType, startDate: r.startDate, endDate: r.endDate, days: requestDaysOf(r as any),
+  };
+}
+
+// 그 달에 걸친 승인 휴가 건
+function payrollIncluded(month: string): PayrollRequestRow[] {
+  return db.prepare(`SELECT ${PAYROLL_REQUEST_COLUMNS}
+    WHERE r.status='Approved' AND r.requestType='leave' AND r.startDate <= ? AND r.endDate >= ? ORDER BY r.startDate, r.requestId`)
+    .all(`${month}-31`, `${month}-01`) as PayrollRequestRow[];
+}
+
+function payrollReport(month: string) {
+  const included = payrollIncluded(month);
+  // 무급 판정: 그 달 휴가와 같은 해(시작일 기준)에 앞서 승인된 건까지 누적
+  const years = [...new Set(included.map(r => r.startDate.slice(0, 4)))];
+  const prior = years.length ? db.prepare(`SELECT ${PAYROLL_REQUEST_COLUMNS}
+    WHERE r.status='Approved' AND r.requestType='leave' AND r.startDate < ? AND substr(r.startDate,1,4) IN (${years.map(() => '?').join(',')})`)
+    .all(`${month}-01`, ...years) as PayrollRequestRow[] : [];
+  const seen = new Set(included.map(r => r.requestId));
+  const requests: PayrollRequest[] = [...included, ...prior.filter(r => !seen.has(r.requestId))].map(r => ({
+    key: r.requesterId ?? `emp:${r.empId}`, empId: r.empId, name: r.name, dept: r.dept, position: r.position,
+    requestId: r.requestId, leaveType: r.leaveType, bucket: bucketOf(r.leaveType as LeaveType),
+    startDate: r.startDate, endDate: r.endDate, days: requestDaysOf(r as any), dates: workdaysBetween(r.startDate, r.endDate),
+  }));
+
+  const entitled = new Map<string, LeaveBalance[]>();
+  const entitledOf = (key: string, year: number, bucket: PayrollBucket) => {
+    if (key.startsWith('emp:')) return Infinity; // 계정과 연결되지 않은 과거 신청은 발생 일수를 알 수 없음
+    const k = `${key}|${year}`;
+    if (!entitled.has(k)) entitled.set(k, balancesFor(key, year));
+    return entitled.get(k)!.find(b => b.bucket === bucket)!.entitled;
+  };
+  const days = payrollDays(month, requests, entitledOf);
+
+  const people = db.prepare(`SELECT COALESCE(e.userId, 'emp:' || e.empId) AS key, e.empId, e.name, d.name AS dept, e.position
+    FROM employees e JOIN departments d ON d.id = e.deptId WHERE e.active = 1`).all() as PayrollPerson[];
+  return { included, days, summary: payrollSummary(people, days) };
+}
+
+app.get('/api/exports/payroll', authRequired, ensureRole(['hr','admin']), async (req: AuthedRequest, res) => {
+  const p = payrollExportSchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const { month, format, view } = p.data;
+  const { included, days, summary } = payrollReport(month);
+  let body: Buffer | string;
+  try {
+    body = format === 'csv' ? payrollCsv(month, view, summary, days) : await buildPayrollWorkbook(month, summary, days);
+  } catch (e) {
+    console.error('[payroll] export failed', e);
+    return res.status(500).json({ ok:false, error:'급여 자료 생성 실패' });
+  }
+
+  const id = cryptoRandomId();
+  db.transaction(() => {
+    db.prepare('INSERT INTO payroll_exports (id, month, format, requestCount, createdBy, createdAt) VALUES (?,?,?,?,?,?)')
+      .run(id, month, format, included.length, req.user!.id, nowTs());
+    const item = db.prepare('INSERT INTO payroll_export_requests (exportId, requestId, snapshot) VALUES (?,?,?)');
+    included.forEach(r => item.run(id, r.requestId, JSON.stringify(payrollSnapshot(r))));
+    audit(req, 'payroll.export', 'payroll_export', id, null, { month, format, view, requestIds: included.map(r => r.requestId) });
+  })();
+
+  const name = `급여휴가_${month}${format === 'csv' && view === 'summary' ? '_직원별' : ''}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', attachmentHeader(name));
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  return res.send(body);
+});
+
+function payrollExportDiff(exportId: string, month: string): PayrollDiff {
+  const recorded = (db.prepare('SELECT snapshot FROM payroll_export_requests WHERE exportId=?').all(exportId) as Array<{ snapshot: string }>)
+    .map(r => JSON.parse(r.snapshot) as PayrollRequestSnapshot);
+  const current = new Map<string, PayrollRequestSnapshot>();
+  if (recorded.length) {
+    (db.prepare(`SELECT ${PAYROLL_REQUEST_COLUMNS} WHERE r.requestId IN (${recorded.map(() => '?').join(',')})`)
+      .all(...recorded.map(r => r.requestId)) as PayrollRequestRow[])
+      .forEach(r => current.set(r.requestId, payrollSnapshot(r)));
+  }
+  return diffPayrollRequests(recorded, payrollIncluded(month).map(payrollSnapshot), current);
+}
+
+// 월별 내보내기 이력 + 그 뒤 바뀐 신청 수
+app.get('/api/exports/payroll/history', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const p = z.object({ month: monthSchema.optional() }).safeParse(req.query);
+  if (!p.success) return res.status(400).json({ ok:false, error:'month=YYYY-MM 형식이 필요합니다' });
+  const rows = db.prepare(`SELECT x.*, u.name AS createdByName FROM payroll_exports x LEFT JOIN users u ON u.id = x.createdBy
+    ${p.data.month ? 'WHERE x.month = ?' : ''} ORDER BY x.createdAt DESC LIMIT 50`)
+    .all(...(p.data.month ? [p.data.month] : [])) as any[];
+  return res.json({ ok:true, data: rows.map(x => {
+    const diff = payrollExportDiff(x.id, x.month);
+    return { ...x, changes: diff.added.length + diff.removed.length + diff.changed.length };
+  }) });
+});
+
+// 내보낸 뒤 새로 승인/취소/변경된 신청
+app.get('/api/exports/payroll/:id/diff', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const x = db.prepare('SELECT * FROM payroll_exports WHERE id=?').get(req.params.id) as any;
+  if (!x) return res.status(404).json({ ok:false, error:'Not found' });
+  return res.json({ ok:true, data: { export: x, ...payrollExportDiff(x.id, x.month) } });
+});
+
+// ---- Import APIs (직원 명부 / 과거 신청 일괄 가져오기) ----
+// 한 파일 = 한 트랜잭션. 미리보기(dryRun)도 실제로 넣어 본 뒤 되돌리므로 사번 중복·상사 순환까지 같은 결과가 나옴
+const dataImport = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname)),
+});
+const importQuerySchema = z.object({ dryRun: z.enum(['0','1']).default('1') });
+
+const employeeImportSchema = z.object({
+  empId: z.string().trim().min(1),
+  name: z.string().trim().min(1),
+  dept: DeptSchema,
+  position: z.string().trim().min(1),
+  hireDate: dateStrSchema.refine(isIsoDate, '없는 날짜입니다').optional(),
+  managerEmpId: z.string().trim().min(1).optional(), // 같은 파일의 직원도 가능
+  contact: z.string().regex(phoneRegex, '연락처 형식이 올바르지 않습니다').optional(),
+  shift: WorkShiftEnum.optional(),
+  username: z.string().trim().min(1).optional(),    // 연결할 로그인 계정
+});
+
+interface ImportRowResult { line: number; label: string; errors: string[]; entityId?: string }
+
+// 빈 칸은 값 없음으로 보고 zod 오류를 "필드: 메시지" 목록으로
+function parseImportRow<T extends z.ZodTypeAny>(schema: T, row: ImportRow): { data?: z.infer<T>; errors: string[] } {
+  const values = Object.fromEntries(Object.entries(row.values).filter(([, v]) => v !== ''));
+  const p = schema.safeParse(values);
+  if (p.success) return { data: p.data, errors: [] };
+  const flat = p.error.flatten();
+  return {
+    errors: [
+      ...flat.formErrors,
+      ...Object.entries(flat.fieldErrors).flatMap(([f, msgs]) => (msgs as string[]).map(m => `${f}: ${m}`)),
+    ],
+  };
+}
+
+function importEmployees(rows: ImportRow[]): ImportRowResult[] {
+  const ins = db.prepare(`INSERT INTO employees (id, userId, empId, name, deptId, position, hireDate, managerId, contact, shift, active)
+    VALUES (?,?,?,?,?,?,?,NULL,?,?,1)`);
+  const parsed = rows.map(row => {
+    const { data, errors } = parseImportRow(employeeImportSchema, row);
+    const res: ImportRowResult = { line: row.line, label: `${row.values.empId ?? ''} ${row.values.name ?? ''}`.trim(), errors };
+    if (!data) return { res };
+    const userId = data.username
+      ? (db.prepare('SELECT id FROM users WHERE username=?').get(data.username) as { id: string } | undefined)?.id
+      : null;
+    if (userId === undefined) {
+      errors.push(`username: 없는 계정입니다 (${data.username})`);
+      return { res };
+    }
+    const deptId = (db.prepare('SELECT id FROM departments WHERE name=?').get(data.dept) as { id: string }).id;
+    const id = cryptoRandomId();
+    try {
+      ins.run(id, userId, data.empId, data.name, deptId, data.position, data.hireDate ?? null, data.contact ?? null, data.shift ?? null);
+      res.entityId = id;
+    } catch (e) {
+      if (!isUniqueViolation(e)) throw e;
+      errors.push('사번 또는 계정이 이미 등록되어 있습니다');
+    }
+    return { res, data };
+  });
+
+  // 상사는 전원을 넣은 뒤 연결 (파일 안에서 순서가 뒤여도 됨)
+  for (const { res, data } of parsed) {
+    if (!res.entityId || !data?.managerEmpId) continue;
+    const mgr = db.prepare('SELECT id FROM employees WHERE empId=?').get(data.managerEmpId) as { id: string } | undefined;
+    if (!mgr) res.errors.push(`managerEmpId: 등록되지 않은 사번입니다 (${data.managerEmpId})`);
+    else if (createsManagerCycle(res.entityId, mgr.id)) res.errors.push('managerEmpId: 보고 관계가 순환됩니다');
+    else db.prepare('UPDATE employees SET managerId=? WHERE id=?').run(mgr.id, res.entityId);
+  }
+  return parsed.map(p => p.res);
+}
+
+function importRequests(rows: ImportRow[], actorId: string): ImportRowResult[] {
+  const ins = db.prepare(`INSERT INTO requests
+    (requestId,dateRequested,empId,name,dept,position,leaveType,startDate,endDate,note,status,handoverPerson,contact,requesterId,days)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`);
+  return rows.map(row => {
+    const { data: r, errors } = parseImportRow(importRequestSchema, row);
+    const res: ImportRowResult = {
+      line: row.line, errors,
+      label: `${row.values.empId ?? ''} ${row.values.name ?? ''} ${row.values.leaveType ?? ''} ${row.values.startDate ?? ''}~${row.values.endDate ?? ''}`.trim(),
+    };
+    if (!r) return res;
+    const days = leaveDaysOf(r);
+    if (!days) errors.push('endDate: 근무일이 없는 기간입니다');
+    if (db.prepare(`SELECT 1 FROM requests WHERE empId=? AND leaveType=? AND startDate=? AND endDate=? AND status <> 'Canceled'`)
+      .get(r.empId, r.leaveType, r.startDate, r.endDate)) {
+      errors.push('같은 사번·종류·기간의 신청이 이미 있습니다');
+    }
+    if (errors.length) return res;
+
+    // 사번으로 계정 연결 (계정 없는 직원은 연차 원장 없이 기록만)
+    const requesterId = (db.prepare('SELECT userId FROM employees WHERE empId=?').get(r.empId) as { userId: string | null } | undefined)?.userId ?? null;
+    const requestId = cryptoRandomId();
+    ins.run(requestId, r.dateRequested, r.empId, r.name, r.dept, r.position, r.leaveType, r.startDate, r.endDate,
+      r.note ?? '', r.status, r.handoverPerson, r.contact, requesterId, days);
+    if (r.status === 'Approved') syncLedgerForStatus({ requestId, requesterId, leaveType: r.leaveType, startDate: r.startDate, days, status: 'Pending' }, 'Approved', actorId);
+    res.entityId = requestId;
+    return res;
+  });
+}
+
+const IMPORT_ROLLBACK = new Error('import dry run');
+
+app.get('/api/imports/:kind(employees|requests)/template.csv', authRequired, ensureRole(['hr','admin']), (req, res) => {
+  const kind = req.params.kind as ImportKind;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', attachmentHeader(`가져오기_${kind === 'employees' ? '직원' : '휴가신청'}.csv`));
+  return res.send('\uFEFF' + IMPORT_COLUMNS[kind].map(([, names]) => csvCell(names[0])).join(',') + '\r\n');
+});
+
+// dryRun=1(기본): 행별 오류 미리보기만 / dryRun=0: 오류가 한 행도 없을 때만 저장
+app.post('/api/imports/:kind(employees|requests)', authRequired, ensureRole(['hr','admin']), dataImport.single('file'), async (req: AuthedRequest, res) => {
+  if (!req.file) return res.status(400).json({ ok:false, error:'CSV 또는 xlsx 파일이 필요합니다' });
+  const q = importQuerySchema.safeParse(req.query);
+  if (!q.success) return res.status(400).json({ ok:false, error:'Validation error' });
+  const kind = req.params.kind as ImportKind;
+  const dryRun = q.data.dryRun === '1';
+
+  let table;
+  try {
+    table = await readImportFile(kind, req.file.buffer, req.file.originalname);
+  } catch (e) {
+    console.error('[import] read failed', e);
+    return res.status(400).json({ ok:false, error:'파일을 읽을 수 없습니다' });
+  }
+  if (!table.rows.length) return res.status(400).json({ ok:false, error:'가져올 행이 없습니다', data: table });
+
+  const actorId = req.user!.id;
+  const batchId = cryptoRandomId();
+  let results: ImportRowResult[] = [];
+  try {
+    db.transaction(() => {
+      results = kind === 'employees' ? importEmployees(table.rows) : importRequests(table.rows, actorId);
+      if (dryRun || results.some(r => r.errors.length)) throw IMPORT_ROLLBACK;
+      db.prepare(`INSERT INTO import_batches (id, kind, fileName, rowCount, status, createdBy, createdAt) VALUES (?,?,?,?,'committed',?,?)`)
+        .run(batchId, kind, req.file!.originalname, results.length, actorId, nowTs());
+      const item = db.prepare('INSERT INTO import_batch_items (batchId, entityId, line) VALUES (?,?,?)');
+      results.forEach(r => item.run(batchId, r.entityId, r.line));
+      audit(req, 'import.commit', 'import_batch', batchId, null, {
+        kind, fileName: req.file!.originalname, rowCount: results.length, entityIds: results.map(r => r.entityId),
+      });
+    })();
+  } catch (e) {
+    if (e !== IMPORT_ROLLBACK) throw e;
+  }
+
+  const invalid = results.filter(r => r.errors.length).length;
+  const data = {
+    kind, dryRun, batchId: dryRun || invalid ? null : batchId, total: results.length, invalid,
+    unknownHeaders: table.unknownHeaders,
+    rows: results.map(({ entityId, ...r }) => dryRun || invalid ? r : { ...r, entityId }),
+  };
+  if (!dryRun && invalid) return res.status(400).json({ ok:false, error:`오류가 있는 행이 ${invalid}개 있어 가져오지 않았습니다`, data });
+  return res.status(dryRun ? 200 : 201).json({ ok:true, data });
+});
+
+app.get('/api/imports', authRequired, ensureRole(['hr','admin']), (_req, res) => {
+  const rows = db.prepare(`SELECT b.*, u.name AS createdByName, r.name AS rolledBackByName FROM import_batches b
+    LEFT JOIN users u ON u.id = b.createdBy LEFT JOIN users r ON r.id = b.rolledBackBy
+    ORDER BY b.createdAt DESC LIMIT 50`).all();
+  return res.json({ ok:true, data: rows });
+});
+
+// 묶음 되돌리기 — 가져온 뒤 다른 곳에서 참조·진행된 행이 있으면 막음
+function importRollbackBlocker(kind: ImportKind, ids: string[]): string | null {
+  const list = JSON.stringify(ids);
+  if (kind === 'employees') {
+    if (db.prepare(`SELECT 1 FROM employees WHERE managerId IN (SELECT value FROM json_each(?)) AND id NOT IN (SELECT value FROM json_each(?))`).get(list, list)) {
+      return '가져온 직원을 상사로 지정한 다른 직원이 있습니다';
+    }
+    if (db.prepare('SELECT 1 FROM departments WHERE headEmployeeId IN (SELECT value FROM json_each(?))').get(list)) {
+      return '가져온 직원이 부서장으로 지정되어 있습니다';
+    }
+    return null;
+  }
+  if (db.prepare('SELECT 1 FROM requests WHERE prevRequestId IN (SELECT value FROM json_each(?))').get(list)) {
+    return '가져온 신청을 정정한 신청이 있습니다';
+  }
+  if (db.prepare('SELECT 1 FROM request_approvals WHERE requestId IN (SELECT value FROM json_each(?))').get(list)) {
+    return '가져온 신청에 이후 결재(취소 결재 등)가 진행되었습니다';
+  }
+  return null;
+}
+
+app.post('/api/imports/:id/rollback', authRequired, ensureRole(['hr','admin']), (req: AuthedRequest, res) => {
+  const before = db.prepare('SELECT * FROM import_batches WHERE id=?').get(req.params.id) as any;
+  if (!before) return res.status(404).json({ ok:false, error:'Not found' });
+  if (before.status !== 'committed') return res.status(409).json({ ok:false, error:'이미 되돌린 묶음입니다' });
+  const kind = before.kind as ImportKind;
+  const ids = (db.prepare('SELECT entityId FROM import_batch_items WHERE batchId=?').all(before.id) as Array<{ entityId: string }>).map(r => r.entityId);
+  const blocker = importRollbackBlocker(kind, ids);
+  if (blocker) return res.status(409).json({ ok:false, error: blocker });
+
+  const list = JSON.stringify(ids);
+  const row = db.transaction(() => {
+    if (kind === 'employees') {
+      db.prepare('UPDATE employees SET managerId=NULL WHERE id IN (SELECT value FROM json_each(?))').run(list);
+      db.prepare('DELETE FROM employees WHERE id IN (SELECT value FROM json_each(?))').run(list);
+    } else {
+      db.prepare('DELETE FROM leave_ledger WHERE requestId IN (SELECT value FROM json_each(?))').run(list);
+      db.prepare('DELETE FROM requests WHERE requestId IN (SELECT value FROM json_each(?))').run(list);
+    }
+    db.prepare(`UPDATE import_batches SET status='rolledBack', rolledBackBy=?, rolledBackAt=? WHERE id=?`).run(req.user!.id, nowTs(), before.id);
+    const after = db.prepare('SELECT * FROM import_batches WHERE id=?').get(before.id);
+    audit(req, 'import.rollback', 'import_batch', before.id, before, { ...(after as object), entityIds: ids });
+    return after;
+  })();
+  return res.json({ ok:true, data: row });
+});
+
+// ---- Worklog APIs ----
+// 목록 행: 작성자/검토자 이름, 의견 수, 재제출된 일지
+const WORKLOG_JOINED = `u.username as uploaderUsername, u.name as uploaderName, rv.name as reviewerName, rob.name as reviewOnBehalfOfName,
+    (SELECT COUNT(*) FROM worklog_comments c WHERE c.worklogId = w.id) AS commentCount,
+    (SELECT n.id FROM worklogs n WHERE n.prevWorklogId = w.id ORDER BY n.createdAt DESC LIMIT 1) AS resubmittedBy
+  FROM worklogs w
+  LEFT JOIN users u ON u.id = w.uploaderId
+  LEFT JOIN users rv ON rv.id = w.reviewerId
+  LEFT JOIN users rob ON rob.id = w.reviewOnBehalfOf`;
+const WORKLOG_SELECT = `SELECT w.*, ${WORKLOG_JOINED}`;
+// 목록용: 서명 이미지 대신 유무만 (includeSignatures=1일 때만 dataURL 포함)
+const WORKLOG_LIST_SELECT = `SELECT w.id, w.uploaderId, w.fileName, w.filePath, w.status, w.createdAt, w.workDate, w.shift,
+    w.hours, w.notes, w.prevWorklogId, w.reviewerId, w.reviewOnBehalfOf, w.reviewedAt, w.rejectReason, w.signatureId,
+    (w.signatureId IS NOT NULL) AS hasSignature, w.fileType,
+    (SELECT COUNT(*) FROM worklog_rows r WHERE r.worklogId = w.id) AS rowCount, ${WORKLOG_JOINED}`;
+
+const WORKLOG_SORT_COLUMNS = {
+  createdAt: 'w.createdAt',
+  workDate: "COALESCE(w.workDate, substr(w.createdAt, 1, 10))",
+  uploaderName: 'u.name',
+  status: 'w.status',
+} as const;
+
+const worklogListQuerySchema = listPageSchema.extend({
+  status: WorklogStatusEnum.optional(),
+  shift: WorkShiftEnum.optional(),
+  from: dateStrSchema.optional(),            // 근무일 기준 (구버전 일지는 제출일)
+  to: dateStrSchema.optional(),
+  uploaderId: z.string().min(1).optional(),
+  q: z.string().trim().min(1).optional(),    // 작성자 이름/아이디, 메모, 파일명, 양식 행의 라인/작업 일부
+  sort: z.enum(Object.keys(WORKLOG_SORT_COLUMNS) as [keyof typeof WORKLOG_SORT_COLUMNS]).default('createdAt'),
+});
+
+function worklogListWhere(f: z.infer<typeof worklogListQuerySchema>): { where: string; params: any[] } {
+  const conds: string[] = [];
+  const params: any[] = [];
+  if (f.status) { conds.push('w.status = ?'); params.push(f.status); }
+  if (f.shift) { conds.push('w.shift = ?'); params.push(f.shift); }
+  if (f.from) { conds.push(`${WORKLOG_SORT_COLUMNS.workDate} >= ?`); params.push(f.from); }
+  if (f.to) { conds.push(`${WORKLOG_SORT_COLUMNS.workDate} <= ?`); params.push(f.to); }
+  if (f.uploaderId) { conds.push('w.uploaderId = ?'); params.push(f.uploaderId); }
+  if (f.q) {
+    conds.push(`(u.name LIKE ? OR u.username LIKE ? OR w.notes LIKE ? OR w.fileName LIKE ?
+      OR EXISTS (SELECT 1 FROM worklog_rows r WHERE r.worklogId = w.id AND (r.line LIKE ? OR r.task LIKE ?)))`);
+    params.push(...Array(6).fill(`%${f.q}%`));
+  }
+  return { where: conds.length ? conds.join(' AND ') : '1=1', params };
+}
+
+function worklogRow(id: string){
+  return db.prepare(`${WORKLOG_SELECT} WHERE w.id=?`).get(id) as any;
+}
+
+// 근무일지를 볼 수 있는 작성자: 관리자 전체(null), 상사는 본인 + 보고 라인 (신청 조회 범위와 같음)
+//  + 근무일지 검토를 위임받은 작성자, 그 밖에는 본인
+function worklogUploaderScope(user: AuthedUser): string[] | null {
+  if (user.role === 'admin') return null;
+  return user.role === 'manager' ? [user.id, ...reportUserIds(user.id), ...delegatedWorklogUploaderIds(user.id)] : [user.id];
+}
+
+// 위임자가 지정 검토자인 작성자 중 위임 범위(근무일지 포함, 부서) 안
+function delegatedWorklogUploaderIds(delegateId: string): string[] {
+  return activeDelegationsTo(delegateId).filter(d => d.worklogs).flatMap(d =>
+    reportUserIds(d.delegatorId).filter(uid => worklogReviewerIds(uid).includes(d.delegatorId)
+      && delegationCovers(d, { dept: profileOfUser(uid)?.dept ?? null, leaveType: null })));
+}
+
+function worklogScope(user: AuthedUser, alias = 'w'): { where: string; params: any[] } {
+  const ids = worklogUploaderScope(user);
+  return ids ? { where: `${alias}.uploaderId IN (SELECT value FROM json_each(?))`, params: [JSON.stringify(ids)] } : { where: '1=1', params: [] };
+}
+
+function canViewWorklog(user: AuthedUser, wl: { uploaderId: string }){
+  const ids = worklogUploaderScope(user);
+  return !ids || ids.includes(wl.uploaderId);
+}
+
+// 근무일지 검토 권한: 지정 검토자(직속 상사/부서장)와 관리자는 본인 권한(onBehalfOf=null),
+//  지정 검토자에게서 근무일지 검토를 위임받았으면 위임자 대신. 그 밖에는 null (검토 불가)
+function worklogReviewAuthority(user: AuthedUser, uploaderId: string): { onBehalfOf: string | null } | null {
+  const reviewers = worklogReviewerIds(uploaderId);
+  if (user.role === 'admin' || reviewers.includes(user.id)) return { onBehalfOf: null };
+  const scope = { dept: profileOfUser(uploaderId)?.dept ?? null, leaveType: null };
+  const d = activeDelegationsTo(user.id).find(d => reviewers.includes(d.delegatorId) && delegationCovers(d, scope));
+  return d ? { onBehalfOf: d.delegatorId } : null;
+}
+
+// 검증을 통과한 업로드 파일 저장 → 근무일지 폴더 기준 파일 이름
+function storeWorklogFile(file: Express.Multer.File){
+  const safe = file.originalname.replace(/[^\w.\-가-힣_]/g, '_');
+  const name = `${Date.now()}_${safe}`;
+  fs.writeFileSync(path.join(WORKLOG_DIR, name), file.buffer);
+  return name;
+}
+
+const WORKLOG_ROW_SELECT = `SELECT r.worklogId, r.rowNo, r.workDate, r.line, r.task, r.hours, r.quantity FROM worklog_rows r`;
+
+// 필터/정렬/쪽 나누기 — total은 필터 조건에 맞는 전체 건수
+app.get('/api/worklogs', authRequired, ensureRole(['manager','admin']), (req: AuthedRequest, res) => {
+  const p = worklogListQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const f = p.data;
+  try {
+    const filter = worklogListWhere(f);
+    const scope = worklogScope(req.user!);
+    const where = `${filter.where} AND ${scope.where}`;
+    const params = [...filter.params, ...scope.params];
+    const dir = f.order === 'asc' ? 'ASC' : 'DESC';
+    const total = (db.prepare(`SELECT COUNT(*) AS n FROM worklogs w LEFT JOIN users u ON u.id = w.uploaderId WHERE ${where}`)
+      .get(...params) as { n: number }).n;
+    const rows = db.prepare(`${WORKLOG_LIST_SELECT} WHERE ${where} ORDER BY ${WORKLOG_SORT_COLUMNS[f.sort]} ${dir}, w.id ${dir} LIMIT ? OFFSET ?`)
+      .all(...params, f.limit, f.offset) as any[];
+    const data = f.includeSignatures === '1' ? rows.map(w => ({ ...w, signature: signatureDataUrl(w.signatureId) })) : rows;
+    return res.json({ ok:true, data, total, limit: f.limit, offset: f.offset });
+  } catch (e) {
+    return res.status(500).json({ ok:false, error:'Internal error' });
+  }
+});
+
+// 내 근무일지 (제출 현황/반려 사유 확인)
+app.get('/api/worklogs/mine', authRequired, (req: AuthedRequest, res) => {
+  const rows = db.prepare(`${WORKLOG_LIST_SELECT} WHERE w.uploaderId=? ORDER BY w.createdAt DESC`).all(req.user!.id);
+  return res.json({ ok:true, data: rows });
+});
+
+// 일지 서명 조회 (목록에는 서명이 빠져 있으므로 필요할 때 따로)
+app.get('/api/worklogs/:id/signature', authRequired, (req: AuthedRequest, res) => {
+  const wl = db.prepare('SELECT signatureId, uploaderId FROM worklogs WHERE id=?').get(req.params.id) as any;
+  if (!wl?.signatureId) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewWorklog(req.user!, wl)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const dataUrl = signatureDataUrl(wl.signatureId);
+  if (!dataUrl) return res.status(404).json({ ok:false, error:'Not found' });
+  return res.json({ ok:true, dataUrl });
+});
+
+// 일지 첨부 파일 (본인/보고 라인 상사/관리자)
+app.get('/api/worklogs/:id/file', authRequired, (req: AuthedRequest, res) => {
+  const wl = db.prepare('SELECT uploaderId, fileName, filePath FROM worklogs WHERE id=?').get(req.params.id) as any;
+  if (!wl) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewWorklog(req.user!, wl)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const file = path.join(WORKLOG_DIR, path.basename(wl.filePath));
+  if (!fs.existsSync(file)) return res.status(404).json({ ok:false, error:'파일이 없습니다' });
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  res.setHeader('Content-Disposition', attachmentHeader(wl.fileName || path.basename(file)));
+  res.sendFile(file);
+});
+
+// 표준 양식 다운로드 — 이 머리글로 올리면 행 단위로 읽어 검토/검색에 씀
+app.get('/api/worklogs/template.xlsx', authRequired, async (_req, res) => {
+  const buf = await buildWorklogTemplate();
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent('근무일지_양식.xlsx')}`);
+  return res.send(buf);
+});
+
+// 양식에서 읽은 작업 행 (검토 화면에서 펼쳐 보기)
+app.get('/api/worklogs/:id/rows', authRequired, (req: AuthedRequest, res) => {
+  const wl = db.prepare('SELECT uploaderId FROM worklogs WHERE id=?').get(req.params.id) as any;
+  if (!wl) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewWorklog(req.user!, wl)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const rows = db.prepare(`${WORKLOG_ROW_SELECT} WHERE r.worklogId=? ORDER BY r.rowNo`).all(req.params.id);
+  return res.json({ ok:true, data: rows });
+});
+
+// 작업 행 검색 (상사/관리자) — 라인/작업 내용/작성자로 찾고 시간·수량 합계. 범위는 일지 목록과 같음
+const worklogRowQuerySchema = z.object({
+  from: dateStrSchema.optional(),
+  to: dateStrSchema.optional(),
+  line: z.string().trim().min(1).optional(),
+  q: z.string().trim().min(1).optional(),    // 작업 내용/작성자 이름 일부
+  status: WorklogStatusEnum.optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(200),
+});
+
+app.get('/api/worklog-rows', authRequired, ensureRole(['manager','admin']), (req: AuthedRequest, res) => {
+  const p = worklogRowQuerySchema.safeParse(req.query);
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const f = p.data;
+  const scope = worklogScope(req.user!);
+  const conds: string[] = [scope.where];
+  const params: any[] = [...scope.params];
+  if (f.from) { conds.push('r.workDate >= ?'); params.push(f.from); }
+  if (f.to) { conds.push('r.workDate <= ?'); params.push(f.to); }
+  if (f.line) { conds.push('r.line LIKE ?'); params.push(`%${f.line}%`); }
+  if (f.q) { conds.push('(r.task LIKE ? OR u.name LIKE ?)'); params.push(`%${f.q}%`, `%${f.q}%`); }
+  if (f.status) { conds.push('w.status = ?'); params.push(f.status); }
+  const from = `FROM worklog_rows r JOIN worklogs w ON w.id = r.worklogId LEFT JOIN users u ON u.id = w.uploaderId
+    WHERE ${conds.join(' AND ')}`;
+  const totals = db.prepare(`SELECT COUNT(*) AS rows, COALESCE(SUM(r.hours), 0) AS hours, COALESCE(SUM(r.quantity), 0) AS quantity ${from}`)
+    .get(...params);
+  const data = db.prepare(`SELECT r.worklogId, r.rowNo, r.workDate, r.line, r.task, r.hours, r.quantity,
+      w.status, w.shift, w.fileName, u.name AS uploaderName
+    ${from} ORDER BY r.workDate DESC, r.line, w.createdAt DESC, r.rowNo LIMIT ?`).all(...params, f.limit);
+  return res.json({ ok:true, data, totals });
+});
+
+// POST /api/worklogs — prevWorklogId가 있으면 반려된 본인 일지의 재제출
+// 파일은 허용 형식(xlsx/pdf/png/jpg)만, 확장자와 내용이 맞아야 함. 표준 양식 xlsx는 행으로 읽어 함께 저장하고
+// 양식 오류는 칸 단위로 돌려줌 (cellErrors). Idempotency-Key로 이미 올린 일지면 그 일지를 돌려줌
+app.post('/api/worklogs', authRequired, upload.single('file'), async (req: AuthedRequest, res) => {
+  try {
+    const idem = idempotencyKeyOf(req);
+    if (!idem.ok) return res.status(400).json({ ok:false, error: idem.error });
+    const replayed = () => idem.key
+      ? db.prepare('SELECT id FROM worklogs WHERE uploaderId=? AND idempotencyKey=?').get(req.user!.id, idem.key) as { id: string } | undefined
+      : undefined;
+    const done = replayed();
+    if (done) return res.json({ ok:true, data: worklogRow(done.id), replayed: true });
+    if (!req.file) return res.status(400).json({ ok:false, error:'파일이 필요합니다' });
+    const { signatureDataUrl } = req.body;
+    if (!signatureDataUrl) return res.status(400).json({ ok:false, error:'서명 데이터가 필요합니다' });
+    const sig = decodeSignature(String(signatureDataUrl));
+    if (!sig.ok) return res.status(400).json({ ok:false, error: sig.error, fieldErrors: { signatureDataUrl: [sig.error] } });
+    const p = worklogMetaSchema.safeParse(req.body);
+    if (!p.success) {
+      const flat = p.error.flatten();
+      return res.status(400).json({ ok:false, error:'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+    }
+    const meta = p.data;
+    if (meta.prevWorklogId) {
+      const prev = db.prepare('SELECT uploaderId, status FROM worklogs WHERE id=?').get(meta.prevWorklogId) as any;
+      const taken = db.prepare('SELECT 1 FROM worklogs WHERE prevWorklogId=?').get(meta.prevWorklogId);
+      const err = !prev ? '재제출할 일지를 찾을 수 없습니다'
+        : prev.uploaderId !== req.user!.id ? '본인 일지만 다시 제출할 수 있습니다'
+        : prev.status !== 'Rejected' ? '반려된 일지만 다시 제출할 수 있습니다'
+        : taken ? '이미 다시 제출한 일지입니다'
+        : null;
+      if (err) return res.status(409).json({ ok:false, error: err });
+    }
+
+    const type = detectWorklogFileType(req.file.buffer, req.file.originalname || '');
+    if (!type.ok) return res.status(400).json({ ok:false, error: type.error, fieldErrors: { file: [type.error] } });
+    const sheet = type.type === 'xlsx' ? await parseWorklogSheet(req.file.buffer, meta.workDate) : null;
+    if (sheet?.kind === 'invalid') {
+      return res.status(400).json({ ok:false, error:'근무일지 양식 오류', cellErrors: sheet.errors });
+    }
+    const sheetRows = sheet?.kind === 'parsed' ? sheet.rows : [];
+    // 양식을 읽는 사이 같은 키의 재전송이 먼저 저장됐을 수 있음
+    const raced = replayed();
+    if (raced) return res.json({ ok:true, data: worklogRow(raced.id), replayed: true });
+
+    const id = cryptoRandomId();  // ✅ 진짜 고유 ID 생성
+    const createdAt = new Date().toISOString();
+    const filePath = storeWorklogFile(req.file);
+
+    try {
+      db.transaction(() => {
+        const signatureId = recordSignature(req, sig.image, { entityType: 'worklog', entityId: id, role: 'uploader', signerId: req.user!.id });
+        db.prepare(`
+          INSERT INTO worklogs (id, uploaderId, fileName, filePath, signature, signatureId, status, createdAt,
+            workDate, shift, hours, notes, prevWorklogId, fileType, idempotencyKey)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          id,                            // ✅ 고유 id
+          req.user!.id,                  // ✅ 업로더
+          req.file!.originalname || path.basename(filePath),
+          filePath,
+          '',                            // 예전 dataURL 칸 (NOT NULL) — 서명은 signatureId
+          signatureId,
+          'Pending',
+          createdAt,
+          meta.workDate, meta.shift, meta.hours, meta.notes || null, meta.prevWorklogId ?? null, type.type, idem.key
+        );
+        const insertRow = db.prepare(`INSERT INTO worklog_rows (worklogId, rowNo, workDate, line, task, hours, quantity)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`);
+        for (const r of sheetRows) insertRow.run(id, r.rowNo, r.workDate, r.line, r.task, r.hours, r.quantity);
+        audit(req, meta.prevWorklogId ? 'worklog.resubmit' : 'worklog.upload', 'worklog', id, null,
+          { ...(db.prepare('SELECT * FROM worklogs WHERE id=?').get(id) as object), rowCount: sheetRows.length });
+        const reviewers = worklogReviewerIds(req.user!.id);
+        const delegates = delegatesOf(reviewers, { dept: profileOfUser(req.user!.id)?.dept ?? null, leaveType: null });
+        notify([...reviewers, ...delegates], 'worklog.submitted', {
+          title: `근무일지 ${meta.prevWorklogId ? '재제출' : '제출'} — ${req.user!.name}`,
+          body: `${meta.workDate} ${meta.shift} ${meta.hours}시간${meta.notes ? `\n${meta.notes}` : ''}`,
+          link: '/manager', entityType: 'worklog', entityId: id,
+        });
+      })();
+    } catch (e) {
+      fs.unlink(path.join(WORKLOG_DIR, filePath), () => { /* no-op */ });
+      throw e;
+    }
+
+    return res.status(201).json({ ok:true, data: worklogRow(id) });
+  } catch (e:any) {
+    console.error('[worklogs] upload error:', e);
+    return res.status(500).json({ ok:false, error:'Internal error' });
+  }
+});
+
+
+// 상태 변경(상사/관리자) — 반려 시 사유 필수
+app.put('/api/worklogs/:id/status', authRequired, ensureRole(['manager','admin']), (req: AuthedRequest, res) => {
+  const { id } = req.params;
+  const p = updateWorklogStatusSchema.safeParse(req.body ?? {});
+  if (!p.success) {
+    const flat = p.error.flatten();
+    return res.status(400).json({ ok:false, error: flat.fieldErrors.reason?.[0] ?? 'Validation error', formErrors: flat.formErrors, fieldErrors: flat.fieldErrors });
+  }
+  const exists = db.prepare('SELECT * FROM worklogs WHERE id=?').get(id) as any;
+  if (!exists) return res.status(404).json({ ok:false, error:'Not found' });
+  if (exists.uploaderId === req.user!.id && req.user!.role !== 'admin') {
+    return res.status(403).json({ ok:false, error:'본인 일지는 검토할 수 없습니다' });
+  }
+  const authority = worklogReviewAuthority(req.user!, exists.uploaderId);
+  if (!authority) return res.status(403).json({ ok:false, error:'이 일지의 검토 권한이 없습니다' });
+  const { status, reason } = p.data;
+  const onBehalfOf = status === 'Pending' ? null : authority.onBehalfOf;
+
+  db.transaction(() => {
+    db.prepare('UPDATE worklogs SET status=?, rejectReason=?, reviewerId=?, reviewOnBehalfOf=?, reviewedAt=? WHERE id=?').run(
+      status,
+      status === 'Rejected' ? reason! : null,
+      status === 'Pending' ? null : req.user!.id,
+      onBehalfOf,
+      status === 'Pending' ? null : nowTs(),
+      id
+    );
+    audit(req, 'worklog.status', 'worklog', id, exists, db.prepare('SELECT * FROM worklogs WHERE id=?').get(id));
+    if (status !== 'Pending') {
+      notify([exists.uploaderId], 'worklog.reviewed', {
+        title: `근무일지 ${status === 'Approved' ? '승인' : '반려'} — ${exists.workDate ?? exists.createdAt.slice(0, 10)}`,
+        body: status === 'Rejected' ? `반려 사유: ${reason}` : undefined,
+        link: '/employee', entityType: 'worklog', entityId: id,
+      });
+    }
+  })();
+  return res.json({ ok:true, data: worklogRow(id) });
+});
+
+// 검토 의견
+app.get('/api/worklogs/:id/comments', authRequired, (req: AuthedRequest, res) => {
+  const wl = db.prepare('SELECT uploaderId FROM worklogs WHERE id=?').get(req.params.id) as any;
+  if (!wl) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewWorklog(req.user!, wl)) return res.status(403).json({ ok:false, error:'Forbidden' });
+  const rows = db.prepare(`SELECT c.*, u.name AS authorName FROM worklog_comments c
+    LEFT JOIN users u ON u.id = c.authorId
+    WHERE c.worklogId=? ORDER BY c.createdAt`).all(req.params.id);
+  return res.json({ ok:true, data: rows });
+});
+
+app.post('/api/worklogs/:id/comments', authRequired, (req: AuthedRequest, res) => {
+  const p = worklogCommentSchema.safeParse(req.body ?? {});
+  if (!p.success) return res.status(400).json({ ok:false, error:'의견을 입력하세요' });
+  const wl = db.prepare('SELECT uploaderId FROM worklogs WHERE id=?').get(req.params.id) as any;
+  if (!wl) return res.status(404).json({ ok:false, error:'Not found' });
+  if (!canViewWorklog(req.user!, wl)) return res.status(403).json({ ok:false, error:'Forbidden' });
+
+  const id = cryptoRandomId();
+  const row = db.transaction(() => {
+    db.prepare('INSERT INTO worklog_comments (id, worklogId, authorId, body, createdAt) VALUES (?,?,?,?,?)')
+      .run(id, req.params.id, req.user!.id, p.data.body, nowTs());
+    const saved = db.prepare(`SELECT c.*, u.name AS authorName FROM worklog_comments c
+      LEFT JOIN users u ON u.id = c.authorId WHERE c.id=?`).get(id);
+    audit(req, 'worklog.comment', 'worklog', req.params.id, null, saved);
+    return saved;
+  })();
+  return res.status(201).json({ ok:true, data: row });
+});
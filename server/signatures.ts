@@ -0,0 +1,118 @@
+// signatures.ts — 서명 이미지 검증/파일 저장
+// DB에 의존하지 않는다. 서명 기록(signatures 테이블), 권한 확인, 감사 기록은 server.ts에서 담당
+//  - 프런트가 보낸 dataURL을 디코딩해 실제 PNG/JPEG인지(파일 헤더/끝 표식/크기) 확인
+//  - 파일은 내용의 SHA-256으로 이름을 지어 저장 (ab/abcdef….png) → 같은 이미지는 한 번만 저장
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const SIGNATURE_MAX_BYTES = 256 * 1024;   // 디코딩한 이미지 기준
+export const SIGNATURE_MAX_SIDE = 2000;          // 가로/세로 최대 픽셀
+// dataURL 문자열 최대 길이 (base64는 4/3배 + 머리말)
+export const SIGNATURE_MAX_DATA_URL = Math.ceil(SIGNATURE_MAX_BYTES / 3) * 4 + 32;
+
+export type SignatureMime = 'image/png' | 'image/jpeg';
+
+export interface SignatureImage {
+  buffer: Buffer;
+  mime: SignatureMime;
+  ext: 'png' | 'jpg';
+  sha256: string;
+  bytes: number;
+  width: number;
+  height: number;
+}
+
+export type SignatureDecodeResult = { ok: true; image: SignatureImage } | { ok: false; error: string };
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_IEND = Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]); // 'IEND' + CRC
+
+export function sha256Hex(buf: Buffer) {
+  return createHash('sha256').update(buf).digest('hex');
+}
+
+// PNG: 첫 청크가 IHDR(가로/세로), 마지막이 IEND
+function pngSize(buf: Buffer): { width: number; height: number } | null {
+  if (buf.length < 33 || !buf.subarray(0, 8).equals(PNG_MAGIC)) return null;
+  if (buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  if (!buf.subarray(buf.length - 8).equals(PNG_IEND)) return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+// JPEG: FFD8로 시작해 FFD9로 끝남. 가로/세로는 SOF 마커(FFC0~FFCF, C4/C8/CC 제외)에서
+function jpegSize(buf: Buffer): { width: number; height: number } | null {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  if (buf[buf.length - 2] !== 0xff || buf[buf.length - 1] !== 0xd9) return null;
+  let i = 2;
+  while (i + 4 <= buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    if (marker === 0xff) { i += 1; continue; }                 // 채움 바이트
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; } // 길이 없는 마커
+    if (marker === 0xda || marker === 0xd9) return null;      // SOF 전에 영상 데이터가 시작됨
+    const len = buf.readUInt16BE(i + 2);
+    if (len < 2) return null;
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      if (i + 9 > buf.length) return null;
+      return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+// limits: 기존 DB의 서명을 옮길 때는 크기 제한 없이 이미지인지만 확인
+export function decodeSignature(
+  dataUrl: string,
+  limits: { maxBytes: number; maxSide: number } = { maxBytes: SIGNATURE_MAX_BYTES, maxSide: SIGNATURE_MAX_SIDE },
+): SignatureDecodeResult {
+  const m = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/]+={0,2})$/.exec(dataUrl.trim());
+  if (!m) return { ok: false, error: '서명 데이터 URL 형식이 올바르지 않습니다.' };
+  const buffer = Buffer.from(m[2], 'base64');
+  if (!buffer.length) return { ok: false, error: '서명 이미지가 비어 있습니다.' };
+  if (buffer.length > limits.maxBytes) {
+    return { ok: false, error: `서명 이미지는 ${Math.round(limits.maxBytes / 1024)}KB 이하여야 합니다.` };
+  }
+  const mime: SignatureMime = m[1] === 'png' ? 'image/png' : 'image/jpeg';
+  const size = mime === 'image/png' ? pngSize(buffer) : jpegSize(buffer);
+  if (!size) return { ok: false, error: '서명 이미지 파일이 올바르지 않습니다.' };
+  if (!size.width || !size.height || size.width > limits.maxSide || size.height > limits.maxSide) {
+    return { ok: false, error: `서명 이미지 크기는 ${limits.maxSide}px 이하여야 합니다.` };
+  }
+  return {
+    ok: true,
+    image: {
+      buffer, mime, ext: mime === 'image/png' ? 'png' : 'jpg',
+      sha256: sha256Hex(buffer), bytes: buffer.length, width: size.width, height: size.height,
+    },
+  };
+}
+
+export function signatureRelPath(image: Pick<SignatureImage, 'sha256' | 'ext'>) {
+  return `${image.sha256.slice(0, 2)}/${image.sha256}.${image.ext}`;
+}
+
+// 이미 같은 내용의 파일이 있으면 그대로 둠. 임시 파일에 쓴 뒤 이름을 바꿔 반쯤 쓴 파일이 남지 않게
+export function saveSignatureFile(dir: string, image: SignatureImage) {
+  const rel = signatureRelPath(image);
+  const abs = path.join(dir, rel);
+  if (!fs.existsSync(abs)) {
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    const tmp = `${abs}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, image.buffer);
+    fs.renameSync(tmp, abs);
+  }
+  return rel;
+}
+
+export function readSignatureFile(dir: string, rel: string): Buffer | null {
+  const abs = path.resolve(dir, rel);
+  if (!abs.startsWith(path.resolve(dir) + path.sep)) return null;
+  try { return fs.readFileSync(abs); } catch { return null; }
+}
+
+export function toDataUrl(buffer: Buffer, mime: string) {
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+}
@@ -0,0 +1,199 @@
+// workdays.ts — 근무일 계산 (주말/법정 공휴일/대체공휴일/회사 휴무일 제외)
+// DB에 의존하지 않는 순수 함수만 둔다. 휴일 테이블 조회는 server.ts에서 담당
+
+export type HolidayKind = 'public' | 'closure';
+
+export interface HolidayEntry {
+  date: string;          // YYYY-MM-DD
+  name: string;
+  kind: HolidayKind;
+  builtin?: boolean;     // 양력 고정 공휴일/계산된 대체공휴일 (DB에 저장되지 않음)
+}
+
+// 양력 고정 공휴일 (음력 공휴일 — 설날/부처님오신날/추석 — 은 달력 파일로 등록)
+const FIXED_HOLIDAYS: Array<{ md: string; name: string; since?: number }> = [
+  { md: '01-01', name: '신정' },
+  { md: '03-01', name: '삼일절' },
+  { md: '05-05', name: '어린이날' },
+  { md: '06-06', name: '현충일' },
+  { md: '08-15', name: '광복절' },
+  { md: '10-03', name: '개천절' },
+  { md: '10-09', name: '한글날', since: 2013 },
+  { md: '12-25', name: '성탄절' },
+];
+
+// 대체공휴일 규칙 (공휴일에 관한 법률 제3조)
+//  - weekdays: 이 요일(0=일, 6=토)과 겹치면 대체 / 다른 공휴일과 겹쳐도 대체
+//  - 설날·추석은 연휴 전체 다음의 첫 비공휴일로 대체
+const SUBSTITUTE_RULES: Array<{ match: RegExp; weekdays: number[]; since: number }> = [
+  { match: /설날/, weekdays: [0], since: 2014 },
+  { match: /추석/, weekdays: [0], since: 2014 },
+  { match: /어린이날/, weekdays: [0, 6], since: 2014 },
+  { match: /삼일절|광복절|개천절|한글날/, weekdays: [0, 6], since: 2021 },
+  { match: /부처님\s*오신\s*날|석가탄신일/, weekdays: [0, 6], since: 2023 },
+  { match: /성탄절|기독탄신일/, weekdays: [0, 6], since: 2023 },
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isIsoDate(s: string) {
+  return DATE_RE.test(s) && !isNaN(Date.parse(`${s}T00:00:00Z`));
+}
+
+export function addDays(date: string, n: number) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date: string) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+export function isWeekend(date: string) {
+  const w = weekdayOf(date);
+  return w === 0 || w === 6;
+}
+
+// 날짜 범위 (양끝 포함)
+export function eachDate(startDate: string, endDate: string): string[] {
+  const out: string[] = [];
+  for (let d = startDate; d <= endDate; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+export function fixedHolidays(year: number): HolidayEntry[] {
+  return FIXED_HOLIDAYS
+    .filter(h => !h.since || year >= h.since)
+    .map(h => ({ date: `${year}-${h.md}`, name: h.name, kind: 'public' as const, builtin: true }));
+}
+
+// 같은 날 같은 이름의 휴일은 하나만 (달력 파일에 양력 고정 공휴일이 같이 들어 있는 경우). 앞의 것을 남김
+export function uniqueHolidays<T extends HolidayEntry>(entries: T[]): T[] {
+  const seen = new Set<string>();
+  return entries.filter(h => {
+    const key = `${h.date}|${h.name.replace(/\s+/g, '')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// 등록된 공휴일(고정+달력)로부터 해당 연도의 대체공휴일 계산
+// 달력 파일에 이미 '대체공휴일'이 들어 있으면 새로 만들지 않고 그 날을 사용한다
+export function substituteHolidays(holidays: HolidayEntry[], year: number): HolidayEntry[] {
+  const baseName = (name: string) => name.replace(/\s*(연휴|전날|다음날|당일)\s*/g, '');
+  const publicHolidays = uniqueHolidays(holidays);
+  const taken = new Set(publicHolidays.map(h => h.date));
+  const declared = publicHolidays.filter(h => /대체/.test(h.name)).map(h => h.date).sort();
+  const claimed = new Set<string>();
+  const sorted = publicHolidays
+    .filter(h => h.date.startsWith(`${year}-`) && !/대체/.test(h.name))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const out: HolidayEntry[] = [];
+  const doneBlocks = new Set<string>();
+  const doneOverlapDates = new Set<string>(); // 공휴일끼리 겹친 날은 한 번만 대체
+  for (const h of sorted) {
+    const rule = SUBSTITUTE_RULES.find(r => r.match.test(h.name));
+    if (!rule || year < rule.since) continue;
+
+    const base = baseName(h.name);
+    const isBlock = /설날|추석/.test(base);
+    if (isBlock && doneBlocks.has(base)) continue;
+    doneBlocks.add(base);
+    const days = isBlock ? sorted.filter(x => baseName(x.name) === base) : [h];
+
+    let needed = 0;
+    for (const d of days) {
+      if (rule.weekdays.includes(weekdayOf(d.date))) { needed++; continue; }
+      const clash = sorted.some(o => o.date === d.date && baseName(o.name) !== base); // 다른 공휴일과 겹침
+      if (clash && !doneOverlapDates.has(d.date)) { needed++; doneOverlapDates.add(d.date); }
+    }
+
+    let cursor = days[days.length - 1].date;
+    for (let i = 0; i < needed; i++) {
+      const existing = declared.find(d => d > cursor && !claimed.has(d) && d <= addDays(cursor, 7));
+      if (existing) {
+        claimed.add(existing);
+        cursor = existing;
+        continue;
+      }
+      do { cursor = addDays(cursor, 1); } while (isWeekend(cursor) || taken.has(cursor));
+      taken.add(cursor);
+      out.push({ date: cursor, name: `대체공휴일(${base})`, kind: 'public', builtin: true });
+    }
+  }
+  return out;
+}
+
+// 시작~종료일(포함) 중 근무일 수
+export function countBusinessDays(startDate: string, endDate: string, holidays: Set<string>) {
+  if (!isIsoDate(startDate) || !isIsoDate(endDate) || endDate < startDate) return 0;
+  return eachDate(startDate, endDate).filter(d => !isWeekend(d) && !holidays.has(d)).length;
+}
+
+/* ---------------- 달력 파일 파싱 ---------------- */
+
+export function normalizeDate(raw: string): string | null {
+  const m = /^(\d{4})[-./]?(\d{1,2})[-./]?(\d{1,2})/.exec(raw.trim());
+  if (!m) return null;
+  const date = `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  return isIsoDate(date) ? date : null;
+}
+
+// iCalendar(.ics) — 종일 일정의 DTEND는 다음날(배타)이므로 하루 전까지 펼친다
+export function parseIcs(text: string, kind: HolidayKind = 'public'): HolidayEntry[] {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const out: HolidayEntry[] = [];
+  let cur: { start?: string; end?: string; allDay?: boolean; name?: string } | null = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { cur = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (cur?.start) {
+        const name = (cur.name || '휴일').trim();
+        const last = cur.end ? (cur.allDay !== false ? addDays(cur.end, -1) : cur.end) : cur.start;
+        for (const date of eachDate(cur.start, last < cur.start ? cur.start : last)) out.push({ date, name, kind });
+      }
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const idx = line.indexOf(':');
+    if (idx < 0) continue;
+    const [prop, ...params] = line.slice(0, idx).split(';');
+    const value = line.slice(idx + 1);
+    if (prop === 'DTSTART') {
+      cur.start = normalizeDate(value) ?? undefined;
+      cur.allDay = params.includes('VALUE=DATE') || /^\d{8}$/.test(value.trim());
+    } else if (prop === 'DTEND') {
+      cur.end = normalizeDate(value) ?? undefined;
+    } else if (prop === 'SUMMARY') {
+      cur.name = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+    }
+  }
+  return out;
+}
+
+export interface CsvHolidayRow { line: number; entry?: HolidayEntry; error?: string }
+
+// CSV — 날짜,이름[,구분]  (구분: 공휴일/public, 휴무/closure). 머리글 행은 건너뜀
+export function parseHolidayCsv(text: string, defaultKind: HolidayKind = 'public'): CsvHolidayRow[] {
+  const rows: CsvHolidayRow[] = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const cols = raw.split(',').map(c => c.trim().replace(/^"(.*)"$/, '$1'));
+    const date = normalizeDate(cols[0] || '');
+    if (!date) {
+      if (i === 0) return; // 머리글
+      rows.push({ line: i + 1, error: `날짜 형식 오류: ${cols[0]}` });
+      return;
+    }
+    const kindRaw = (cols[2] || '').toLowerCase();
+    const kind: HolidayKind =
+      kindRaw === 'closure' || kindRaw === '휴무' || kindRaw === '회사휴무' ? 'closure' :
+      kindRaw === 'public' || kindRaw === '공휴일' ? 'public' : defaultKind;
+    rows.push({ line: i + 1, entry: { date, name: cols[1] || (kind === 'closure' ? '회사 휴무' : '공휴일'), kind } });
+  });
+  return rows;
+}
@@ -0,0 +1,173 @@
+// worklogFiles.ts — 근무일지 첨부 파일 형식 확인(내용 기준)과 표준 양식(.xlsx) 읽기
+// DB에 의존하지 않는다. 파일 저장/행 저장/권한 확인은 server.ts에서 담당
+//  - 허용 형식: xlsx / pdf / png / jpg. 확장자와 파일 머리(매직 바이트)가 모두 맞아야 함
+//  - xlsx에 표준 양식 머리글(날짜/라인/작업/시간/생산수량)이 있으면 행으로 읽고, 칸마다 검증
+//    머리글이 없는 엑셀은 예전처럼 파일로만 보관
+
+import ExcelJS from 'exceljs';
+import { cellText } from './imports';
+import { addDays, normalizeDate } from './workdays';
+
+export const WORKLOG_FILE_TYPES = ['xlsx', 'pdf', 'png', 'jpg'] as const;
+export type WorklogFileType = typeof WORKLOG_FILE_TYPES[number];
+
+const EXTENSIONS: Record<WorklogFileType, string[]> = {
+  xlsx: ['.xlsx'],
+  pdf: ['.pdf'],
+  png: ['.png'],
+  jpg: ['.jpg', '.jpeg'],
+};
+export const WORKLOG_ACCEPT = Object.values(EXTENSIONS).flat().join(',');
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// 파일 머리로 본 실제 형식. xlsx는 zip 안에 통합 문서(xl/workbook.xml) 항목이 있어야 함
+function sniff(buf: Buffer): WorklogFileType | null {
+  if (buf.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buf.subarray(0, 8).equals(PNG_MAGIC)) return 'png';
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpg';
+  if (buf.subarray(0, 4).equals(ZIP_MAGIC) && buf.includes('xl/workbook.xml', 0, 'latin1')) return 'xlsx';
+  return null;
+}
+
+export type FileTypeResult = { ok: true; type: WorklogFileType } | { ok: false; error: string };
+
+export function detectWorklogFileType(buf: Buffer, filename: string): FileTypeResult {
+  const ext = (/\.[^.]+$/.exec(filename.toLowerCase()) ?? [''])[0];
+  const byName = WORKLOG_FILE_TYPES.find(t => EXTENSIONS[t].includes(ext));
+  if (!byName) return { ok: false, error: `허용되지 않는 파일 형식입니다 (${WORKLOG_ACCEPT})` };
+  const byContent = sniff(buf);
+  if (byContent !== byName) return { ok: false, error: `파일 내용이 ${byName} 형식이 아닙니다` };
+  return { ok: true, type: byName };
+}
+
+/* ---------------- 표준 양식 ---------------- */
+export const WORKLOG_ROW_FIELDS = ['workDate', 'line', 'task', 'hours', 'quantity'] as const;
+export type WorklogRowField = typeof WORKLOG_ROW_FIELDS[number];
+
+// 머리글(한글/영문) → 항목. 첫 머리글이 양식 다운로드에 쓰는 이름
+const COLUMNS: Record<WorklogRowField, string[]> = {
+  workDate: ['날짜', '작업일', 'date'],
+  line: ['라인', '설비', 'line'],
+  task: ['작업', '작업내용', 'task'],
+  hours: ['시간', '작업시간', 'hours'],
+  quantity: ['생산수량', '수량', 'quantity'],
+};
+const HEADER_SCAN_ROWS = 10;     // 제목 줄이 있어도 이 안에서 머리글을 찾음
+const MAX_ROWS = 500;
+const TOTAL_LABELS = new Set(['합계', '소계', '계', 'total']);
+
+export interface ParsedWorklogRow {
+  rowNo: number;               // 시트 행 번호
+  workDate: string;
+  line: string;
+  task: string;
+  hours: number;
+  quantity: number | null;
+}
+
+export interface WorklogCellError { cell: string; row: number; field: WorklogRowField | null; message: string }
+
+export type WorklogSheetResult =
+  | { kind: 'unstructured' }
+  | { kind: 'invalid'; errors: WorklogCellError[] }
+  | { kind: 'parsed'; rows: ParsedWorklogRow[]; totalHours: number; totalQuantity: number };
+
+const headerKey = (s: string) => s.replace(/\s+/g, '').toLowerCase();
+
+function columnLetter(col: number) {
+  let s = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// workDate: 제출하는 일지의 근무일 — 행 날짜는 그날 또는 다음날(야간 근무)만
+export async function parseWorklogSheet(buffer: Buffer, workDate: string): Promise<WorklogSheetResult> {
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(buffer as any);
+  } catch {
+    return { kind: 'invalid', errors: [{ cell: '-', row: 0, field: null, message: '엑셀 파일을 읽을 수 없습니다' }] };
+  }
+  const ws = wb.worksheets[0];
+  if (!ws) return { kind: 'unstructured' };
+
+  const text = (r: number, c: number) => cellText(ws.getRow(r).getCell(c).value).trim();
+  let headerRow = 0;
+  let colOf: Partial<Record<WorklogRowField, number>> = {};
+  for (let r = 1; r <= Math.min(ws.rowCount, HEADER_SCAN_ROWS) && !headerRow; r++) {
+    const found: Partial<Record<WorklogRowField, number>> = {};
+    for (let c = 1; c <= ws.columnCount; c++) {
+      const key = headerKey(text(r, c));
+      const field = WORKLOG_ROW_FIELDS.find(f => COLUMNS[f].some(h => headerKey(h) === key));
+      if (field && !found[field]) found[field] = c;
+    }
+    if (Object.keys(found).length >= 3) { headerRow = r; colOf = found; }
+  }
+  if (!headerRow) return { kind: 'unstructured' };
+
+  const errors: WorklogCellError[] = [];
+  const missing = WORKLOG_ROW_FIELDS.filter(f => !colOf[f]);
+  if (missing.length) {
+    errors.push(...missing.map(f => ({
+      cell: `${headerRow}행`, row: headerRow, field: f, message: `'${COLUMNS[f][0]}' 열이 없습니다`,
+    })));
+    return { kind: 'invalid', errors };
+  }
+
+  const rows: ParsedWorklogRow[] = [];
+  const nextDay = addDays(workDate, 1);
+  for (let r = headerRow + 1; r <= ws.rowCount; r++) {
+    const raw = Object.fromEntries(WORKLOG_ROW_FIELDS.map(f => [f, text(r, colOf[f]!)])) as Record<WorklogRowField, string>;
+    if (WORKLOG_ROW_FIELDS.every(f => !raw[f])) continue;
+    if (TOTAL_LABELS.has(headerKey(raw.workDate)) || TOTAL_LABELS.has(headerKey(raw.line))) continue;
+    if (rows.length >= MAX_ROWS) {
+      errors.push({ cell: `${r}행`, row: r, field: null, message: `작업 행은 ${MAX_ROWS}개까지입니다` });
+      break;
+    }
+    const err = (f: WorklogRowField, message: string) => errors.push({ cell: `${columnLetter(colOf[f]!)}${r}`, row: r, field: f, message });
+    const before = errors.length;
+
+    const date = raw.workDate ? normalizeDate(raw.workDate) : null;
+    if (!raw.workDate) err('workDate', '날짜를 입력하세요');
+    else if (!date) err('workDate', '날짜 형식이 올바르지 않습니다');
+    else if (date !== workDate && date !== nextDay) err('workDate', `근무일(${workDate})과 맞지 않습니다`);
+    if (!raw.line) err('line', '라인을 입력하세요');
+    else if (raw.line.length > 50) err('line', '50자 이하로 입력하세요');
+    if (!raw.task) err('task', '작업 내용을 입력하세요');
+    else if (raw.task.length > 200) err('task', '200자 이하로 입력하세요');
+    const hours = Number(raw.hours);
+    if (!raw.hours) err('hours', '시간을 입력하세요');
+    else if (!Number.isFinite(hours) || hours <= 0 || hours > 24) err('hours', '0보다 크고 24 이하인 숫자를 입력하세요');
+    const quantity = raw.quantity ? Number(raw.quantity.replace(/,/g, '')) : null;
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity < 0)) err('quantity', '0 이상의 정수를 입력하세요');
+
+    if (errors.length === before) rows.push({ rowNo: r, workDate: date!, line: raw.line, task: raw.task, hours, quantity });
+  }
+  if (!errors.length && !rows.length) {
+    errors.push({ cell: `${headerRow + 1}행`, row: headerRow + 1, field: null, message: '작업 행이 없습니다' });
+  }
+  if (errors.length) return { kind: 'invalid', errors };
+  return {
+    kind: 'parsed', rows,
+    totalHours: Math.round(rows.reduce((s, x) => s + x.hours, 0) * 100) / 100,
+    totalQuantity: rows.reduce((s, x) => s + (x.quantity ?? 0), 0),
+  };
+}
+
+// 직원에게 나눠 줄 빈 양식 (머리글 + 예시 한 줄)
+export async function buildWorklogTemplate(): Promise<Buffer> {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('근무일지');
+  ws.columns = [
+    { header: COLUMNS.workDate[0], key: 'workDate', width: 12 },
+    { header: COLUMNS.line[0], key: 'line', width: 12 },
+    { header: COLUMNS.task[0], key: 'task', width: 36 },
+    { header: COLUMNS.hours[0], key: 'hours', width: 8 },
+    { header: COLUMNS.quantity[0], key: 'quantity', width: 10 },
+  ];
+  ws.getRow(1).font = { bold: true };
+  ws.addRow({ workDate: '2025-08-28', line: 'A라인', task: '사출 성형', hours: 4, quantity: 1200 });
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}